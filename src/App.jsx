@@ -1,84 +1,170 @@
 // src/App.jsx
 
+import { lazy, Suspense } from 'react';
 import { AnimatePresence } from 'framer-motion';
 import { useFirebaseAuth } from '@hooks/useFirebaseAuth';
-import { useGameState } from '@hooks/useGameState';
-import { useTeams } from '@hooks/useTeams';
-import { usePrizeStructure } from '@hooks/usePrizeStructure';
-import { useDisplayConfig } from '@hooks/useDisplayConfig';
+import { useServerTimeOffset } from '@hooks/useServerTimeOffset';
+import { useConnectionStatus } from '@hooks/useConnectionStatus';
+import { useGameStore, useGameStoreConnection } from '@hooks/useGameStore';
+import { useReplay } from '@hooks/useReplay';
+import { useSessionRecording } from '@hooks/useSessionRecording';
+import { useAudio } from '@hooks/useAudio';
+import { useThemeConfig } from '@hooks/useTheme';
+import { useCopy, useLocaleConfig } from '@hooks/useLocale';
+import { useStageLayout } from '@hooks/useStageLayout';
 import LoadingScreen from '@screens/LoadingScreen';
 import IdleScreen from '@screens/IdleScreen';
 import GameScreen from '@screens/GameScreen';
 import ResultsScreen from '@screens/ResultsScreen';
-import { COPY_LOADING } from '@constants/app';
+import FastestFingerScreen from '@screens/FastestFingerScreen';
+import LadderScreen from '@screens/LadderScreen';
+import LeaderboardScreen from '@screens/LeaderboardScreen';
+import StageMonitorScreen from '@screens/StageMonitorScreen';
+import PresenterScreen from '@screens/PresenterScreen';
+import ReconnectingBadge from '@components/connection/ReconnectingBadge';
+import OfflineHoldingCard from '@components/connection/OfflineHoldingCard';
+import AudioUnlockScreen from '@components/audio/AudioUnlockScreen';
+import ReplayControls from '@components/replay/ReplayControls';
+import DiagnosticsOverlay from '@components/diagnostics/DiagnosticsOverlay';
+import CalibrationOverlay from '@components/diagnostics/CalibrationOverlay';
+import Stage from '@components/layout/Stage';
+import { COPY_REPLAY } from '@constants/app';
+import {
+  selectAudioConfig,
+  selectDisplayConfig,
+  selectDisplayRoles,
+  selectGameState,
+  selectLocaleConfig,
+  selectStoreStatus,
+  selectThemeConfig,
+} from '@store/selectors';
+import { getUrlParam } from '@utils/urlParams';
+import { interpolate } from '@utils/messages';
+import { getDataSourceName } from '@config/dataSource';
+import { resolveDisplayRole } from '@config/displayRole';
+import { resolveStageScaleMode } from '@config/stageScale';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
 
 /**
- * App — Root component
- *
- * Owns all Firebase hooks and handles screen routing based on game state.
- * Screens receive only the data they need as props — no hooks inside screens.
- *
- * Routing logic:
- *   auth pending / db connecting          → LoadingScreen
- *   gameStatus: not-started / initialized → IdleScreen  (manages its own phase internally)
- *   gameStatus: active / paused / completed → GameScreen
- *   displayFinalResults: true             → ResultsScreen
- *
- * IdleScreen receives `teams` and `gameState` so it can display:
- *   - Team roster cards in the lobby phase (not-started)
- *   - Initialization stepper (transition-triggered, local animation)
- *   - Play order in the ready phase (initialized)
+ * Session log to replay instead of listening to Firebase (`?replay=<file>`),
+ * or null for the live display. See store/replayPlayer.js.
  */
-export default function App() {
-  // ── Auth ────────────────────────────────────────────────────────────────────
-  const {
-    isReady: authReady,
-    isError: authError,
-    errorMessage: authErrorMessage,
-  } = useFirebaseAuth();
+const REPLAY_FILE = getUrlParam('replay');
 
-  // ── Data listeners (all gated on authReady) ─────────────────────────────────
-  const {
-    gameState,
-    isListening,
-    isError: dbError,
-    errorMessage: dbErrorMessage,
-  } = useGameState(authReady);
+/** Mock data source (VITE_DATA_SOURCE=mock) — see config/dataSource.js. */
+const IS_MOCK = getDataSourceName() === 'mock';
+
+/** Sound engine config for non-main displays — only the main screen plays. */
+const SILENT_AUDIO_CONFIG = { enabled: false, masterVolume: 0, cues: {} };
+
+// Lazy so the mock scenario code is split out of the live bundle
+const ScenarioControls = lazy(
+  () => import('@components/mock/ScenarioControls'),
+);
 
-  const { teams } = useTeams(authReady);
-  const { prizeStructure } = usePrizeStructure(authReady);
-  const { displayConfig, timerDuration } = useDisplayConfig(authReady);
+// ── Screen routing ─────────────────────────────────────────────────────────────
 
+/**
+ * Picks the screen to render from auth (or replay) / listener / game state.
+ * See the routing table on App below.
+ */
+function routeScreen({
+  copy,
+  replay,
+  authReady,
+  authError,
+  authErrorMessage,
+  isListening,
+  dbError,
+  dbErrorMessage,
+  gameState,
+  role,
+}) {
   // ── Loading states ──────────────────────────────────────────────────────────
-  if (!authReady && !authError) {
-    return <LoadingScreen message={COPY_LOADING.AUTHENTICATING} />;
+  if (REPLAY_FILE) {
+    if (replay.status === 'error') {
+      return (
+        <LoadingScreen
+          message={interpolate(COPY_REPLAY.LOAD_FAILED, {
+            message: replay.errorMessage,
+          })}
+        />
+      );
+    }
+
+    // The store publishes once the player has fed every node
+    if (!isListening) {
+      return <LoadingScreen message={COPY_REPLAY.LOADING} />;
+    }
+  } else {
+    if (!authReady && !authError) {
+      return <LoadingScreen message={copy.LOADING.AUTHENTICATING} />;
+    }
+
+    if (authError) {
+      return (
+        <LoadingScreen
+          message={interpolate(copy.LOADING.AUTH_FAILED, {
+            message: authErrorMessage,
+          })}
+        />
+      );
+    }
+
+    if (!isListening && !dbError) {
+      return <LoadingScreen message={copy.LOADING.CONNECTING_FIREBASE} />;
+    }
+
+    if (dbError) {
+      return (
+        <LoadingScreen
+          message={interpolate(copy.LOADING.CONNECTION_ERROR, {
+            message: dbErrorMessage,
+          })}
+        />
+      );
+    }
   }
 
-  if (authError) {
+  // ── Game screens ────────────────────────────────────────────────────────────
+  const { gameStatus, displayFinalResults, roundType } = gameState ?? {};
+
+  // Side-screen roles keep one layout through every game phase
+  if (role === 'presenter') {
     return (
-      <LoadingScreen
-        message={`${COPY_LOADING.AUTH_FAILED} ${authErrorMessage}`}
-      />
+      <AnimatePresence mode="wait">
+        <PresenterScreen key="presenter" />
+      </AnimatePresence>
     );
   }
 
-  if (!isListening && !dbError) {
-    return <LoadingScreen message={COPY_LOADING.CONNECTING_FIREBASE} />;
+  if (role === 'ladder') {
+    return (
+      <AnimatePresence mode="wait">
+        <LadderScreen key="ladder" />
+      </AnimatePresence>
+    );
   }
 
-  if (dbError) {
+  if (role === 'leaderboard' && !displayFinalResults) {
     return (
-      <LoadingScreen
-        message={`${COPY_LOADING.CONNECTION_ERROR} ${dbErrorMessage}`}
-      />
+      <AnimatePresence mode="wait">
+        <LeaderboardScreen key="leaderboard" />
+      </AnimatePresence>
     );
   }
 
-  // ── Screen routing ─────────────────────────────────────────────────────────
-  const { gameStatus, displayFinalResults } = gameState ?? {};
-
   if (displayFinalResults) {
-    return <ResultsScreen teams={teams} />;
+    return <ResultsScreen />;
+  }
+
+  if (roundType === 'fastest-finger') {
+    return (
+      <AnimatePresence mode="wait">
+        <FastestFingerScreen key="fastest-finger" />
+      </AnimatePresence>
+    );
   }
 
   if (
@@ -88,21 +174,203 @@ export default function App() {
   ) {
     return (
       <AnimatePresence mode="wait">
-        <GameScreen
-          key="game"
-          gameState={gameState}
-          teams={teams}
-          prizeStructure={prizeStructure}
-          displayConfig={displayConfig}
-          timerDuration={timerDuration}
-        />
+        {role === 'stage' ? (
+          <StageMonitorScreen key="stage" />
+        ) : (
+          <GameScreen key="game" />
+        )}
       </AnimatePresence>
     );
   }
 
   return (
     <AnimatePresence mode="wait">
-      <IdleScreen key="idle" gameState={gameState} teams={teams} />
+      <IdleScreen key="idle" />
     </AnimatePresence>
   );
 }
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * App — Root component
+ *
+ * Owns auth, connection health and the game store connection, and handles
+ * screen routing based on game state. Screens read game data straight from
+ * the store via `useGameStore(selector)` (see store/selectors.js) — App only
+ * reads what it needs for routing.
+ *
+ * Routing logic:
+ *   auth pending / db connecting          → LoadingScreen
+ *   gameStatus: not-started / initialized → IdleScreen  (manages its own phase internally)
+ *   gameStatus: active / paused / completed → GameScreen
+ *   roundType: fastest-finger             → FastestFingerScreen (any game status)
+ *   displayFinalResults: true             → ResultsScreen
+ *
+ * Display roles (`?role=` or config/display-roles, config/displayRole.js)
+ * override the game screens; loading states are shared:
+ *   ladder      → LadderScreen       (every phase)
+ *   leaderboard → LeaderboardScreen  (ResultsScreen once final results show)
+ *   stage       → StageMonitorScreen in place of GameScreen
+ *   presenter   → PresenterScreen    (every phase, behind an access code)
+ * Only the main display plays sound — the others keep the engine disabled.
+ *
+ * IdleScreen reads `teams` and `gameState` from the store so it can display:
+ *   - Team roster cards in the lobby phase (not-started)
+ *   - Initialization stepper (transition-triggered, local animation)
+ *   - Play order in the ready phase (initialized)
+ *
+ * Connection health (layered above whichever screen is routed):
+ *   offline ≥ reconnectBadgeDelay → ReconnectingBadge   (corner badge)
+ *   offline ≥ offlineCardDelay    → OfflineHoldingCard  (full-screen card)
+ * Both delays come from config/display-settings. Every reconnect bumps
+ * `reconnectCount`, which re-attaches the game store listeners.
+ *
+ * Replay mode (`?replay=<file>`):
+ *   Skips auth and the Firebase listeners entirely — the replay player feeds
+ *   a recorded session into the game store instead, and ReplayControls sits
+ *   above the screens. In live mode every snapshot is recorded; Ctrl+Alt+S
+ *   downloads the session log (useSessionRecording).
+ *
+ * Mock mode (VITE_DATA_SOURCE=mock):
+ *   Data comes from an in-memory database walked through a scripted
+ *   scenario; ScenarioControls shows and steps through it.
+ *
+ * Sound (`config/audio`, off unless `enabled` is true):
+ *   App applies the master volume / cue overrides to the sound engine and
+ *   shows AudioUnlockScreen until the browser allows audio. GameScreen maps
+ *   game events to cues (useGameAudioCues).
+ *
+ * Theme (`config/theme` or `?theme=`):
+ *   Applied as CSS variables by config/theme.js and switched live.
+ *
+ * Language (`config/locale` or `?lang=`):
+ *   config/locale.js loads the message catalogue; screens read it with
+ *   useCopy(). Operator tools (replay, mock, diagnostics) stay in English.
+ *
+ * Stream overlay (`?mode=overlay`, config/displayMode.js):
+ *   Transparent canvas for OBS — ScreenBackground drops the set background
+ *   and GameScreen switches to its lower-third layout.
+ *
+ * Stage scaling (display-settings/stage-scaling or `?scale=`):
+ *   Screens and the connection / audio cards render on a 1920×1080 Stage
+ *   (1080×1920 in portrait — display-settings/orientation or `?orientation=`)
+ *   scaled to the viewport (config/stageScale.js). Operator tools (replay,
+ *   mock, calibration, diagnostics) stay outside it at native size.
+ *   Ctrl+Alt+C toggles CalibrationOverlay.
+ *
+ * Rooms (`?game=<id>` or VITE_GAME_ID):
+ *   The store reads `games/<id>/…` instead of the root paths (see
+ *   config/gameNamespace.js). Ctrl+Alt+D opens DiagnosticsOverlay, which
+ *   shows the active room, build, auth UID, node update times, the raw
+ *   game-state with its transition log, and any repaired / rejected
+ *   payloads.
+ */
+export default function App() {
+  // ── Auth ────────────────────────────────────────────────────────────────────
+  const {
+    isReady: authReady,
+    isError: authError,
+    errorMessage: authErrorMessage,
+    uid,
+  } = useFirebaseAuth(!REPLAY_FILE);
+
+  // ── Session replay / recording ──────────────────────────────────────────────
+  const replay = useReplay(REPLAY_FILE);
+  useSessionRecording(!REPLAY_FILE);
+
+  // ── Server clock sync (keeps serverNow() corrected for all countdowns) ──────
+  useServerTimeOffset();
+
+  // ── Connection health ───────────────────────────────────────────────────────
+  const { offlineMs, reconnectCount } = useConnectionStatus();
+
+  // ── Game store (listeners gated on authReady) ───────────────────────────────
+  useGameStoreConnection(authReady, reconnectCount);
+
+  const {
+    isListening,
+    isError: dbError,
+    errorMessage: dbErrorMessage,
+  } = useGameStore(selectStoreStatus);
+  const gameState = useGameStore(selectGameState);
+  const displayConfig = useGameStore(selectDisplayConfig);
+
+  // ── Display role (?role=, or config/display-roles for ?display=<id>) ────────
+  const displayRoles = useGameStore(selectDisplayRoles);
+  const role = resolveDisplayRole(displayRoles);
+
+  // ── Stage scaling (display-settings, unless ?scale= / ?orientation=) ───────
+  const stageScaleMode = resolveStageScaleMode(displayConfig.stageScaling);
+  const { viewport, layout: stageLayout } = useStageLayout(
+    stageScaleMode,
+    displayConfig.orientation,
+  );
+
+  // ── Theme (config/theme, unless ?theme= overrides it) ───────────────────────
+  const themeConfig = useGameStore(selectThemeConfig);
+  useThemeConfig(themeConfig);
+
+  // ── Language (config/locale, unless ?lang= overrides it) ────────────────────
+  const localeConfig = useGameStore(selectLocaleConfig);
+  useLocaleConfig(localeConfig);
+  const copy = useCopy();
+
+  // ── Sound engine ────────────────────────────────────────────────────────────
+  const audioConfig = useGameStore(selectAudioConfig);
+  const audio = useAudio(role === 'main' ? audioConfig : SILENT_AUDIO_CONFIG);
+
+  const showOfflineCard = offlineMs >= displayConfig.offlineCardDelay * 1000;
+  const showReconnectingBadge =
+    !showOfflineCard && offlineMs >= displayConfig.reconnectBadgeDelay * 1000;
+
+  return (
+    <>
+      <Stage layout={stageLayout}>
+        {routeScreen({
+          copy,
+          replay,
+          authReady,
+          authError,
+          authErrorMessage,
+          isListening,
+          dbError,
+          dbErrorMessage,
+          gameState,
+          role,
+        })}
+
+        <AnimatePresence>
+          {showReconnectingBadge && <ReconnectingBadge key="reconnecting" />}
+          {showOfflineCard && <OfflineHoldingCard key="offline" />}
+          {audio.isEnabled && audio.isLocked && (
+            <AudioUnlockScreen key="audio-unlock" />
+          )}
+        </AnimatePresence>
+      </Stage>
+
+      {REPLAY_FILE && replay.status === 'ready' && (
+        <ReplayControls
+          isPlaying={replay.isPlaying}
+          speed={replay.speed}
+          position={replay.position}
+          startedAt={replay.startedAt}
+          endedAt={replay.endedAt}
+        />
+      )}
+
+      {IS_MOCK && (
+        <Suspense fallback={null}>
+          <ScenarioControls />
+        </Suspense>
+      )}
+
+      <CalibrationOverlay
+        viewport={viewport}
+        layout={stageLayout}
+        mode={stageScaleMode}
+      />
+      <DiagnosticsOverlay uid={uid} />
+    </>
+  );
+}
@@ -0,0 +1,221 @@
+// src/audio/audioEngine.js
+
+import { BED_CROSSFADE_SECONDS, CUE_SHEET } from '@constants/audio';
+
+// ============================================================================
+// SOUND ENGINE
+// ============================================================================
+
+/**
+ * Plays the cue sheet (constants/audio.js) through one Web Audio graph:
+ *
+ *   voice (buffer source → gain) ─┐
+ *   voice ────────────────────────┼→ master gain → speakers
+ *   bed   ────────────────────────┘
+ *
+ * Stings are fire-and-forget. At most one bed (looping cue) plays at a time;
+ * switching beds crossfades over BED_CROSSFADE_SECONDS.
+ *
+ * Browsers keep audio suspended until the page gets a click or key press.
+ * Until then the engine is "locked": stings are dropped (so they don't all
+ * fire at once on unlock) and the wanted bed is remembered and started on
+ * unlock. App shows AudioUnlockScreen while locked.
+ *
+ * Subscribers follow the `useSyncExternalStore` contract: they take no
+ * arguments and read the new state with getAudioState().
+ */
+
+/** Seconds the bed takes to fade out when audio is disabled. */
+const MUTE_FADE_SECONDS = 0.3;
+
+let context = null;
+let master = null;
+let settings = { enabled: false, masterVolume: 1, cues: CUE_SHEET };
+
+const buffers = new Map(); // src → Promise<AudioBuffer|null>
+let bedName = null;
+let bedVoice = null;
+
+let state = { isEnabled: false, isLocked: true };
+const subscribers = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  subscribers.forEach((subscriber) => subscriber());
+};
+
+const isRunning = () => context?.state === 'running';
+
+// ── Graph ──────────────────────────────────────────────────────────────────────
+
+const ensureContext = () => {
+  if (context) return;
+
+  context = new AudioContext();
+  master = context.createGain();
+  master.gain.value = settings.masterVolume;
+  master.connect(context.destination);
+
+  context.addEventListener('statechange', () => {
+    setState({ isLocked: !isRunning() });
+    if (isRunning() && bedName && !bedVoice) startBed(bedName);
+  });
+  setState({ isLocked: !isRunning() });
+};
+
+/** Fetches and decodes a file once; resolves null when it can't be played. */
+const loadBuffer = (src) => {
+  if (!buffers.has(src)) {
+    buffers.set(
+      src,
+      fetch(src)
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then((data) => context.decodeAudioData(data))
+        .catch((error) => {
+          console.warn(`⚠️ Audio cue unavailable (${src}):`, error.message);
+          return null;
+        }),
+    );
+  }
+  return buffers.get(src);
+};
+
+/**
+ * Starts a cue. Resolves the voice `{ source, gain, volume }`, or null when
+ * the cue is unknown or its file failed to load.
+ */
+const startVoice = async (name, { fadeIn = 0 } = {}) => {
+  const cue = settings.cues[name];
+  if (!cue) return null;
+
+  const buffer = await loadBuffer(cue.src);
+  if (!buffer) return null;
+
+  const volume = cue.volume ?? 1;
+  const gain = context.createGain();
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.loop = Boolean(cue.loop);
+  source.connect(gain).connect(master);
+
+  const now = context.currentTime;
+  gain.gain.setValueAtTime(fadeIn ? 0 : volume, now);
+  if (fadeIn) gain.gain.linearRampToValueAtTime(volume, now + fadeIn);
+
+  source.start();
+  return { source, gain };
+};
+
+const fadeOutVoice = (voice, seconds) => {
+  if (!voice) return;
+
+  const now = context.currentTime;
+  voice.gain.gain.cancelScheduledValues(now);
+  voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
+  voice.gain.gain.linearRampToValueAtTime(0, now + seconds);
+  voice.source.stop(now + seconds);
+};
+
+const startBed = async (name) => {
+  const voice = await startVoice(name, { fadeIn: BED_CROSSFADE_SECONDS });
+
+  // Superseded (or stopped) while the file was loading
+  if (bedName !== name || bedVoice) {
+    fadeOutVoice(voice, BED_CROSSFADE_SECONDS);
+    return;
+  }
+  bedVoice = voice;
+};
+
+// ── Public API ─────────────────────────────────────────────────────────────────
+
+/**
+ * Applies `config/audio`. The first enabled call creates the audio graph and
+ * preloads every cue.
+ *
+ * @param {{
+ *   enabled:      boolean,
+ *   masterVolume: number,                  - 0–1
+ *   cues:         Record<string, object>,  - overrides merged over CUE_SHEET
+ * }} config
+ */
+export const configureAudio = ({ enabled, masterVolume, cues }) => {
+  settings = {
+    enabled,
+    masterVolume: Math.min(1, Math.max(0, masterVolume)),
+    cues: Object.fromEntries(
+      Object.entries(CUE_SHEET).map(([name, cue]) => [
+        name,
+        { ...cue, ...cues[name] },
+      ]),
+    ),
+  };
+  setState({ isEnabled: enabled });
+
+  if (!enabled) {
+    if (context) fadeOutVoice(bedVoice, MUTE_FADE_SECONDS);
+    bedVoice = null;
+    return;
+  }
+
+  ensureContext();
+  master.gain.setTargetAtTime(settings.masterVolume, context.currentTime, 0.1);
+  Object.values(settings.cues).forEach((cue) => loadBuffer(cue.src));
+  if (isRunning() && bedName && !bedVoice) startBed(bedName);
+};
+
+/**
+ * Resumes the audio context. Must be called from a click / key handler —
+ * browsers ignore it otherwise.
+ */
+export const unlockAudio = () => {
+  context?.resume();
+};
+
+/**
+ * Plays a one-shot cue. Ignored while disabled or locked.
+ *
+ * @param {string} name - key of CUE_SHEET, e.g. 'correct'
+ */
+export const playCue = (name) => {
+  if (!settings.enabled || !isRunning()) return;
+
+  console.log('🔊 Cue:', name);
+  startVoice(name);
+};
+
+/**
+ * Crossfades to a looping bed, or fades the current bed out with null.
+ * Calling with the bed that is already playing does nothing.
+ *
+ * @param {string|null} name - key of a looping CUE_SHEET entry
+ */
+export const setBed = (name) => {
+  if (name === bedName) return;
+
+  bedName = name;
+  if (context) fadeOutVoice(bedVoice, BED_CROSSFADE_SECONDS);
+  bedVoice = null;
+
+  if (name && settings.enabled && isRunning()) {
+    console.log('🔊 Bed:', name);
+    startBed(name);
+  }
+};
+
+/**
+ * @param {() => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeAudio = (subscriber) => {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * @returns {{ isEnabled: boolean, isLocked: boolean }}
+ */
+export const getAudioState = () => state;
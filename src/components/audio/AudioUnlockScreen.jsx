@@ -0,0 +1,82 @@
+// src/components/audio/AudioUnlockScreen.jsx
+
+import { useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Volume2 } from 'lucide-react';
+import ScreenBackground from '@components/layout/ScreenBackground';
+import ScreenHeader from '@components/layout/ScreenHeader';
+import WwbamShape from '@components/ui/WwbamShape';
+import { unlockAudio } from '@audio/audioEngine';
+import { COPY_AUDIO } from '@constants/app';
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const cardVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1, transition: { duration: 0.4, ease: 'easeOut' } },
+  exit: { opacity: 0, transition: { duration: 0.4, ease: 'easeIn' } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * AudioUnlockScreen
+ *
+ * Full-screen card shown on first load while the browser's autoplay policy
+ * keeps sound suspended. Any click or key press unlocks the sound engine
+ * (audio/audioEngine.js) and the card fades away — the operator does this
+ * once when setting up the display machine.
+ *
+ * Not shown when `config/audio/enabled` is false. Rendered by App above
+ * whichever screen is active.
+ */
+export default function AudioUnlockScreen() {
+  useEffect(() => {
+    window.addEventListener('keydown', unlockAudio);
+    return () => window.removeEventListener('keydown', unlockAudio);
+  }, []);
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-[75] cursor-pointer"
+      onClick={unlockAudio}
+      variants={cardVariants}
+      initial="hidden"
+      animate="visible"
+      exit="exit">
+      <ScreenBackground>
+        <div className="w-full h-full flex flex-col items-center justify-center gap-8 px-16">
+          <ScreenHeader logoSize="w-28 h-28" />
+
+          <div className="w-full max-w-3xl flex">
+            <WwbamShape
+              size="wide"
+              state="selected"
+              strokeWidth={3}
+              className="flex-1"
+              style={{ minHeight: '96px' }}>
+              <div className="flex items-center justify-center gap-4 py-5 w-full text-center">
+                <Volume2
+                  size={36}
+                  strokeWidth={2}
+                  style={{ color: 'var(--c-gold)' }}
+                />
+                <h1 className="wwbam-screen-heading wwbam-text-gold-gradient">
+                  {COPY_AUDIO.UNLOCK_HEADING}
+                </h1>
+              </div>
+            </WwbamShape>
+          </div>
+
+          <motion.p
+            className="wwbam-label"
+            style={{ letterSpacing: '0.35em', color: 'var(--c-used-text)' }}
+            animate={{ opacity: [0.4, 1, 0.4] }}
+            transition={{ duration: 2.5, repeat: Infinity, ease: 'easeInOut' }}>
+            {COPY_AUDIO.UNLOCK_MESSAGE}
+          </motion.p>
+        </div>
+      </ScreenBackground>
+    </motion.div>
+  );
+}
@@ -0,0 +1,72 @@
+// src/components/connection/OfflineHoldingCard.jsx
+
+import { motion } from 'framer-motion';
+import ScreenBackground from '@components/layout/ScreenBackground';
+import ScreenHeader from '@components/layout/ScreenHeader';
+import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const cardVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1, transition: { duration: 0.6, ease: 'easeOut' } },
+  exit: { opacity: 0, transition: { duration: 0.4, ease: 'easeIn' } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * OfflineHoldingCard
+ *
+ * Full-screen branded holding card shown after a long outage, replacing the
+ * frozen game screen so the audience never stares at stale data. Fades away
+ * by itself once the connection is back and fresh snapshots have arrived.
+ *
+ * Layout (vertical stack, centred):
+ *   ScreenHeader          — logo + APP_NAME eyebrow + gold divider
+ *   [WwbamShape selected] — "We'll Be Right Back"
+ *   pulsing label         — "Reconnecting to the game…"
+ *
+ * Rendered by App above whichever screen is active.
+ */
+export default function OfflineHoldingCard() {
+  const copy = useCopy();
+  return (
+    <motion.div
+      className="fixed inset-0 z-[70]"
+      variants={cardVariants}
+      initial="hidden"
+      animate="visible"
+      exit="exit">
+      <ScreenBackground>
+        <div className="w-full h-full flex flex-col items-center justify-center gap-8 px-16">
+          <ScreenHeader logoSize="w-28 h-28" />
+
+          <div className="w-full max-w-3xl flex">
+            <WwbamShape
+              size="wide"
+              state="selected"
+              strokeWidth={3}
+              className="flex-1"
+              style={{ minHeight: '96px' }}>
+              <div className="flex items-center justify-center py-5 w-full text-center">
+                <h1 className="wwbam-screen-heading wwbam-text-gold-gradient">
+                  {copy.CONNECTION.OFFLINE_HEADING}
+                </h1>
+              </div>
+            </WwbamShape>
+          </div>
+
+          <motion.p
+            className="wwbam-label"
+            style={{ letterSpacing: '0.35em', color: 'var(--c-used-text)' }}
+            animate={{ opacity: [0.4, 1, 0.4] }}
+            transition={{ duration: 2.5, repeat: Infinity, ease: 'easeInOut' }}>
+            {copy.CONNECTION.OFFLINE_MESSAGE}
+          </motion.p>
+        </div>
+      </ScreenBackground>
+    </motion.div>
+  );
+}
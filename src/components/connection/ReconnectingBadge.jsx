@@ -0,0 +1,61 @@
+// src/components/connection/ReconnectingBadge.jsx
+
+import { motion } from 'framer-motion';
+import { WifiOff } from 'lucide-react';
+import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const badgeVariants = {
+  hidden: { opacity: 0, y: 24 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.4, ease: 'easeOut' } },
+  exit: { opacity: 0, y: 24, transition: { duration: 0.3, ease: 'easeIn' } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * ReconnectingBadge
+ *
+ * Small, unobtrusive badge pinned to the bottom-right corner once the display
+ * has been offline for longer than the badge grace period. Gameplay keeps
+ * rendering underneath — the audience sees the last known state, and the
+ * crew can see at a glance that it may be stale.
+ *
+ * Rendered by App above whichever screen is active.
+ */
+export default function ReconnectingBadge() {
+  const copy = useCopy();
+  return (
+    <motion.div
+      className="fixed bottom-6 right-10 z-[60] flex pointer-events-none"
+      variants={badgeVariants}
+      initial="hidden"
+      animate="visible"
+      exit="exit">
+      <WwbamShape
+        size="compact"
+        state="used"
+        strokeWidth={2}
+        className="flex-1"
+        style={{ minHeight: '44px' }}>
+        <motion.div
+          className="flex items-center gap-2 px-6 py-2 w-full"
+          animate={{ opacity: [1, 0.5, 1] }}
+          transition={{ duration: 1.6, repeat: Infinity, ease: 'easeInOut' }}>
+          <WifiOff
+            size={16}
+            strokeWidth={2}
+            style={{ color: 'var(--c-gold)' }}
+          />
+          <span
+            className="wwbam-label"
+            style={{ color: 'var(--c-text-dim)', letterSpacing: '0.2em' }}>
+            {copy.CONNECTION.RECONNECTING}
+          </span>
+        </motion.div>
+      </WwbamShape>
+    </motion.div>
+  );
+}
@@ -0,0 +1,145 @@
+// src/components/diagnostics/CalibrationOverlay.jsx
+
+import { useEffect, useState } from 'react';
+import { COPY_CALIBRATION } from '@constants/app';
+import { SAFE_ACTION_RATIO, SAFE_TITLE_RATIO } from '@config/stageScale';
+import { getUrlParam } from '@utils/urlParams';
+import { interpolate } from '@utils/messages';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/** `?calibrate=1` opens the overlay on load (e.g. for a screen line-up). */
+const OPEN_ON_LOAD = getUrlParam('calibrate') !== null;
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/** Inset (% of each side) of a centred safe area covering `ratio`. */
+const insetFor = (ratio) => `${((1 - ratio) / 2) * 100}%`;
+
+const formatSize = (width, height) =>
+  `${Math.round(width)}×${Math.round(height)}`;
+
+// ── Sub-components ─────────────────────────────────────────────────────────────
+
+/** A centred safe-area rectangle with its label in the top-left corner. */
+function SafeArea({ ratio, label, color, borderStyle }) {
+  const inset = insetFor(ratio);
+
+  return (
+    <div
+      className="absolute"
+      style={{
+        top: inset,
+        right: inset,
+        bottom: inset,
+        left: inset,
+        border: `2px ${borderStyle} ${color}`,
+      }}>
+      <span
+        className="absolute top-1 left-2 text-sm font-mono"
+        style={{ color }}>
+        {interpolate(label, { percent: Math.round(ratio * 100) })}
+      </span>
+    </div>
+  );
+}
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * CalibrationOverlay
+ *
+ * Crew-only screen line-up aid toggled with Ctrl+Alt+C. Drawn over the whole
+ * viewport (not the scaled stage), because overscan crops the physical
+ * screen edges:
+ *
+ *   safe action (93%) — everything that matters must sit inside
+ *   safe title  (90%) — text should sit inside
+ *   stage outline     — where the reference canvas lands after scaling
+ *   centre cross + a readout of viewport size, stage size and scale
+ *
+ * Rendered by App above the stage, below the diagnostics panel.
+ *
+ * @param {{
+ *   viewport: { width: number, height: number },
+ *   layout:   object,                            - useStageLayout().layout
+ *   mode:     'fit'|'fill',
+ * }} props
+ */
+export default function CalibrationOverlay({ viewport, layout, mode }) {
+  const [isOpen, setIsOpen] = useState(OPEN_ON_LOAD);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey && event.altKey && event.code === 'KeyC') {
+        event.preventDefault();
+        setIsOpen((open) => !open);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-[85] pointer-events-none">
+      {/* ── Stage canvas ─────────────────────────────────────────────── */}
+      <div
+        className="absolute"
+        style={{
+          left: layout.offsetX,
+          top: layout.offsetY,
+          width: layout.width * layout.scale,
+          height: layout.height * layout.scale,
+          border: '1px solid var(--c-blue-light)',
+        }}
+      />
+
+      {/* ── Safe areas ───────────────────────────────────────────────── */}
+      <SafeArea
+        ratio={SAFE_ACTION_RATIO}
+        label={COPY_CALIBRATION.SAFE_ACTION}
+        color="var(--c-gold)"
+        borderStyle="solid"
+      />
+      <SafeArea
+        ratio={SAFE_TITLE_RATIO}
+        label={COPY_CALIBRATION.SAFE_TITLE}
+        color="var(--c-red-light)"
+        borderStyle="dashed"
+      />
+
+      {/* ── Centre cross ─────────────────────────────────────────────── */}
+      <div
+        className="absolute top-1/2 left-1/2 w-16 h-px -translate-x-1/2"
+        style={{ background: 'var(--c-text)' }}
+      />
+      <div
+        className="absolute top-1/2 left-1/2 w-px h-16 -translate-y-1/2"
+        style={{ background: 'var(--c-text)' }}
+      />
+
+      {/* ── Readout ──────────────────────────────────────────────────── */}
+      <div
+        className="absolute top-1/2 left-1/2 -translate-x-1/2 translate-y-12 flex gap-6 px-4 py-2 rounded-lg text-sm font-mono"
+        style={{
+          background: 'var(--c-screen-bg-overlay)',
+          color: 'var(--c-text)',
+        }}>
+        <span>
+          {COPY_CALIBRATION.VIEWPORT}{' '}
+          {formatSize(viewport.width, viewport.height)}
+        </span>
+        <span>
+          {COPY_CALIBRATION.STAGE} {formatSize(layout.width, layout.height)} (
+          {mode}, {layout.aspect})
+        </span>
+        <span>
+          {COPY_CALIBRATION.SCALE} {layout.scale.toFixed(3)}
+        </span>
+      </div>
+    </div>
+  );
+}
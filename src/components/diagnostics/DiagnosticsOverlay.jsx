@@ -0,0 +1,257 @@
+// src/components/diagnostics/DiagnosticsOverlay.jsx
+
+import { useEffect, useState, useSyncExternalStore } from 'react';
+import { getBuildVersion, getEnvironment } from '@config/buildInfo';
+import { getDataSourceName } from '@config/dataSource';
+import { getGameId, resolveGamePath } from '@config/gameNamespace';
+import { getDiagnostics, subscribeDiagnostics } from '@store/diagnostics';
+import { getTransitions, subscribeTransitions } from '@store/transitions';
+import { STORE_NODES } from '@store/nodes';
+import {
+  selectCurrentTeam,
+  selectGameState,
+  selectNodeUpdatedAt,
+  selectRoomName,
+} from '@store/selectors';
+import { useGameStore } from '@hooks/useGameStore';
+import { useConnectionStatus } from '@hooks/useConnectionStatus';
+import { useFrameRate } from '@hooks/useFrameRate';
+import { deriveOverlay } from '@utils/gameOverlay';
+import { COPY_DIAGNOSTICS } from '@constants/app';
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/** Local time of a Unix ms timestamp, e.g. "21:42:07". */
+const formatClock = (ms) =>
+  new Date(ms).toLocaleTimeString('en-GB', { hour12: false });
+
+/** Transition value as text — null / missing shows as a dash. */
+const formatValue = (value) => (value === null ? '—' : String(value));
+
+// ── Sub-components ─────────────────────────────────────────────────────────────
+
+function Row({ label, value }) {
+  return (
+    <div className="flex justify-between gap-6">
+      <span className="wwbam-label" style={{ color: 'var(--c-text-muted)' }}>
+        {label}
+      </span>
+      <span className="text-sm font-mono" style={{ color: 'var(--c-text)' }}>
+        {value}
+      </span>
+    </div>
+  );
+}
+
+function SectionHeading({ children }) {
+  return (
+    <span className="wwbam-label" style={{ color: 'var(--c-text-dim)' }}>
+      {children}
+    </span>
+  );
+}
+
+/**
+ * DiagnosticsPanel
+ *
+ * The open HUD. Mounted only while visible, so the frame-rate sampler and
+ * connection clock stop when it is closed; the transition log keeps
+ * recording in the store either way.
+ *
+ * @param {{ uid: string|null }} props
+ */
+function DiagnosticsPanel({ uid }) {
+  const roomName = useGameStore(selectRoomName);
+  const gameState = useGameStore(selectGameState);
+  const currentTeam = useGameStore(selectCurrentTeam);
+  const nodeUpdatedAt = useGameStore(selectNodeUpdatedAt);
+  const { isConnected, offlineMs, reconnectCount } = useConnectionStatus();
+  const fps = useFrameRate();
+  const diagnostics = useSyncExternalStore(
+    subscribeDiagnostics,
+    getDiagnostics,
+  );
+  const transitions = useSyncExternalStore(
+    subscribeTransitions,
+    getTransitions,
+  );
+
+  const gameId = getGameId();
+  const overlay = gameState ? deriveOverlay(gameState, currentTeam) : null;
+
+  return (
+    <div
+      className="fixed top-4 right-4 z-[90] flex flex-col gap-4 p-5 rounded-xl overflow-y-auto"
+      style={{
+        background: 'var(--c-screen-bg-overlay)',
+        border: '1px solid var(--c-border-subtle)',
+        width: 'min(560px, 90vw)',
+        maxHeight: 'calc(100vh - 2rem)',
+      }}>
+      <span className="wwbam-label" style={{ color: 'var(--c-gold)' }}>
+        {COPY_DIAGNOSTICS.TITLE}
+      </span>
+
+      {/* ── Build + room ──────────────────────────────────────────────── */}
+      <div className="flex flex-col gap-1">
+        <Row label={COPY_DIAGNOSTICS.ENVIRONMENT} value={getEnvironment()} />
+        <Row label={COPY_DIAGNOSTICS.VERSION} value={getBuildVersion()} />
+        <Row
+          label={COPY_DIAGNOSTICS.UID}
+          value={uid ?? COPY_DIAGNOSTICS.SIGNED_OUT}
+        />
+        <Row
+          label={COPY_DIAGNOSTICS.ROOM}
+          value={roomName ?? gameId ?? COPY_DIAGNOSTICS.LEGACY_ROOM}
+        />
+        <Row label={COPY_DIAGNOSTICS.NODES} value={`/${resolveGamePath('')}`} />
+        <Row label={COPY_DIAGNOSTICS.SOURCE} value={getDataSourceName()} />
+        <Row label={COPY_DIAGNOSTICS.FPS} value={fps ?? '—'} />
+      </div>
+
+      {/* ── Connection + node updates ─────────────────────────────────── */}
+      <div className="flex flex-col gap-1">
+        <SectionHeading>{COPY_DIAGNOSTICS.CONNECTION}</SectionHeading>
+        <Row
+          label={COPY_DIAGNOSTICS.STATUS}
+          value={
+            isConnected
+              ? COPY_DIAGNOSTICS.ONLINE
+              : `${COPY_DIAGNOSTICS.OFFLINE} ${Math.round(offlineMs / 1000)}s`
+          }
+        />
+        <Row label={COPY_DIAGNOSTICS.RECONNECTS} value={reconnectCount} />
+        {Object.entries(STORE_NODES).map(([key, node]) => (
+          <Row
+            key={key}
+            label={node.path}
+            value={
+              nodeUpdatedAt[key]
+                ? formatClock(nodeUpdatedAt[key])
+                : COPY_DIAGNOSTICS.NOT_RECEIVED
+            }
+          />
+        ))}
+      </div>
+
+      {/* ── Overlay + transitions ─────────────────────────────────────── */}
+      <div className="flex flex-col gap-1">
+        <Row
+          label={COPY_DIAGNOSTICS.OVERLAY}
+          value={overlay ?? COPY_DIAGNOSTICS.NO_OVERLAY}
+        />
+      </div>
+
+      <div className="flex flex-col gap-1">
+        <SectionHeading>
+          {COPY_DIAGNOSTICS.TRANSITIONS} ({transitions.length})
+        </SectionHeading>
+
+        {transitions.length === 0 && (
+          <span className="text-sm" style={{ color: 'var(--c-text-muted)' }}>
+            {COPY_DIAGNOSTICS.NO_TRANSITIONS}
+          </span>
+        )}
+
+        {[...transitions].reverse().map((entry) => (
+          <span
+            key={entry.id}
+            className="text-sm font-mono"
+            style={{ color: 'var(--c-text-dim)' }}>
+            {formatClock(entry.at)} {entry.field}: {formatValue(entry.from)} →{' '}
+            <span style={{ color: 'var(--c-text)' }}>
+              {formatValue(entry.to)}
+            </span>
+          </span>
+        ))}
+      </div>
+
+      {/* ── Raw game-state ────────────────────────────────────────────── */}
+      <div className="flex flex-col gap-1">
+        <SectionHeading>{COPY_DIAGNOSTICS.GAME_STATE}</SectionHeading>
+        <pre
+          className="text-xs font-mono overflow-auto max-h-64 p-3 rounded-lg"
+          style={{
+            background: 'var(--c-screen-bg)',
+            border: '1px solid var(--c-border-subtle)',
+            color: 'var(--c-text)',
+          }}>
+          {JSON.stringify(gameState, null, 2)}
+        </pre>
+      </div>
+
+      {/* ── Data issues ───────────────────────────────────────────────── */}
+      <div className="flex flex-col gap-2">
+        <SectionHeading>
+          {COPY_DIAGNOSTICS.ISSUES} ({diagnostics.length})
+        </SectionHeading>
+
+        {diagnostics.length === 0 && (
+          <span className="text-sm" style={{ color: 'var(--c-text-muted)' }}>
+            {COPY_DIAGNOSTICS.NO_ISSUES}
+          </span>
+        )}
+
+        {[...diagnostics].reverse().map((entry) => (
+          <div key={entry.id} className="flex flex-col text-sm">
+            <span
+              className="font-mono"
+              style={{
+                color:
+                  entry.level === 'error'
+                    ? 'var(--c-red-light)'
+                    : 'var(--c-gold)',
+              }}>
+              {formatClock(entry.lastAt)} [{entry.source}] {entry.path}
+              {entry.count > 1 && ` ×${entry.count}`}
+            </span>
+            <span style={{ color: 'var(--c-text-dim)' }}>{entry.message}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * DiagnosticsOverlay
+ *
+ * Crew-only HUD toggled with Ctrl+Alt+D, for checking a display without
+ * devtools (production builds strip console.log). Shows:
+ *
+ *   - environment, build version and the anonymous auth UID
+ *   - which room the display is reading (`config/room-name`, else the
+ *     `?game=` ID, else the legacy root paths), where its nodes live and
+ *     the data source
+ *   - frame rate, connection state and when each store node last updated
+ *   - the overlay GameScreen derives from the current state, the rolling
+ *     transition log (store/transitions.js) and the raw game-state
+ *   - every problem reported to the diagnostics channel
+ *     (store/diagnostics.js) — repaired or rejected Firebase payloads,
+ *     newest first
+ *
+ * Hidden by default; rendered by App above every other layer.
+ *
+ * @param {{ uid: string|null }} props - useFirebaseAuth().uid
+ */
+export default function DiagnosticsOverlay({ uid }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey && event.altKey && event.code === 'KeyD') {
+        event.preventDefault();
+        setIsOpen((open) => !open);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  if (!isOpen) return null;
+
+  return <DiagnosticsPanel uid={uid} />;
+}
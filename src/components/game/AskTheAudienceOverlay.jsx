@@ -0,0 +1,316 @@
+// src/components/game/AskTheAudienceOverlay.jsx
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Users } from 'lucide-react';
+import WwbamShape from '@components/ui/WwbamShape';
+import OverlayBanner from '@components/layout/OverlayBanner';
+import { useCopy } from '@hooks/useLocale';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/**
+ * Height of the bar chart plot area. Bars grow to a % of this. The banner
+ * (stream overlay mode) uses a short chart.
+ */
+const CHART_HEIGHT = '18rem';
+const BANNER_CHART_HEIGHT = '5rem';
+
+const BAR_FILL = {
+  default: 'linear-gradient(180deg, var(--c-blue-light), var(--c-blue-deep))',
+  leader: 'linear-gradient(180deg, var(--c-gold-light), var(--c-gold-deep))',
+};
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/**
+ * Reads a value keyed by option letter.
+ * Handles both lowercase keys (host panel normalises to lowercase) and uppercase.
+ */
+function readOptionKey(source, key) {
+  return source?.[key.toLowerCase()] ?? source?.[key];
+}
+
+/**
+ * Converts the raw poll tallies into whole-number percentages per option.
+ *
+ * The host may write either raw vote counts or percentages — both are
+ * normalised against the total of the options still in play, so 50/50-removed
+ * options never take a share of the chart.
+ *
+ * @param {object|null} tallies    - { A: number, B: number, … } (any key case)
+ * @param {object|null} options    - current-question options; null value = removed
+ * @param {string[]}    optionKeys - bars in display order, as in OptionGrid
+ * @returns {{ bars: Array<{ key: string, pct: number, removed: boolean }>, hasTallies: boolean }}
+ */
+function derivePollBars(tallies, options, optionKeys) {
+  const entries = optionKeys.map((key) => {
+    const removed = options != null && readOptionKey(options, key) == null;
+    const value = Number(readOptionKey(tallies, key));
+    return {
+      key,
+      removed,
+      value: !removed && Number.isFinite(value) && value > 0 ? value : 0,
+    };
+  });
+
+  const total = entries.reduce((sum, { value }) => sum + value, 0);
+
+  return {
+    hasTallies: total > 0,
+    bars: entries.map(({ key, removed, value }) => ({
+      key,
+      removed,
+      pct: total > 0 ? Math.round((value / total) * 100) : 0,
+    })),
+  };
+}
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const backdropVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1, transition: { duration: 0.4 } },
+  exit: { opacity: 0, transition: { duration: 0.35 } },
+};
+
+const cardVariants = {
+  hidden: { opacity: 0, scale: 0.92, y: 30 },
+  visible: {
+    opacity: 1,
+    scale: 1,
+    y: 0,
+    transition: { duration: 0.5, ease: [0.16, 1, 0.3, 1], delay: 0.1 },
+  },
+  exit: {
+    opacity: 0,
+    scale: 0.96,
+    y: -20,
+    transition: { duration: 0.35, ease: 'easeIn' },
+  },
+};
+
+// ── Sub-component ──────────────────────────────────────────────────────────────
+
+/**
+ * VoteBar
+ *
+ * A single column of the chart: percentage label, growing bar, option badge.
+ * Removed options keep their column (so A–D stay aligned) but render no bar.
+ */
+function VoteBar({
+  optionKey,
+  pct,
+  removed,
+  isLeader,
+  chartHeight = CHART_HEIGHT,
+}) {
+  return (
+    <div className="flex flex-col items-center gap-3 flex-1">
+      {/* Percentage label — fixed row above the plot, as on the TV show */}
+      <span
+        style={{
+          fontFamily: 'var(--font-numeric)',
+          fontSize: '1.6rem',
+          lineHeight: 1,
+          color: removed
+            ? 'transparent'
+            : isLeader
+              ? 'var(--c-gold)'
+              : 'var(--c-text)',
+          transition: 'color 0.4s ease',
+        }}>
+        {pct}%
+      </span>
+
+      {/* Plot area — bar grows upward from the baseline */}
+      <div
+        className="w-full flex flex-col justify-end items-center"
+        style={{ height: chartHeight }}>
+        {!removed && (
+          <motion.div
+            className="w-16 rounded-t-md"
+            style={{
+              background: isLeader ? BAR_FILL.leader : BAR_FILL.default,
+              boxShadow: isLeader ? 'var(--glow-gold-soft)' : 'none',
+            }}
+            initial={{ height: '0%' }}
+            animate={{ height: `${pct}%` }}
+            transition={{ duration: 1.4, ease: [0.16, 1, 0.3, 1] }}
+          />
+        )}
+      </div>
+
+      {/* Option badge */}
+      <div className="flex w-full" style={{ maxWidth: '7rem' }}>
+        <WwbamShape
+          size="compact"
+          state={removed ? 'dimmed' : isLeader ? 'selected' : 'default'}
+          strokeWidth={2}
+          className="flex-1"
+          style={{ minHeight: '44px' }}>
+          <div className="flex items-center justify-center w-full py-2">
+            <span
+              className="font-black"
+              style={{
+                fontSize: '1.25rem',
+                color: removed ? 'transparent' : 'var(--c-text)',
+              }}>
+              {optionKey}
+            </span>
+          </div>
+        </WwbamShape>
+      </div>
+    </div>
+  );
+}
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * AskTheAudienceOverlay
+ *
+ * Full-screen overlay shown in GameScreen while the Ask the Audience lifeline
+ * is active (`activeLifeline === 'ask-the-audience'`).
+ *
+ * Reads the `game-state/audience-poll` node:
+ *   {
+ *     tallies: { a: 12, b: 64, c: 18, d: 6 },  - counts or percentages
+ *     locked:  true,                            - host has closed voting
+ *   }
+ *
+ * States:
+ *   - Voting  : no tallies yet — empty chart, pulsing "audience is voting" label
+ *   - Live    : bars grow/shrink to the latest tallies as they arrive
+ *   - Locked  : tallies are frozen at the values seen when `locked` became
+ *               true, the leading option turns gold. Later writes are ignored
+ *               until the host clears the lifeline and the overlay unmounts.
+ *
+ * 50/50-removed options (null in `options`) keep an empty column so the chart
+ * stays aligned with the option grid, and are excluded from the percentages.
+ *
+ * @param {{
+ *   poll:    { tallies?: object, locked?: boolean } | null,
+ *   options:    object | null, - current-question options (null value = removed)
+ *   optionKeys: string[],      - one bar per option of the question's type
+ *   banner?:    boolean,       - lower-third banner (stream overlay mode)
+ * }} props
+ */
+export default function AskTheAudienceOverlay({
+  poll,
+  options,
+  optionKeys,
+  banner = false,
+}) {
+  const copy = useCopy();
+  const isLocked = poll?.locked === true;
+
+  // Freeze the tallies the first time the poll is seen locked, using React's
+  // "storing information from previous renders" pattern.
+  const [frozenTallies, setFrozenTallies] = useState(null);
+  if (isLocked && frozenTallies === null) {
+    setFrozenTallies(poll?.tallies ?? {});
+  }
+
+  const tallies = frozenTallies ?? poll?.tallies ?? null;
+  const { bars, hasTallies } = derivePollBars(tallies, options, optionKeys);
+
+  const isFinal = frozenTallies !== null;
+  const leaderPct = Math.max(...bars.map(({ pct }) => pct));
+
+  const statusLine = isFinal
+    ? copy.ASK_THE_AUDIENCE.FINAL
+    : copy.ASK_THE_AUDIENCE.VOTING;
+
+  const voteBars = bars.map(({ key, pct, removed }) => (
+    <VoteBar
+      key={key}
+      optionKey={key}
+      pct={pct}
+      removed={removed}
+      isLeader={isFinal && hasTallies && pct === leaderPct}
+      chartHeight={banner ? BANNER_CHART_HEIGHT : CHART_HEIGHT}
+    />
+  ));
+
+  if (banner) {
+    return (
+      <OverlayBanner
+        state="default"
+        eyebrow={
+          <>
+            <span style={{ color: 'var(--c-gold)', display: 'flex' }}>
+              <Users size={24} strokeWidth={2} />
+            </span>
+            <span className="wwbam-label" style={{ letterSpacing: '0.2em' }}>
+              {copy.ASK_THE_AUDIENCE.TITLE}
+            </span>
+            <span
+              className="wwbam-label"
+              style={{ color: 'var(--c-gold)', letterSpacing: '0.15em' }}>
+              {statusLine}
+            </span>
+          </>
+        }>
+        <div className="flex w-full max-w-3xl gap-6 items-end">{voteBars}</div>
+      </OverlayBanner>
+    );
+  }
+
+  return (
+    <motion.div
+      className="absolute inset-0 z-50 flex items-center justify-center"
+      style={{
+        background: 'var(--c-screen-bg-overlay)',
+        backdropFilter: 'blur(6px)',
+      }}
+      variants={backdropVariants}
+      initial="hidden"
+      animate="visible"
+      exit="exit">
+      <motion.div
+        className="flex flex-col items-center gap-8 w-full max-w-3xl px-8"
+        variants={cardVariants}
+        initial="hidden"
+        animate="visible"
+        exit="exit">
+        {/* ── Title ─────────────────────────────────────────────────────── */}
+        <div className="flex" style={{ minWidth: '22rem' }}>
+          <WwbamShape
+            size="compact"
+            state="selected"
+            strokeWidth={3}
+            className="flex-1"
+            style={{ minHeight: '64px' }}>
+            <div className="flex items-center justify-center gap-3 px-8 py-3 w-full">
+              <span style={{ color: 'var(--c-gold)', display: 'flex' }}>
+                <Users size={28} strokeWidth={2} />
+              </span>
+              <div className="flex flex-col">
+                <span
+                  className="wwbam-label"
+                  style={{ fontSize: '1rem', letterSpacing: '0.2em' }}>
+                  {copy.ASK_THE_AUDIENCE.TITLE}
+                </span>
+                <motion.span
+                  className="wwbam-label"
+                  style={{ color: 'var(--c-gold)', letterSpacing: '0.15em' }}
+                  animate={isFinal ? { opacity: 1 } : { opacity: [1, 0.5, 1] }}
+                  transition={{
+                    duration: 1.6,
+                    repeat: isFinal ? 0 : Infinity,
+                    ease: 'easeInOut',
+                  }}>
+                  {statusLine}
+                </motion.span>
+              </div>
+            </div>
+          </WwbamShape>
+        </div>
+
+        {/* ── Chart ─────────────────────────────────────────────────────── */}
+        <div className="flex w-full gap-6 items-end">{voteBars}</div>
+      </motion.div>
+    </motion.div>
+  );
+}
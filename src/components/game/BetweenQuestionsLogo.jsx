@@ -2,7 +2,7 @@
 
 import { motion } from 'framer-motion';
 import ScreenHeader from '@components/layout/ScreenHeader';
-import { COPY_BETWEEN_QUESTIONS } from '@constants/app';
+import { useCopy } from '@hooks/useLocale';
 
 // ── Animation variants ─────────────────────────────────────────────────────────
 
@@ -30,6 +30,7 @@ const containerVariants = {
  * so the PrizeLadder and TeamList sidebars remain visible throughout.
  */
 export default function BetweenQuestionsLogo() {
+  const copy = useCopy();
   return (
     <motion.div
       className="flex flex-col items-center justify-center gap-6"
@@ -46,7 +47,7 @@ export default function BetweenQuestionsLogo() {
         style={{ letterSpacing: '0.35em', color: 'var(--c-used-text)' }}
         animate={{ opacity: [0.4, 1, 0.4] }}
         transition={{ duration: 2.5, repeat: Infinity, ease: 'easeInOut' }}>
-        {COPY_BETWEEN_QUESTIONS.LABEL}
+        {copy.BETWEEN_QUESTIONS.LABEL}
       </motion.p>
     </motion.div>
   );
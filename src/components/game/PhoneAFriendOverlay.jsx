@@ -1,61 +1,12 @@
 // src/components/game/PhoneAFriendOverlay.jsx
 
-import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Phone } from 'lucide-react';
+import { useTimestampCountdown } from '@hooks/useTimestampCountdown';
 import WwbamShape from '@components/ui/WwbamShape';
-import { COPY_PHONE_A_FRIEND } from '@constants/app';
+import { useCopy } from '@hooks/useLocale';
 import { maskContactNumber } from '@utils/formatters';
-
-// ── Timestamp-based countdown hook ────────────────────────────────────────────
-
-/**
- * useTimestampCountdown
- *
- * Derives remaining seconds from a Firebase Unix ms timestamp rather than
- * counting down from a fixed duration on mount. This means a display that
- * reconnects mid-call shows the correct remaining time instead of restarting.
- *
- * @param {number|null} startedAt       - Unix ms timestamp from Firebase, or null
- * @param {number}      durationSeconds - Total call duration in seconds (from config)
- */
-function useTimestampCountdown(startedAt, durationSeconds) {
-  const computeRemaining = () => {
-    if (!startedAt) return durationSeconds;
-    const elapsed = Math.floor((Date.now() - startedAt) / 1000);
-    return Math.max(0, durationSeconds - elapsed);
-  };
-
-  const [secondsLeft, setSecondsLeft] = useState(computeRemaining);
-  const intervalRef = useRef(null);
-
-  useEffect(() => {
-    setSecondsLeft(computeRemaining());
-
-    if (!startedAt) {
-      clearInterval(intervalRef.current);
-      return;
-    }
-
-    intervalRef.current = setInterval(() => {
-      setSecondsLeft(computeRemaining());
-    }, 1000);
-
-    return () => clearInterval(intervalRef.current);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [startedAt, durationSeconds]);
-
-  const hasStarted = startedAt !== null;
-  const hasExpired = hasStarted && secondsLeft <= 0;
-  const isExpiring = hasStarted && secondsLeft <= 10 && !hasExpired;
-  const progressPct = hasStarted ? (secondsLeft / durationSeconds) * 100 : 100;
-
-  const minutes = Math.floor(secondsLeft / 60);
-  const seconds = secondsLeft % 60;
-  const display = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-
-  return { display, progressPct, hasStarted, hasExpired, isExpiring };
-}
+import { interpolate } from '@utils/messages';
 
 // ── Animation variants ─────────────────────────────────────────────────────────
 
@@ -111,6 +62,7 @@ export default function PhoneAFriendOverlay({
   timerDuration,
   contact,
 }) {
+  const copy = useCopy();
   const { display, progressPct, hasStarted, isExpiring } =
     useTimestampCountdown(startedAt, timerDuration);
 
@@ -131,8 +83,8 @@ export default function PhoneAFriendOverlay({
 
   // Status line: "Calling +•• •• ••• 567" before timer, "On the line" after
   const statusLine = hasStarted
-    ? COPY_PHONE_A_FRIEND.ON_THE_LINE
-    : `${COPY_PHONE_A_FRIEND.CALLING_PREFIX} ${maskedNumber}`;
+    ? copy.PHONE_A_FRIEND.ON_THE_LINE
+    : interpolate(copy.PHONE_A_FRIEND.CALLING, { number: maskedNumber });
 
   return (
     <motion.div
@@ -173,7 +125,7 @@ export default function PhoneAFriendOverlay({
                 <span
                   className="wwbam-label"
                   style={{ fontSize: '1rem', letterSpacing: '0.2em' }}>
-                  {COPY_PHONE_A_FRIEND.TITLE}
+                  {copy.PHONE_A_FRIEND.TITLE}
                 </span>
                 <span
                   className="wwbam-label"
@@ -2,7 +2,8 @@
 
 import { motion } from 'framer-motion';
 import WwbamShape from '@components/ui/WwbamShape';
-import { COPY_ANNOUNCEMENT } from '@constants/app';
+import OverlayBanner from '@components/layout/OverlayBanner';
+import { useCopy } from '@hooks/useLocale';
 import { splitParticipants } from '@utils/participants';
 
 // ── Animation variants ─────────────────────────────────────────────────────────
@@ -76,11 +77,15 @@ const playerItemVariants = {
  * Dismisses automatically once the host loads the first question
  * (currentQuestionNumber advances to 1).
  *
+ * With `banner` (stream overlay mode) it is a lower-third OverlayBanner —
+ * team name and players on one line — instead of covering the screen.
+ *
  * @param {{
- *   team:           object,    - Current team object from useTeams
+ *   team:           object,    - Current team object (selectCurrentTeam)
  *   queuePosition:  number,    - 1-based position in the play queue
  *   queueTotal:     number,    - Total number of teams in the queue (unused, kept for API stability)
  *   prizeStructure: number[],  - Full prize structure array (unused, kept for API stability)
+ *   banner?:        boolean,   - lower-third banner instead of the full-screen card
  * }} props
  */
 export default function TeamAnnouncement({
@@ -90,18 +95,40 @@ export default function TeamAnnouncement({
   queueTotal,
   // eslint-disable-next-line no-unused-vars
   prizeStructure,
+  banner = false,
 }) {
+  const copy = useCopy();
   if (!team) return null;
 
   const isFirstTeam = queuePosition === 1;
   const positionLabel = isFirstTeam
-    ? COPY_ANNOUNCEMENT.FIRST_UP
-    : COPY_ANNOUNCEMENT.UP_NEXT;
+    ? copy.ANNOUNCEMENT.FIRST_UP
+    : copy.ANNOUNCEMENT.UP_NEXT;
 
   const players = splitParticipants(team.participants).sort((a, b) =>
     a.localeCompare(b),
   );
 
+  if (banner) {
+    return (
+      <OverlayBanner
+        eyebrow={
+          <span
+            className="wwbam-label"
+            style={{ color: 'var(--c-gold)', letterSpacing: '0.3em' }}>
+            {positionLabel}
+          </span>
+        }>
+        <h2 className="wwbam-overlay-heading truncate">{team.name}</h2>
+        {players.length > 0 && (
+          <span className="wwbam-team-name truncate">
+            {players.join(' · ')}
+          </span>
+        )}
+      </OverlayBanner>
+    );
+  }
+
   return (
     <motion.div
       className="absolute inset-0 z-40 flex items-center justify-center"
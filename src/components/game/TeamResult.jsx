@@ -3,8 +3,10 @@
 import { motion } from 'framer-motion';
 import { CheckCircle2, XCircle } from 'lucide-react';
 import WwbamShape from '@components/ui/WwbamShape';
+import OverlayBanner from '@components/layout/OverlayBanner';
 import { formatPrize } from '@utils/formatters';
-import { COPY_TEAM_RESULT } from '@constants/app';
+import { interpolate } from '@utils/messages';
+import { useCopy } from '@hooks/useLocale';
 
 // ── Outcome config ─────────────────────────────────────────────────────────────
 
@@ -12,13 +14,13 @@ const OUTCOME = {
   completed: {
     shapeState: 'correct',
     Icon: CheckCircle2,
-    label: COPY_TEAM_RESULT.COMPLETED,
+    labelKey: 'COMPLETED', // copy.TEAM_RESULT
     iconColor: 'var(--c-green-light)',
   },
   eliminated: {
     shapeState: 'wrong',
     Icon: XCircle,
-    label: COPY_TEAM_RESULT.ELIMINATED,
+    labelKey: 'ELIMINATED',
     iconColor: 'var(--c-red-light)',
   },
 };
@@ -71,18 +73,72 @@ const itemVariants = {
  * Also handles the last-team edge case where `completeGame()` clears
  * `currentTeamId` — GameScreen passes the last team from the play queue.
  *
+ * An eliminated team's card explains which safe-haven milestone its prize
+ * falls back to (or that none was reached).
+ *
+ * With `banner` (stream overlay mode) the same details sit in a lower-third
+ * OverlayBanner instead of covering the screen.
+ *
  * @param {{
- *   team:           object,  - The team that just finished
- *   totalQuestions: number,  - Total questions in the prize structure (kept for API stability)
+ *   team:           object,       - The team that just finished
+ *   totalQuestions: number,       - Total questions in the prize structure (kept for API stability)
+ *   lastMilestone?: number|null,  - Last safe-haven question the team passed
+ *   banner?:        boolean,      - lower-third banner instead of the full-screen card
  * }} props
  */
-export default function TeamResult({ team }) {
+export default function TeamResult({
+  team,
+  lastMilestone = null,
+  banner = false,
+}) {
+  const copy = useCopy();
   if (!team) return null;
 
   const isCompleted = team.status === 'completed';
   const outcome = isCompleted ? OUTCOME.completed : OUTCOME.eliminated;
   const { Icon, iconColor } = outcome;
   const prize = team.currentPrize ?? 0;
+  const milestoneNote = lastMilestone
+    ? interpolate(copy.TEAM_RESULT.FALLS_BACK_TO, { number: lastMilestone })
+    : copy.TEAM_RESULT.NO_MILESTONE;
+
+  if (banner) {
+    return (
+      <OverlayBanner
+        state={outcome.shapeState}
+        eyebrow={
+          <>
+            <span style={{ color: iconColor, display: 'flex' }}>
+              <Icon size={24} strokeWidth={2.5} />
+            </span>
+            <span
+              className="wwbam-label"
+              style={{ fontSize: '0.9rem', letterSpacing: '0.25em' }}>
+              {copy.TEAM_RESULT[outcome.labelKey]}
+            </span>
+          </>
+        }>
+        <h2 className="wwbam-overlay-heading truncate">{team.name}</h2>
+        <div className="flex flex-col items-center gap-1 shrink-0">
+          <span className="wwbam-label" style={{ letterSpacing: '0.25em' }}>
+            {copy.TEAM_RESULT.TAKES_HOME}
+          </span>
+          <span
+            className="wwbam-prize-display"
+            style={{ fontSize: '1.8rem', whiteSpace: 'nowrap' }}>
+            {formatPrize(prize)}
+          </span>
+          {!isCompleted && (
+            <span
+              className="wwbam-label"
+              style={{ color: 'var(--c-text-dim)' }}>
+              {milestoneNote}
+            </span>
+          )}
+        </div>
+      </OverlayBanner>
+    );
+  }
 
   return (
     <motion.div
@@ -120,7 +176,7 @@ export default function TeamResult({ team }) {
               <span
                 className="wwbam-label"
                 style={{ fontSize: '1rem', letterSpacing: '0.25em' }}>
-                {outcome.label}
+                {copy.TEAM_RESULT[outcome.labelKey]}
               </span>
             </div>
           </WwbamShape>
@@ -192,13 +248,20 @@ export default function TeamResult({ team }) {
             style={{ minHeight: '80px' }}>
             <div className="flex flex-col items-center justify-center gap-1 py-4 w-full text-center">
               <span className="wwbam-label" style={{ letterSpacing: '0.25em' }}>
-                {COPY_TEAM_RESULT.TAKES_HOME}
+                {copy.TEAM_RESULT.TAKES_HOME}
               </span>
               <span
                 className="wwbam-prize-display"
                 style={{ fontSize: '2.2rem', whiteSpace: 'nowrap' }}>
                 {formatPrize(prize)}
               </span>
+              {!isCompleted && (
+                <span
+                  className="wwbam-label"
+                  style={{ color: 'var(--c-text-dim)' }}>
+                  {milestoneNote}
+                </span>
+              )}
             </div>
           </WwbamShape>
         </motion.div>
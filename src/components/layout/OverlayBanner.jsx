@@ -0,0 +1,75 @@
+// src/components/layout/OverlayBanner.jsx
+
+import { motion } from 'framer-motion';
+import WwbamShape from '@components/ui/WwbamShape';
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const bannerVariants = {
+  hidden: { opacity: 0, y: 60 },
+  visible: {
+    opacity: 1,
+    y: 0,
+    transition: { duration: 0.5, ease: [0.16, 1, 0.3, 1] },
+  },
+  exit: { opacity: 0, y: 40, transition: { duration: 0.3, ease: 'easeIn' } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * OverlayBanner
+ *
+ * Lower-third banner used instead of a full-screen overlay in stream overlay
+ * mode (`?mode=overlay`, see config/displayMode.js). It slides up from the
+ * bottom edge and covers the question area only, so the camera feed above
+ * stays visible.
+ *
+ * Layout: [eyebrow — compact gold badge] [content — wide shape]
+ *
+ * @param {{
+ *   eyebrow:  React.ReactNode,  - short label, e.g. "Up Next" or an icon + status
+ *   state?:   string,           - WwbamShape state of the content shape
+ *   children: React.ReactNode,
+ * }} props
+ */
+export default function OverlayBanner({
+  eyebrow,
+  state = 'selected',
+  children,
+}) {
+  return (
+    <motion.div
+      className="absolute inset-x-0 bottom-0 z-40 flex items-stretch gap-4 px-16 pb-10 pt-16"
+      style={{
+        background:
+          'linear-gradient(0deg, var(--c-screen-bg-overlay), transparent)',
+      }}
+      variants={bannerVariants}
+      initial="hidden"
+      animate="visible"
+      exit="exit">
+      <WwbamShape
+        size="compact"
+        state="selected"
+        strokeWidth={3}
+        className="shrink-0"
+        style={{ minWidth: '14rem', minHeight: '96px' }}>
+        <div className="flex flex-col items-center justify-center gap-1 px-6 py-3 w-full text-center">
+          {eyebrow}
+        </div>
+      </WwbamShape>
+
+      <WwbamShape
+        size="wide"
+        state={state}
+        strokeWidth={4}
+        className="flex-1"
+        style={{ minHeight: '96px' }}>
+        <div className="flex items-center justify-center gap-8 px-6 py-3 w-full">
+          {children}
+        </div>
+      </WwbamShape>
+    </motion.div>
+  );
+}
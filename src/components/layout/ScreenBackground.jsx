@@ -1,5 +1,7 @@
 // src/components/layout/ScreenBackground.jsx
 
+import { isOverlayMode } from '@config/displayMode';
+
 /**
  * ScreenBackground
  *
@@ -16,6 +18,10 @@
  * Defaults to 0.42 — dark enough for text legibility, light enough for
  * the set atmosphere to come through.
  *
+ * In stream overlay mode (`?mode=overlay`, config/displayMode.js) the image
+ * and the dark overlay are skipped — screens render on a transparent canvas
+ * over the camera feed.
+ *
  * @param {{
  *   children:       React.ReactNode,
  *   overlayOpacity: number,           - Dark overlay opacity (default: 0.42)
@@ -27,6 +33,12 @@ export default function ScreenBackground({
   overlayOpacity = 0.42,
   className = '',
 }) {
+  if (isOverlayMode()) {
+    return (
+      <div className={`relative w-full h-full ${className}`}>{children}</div>
+    );
+  }
+
   return (
     <div
       className={`relative w-full h-full ${className}`}
@@ -2,6 +2,10 @@
 
 import { motion } from 'framer-motion';
 import { APP_NAME } from '@constants/app';
+import { useTheme } from '@hooks/useTheme';
+
+/** Logo when the theme doesn't set `logoUrl`. */
+const DEFAULT_LOGO_URL = '/images/wwbam-logo.svg';
 
 /**
  * ScreenHeader
@@ -35,13 +39,16 @@ export default function ScreenHeader({ logoSize = 'w-20 h-20' }) {
 
 /**
  * SpinningLogo
- * WWBAM logo with a slow Y-axis rotation loop and gold drop-shadow.
+ * WWBAM logo (or the theme's logo) with a slow Y-axis rotation loop and gold
+ * drop-shadow.
  */
 function SpinningLogo({ size }) {
+  const { logoUrl } = useTheme();
+
   return (
     <div style={{ perspective: '800px' }}>
       <motion.img
-        src="/images/wwbam-logo.svg"
+        src={logoUrl ?? DEFAULT_LOGO_URL}
         alt="WWBAM Logo"
         className={size}
         style={{ filter: 'drop-shadow(0 0 28px var(--c-gold-dark))' }}
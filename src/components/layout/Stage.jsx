@@ -0,0 +1,44 @@
+// src/components/layout/Stage.jsx
+
+import { useEffect } from 'react';
+
+/**
+ * Stage
+ *
+ * The reference canvas every screen renders on (config/stageScale.js). The
+ * canvas is laid out at its reference size and scaled to the viewport with a
+ * CSS transform, so Tailwind sizes and rem fonts keep their proportions on
+ * any resolution. Fit scaling centres it between letterbox bars.
+ *
+ * The canvas is a transformed element, so `fixed` overlays inside it (audio
+ * unlock, offline card, …) cover the canvas rather than the letterbox.
+ *
+ * Mirrors the aspect class (portrait on a 1080×1920 canvas) on
+ * `<html data-stage-aspect>` for the sidebar widths in index.css.
+ *
+ * @param {{
+ *   layout:   object,            - useStageLayout().layout
+ *   children: React.ReactNode,
+ * }} props
+ */
+export default function Stage({ layout, children }) {
+  const { width, height, scale, offsetX, offsetY, aspect } = layout;
+
+  useEffect(() => {
+    document.documentElement.dataset.stageAspect = aspect;
+  }, [aspect]);
+
+  return (
+    <div className="stage-letterbox relative w-full h-full overflow-hidden">
+      <div
+        className="absolute top-0 left-0 origin-top-left flex flex-col"
+        style={{
+          width: `${width}px`,
+          height: `${height}px`,
+          transform: `translate(${offsetX}px, ${offsetY}px) scale(${scale})`,
+        }}>
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+// src/components/mock/ScenarioControls.jsx
+
+import { useEffect, useSyncExternalStore } from 'react';
+import { Pause, Play, SkipBack, SkipForward } from 'lucide-react';
+import {
+  getScenarioState,
+  nextStep,
+  previousStep,
+  startScenario,
+  subscribeScenario,
+  toggleAutoplay,
+} from '@mock/scenarioRunner';
+import { getUrlParam } from '@utils/urlParams';
+import { COPY_MOCK } from '@constants/app';
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/** `?step=<n>` (1-based) → 0-based step index. */
+const readStartStep = () => {
+  const step = Number(getUrlParam('step'));
+  return Number.isInteger(step) && step > 0 ? step - 1 : 0;
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * ScenarioControls
+ *
+ * Starts the mock scenario (mock/scenarioRunner.js) and shows which step is
+ * on screen, pinned to the top-left corner. Only rendered with the mock data
+ * source — App lazy-loads it so none of the mock code ships to live events.
+ *
+ * URL options:
+ *   ?step=<n>     — start at step n (1-based) instead of the lobby
+ *   ?autoplay=0   — start paused
+ *
+ * Keyboard:
+ *   N / B        — next / previous step
+ *   P            — pause / resume autoplay
+ */
+export default function ScenarioControls() {
+  const { stepIndex, stepCount, label, isPlaying } = useSyncExternalStore(
+    subscribeScenario,
+    getScenarioState,
+  );
+
+  useEffect(() => {
+    startScenario({
+      step: readStartStep(),
+      autoplay: getUrlParam('autoplay') !== '0',
+    });
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.code === 'KeyN') nextStep();
+      else if (event.code === 'KeyB') previousStep();
+      else if (event.code === 'KeyP') toggleAutoplay();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const PlayPauseIcon = isPlaying ? Pause : Play;
+
+  return (
+    <div
+      className="fixed top-4 left-4 z-[80] flex items-center gap-3 px-4 py-2 rounded-full"
+      style={{
+        background: 'var(--c-screen-bg-overlay)',
+        border: '1px solid var(--c-border-subtle)',
+      }}>
+      <span className="wwbam-label" style={{ color: 'var(--c-gold)' }}>
+        {COPY_MOCK.BADGE}
+      </span>
+
+      <button
+        type="button"
+        onClick={previousStep}
+        aria-label={COPY_MOCK.PREVIOUS}
+        className="cursor-pointer"
+        style={{ color: 'var(--c-text-dim)' }}>
+        <SkipBack size={14} strokeWidth={2} />
+      </button>
+      <button
+        type="button"
+        onClick={toggleAutoplay}
+        aria-label={isPlaying ? COPY_MOCK.PAUSE : COPY_MOCK.PLAY}
+        className="cursor-pointer"
+        style={{ color: 'var(--c-text)' }}>
+        <PlayPauseIcon size={14} strokeWidth={2} />
+      </button>
+      <button
+        type="button"
+        onClick={nextStep}
+        aria-label={COPY_MOCK.NEXT}
+        className="cursor-pointer"
+        style={{ color: 'var(--c-text-dim)' }}>
+        <SkipForward size={14} strokeWidth={2} />
+      </button>
+
+      <span className="wwbam-label" style={{ color: 'var(--c-text-dim)' }}>
+        {stepIndex + 1}/{stepCount} — {label}
+      </span>
+    </div>
+  );
+}
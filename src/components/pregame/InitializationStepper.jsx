@@ -13,7 +13,7 @@ import {
 } from 'lucide-react';
 import WwbamShape from '@components/ui/WwbamShape';
 import ScreenHeader from '@components/layout/ScreenHeader';
-import { COPY_STEPPER } from '@constants/app';
+import { useCopy } from '@hooks/useLocale';
 
 // ── Step definitions ───────────────────────────────────────────────────────────
 
@@ -22,10 +22,10 @@ import { COPY_STEPPER } from '@constants/app';
  * The icon transitions to a Check (via Lucide) when the step completes.
  */
 const STEPS = [
-  { id: 1, label: 'Preparing Teams', Icon: Users },
-  { id: 2, label: 'Preparing Question Sets', Icon: BookOpen },
-  { id: 3, label: 'Randomizing Team Order', Icon: Shuffle },
-  { id: 4, label: 'Assigning Question Sets to Teams', Icon: ClipboardList },
+  { id: 1, labelKey: 'PREPARING_TEAMS', Icon: Users },
+  { id: 2, labelKey: 'PREPARING_QUESTIONS', Icon: BookOpen },
+  { id: 3, labelKey: 'RANDOMIZING_ORDER', Icon: Shuffle },
+  { id: 4, labelKey: 'ASSIGNING_QUESTIONS', Icon: ClipboardList },
 ];
 
 // Delay (ms) after which each step is marked as complete.
@@ -127,6 +127,7 @@ function StepIcon({ Icon, isComplete, isActive }) {
  * Layout: [ StepIcon ] | [ separator ] | [ label ] | [ Loader2 if active ]
  */
 function StepRow({ step, isComplete, isActive }) {
+  const copy = useCopy();
   const shapeState = shapeStateFor(isComplete, isActive);
 
   const labelColor = isComplete
@@ -167,7 +168,7 @@ function StepRow({ step, isComplete, isActive }) {
               lineHeight: 1.1,
               color: labelColor,
             }}>
-            {step.label}
+            {copy.STEPPER[step.labelKey]}
           </span>
 
           {/* Active spinner — Loader2 spinning on the right edge */}
@@ -217,6 +218,7 @@ function StepRow({ step, isComplete, isActive }) {
  * @param {{ onComplete: () => void }} props
  */
 export default function InitializationStepper({ onComplete }) {
+  const copy = useCopy();
   const [completedSteps, setCompletedSteps] = useState(new Set());
 
   useEffect(() => {
@@ -257,7 +259,7 @@ export default function InitializationStepper({ onComplete }) {
           style={{ minHeight: '88px' }}>
           <div className="flex items-center justify-center py-4 w-full text-center">
             <h2 className="wwbam-screen-heading wwbam-text-gold-gradient">
-              {COPY_STEPPER.HEADING}
+              {copy.STEPPER.HEADING}
             </h2>
           </div>
         </WwbamShape>
@@ -305,7 +307,7 @@ export default function InitializationStepper({ onComplete }) {
                     textTransform: 'uppercase',
                     lineHeight: 1,
                   }}>
-                  {COPY_STEPPER.COMPLETE_MESSAGE}
+                  {copy.STEPPER.COMPLETE_MESSAGE}
                 </p>
                 <Sparkles size={28} color="var(--c-gold)" strokeWidth={1.8} />
               </div>
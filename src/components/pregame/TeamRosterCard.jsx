@@ -2,6 +2,7 @@
 
 import { motion } from 'framer-motion';
 import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
 import { formatParticipantFirstNames } from '@utils/participants';
 
 // ── Animation variant ──────────────────────────────────────────────────────────
@@ -29,6 +30,9 @@ const cardVariant = {
  * Layout:
  *   [ Team # ] | separator | [ Team Name / Participants ]
  *
+ * `tall` (portrait lobby) gives the card more height and lets the
+ * participant line wrap onto a second line instead of truncating.
+ *
  * Typography is driven entirely by .wwbam-* classes from components.css
  * and token values from tokens.css — no inline colour strings.
  *
@@ -39,9 +43,11 @@ const cardVariant = {
  *     participants: string,  // comma-separated names from Firebase
  *   },
  *   index: number,           // 0-based position used for the team number label
+ *   tall?: boolean,
  * }} props
  */
-export default function TeamRosterCard({ team, index }) {
+export default function TeamRosterCard({ team, index, tall = false }) {
+  const copy = useCopy();
   const participantFirstNames = formatParticipantFirstNames(team.participants);
 
   return (
@@ -51,11 +57,11 @@ export default function TeamRosterCard({ team, index }) {
         state="default"
         strokeWidth={3}
         className="flex-1"
-        style={{ minHeight: '72px' }}>
-        <div className="flex items-center w-full py-2">
+        style={{ minHeight: tall ? '104px' : '72px' }}>
+        <div className={`flex items-center w-full ${tall ? 'py-4' : 'py-2'}`}>
           {/* ── Team number ─────────────────────────────────────────────── */}
           <div className="flex flex-col items-center justify-center shrink-0 px-4">
-            <span className="wwbam-label">Team</span>
+            <span className="wwbam-label">{copy.ROSTER.TEAM}</span>
             <span className="wwbam-team-number">
               {String(index + 1).padStart(2, '0')}
             </span>
@@ -67,12 +73,13 @@ export default function TeamRosterCard({ team, index }) {
           <div className="flex flex-col justify-center min-w-0 flex-1 px-4">
             <span className="wwbam-team-name truncate">{team.name}</span>
             {participantFirstNames ? (
-              <span className="wwbam-participants truncate">
+              <span
+                className={`wwbam-participants ${tall ? 'line-clamp-2' : 'truncate'}`}>
                 {participantFirstNames}
               </span>
             ) : (
               <span className="wwbam-participants wwbam-used-subtext">
-                No participants listed
+                {copy.ROSTER.NO_PARTICIPANTS}
               </span>
             )}
           </div>
@@ -0,0 +1,119 @@
+// src/components/presenter/PresenterAccessGate.jsx
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { KeyRound } from 'lucide-react';
+import ScreenBackground from '@components/layout/ScreenBackground';
+import ScreenHeader from '@components/layout/ScreenHeader';
+import WwbamShape from '@components/ui/WwbamShape';
+import { COPY_PRESENTER } from '@constants/app';
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const cardVariants = {
+  hidden: { opacity: 0, y: 18 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.5, ease: 'easeOut' } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * PresenterAccessGate
+ *
+ * Code entry shown by PresenterScreen until the presenter feed unlocks.
+ * Opening the monitor with `?code=` skips straight to checking; a wrong code
+ * comes back here with the "not recognised" line.
+ *
+ * @param {{
+ *   status:   'locked'|'checking'|'denied',  - usePresenterFeed status
+ *   onSubmit: (accessCode: string) => void,
+ * }} props
+ */
+export default function PresenterAccessGate({ status, onSubmit }) {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const trimmed = code.trim();
+    if (trimmed) onSubmit(trimmed);
+  };
+
+  const statusLine =
+    status === 'checking'
+      ? COPY_PRESENTER.CHECKING
+      : status === 'denied'
+        ? COPY_PRESENTER.DENIED
+        : COPY_PRESENTER.ACCESS_PROMPT;
+
+  return (
+    <ScreenBackground>
+      <motion.form
+        className="w-full h-full flex flex-col items-center justify-center gap-8 px-16"
+        onSubmit={handleSubmit}
+        variants={cardVariants}
+        initial="hidden"
+        animate="visible">
+        <ScreenHeader logoSize="w-20 h-20" />
+
+        <div className="w-full max-w-2xl flex">
+          <WwbamShape
+            size="wide"
+            state="selected"
+            strokeWidth={3}
+            className="flex-1"
+            style={{ minHeight: '88px' }}>
+            <div className="flex items-center justify-center gap-4 py-4 w-full text-center">
+              <KeyRound
+                size={32}
+                strokeWidth={2}
+                style={{ color: 'var(--c-gold)' }}
+              />
+              <h1 className="wwbam-screen-heading wwbam-text-gold-gradient">
+                {COPY_PRESENTER.ACCESS_HEADING}
+              </h1>
+            </div>
+          </WwbamShape>
+        </div>
+
+        <div className="w-full max-w-md flex gap-3">
+          <input
+            type="password"
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            placeholder={COPY_PRESENTER.ACCESS_PLACEHOLDER}
+            autoComplete="off"
+            autoFocus
+            className="flex-1 px-5 py-3 rounded-full outline-none"
+            style={{
+              background: 'var(--c-screen-bg-overlay)',
+              border: '1px solid var(--c-border-subtle)',
+              color: 'var(--c-text)',
+              fontFamily: 'var(--font-body)',
+              fontSize: '1.1rem',
+            }}
+          />
+          <button
+            type="submit"
+            className="wwbam-label px-6 py-3 rounded-full cursor-pointer"
+            style={{
+              background: 'var(--c-screen-bg-overlay)',
+              border: '1px solid var(--c-gold-dark)',
+              color: 'var(--c-gold)',
+            }}>
+            {COPY_PRESENTER.UNLOCK}
+          </button>
+        </div>
+
+        <p
+          className="wwbam-label"
+          style={{
+            letterSpacing: '0.25em',
+            color:
+              status === 'denied' ? 'var(--c-red-light)' : 'var(--c-used-text)',
+          }}>
+          {statusLine}
+        </p>
+      </motion.form>
+    </ScreenBackground>
+  );
+}
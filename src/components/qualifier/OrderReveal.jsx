@@ -0,0 +1,172 @@
+// src/components/qualifier/OrderReveal.jsx
+
+import { AnimatePresence, motion } from 'framer-motion';
+import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
+import {
+  getLocalizedField,
+  resolveQuestionLanguages,
+} from '@utils/questionText';
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/** Text of an item — a picture option contributes its caption. */
+function itemText(options, key) {
+  const value = options?.[key];
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? value : (value.caption ?? null);
+}
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const listVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1, transition: { staggerChildren: 0.08 } },
+  exit: { opacity: 0, transition: { duration: 0.2 } },
+};
+
+const slotVariants = {
+  hidden: { opacity: 0, y: 12 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.35 } },
+};
+
+const itemVariants = {
+  hidden: { opacity: 0, x: -40 },
+  visible: {
+    opacity: 1,
+    x: 0,
+    transition: { duration: 0.45, ease: 'easeOut' },
+  },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * OrderReveal
+ *
+ * The Fastest Finger First answer, one slot per item in the correct order.
+ * Empty slots are shown up front so the audience can count down the reveal;
+ * each slot fills (green) as the host bumps `fastest-finger/revealed-count`.
+ *
+ * Row layout: [Position] [Badge · Item text / translation]
+ *
+ * @param {{
+ *   question:        object | null,  - fastest-finger/question
+ *   primaryLanguage: string,
+ *   correctOrder:    string[],       - option keys, e.g. ['C', 'A', 'D', 'B']
+ *   revealedCount:   number,
+ * }} props
+ */
+export default function OrderReveal({
+  question,
+  primaryLanguage,
+  correctOrder,
+  revealedCount,
+}) {
+  const copy = useCopy();
+  const languages = resolveQuestionLanguages(question, primaryLanguage);
+  const primaryOptions =
+    getLocalizedField(question, 'options', languages.primary) ??
+    question?.options;
+  const secondaryOptions = getLocalizedField(
+    question,
+    'options',
+    languages.secondary,
+  );
+
+  return (
+    <motion.div
+      className="w-full max-w-4xl flex flex-col gap-3"
+      variants={listVariants}
+      initial="hidden"
+      animate="visible"
+      exit="exit">
+      <motion.p
+        variants={slotVariants}
+        className="wwbam-label text-center"
+        style={{ color: 'var(--c-gold)', letterSpacing: '0.3em' }}>
+        {copy.FASTEST_FINGER.CORRECT_ORDER}
+      </motion.p>
+
+      {correctOrder.map((key, index) => {
+        const isRevealed = index < revealedCount;
+        const text =
+          itemText(primaryOptions, key) ?? itemText(question?.options, key);
+        const subtitle = itemText(secondaryOptions, key);
+
+        return (
+          <motion.div key={key} variants={slotVariants} className="flex gap-3">
+            {/* ── Position ─────────────────────────────────────────── */}
+            <WwbamShape
+              size="compact"
+              state={isRevealed ? 'correct' : 'used'}
+              strokeWidth={2}
+              style={{ width: '5rem', minHeight: '64px' }}>
+              <span
+                className="w-full text-center"
+                style={{
+                  fontFamily: 'var(--font-numeric)',
+                  fontSize: '1.4rem',
+                  color: isRevealed ? 'var(--c-text)' : 'var(--c-used-text)',
+                }}>
+                {index + 1}
+              </span>
+            </WwbamShape>
+
+            {/* ── Item ─────────────────────────────────────────────── */}
+            <WwbamShape
+              size="wide"
+              state={isRevealed ? 'correct' : 'used'}
+              strokeWidth={3}
+              className="flex-1"
+              style={{ minHeight: '64px' }}>
+              <AnimatePresence>
+                {isRevealed && (
+                  <motion.div
+                    key={key}
+                    className="flex items-center gap-4 w-full py-3"
+                    variants={itemVariants}
+                    initial="hidden"
+                    animate="visible">
+                    <span
+                      className="shrink-0 w-10 h-10 flex items-center justify-center rounded-full font-black"
+                      style={{
+                        fontSize: '1.25rem',
+                        background: 'rgba(94,199,42,0.18)',
+                        border: '1.5px solid rgba(94,199,42,0.4)',
+                        color: 'var(--c-green-light)',
+                      }}>
+                      {key}
+                    </span>
+                    <span
+                      lang={languages.primary}
+                      className="flex flex-col min-w-0"
+                      style={{
+                        fontFamily: 'var(--font-question)',
+                        fontSize: '1.35rem',
+                        fontWeight: 500,
+                        color: 'var(--c-text)',
+                      }}>
+                      <span className="truncate">{text}</span>
+                      {subtitle && subtitle !== text && (
+                        <span
+                          lang={languages.secondary}
+                          className="truncate"
+                          style={{
+                            fontSize: '0.65em',
+                            color: 'var(--c-text-dim)',
+                          }}>
+                          {subtitle}
+                        </span>
+                      )}
+                    </span>
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </WwbamShape>
+          </motion.div>
+        );
+      })}
+    </motion.div>
+  );
+}
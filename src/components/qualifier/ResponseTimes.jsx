@@ -0,0 +1,236 @@
+// src/components/qualifier/ResponseTimes.jsx
+
+import { motion } from 'framer-motion';
+import { CheckCircle2, XCircle, Zap } from 'lucide-react';
+import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
+import { formatSeconds } from '@utils/formatters';
+import { interpolate } from '@utils/messages';
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/**
+ * Maps a ranked result to a WwbamShape state.
+ *   winner (once announced) → selected (gold shimmer)
+ *   correct                 → default  (blue shimmer), `used` behind a winner
+ *   wrong / no answer       → used     (slate shimmer)
+ */
+function deriveShapeState(row, winnerId) {
+  if (row.outcome !== 'correct') return 'used';
+  if (winnerId === null) return 'default';
+  return row.id === winnerId ? 'selected' : 'used';
+}
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const tableVariants = {
+  hidden: { opacity: 0 },
+  visible: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1, delayChildren: 0.15 },
+  },
+  exit: { opacity: 0, transition: { duration: 0.3 } },
+};
+
+const rowVariants = {
+  hidden: { opacity: 0, x: -30 },
+  visible: { opacity: 1, x: 0, transition: { duration: 0.5, ease: 'easeOut' } },
+};
+
+// ── Sub-components ─────────────────────────────────────────────────────────────
+
+/**
+ * Heading above the table — "Response Times", or the winner banner once the
+ * host announces the fastest correct answer.
+ */
+function Heading({ winner }) {
+  const copy = useCopy();
+
+  return (
+    <motion.div
+      className="w-full flex"
+      initial={{ opacity: 0, scale: 0.96 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ duration: 0.45, ease: 'easeOut' }}>
+      <WwbamShape
+        size="wide"
+        state="selected"
+        strokeWidth={3}
+        className="flex-1"
+        style={{ minHeight: '88px' }}>
+        <div className="flex flex-col items-center justify-center gap-1 py-4 w-full text-center">
+          {winner ? (
+            <>
+              <span
+                className="wwbam-label flex items-center gap-2"
+                style={{ color: 'var(--c-gold)', letterSpacing: '0.3em' }}>
+                <Zap size={14} fill="currentColor" strokeWidth={0} />
+                {copy.FASTEST_FINGER.WINNER}
+              </span>
+              <h1 className="wwbam-screen-heading wwbam-text-gold-gradient">
+                {winner.name}
+              </h1>
+            </>
+          ) : (
+            <h1 className="wwbam-screen-heading wwbam-text-gold-gradient">
+              {copy.FASTEST_FINGER.RESPONSE_TIMES}
+            </h1>
+          )}
+        </div>
+      </WwbamShape>
+    </motion.div>
+  );
+}
+
+/** Time for correct answers, otherwise why the contestant did not qualify. */
+function Outcome({ row, isWinner }) {
+  const copy = useCopy();
+
+  if (row.outcome === 'no-answer') {
+    return (
+      <span className="wwbam-label" style={{ color: 'var(--c-used-text)' }}>
+        {copy.FASTEST_FINGER.NO_ANSWER}
+      </span>
+    );
+  }
+
+  const seconds = interpolate(copy.FASTEST_FINGER.SECONDS, {
+    seconds: formatSeconds(row.time),
+  });
+
+  return row.outcome === 'wrong' ? (
+    <span className="flex items-center gap-3">
+      <span className="wwbam-label" style={{ color: 'var(--c-used-text)' }}>
+        {copy.FASTEST_FINGER.WRONG_ORDER}
+      </span>
+      <span
+        className="wwbam-result-prize tabular-nums"
+        style={{ color: 'var(--c-used-text)' }}>
+        {seconds}
+      </span>
+    </span>
+  ) : (
+    <span
+      className={`wwbam-result-prize tabular-nums ${isWinner ? 'wwbam-result-prize--winner' : ''}`}>
+      {seconds}
+    </span>
+  );
+}
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * ResponseTimes
+ *
+ * Ranked Fastest Finger First results: correct orders by response time,
+ * then wrong orders, then contestants who never answered. Once the winner
+ * is announced their row turns gold and the heading becomes the winner
+ * banner; the other rows fall back to slate.
+ *
+ * Row layout: [Rank] [StatusIcon] [Name] [Time / outcome]
+ *
+ * @param {{
+ *   rows:   Array<{
+ *     id:      string,
+ *     name:    string,
+ *     time:    number|null,                       - ms
+ *     rank:    number|null,                       - correct answers only
+ *     outcome: 'correct' | 'wrong' | 'no-answer',
+ *   }>,
+ *   winner: object | null, - the winning row, once announced
+ * }} props
+ */
+export default function ResponseTimes({ rows, winner }) {
+  const copy = useCopy();
+  const winnerId = winner?.id ?? null;
+
+  return (
+    <motion.div
+      className="w-full max-w-3xl flex flex-col items-center gap-5"
+      variants={tableVariants}
+      initial="hidden"
+      animate="visible"
+      exit="exit">
+      <Heading key={winnerId ?? 'heading'} winner={winner} />
+
+      {rows.length === 0 ? (
+        <p className="wwbam-label" style={{ color: 'var(--c-text-dim)' }}>
+          {copy.FASTEST_FINGER.NO_RESPONSES}
+        </p>
+      ) : (
+        <div className="w-full flex flex-col gap-3">
+          {rows.map((row) => {
+            const isWinner = row.id === winnerId;
+            const isCorrect = row.outcome === 'correct';
+
+            return (
+              <motion.div
+                key={row.id}
+                variants={rowVariants}
+                animate={
+                  isWinner
+                    ? {
+                        opacity: 1,
+                        x: 0,
+                        scale: [1, 1.03, 1],
+                        transition: { duration: 0.6, repeat: 2 },
+                      }
+                    : 'visible'
+                }
+                className="flex">
+                <WwbamShape
+                  size="wide"
+                  state={deriveShapeState(row, winnerId)}
+                  strokeWidth={3}
+                  className="flex-1"
+                  style={{ minHeight: '64px' }}>
+                  <div className="flex items-center gap-5 w-full">
+                    {/* ── Rank ──────────────────────────────────────── */}
+                    <div className="w-10 flex items-center justify-center shrink-0">
+                      {row.rank !== null && (
+                        <span className="wwbam-rank-number">{row.rank}</span>
+                      )}
+                    </div>
+
+                    {/* ── Status icon ───────────────────────────────── */}
+                    {isCorrect ? (
+                      <CheckCircle2
+                        size={18}
+                        strokeWidth={2}
+                        style={{
+                          color: 'var(--c-badge-completed-text)',
+                          flexShrink: 0,
+                        }}
+                      />
+                    ) : (
+                      <XCircle
+                        size={18}
+                        strokeWidth={2}
+                        style={{
+                          color: 'var(--c-badge-eliminated-text)',
+                          flexShrink: 0,
+                        }}
+                      />
+                    )}
+
+                    {/* ── Name ──────────────────────────────────────── */}
+                    <p
+                      className="wwbam-result-name flex-1 min-w-0 truncate"
+                      style={
+                        isCorrect ? undefined : { color: 'var(--c-used-text)' }
+                      }>
+                      {row.name}
+                    </p>
+
+                    {/* ── Time / outcome ────────────────────────────── */}
+                    <Outcome row={row} isWinner={isWinner} />
+                  </div>
+                </WwbamShape>
+              </motion.div>
+            );
+          })}
+        </div>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,231 @@
+// src/components/question/NumericReveal.jsx
+
+import { useEffect, useState } from 'react';
+import {
+  AnimatePresence,
+  animate,
+  motion,
+  useMotionValue,
+  useTransform,
+} from 'framer-motion';
+import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
+import { formatNumber } from '@utils/formatters';
+import { deriveGuessRows } from '@utils/numericGuesses';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/** How long (s) the correct value counts up before the guesses are ranked. */
+const COUNT_UP_DURATION = 1.6;
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/** "8,849 m" — the unit is optional. */
+const withUnit = (text, unit) => (unit ? `${text} ${unit}` : text);
+
+/** Signed distance from the answer, e.g. "+120" / "−35". */
+function formatDifference(difference) {
+  const sign = difference > 0 ? '+' : difference < 0 ? '−' : '';
+  return `${sign}${formatNumber(Math.abs(difference))}`;
+}
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const panelVariants = {
+  hidden: { opacity: 0 },
+  visible: {
+    opacity: 1,
+    transition: { staggerChildren: 0.1, delayChildren: 0.1 },
+  },
+  exit: { opacity: 0, transition: { duration: 0.2 } },
+};
+
+const rowVariants = {
+  hidden: { opacity: 0, y: 12 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.4, ease: 'easeOut' } },
+};
+
+// ── Sub-components ─────────────────────────────────────────────────────────────
+
+/**
+ * The correct value, counting up from zero when it is revealed.
+ * Calls `onSettled` once the count-up lands on the value.
+ */
+function CountUp({ value, unit, onSettled }) {
+  const count = useMotionValue(0);
+  const text = useTransform(count, (latest) =>
+    withUnit(formatNumber(Math.round(latest)), unit),
+  );
+
+  useEffect(() => {
+    const controls = animate(count, value, {
+      duration: COUNT_UP_DURATION,
+      ease: 'easeOut',
+      onComplete: () => {
+        // Land on the exact value (decimals are rounded while counting)
+        count.set(value);
+        onSettled(value);
+      },
+    });
+    return () => controls.stop();
+  }, [count, value, onSettled]);
+
+  return <motion.span>{text}</motion.span>;
+}
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * NumericReveal
+ *
+ * Answer panel for numeric questions ("How tall is Everest, in metres?"),
+ * shown by GameScreen in place of the option grid. Closest guess wins.
+ *
+ *   options visible     — a "?" answer card over each team's guess
+ *                         (`game-state/numeric-guesses`, keyed by team ID)
+ *   answer revealed     — the correct value (`game-state/correct-value`)
+ *                         counts up, then the guesses re-sort closest first
+ *                         with their distance; the closest turns green
+ *
+ * @param {{
+ *   question:       object | null,          - current-question (for `unit`)
+ *   visible:        boolean,                - game-state/options-visible
+ *   guesses:        Record<string, number>,
+ *   teams:          Array,
+ *   correctValue:   number | null,
+ *   answerRevealed: boolean,
+ * }} props
+ */
+export default function NumericReveal({
+  question,
+  visible,
+  guesses,
+  teams,
+  correctValue,
+  answerRevealed,
+}) {
+  const copy = useCopy();
+  const unit = question?.unit ?? null;
+  const isRevealed = answerRevealed && correctValue !== null;
+
+  // Guesses are ranked once the count-up has landed on this value
+  const [settledValue, setSettledValue] = useState(null);
+  const isRanked = isRevealed && settledValue === correctValue;
+  const rows = deriveGuessRows(guesses, teams, isRanked ? correctValue : null);
+
+  return (
+    <div className="w-full max-w-5xl">
+      <AnimatePresence mode="wait">
+        {visible ? (
+          <motion.div
+            key="numeric"
+            className="w-full flex flex-col items-center gap-4"
+            variants={panelVariants}
+            initial="hidden"
+            animate="visible"
+            exit="exit">
+            {/* ── Answer card ───────────────────────────────────────────── */}
+            <motion.div
+              variants={rowVariants}
+              className="flex"
+              style={{ minWidth: '26rem' }}>
+              <WwbamShape
+                size="wide"
+                state={isRevealed ? 'correct' : 'default'}
+                strokeWidth={4}
+                className="flex-1"
+                style={{ minHeight: '96px' }}>
+                <div className="flex flex-col items-center justify-center gap-1 py-4 w-full">
+                  <span
+                    className="wwbam-label"
+                    style={{ letterSpacing: '0.25em' }}>
+                    {copy.QUESTION.CORRECT_ANSWER}
+                  </span>
+                  <span
+                    className="tabular-nums"
+                    style={{
+                      fontFamily: 'var(--font-numeric)',
+                      fontSize: '2.25rem',
+                      lineHeight: 1.1,
+                      color: 'var(--c-text)',
+                    }}>
+                    {isRevealed ? (
+                      <CountUp
+                        key={correctValue}
+                        value={correctValue}
+                        unit={unit}
+                        onSettled={setSettledValue}
+                      />
+                    ) : (
+                      '?'
+                    )}
+                  </span>
+                </div>
+              </WwbamShape>
+            </motion.div>
+
+            {/* ── Guesses ───────────────────────────────────────────────── */}
+            {rows.length === 0 ? (
+              <motion.p
+                variants={rowVariants}
+                className="wwbam-label"
+                style={{ color: 'var(--c-text-dim)' }}>
+                {copy.QUESTION.NO_GUESSES}
+              </motion.p>
+            ) : (
+              <div className="w-full grid grid-cols-2 gap-3">
+                {rows.map((row) => (
+                  <motion.div
+                    key={row.id}
+                    layout
+                    variants={rowVariants}
+                    className="flex">
+                    <WwbamShape
+                      size="medium"
+                      state={
+                        !isRanked
+                          ? 'default'
+                          : row.isClosest
+                            ? 'correct'
+                            : 'used'
+                      }
+                      strokeWidth={3}
+                      className="flex-1"
+                      style={{ minHeight: '64px' }}>
+                      <div className="flex items-center gap-4 w-full py-3">
+                        <span className="wwbam-result-name flex-1 min-w-0 truncate">
+                          {row.name}
+                        </span>
+                        {row.isClosest && (
+                          <span
+                            className="wwbam-label"
+                            style={{ color: 'var(--c-green-light)' }}>
+                            {copy.QUESTION.CLOSEST}
+                          </span>
+                        )}
+                        <span className="flex flex-col items-end">
+                          <span className="wwbam-result-prize tabular-nums">
+                            {withUnit(formatNumber(row.guess), unit)}
+                          </span>
+                          {row.difference !== null && row.difference !== 0 && (
+                            <span
+                              className="wwbam-label tabular-nums"
+                              style={{ color: 'var(--c-text-dim)' }}>
+                              {formatDifference(row.difference)}
+                            </span>
+                          )}
+                        </span>
+                      </div>
+                    </WwbamShape>
+                  </motion.div>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        ) : (
+          <div key="placeholder" style={{ minHeight: '10rem', opacity: 0 }} />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
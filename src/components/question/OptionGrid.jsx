@@ -2,11 +2,37 @@
 
 import { motion, AnimatePresence } from 'framer-motion';
 import WwbamShape from '@components/ui/WwbamShape';
+import { applyOptionModifiers } from '@constants/lifelines';
+import { getQuestionType } from '@constants/questionTypes';
+import { useCopy } from '@hooks/useLocale';
+import { useFitText } from '@hooks/useFitText';
+import {
+  getLocalizedField,
+  resolveQuestionLanguages,
+} from '@utils/questionText';
 
 // ── Constants ──────────────────────────────────────────────────────────────────
 
-/** Fixed display order for the four options. */
-const OPTION_KEYS = ['A', 'B', 'C', 'D'];
+/**
+ * Container classes and shape size per question-type layout
+ * (constants/questionTypes.js).
+ */
+const LAYOUTS = {
+  grid: { className: 'grid grid-cols-2 gap-3', shapeSize: 'medium' },
+  row: { className: 'grid grid-cols-3 gap-3', shapeSize: 'medium' },
+  wide: {
+    className: 'flex flex-col gap-3 max-w-5xl mx-auto',
+    shapeSize: 'wide',
+  },
+};
+
+/** Option text font range (rem) — shrinks to fit 2 lines + subtitle. */
+const TEXT_SIZES = { max: 1.5, min: 0.9 };
+const TEXT_MAX_HEIGHT = '5.25rem';
+
+/** Card variant: shallow points and no whiskers, with room for a picture. */
+const CARD_GEOMETRY = { pointExtRatio: 0.6, whiskerRatio: 0 };
+const CARD_IMAGE_HEIGHT = '9rem';
 
 // ── Helpers ────────────────────────────────────────────────────────────────────
 
@@ -15,9 +41,36 @@ const OPTION_KEYS = ['A', 'B', 'C', 'D'];
  * Handles both lowercase keys (host panel normalises to lowercase) and uppercase.
  */
 function getOptionText(options, key) {
+  if (!options) return undefined;
   return options[key.toLowerCase()] ?? options[key];
 }
 
+/**
+ * Option values for the question's type — the host's options, or the type's
+ * default labels (true / false) in the display language when it sent none.
+ */
+function resolveOptions(options, questionType, copy) {
+  if (options || !questionType.defaultOptions) return options;
+  return Object.fromEntries(
+    Object.entries(questionType.defaultOptions).map(([key, copyKey]) => [
+      key,
+      copy.QUESTION[copyKey],
+    ]),
+  );
+}
+
+/**
+ * Splits an option value into its picture and text. Text options are plain
+ * strings; picture options are `{ image, caption }` (see store/nodes.js).
+ *
+ * @returns {{ image: string|null, text: string|null }|null}
+ */
+function toOptionContent(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return { image: null, text: value };
+  return { image: value.image ?? null, text: value.caption ?? null };
+}
+
 // ── Option state derivation ────────────────────────────────────────────────────
 
 /**
@@ -28,26 +81,36 @@ function getOptionText(options, key) {
  *   'correct'  — answerRevealed + this is the correct option  → green
  *   'wrong'    — answerRevealed + this was selected incorrectly → red
  *   'dimmed'   — answerRevealed + neither selected nor correct (post-reveal bystanders)
- *   'removed'  — 50/50 lifeline eliminated this option
+ *   'removed'  — eliminated by a lifeline (e.g. 50/50)
+ *   'highlight' — before the reveal, the known answer on a crew view (presenter
+ *                 monitor's `highlightOption`) → green, without a reveal animation
+ *
+ * The base reveal state is derived here; lifeline-specific states ('removed'
+ * for 50/50, the red first guess for Double Dip, …) are layered on by the
+ * `modifyOptionState` hooks in the lifeline registry.
  */
-function deriveOptionState(
-  key,
-  optionText,
-  answerRevealed,
-  correctOption,
-  selectedOption,
-) {
-  if (optionText === null || optionText === undefined) return 'removed';
+function deriveOptionState(key, optionText, gameplay) {
+  const { answerRevealed, correctOption, selectedOption, highlightOption } =
+    gameplay;
 
+  let state = 'default';
   if (answerRevealed) {
-    if (key === correctOption) return 'correct';
-    if (key === selectedOption) return 'wrong';
-    return 'dimmed';
+    if (key === correctOption) state = 'correct';
+    else if (key === selectedOption) state = 'wrong';
+    else state = 'dimmed';
+  } else if (key === selectedOption) {
+    state = 'selected';
+  } else if (key === highlightOption) {
+    state = 'highlight';
   }
 
-  if (key === selectedOption) return 'selected';
-
-  return 'default';
+  return applyOptionModifiers(state, {
+    optionKey: key,
+    optionText,
+    answerRevealed,
+    activeLifeline: gameplay.activeLifeline,
+    lifelineData: gameplay.lifelineData,
+  });
 }
 
 // ── WwbamShape state mapping ───────────────────────────────────────────────────
@@ -64,6 +127,7 @@ const SHAPE_STATE = {
   default: 'default',
   selected: 'selected',
   correct: 'correct',
+  highlight: 'correct', // crew view's known answer, ahead of the reveal
   wrong: 'wrong',
   dimmed: 'used', // post-reveal bystander — slate shimmer
   removed: 'dimmed', // 50/50 placeholder    — near-invisible
@@ -75,6 +139,7 @@ const TEXT_COLOR = {
   default: 'var(--c-text)',
   selected: 'var(--c-text)',
   correct: 'var(--c-text)',
+  highlight: 'var(--c-text)',
   wrong: 'var(--c-text)',
   dimmed: 'var(--c-used-text)',
   removed: 'transparent',
@@ -96,6 +161,11 @@ const BADGE_STYLE = {
     border: '1.5px solid rgba(94,199,42,0.4)',
     color: 'var(--c-green-light)',
   },
+  highlight: {
+    background: 'rgba(94,199,42,0.18)',
+    border: '1.5px solid rgba(94,199,42,0.4)',
+    color: 'var(--c-green-light)',
+  },
   wrong: {
     background: 'rgba(224,48,48,0.18)',
     border: '1.5px solid rgba(224,48,48,0.4)',
@@ -124,6 +194,28 @@ const gridVariants = {
   exit: { opacity: 0, transition: { duration: 0.2 } },
 };
 
+/**
+ * Reveal animations for the correct / wrong option, picked by the question
+ * type's `reveal` (constants/questionTypes.js).
+ *
+ *   pulse — brief scale flash (four-option)
+ *   rise  — the option lifts off the row (three-option)
+ *   flip  — the bar flips over into its reveal colour (true / false)
+ */
+const REVEAL_ANIMATIONS = {
+  pulse: { scale: [1, 1.03, 1], transition: { duration: 0.35, repeat: 2 } },
+  rise: {
+    y: [0, -14, 0],
+    scale: [1, 1.04, 1],
+    transition: { duration: 0.5, ease: 'easeOut', repeat: 1 },
+  },
+  flip: {
+    transformPerspective: 800,
+    rotateX: [0, 90, 0],
+    transition: { duration: 0.6, ease: 'easeInOut' },
+  },
+};
+
 const optionVariants = {
   hidden: { opacity: 0, scale: 0.92, y: 12 },
   visible: {
@@ -136,15 +228,101 @@ const optionVariants = {
 
 // ── Option button ──────────────────────────────────────────────────────────────
 
+/** Option label badge (A / B / C / D). */
+function OptionBadge({ optionKey, state }) {
+  const badgeStyle = BADGE_STYLE[state] ?? BADGE_STYLE.default;
+
+  return (
+    <span
+      className="shrink-0 w-10 h-10 flex items-center justify-center rounded-full font-black"
+      style={{
+        fontSize: '1.25rem',
+        ...badgeStyle,
+        transition:
+          'background 0.4s ease, border-color 0.4s ease, color 0.4s ease',
+      }}>
+      {optionKey}
+    </span>
+  );
+}
+
+/**
+ * Option text with its translation subtitle, when present; the pair shrinks
+ * together to stay inside the frame.
+ */
+function OptionLabel({ text, subtitle, languages, state, centered = false }) {
+  const fitRef = useFitText(TEXT_SIZES, `${text}|${subtitle}`);
+
+  return (
+    <span
+      ref={fitRef}
+      lang={languages.primary}
+      className={`flex flex-col min-w-0 flex-1 ${centered ? 'text-center' : ''}`}
+      style={{
+        fontFamily: 'var(--font-question)',
+        fontWeight: 500,
+        lineHeight: 1.35,
+        maxHeight: TEXT_MAX_HEIGHT,
+        overflow: 'hidden',
+        transition: 'color 0.4s ease',
+        letterSpacing: '0.05em',
+      }}>
+      <span>{text}</span>
+      {subtitle && (
+        <span
+          lang={languages.secondary}
+          style={{
+            fontSize: '0.65em',
+            color: state === 'dimmed' ? 'inherit' : 'var(--c-text-dim)',
+            letterSpacing: '0.02em',
+          }}>
+          {subtitle}
+        </span>
+      )}
+    </span>
+  );
+}
+
+/** Picture of a picture option — faded for post-reveal bystanders. */
+function OptionImage({ src, alt, state, className }) {
+  return (
+    <img
+      src={src}
+      alt={alt ?? ''}
+      className={`object-contain ${className}`}
+      style={{
+        opacity: state === 'dimmed' ? 0.35 : 1,
+        transition: 'opacity 0.4s ease',
+      }}
+      draggable={false}
+    />
+  );
+}
+
 /**
  * Single option button backed by WwbamShape.
  * Handles state-driven shape colour, text colour, badge colour, and Framer
  * Motion pulse animations (selected: continuous; correct/wrong: brief flash).
+ *
+ * Two variants:
+ *   shape — the classic bar: badge, optional picture thumbnail, text
+ *   card  — a taller frame with the picture on top and badge + caption under
+ *           it, for "which flag / which logo" rounds
  */
-function OptionButton({ optionKey, optionText, state }) {
+function OptionButton({
+  optionKey,
+  image,
+  text,
+  subtitle,
+  languages,
+  state,
+  variant,
+  size,
+  reveal,
+}) {
   const shapeState = SHAPE_STATE[state] ?? 'default';
   const textColor = TEXT_COLOR[state] ?? 'var(--c-text)';
-  const badgeStyle = BADGE_STYLE[state] ?? BADGE_STYLE.default;
+  const isCard = variant === 'card';
 
   const pulseAnimate =
     state === 'selected'
@@ -153,50 +331,76 @@ function OptionButton({ optionKey, optionText, state }) {
           transition: { duration: 1.4, repeat: Infinity },
         }
       : state === 'correct' || state === 'wrong'
-        ? { scale: [1, 1.03, 1], transition: { duration: 0.35, repeat: 2 } }
+        ? REVEAL_ANIMATIONS[reveal]
         : {};
 
+  const contentStyle = { color: textColor, transition: 'color 0.4s ease' };
+
   return (
     <motion.div
       variants={optionVariants}
       animate={pulseAnimate}
       className="w-full flex">
       <WwbamShape
-        size="medium"
+        size={size}
         state={shapeState}
         strokeWidth={3}
-        className="flex-1">
+        className="flex-1"
+        {...(isCard && CARD_GEOMETRY)}>
         {/* Skip rendering inner content for near-invisible removed placeholders */}
-        {state !== 'removed' && (
-          <div
-            className="flex items-center gap-4 w-full py-5 cursor-default select-none"
-            style={{ color: textColor, transition: 'color 0.4s ease' }}>
-            {/* Option label badge (A / B / C / D) */}
-            <span
-              className="shrink-0 w-10 h-10 flex items-center justify-center rounded-full font-black"
-              style={{
-                fontSize: '1.25rem',
-                ...badgeStyle,
-                transition:
-                  'background 0.4s ease, border-color 0.4s ease, color 0.4s ease',
-              }}>
-              {optionKey}
-            </span>
-
-            {/* Option text */}
-            <span
-              style={{
-                fontFamily: 'var(--font-question)',
-                fontSize: '1.5rem',
-                fontWeight: 500,
-                lineHeight: 1.35,
-                transition: 'color 0.4s ease',
-                letterSpacing: '0.05em',
-              }}>
-              {optionText}
-            </span>
-          </div>
-        )}
+        {state !== 'removed' &&
+          (isCard ? (
+            <div
+              className="flex flex-col items-center gap-3 w-full py-4 cursor-default select-none"
+              style={contentStyle}>
+              {image && (
+                <div
+                  className="w-full flex items-center justify-center"
+                  style={{ height: CARD_IMAGE_HEIGHT }}>
+                  <OptionImage
+                    src={image}
+                    alt={text}
+                    state={state}
+                    className="max-w-full max-h-full"
+                  />
+                </div>
+              )}
+              <div className="flex items-center justify-center gap-3 w-full">
+                <OptionBadge optionKey={optionKey} state={state} />
+                {text && (
+                  <OptionLabel
+                    text={text}
+                    subtitle={subtitle}
+                    languages={languages}
+                    state={state}
+                    centered
+                  />
+                )}
+              </div>
+            </div>
+          ) : (
+            <div
+              className="flex items-center gap-4 w-full py-5 cursor-default select-none"
+              style={contentStyle}>
+              <OptionBadge optionKey={optionKey} state={state} />
+              {image && (
+                <OptionImage
+                  src={image}
+                  alt={text}
+                  state={state}
+                  className="shrink-0 h-16 w-24 rounded"
+                />
+              )}
+              {text && (
+                <OptionLabel
+                  text={text}
+                  subtitle={subtitle}
+                  languages={languages}
+                  state={state}
+                />
+              )}
+            </div>
+          ))}
       </WwbamShape>
     </motion.div>
   );
@@ -207,8 +411,15 @@ function OptionButton({ optionKey, optionText, state }) {
 /**
  * OptionGrid
  *
- * Renders a 2×2 grid of WWBAM option buttons, each backed by WwbamShape.
- * Options stagger in A → B → C → D with 150 ms between each.
+ * Renders the option buttons for the question's type (`current-question/type`,
+ * see constants/questionTypes.js), each backed by WwbamShape:
+ *   four-option  — 2×2 grid (default)
+ *   three-option — centred 3-up row
+ *   true-false   — two full-width bars; "True" / "False" when the host sends
+ *                  no option text
+ * Options stagger in A → B → … with 150 ms between each. The type also picks
+ * the reveal animation of the correct / wrong option. Numeric questions have
+ * no options — GameScreen shows NumericReveal instead.
  *
  * State → WwbamShape mapping:
  *   default  → blue shimmer   (idle)
@@ -218,22 +429,69 @@ function OptionButton({ optionKey, optionText, state }) {
  *   dimmed   → slate shimmer  (post-reveal bystander — visible but inactive)
  *   removed  → near-invisible (50/50 lifeline placeholder, preserves grid space)
  *
+ * Lifeline effects on individual options come from the lifeline registry
+ * (constants/lifelines.js) — see deriveOptionState. They always look at the
+ * base `options`, which is what the host panel edits (50/50 deletes there).
+ *
+ * Bilingual questions show each option in the primary language with the
+ * secondary one beneath (see utils/questionText.js). A translation that
+ * lacks an option falls back to the base text; a subtitle identical to the
+ * main line (names, numbers) is not repeated.
+ *
+ * Picture options (`{ image, caption }`) keep every state above. They use
+ * the taller card variant unless the question sets `option-style: 'shape'`
+ * (a thumbnail inside the classic bar); text questions can opt into cards
+ * with `option-style: 'card'`. Translations only replace the caption — the
+ * picture always comes from the base options.
+ *
  * @param {{
- *   options:        { A: string, B: string, C: string, D: string } | null,
- *   optionsVisible: boolean,
+ *   question:        object | null,  - current-question (options + translations)
+ *   primaryLanguage: string,         - preferred main-line language (LOCALES key)
+ *   optionsVisible:  boolean,
  *   selectedOption: string | null,
  *   correctOption:  string | null,
  *   answerRevealed: boolean,
  *   activeLifeline: string | null,
+ *   lifelineData:   object | null,  - game-state/lifeline-data (per-lifeline extras)
+ *   singleColumn?:  boolean,        - one full-width bar per option (portrait layout)
+ *   highlightOption?: string | null, - crew views only: the known answer, shown
+ *                                      green before the reveal (PresenterScreen)
  * }} props
  */
 export default function OptionGrid({
-  options,
+  question,
+  primaryLanguage,
   optionsVisible,
   selectedOption,
   correctOption,
   answerRevealed,
+  activeLifeline,
+  lifelineData,
+  singleColumn = false,
+  highlightOption = null,
 }) {
+  const copy = useCopy();
+  const questionType = getQuestionType(question?.type);
+  const layout = singleColumn
+    ? LAYOUTS.wide
+    : (LAYOUTS[questionType.layout] ?? LAYOUTS.grid);
+  const options = resolveOptions(question?.options ?? null, questionType, copy);
+  const languages = resolveQuestionLanguages(question, primaryLanguage);
+  const primaryOptions = getLocalizedField(
+    question,
+    'options',
+    languages.primary,
+  );
+  const secondaryOptions = getLocalizedField(
+    question,
+    'options',
+    languages.secondary,
+  );
+  const hasPictures = questionType.optionKeys.some(
+    (key) => toOptionContent(getOptionText(options, key))?.image,
+  );
+  const variant = question?.optionStyle ?? (hasPictures ? 'card' : 'shape');
+
   return (
     <div className="w-full max-w-7xl">
       <AnimatePresence mode="wait">
@@ -244,23 +502,38 @@ export default function OptionGrid({
             initial="hidden"
             animate="visible"
             exit="exit"
-            className="grid grid-cols-2 gap-3">
-            {OPTION_KEYS.map((key) => {
-              const text = getOptionText(options, key);
-              const state = deriveOptionState(
-                key,
-                text,
+            className={layout.className}>
+            {questionType.optionKeys.map((key) => {
+              const baseValue = getOptionText(options, key);
+              const base = toOptionContent(baseValue);
+              const primary = toOptionContent(
+                getOptionText(primaryOptions, key),
+              );
+              const text = primary?.text ?? base?.text ?? null;
+              const subtitle =
+                toOptionContent(getOptionText(secondaryOptions, key))?.text ??
+                null;
+              const state = deriveOptionState(key, baseValue, {
                 answerRevealed,
                 correctOption,
                 selectedOption,
-              );
+                highlightOption,
+                activeLifeline,
+                lifelineData,
+              });
 
               return (
                 <OptionButton
                   key={key}
                   optionKey={key}
-                  optionText={text}
+                  image={base?.image ?? null}
+                  text={text}
+                  subtitle={subtitle !== text ? subtitle : null}
+                  languages={languages}
                   state={state}
+                  variant={variant}
+                  size={layout.shapeSize}
+                  reveal={questionType.reveal}
                 />
               );
             })}
@@ -2,6 +2,13 @@
 
 import { motion, AnimatePresence } from 'framer-motion';
 import WwbamShape from '@components/ui/WwbamShape';
+import QuestionMedia from '@components/question/QuestionMedia';
+import { useCopy } from '@hooks/useLocale';
+import { useFitText } from '@hooks/useFitText';
+import {
+  getLocalizedField,
+  resolveQuestionLanguages,
+} from '@utils/questionText';
 
 // ── Animation variants ─────────────────────────────────────────────────────────
 
@@ -11,6 +18,12 @@ const cardVariants = {
   exit: { opacity: 0, y: -12, transition: { duration: 0.3, ease: 'easeIn' } },
 };
 
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/** Question text font range (rem) — shrinks to fit up to 3 lines + subtitle. */
+const TEXT_SIZES = { max: 2.25, min: 1.25 };
+const TEXT_MAX_HEIGHT = '10.5rem';
+
 // ── Component ──────────────────────────────────────────────────────────────────
 
 /**
@@ -22,23 +35,50 @@ const cardVariants = {
  * Both elements animate together as a single unit on question change.
  * Renders an invisible placeholder when hidden to keep the layout stable.
  *
+ * Bilingual questions (`text` + `text-si`, …) show the primary language as
+ * the main line and the other as a dimmer subtitle; see utils/questionText.js.
+ * The text shrinks to fit the shape rather than overflowing it (useFitText).
+ *
+ * Rich-media questions (`media`) add a framed QuestionMedia panel — to the
+ * left of the text for images and video, under it for audio — unless the
+ * question's `media.layout` says otherwise.
+ *
  * @param {{
  *   question:              object | null,
  *   questionVisible:       boolean,
  *   currentQuestionNumber: number | null,
+ *   primaryLanguage:       string,  - preferred main-line language (LOCALES key)
+ *   mediaPlaying?:         boolean, - game-state/media-playing
+ *   mediaVolume?:          number,  - 0–1
+ *   label?:                string,  - badge label instead of "Question"
  * }} props
  */
 export default function QuestionCard({
   question,
   questionVisible,
   currentQuestionNumber,
+  primaryLanguage,
+  mediaPlaying = false,
+  mediaVolume = 1,
+  label,
 }) {
+  const copy = useCopy();
+  const { primary, secondary } = resolveQuestionLanguages(
+    question,
+    primaryLanguage,
+  );
+  const primaryText = getLocalizedField(question, 'text', primary);
+  const secondaryText = getLocalizedField(question, 'text', secondary);
+  const textRef = useFitText(TEXT_SIZES, `${primaryText}|${secondaryText}`);
+  const media = question?.media ?? null;
+  const isMediaBeside = media?.layout === 'beside';
+
   return (
     <div className="w-full max-w-7xl">
       <AnimatePresence mode="wait">
         {questionVisible && question ? (
           <motion.div
-            key={question.id ?? currentQuestionNumber}
+            key={question.id ?? currentQuestionNumber ?? label}
             variants={cardVariants}
             initial="hidden"
             animate="visible"
@@ -56,32 +96,71 @@ export default function QuestionCard({
                   <span
                     className="wwbam-label"
                     style={{ letterSpacing: '0.25em' }}>
-                    Question
-                  </span>
-                  <span
-                    className="wwbam-text-gold-gradient"
-                    style={{
-                      fontFamily: 'var(--font-numeric)',
-                      fontSize: '1.3rem',
-                      lineHeight: 1,
-                    }}>
-                    {currentQuestionNumber}
+                    {label ?? copy.QUESTION.LABEL}
                   </span>
+                  {currentQuestionNumber != null && (
+                    <span
+                      className="wwbam-text-gold-gradient"
+                      style={{
+                        fontFamily: 'var(--font-numeric)',
+                        fontSize: '1.3rem',
+                        lineHeight: 1,
+                      }}>
+                      {currentQuestionNumber}
+                    </span>
+                  )}
                 </div>
               </WwbamShape>
             </div>
 
-            {/* ── Question text card ───────────────────────────────────────── */}
-            <div className="w-full flex">
+            {/* ── Question text card (+ media panel) ──────────────────────── */}
+            <div
+              className={`w-full flex gap-6 ${isMediaBeside ? 'items-center' : 'flex-col items-center'}`}>
+              {media && isMediaBeside && (
+                <div className="shrink-0" style={{ width: '36%' }}>
+                  <QuestionMedia
+                    media={media}
+                    isPlaying={mediaPlaying}
+                    volume={mediaVolume}
+                  />
+                </div>
+              )}
+
               <WwbamShape
                 size="wide"
                 state="default"
                 strokeWidth={6}
-                className="flex-1">
+                className={isMediaBeside ? 'flex-1' : 'w-full'}>
                 <div className="flex items-center justify-center py-12 w-full text-center">
-                  <p className="wwbam-question-text">{question.text}</p>
+                  <p
+                    ref={textRef}
+                    lang={primary}
+                    className="wwbam-question-text w-full"
+                    style={{ maxHeight: TEXT_MAX_HEIGHT, overflow: 'hidden' }}>
+                    {primaryText}
+                    {secondaryText && (
+                      <span
+                        lang={secondary}
+                        className="block mt-2"
+                        style={{
+                          fontSize: '0.6em',
+                          fontWeight: 500,
+                          color: 'var(--c-text-dim)',
+                        }}>
+                        {secondaryText}
+                      </span>
+                    )}
+                  </p>
                 </div>
               </WwbamShape>
+
+              {media && !isMediaBeside && (
+                <QuestionMedia
+                  media={media}
+                  isPlaying={mediaPlaying}
+                  volume={mediaVolume}
+                />
+              )}
             </div>
           </motion.div>
         ) : (
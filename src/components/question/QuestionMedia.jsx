@@ -0,0 +1,163 @@
+// src/components/question/QuestionMedia.jsx
+
+import { useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Music } from 'lucide-react';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+const FRAME_STYLE = {
+  background: 'var(--c-shape-fill)',
+  border: '2px solid var(--c-blue-mid)',
+  boxShadow: '0 0 24px rgba(74, 143, 232, 0.3)',
+};
+
+/** Equalizer bar heights (px) the audio strip cycles through while playing. */
+const BAR_HEIGHTS = [
+  [8, 22, 12],
+  [18, 8, 24],
+  [12, 26, 10],
+  [22, 12, 18],
+  [10, 20, 14],
+];
+
+// ── Playback ───────────────────────────────────────────────────────────────────
+
+/**
+ * Starts / stops an <audio> or <video> element with the host's
+ * `media-playing` flag. A new clip starts from the beginning.
+ */
+function usePlayback(ref, src, isPlaying, volume) {
+  useEffect(() => {
+    if (ref.current) ref.current.volume = volume;
+  }, [ref, volume]);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+
+    if (isPlaying) {
+      element.play().catch((error) => {
+        console.warn('⚠️ Question media did not start:', error.message);
+      });
+    } else {
+      element.pause();
+    }
+  }, [ref, src, isPlaying]);
+}
+
+// ── Variants ───────────────────────────────────────────────────────────────────
+
+function ImagePanel({ media }) {
+  return (
+    <img
+      src={media.src}
+      alt={media.caption ?? ''}
+      className="block w-full h-full object-contain"
+    />
+  );
+}
+
+function VideoPanel({ media, isPlaying, volume }) {
+  const videoRef = useRef(null);
+  usePlayback(videoRef, media.src, isPlaying, volume);
+
+  return (
+    <video
+      ref={videoRef}
+      src={media.src}
+      poster={media.poster ?? undefined}
+      preload="auto"
+      playsInline
+      className="block w-full h-full object-contain"
+    />
+  );
+}
+
+function AudioStrip({ media, isPlaying, volume }) {
+  const audioRef = useRef(null);
+  usePlayback(audioRef, media.src, isPlaying, volume);
+
+  return (
+    <div className="flex items-center justify-center gap-4 px-6 py-3">
+      <audio ref={audioRef} src={media.src} preload="auto" />
+      <Music
+        size={22}
+        strokeWidth={2}
+        style={{ color: isPlaying ? 'var(--c-gold)' : 'var(--c-text-dim)' }}
+      />
+      <div className="flex items-end gap-1" style={{ height: '26px' }}>
+        {BAR_HEIGHTS[0].map((height, index) => (
+          <motion.span
+            key={index}
+            className="w-1.5 rounded-full"
+            style={{ background: 'var(--c-gold)' }}
+            animate={{
+              height: isPlaying
+                ? BAR_HEIGHTS.map((heights) => heights[index])
+                : 4,
+            }}
+            transition={
+              isPlaying
+                ? { duration: 1.2, repeat: Infinity, ease: 'easeInOut' }
+                : { duration: 0.3 }
+            }
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * QuestionMedia
+ *
+ * The framed media panel of a rich-media question (`current-question/media`),
+ * rendered by QuestionCard beside or below the question text:
+ *
+ *   image — fitted inside the frame
+ *   video — plays while `game-state/media-playing` is true, pauses otherwise
+ *   audio — a slim strip with an equalizer that moves while the clip plays
+ *
+ * Files are already cached by the time the question is revealed — GameScreen
+ * preloads them when the question loads (useMediaPreload).
+ *
+ * @param {{
+ *   media:     { type: string, src: string, caption: string|null, poster: string|null },
+ *   isPlaying: boolean,  - game-state/media-playing
+ *   volume:    number,   - 0–1, from config/audio
+ * }} props
+ */
+export default function QuestionMedia({ media, isPlaying, volume }) {
+  const isAudio = media.type === 'audio';
+
+  return (
+    <figure className="flex flex-col items-center gap-2 m-0">
+      <div
+        className="rounded-xl overflow-hidden"
+        style={{
+          ...FRAME_STYLE,
+          width: isAudio ? 'auto' : '100%',
+          height: isAudio ? 'auto' : '16rem',
+        }}>
+        {media.type === 'image' && <ImagePanel media={media} />}
+        {media.type === 'video' && (
+          <VideoPanel media={media} isPlaying={isPlaying} volume={volume} />
+        )}
+        {isAudio && (
+          <AudioStrip media={media} isPlaying={isPlaying} volume={volume} />
+        )}
+      </div>
+
+      {media.caption && (
+        <figcaption
+          className="wwbam-label"
+          style={{ color: 'var(--c-text-dim)' }}>
+          {media.caption}
+        </figcaption>
+      )}
+    </figure>
+  );
+}
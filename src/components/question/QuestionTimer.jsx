@@ -0,0 +1,178 @@
+// src/components/question/QuestionTimer.jsx
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { useTimestampCountdown } from '@hooks/useTimestampCountdown';
+import { useCopy } from '@hooks/useLocale';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/** Seconds left at which the clock turns amber. */
+const WARNING_AT_SECONDS = 10;
+
+/** Seconds left at which the clock turns red and starts pulsing. */
+const EXPIRING_AT_SECONDS = 5;
+
+/** Clock diameter in px, and ring geometry inside a 100×100 viewBox. */
+const CLOCK_SIZE = 112;
+const RING_RADIUS = 44;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+/** Ring + numeral colours per clock state — token-driven. */
+const CLOCK_COLOR = {
+  running: {
+    ring: 'var(--c-blue-mid)',
+    text: 'var(--c-text)',
+  },
+  warning: {
+    ring: 'var(--c-gold)',
+    text: 'var(--c-gold)',
+  },
+  expiring: {
+    ring: 'var(--c-red-mid)',
+    text: 'var(--c-red-light)',
+  },
+  expired: {
+    ring: 'var(--c-red-deep)',
+    text: 'var(--c-red-light)',
+  },
+};
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const clockVariants = {
+  hidden: { opacity: 0, scale: 0.8 },
+  visible: { opacity: 1, scale: 1, transition: { duration: 0.4 } },
+  exit: { opacity: 0, scale: 0.9, transition: { duration: 0.25 } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * QuestionTimer
+ *
+ * Circular answer clock rendered above QuestionCard once the host starts the
+ * question timer (`game-state/question-timer-started-at`).
+ *
+ * Uses the shared useTimestampCountdown hook, so a display that reconnects
+ * mid-question resumes at the correct remaining time.
+ *
+ * States:
+ *   running  — blue ring draining clockwise, white seconds
+ *   warning  — ≤ 10s: amber ring + numerals
+ *   expiring — ≤ 5s:  red ring, pulsing numerals
+ *   expired  — "Time's up" label in place of the numerals
+ *
+ * @param {{
+ *   startedAt: number,  - Unix ms timestamp from Firebase
+ *   timeLimit: number,  - Seconds allowed for this question
+ * }} props
+ */
+export default function QuestionTimer({ startedAt, timeLimit }) {
+  const copy = useCopy();
+  const { secondsLeft, progressPct, hasExpired, isWarning, isExpiring } =
+    useTimestampCountdown(startedAt, timeLimit, {
+      warningAt: WARNING_AT_SECONDS,
+      expiringAt: EXPIRING_AT_SECONDS,
+    });
+
+  const clockState = hasExpired
+    ? 'expired'
+    : isExpiring
+      ? 'expiring'
+      : isWarning
+        ? 'warning'
+        : 'running';
+  const colors = CLOCK_COLOR[clockState];
+
+  const dashOffset = RING_CIRCUMFERENCE * (1 - progressPct / 100);
+
+  return (
+    <motion.div
+      className="relative flex items-center justify-center shrink-0"
+      style={{ width: CLOCK_SIZE, height: CLOCK_SIZE }}
+      variants={clockVariants}
+      initial="hidden"
+      animate="visible"
+      exit="exit">
+      {/* ── Ring ────────────────────────────────────────────────────────── */}
+      <svg
+        aria-hidden="true"
+        className="absolute inset-0 w-full h-full"
+        viewBox="0 0 100 100"
+        style={{ transform: 'rotate(-90deg)' }}>
+        <circle
+          cx="50"
+          cy="50"
+          r={RING_RADIUS + 4}
+          style={{ fill: 'var(--c-screen-bg-overlay)' }}
+        />
+        <circle
+          cx="50"
+          cy="50"
+          r={RING_RADIUS}
+          fill="none"
+          strokeWidth="6"
+          style={{ stroke: 'var(--c-used-stroke-mid)' }}
+        />
+        <circle
+          cx="50"
+          cy="50"
+          r={RING_RADIUS}
+          fill="none"
+          strokeWidth="6"
+          strokeLinecap="round"
+          strokeDasharray={RING_CIRCUMFERENCE}
+          strokeDashoffset={dashOffset}
+          style={{
+            stroke: colors.ring,
+            transition: 'stroke-dashoffset 1s linear, stroke 0.4s ease',
+          }}
+        />
+      </svg>
+
+      {/* ── Readout ─────────────────────────────────────────────────────── */}
+      <AnimatePresence mode="wait">
+        {hasExpired ? (
+          <motion.span
+            key="expired"
+            className="relative wwbam-label text-center"
+            style={{
+              color: colors.text,
+              fontSize: '0.8rem',
+              letterSpacing: '0.15em',
+            }}
+            initial={{ opacity: 0, scale: 0.8 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0 }}>
+            {copy.QUESTION_TIMER.TIMES_UP}
+          </motion.span>
+        ) : (
+          <motion.span
+            key="seconds"
+            className="relative"
+            style={{
+              fontFamily: 'var(--font-numeric)',
+              fontSize: '2.6rem',
+              lineHeight: 1,
+              color: colors.text,
+              transition: 'color 0.4s ease',
+            }}
+            initial={{ opacity: 0 }}
+            animate={
+              isExpiring
+                ? { opacity: 1, scale: [1, 1.12, 1] }
+                : { opacity: 1, scale: 1 }
+            }
+            exit={{ opacity: 0 }}
+            transition={{
+              duration: isExpiring ? 0.6 : 0.3,
+              repeat: isExpiring ? Infinity : 0,
+              ease: 'easeInOut',
+            }}>
+            {secondsLeft}
+          </motion.span>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
@@ -0,0 +1,154 @@
+// src/components/replay/ReplayControls.jsx
+
+import { useEffect, useState } from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
+import { Pause, Play } from 'lucide-react';
+import {
+  REPLAY_SPEEDS,
+  pauseReplay,
+  playReplay,
+  seekReplay,
+  setReplaySpeed,
+} from '@store/replayPlayer';
+import { COPY_REPLAY } from '@constants/app';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/** How far (ms of recorded time) the arrow keys jump. */
+const SEEK_STEP_MS = 10_000;
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const barVariants = {
+  hidden: { opacity: 0, y: 24 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.3, ease: 'easeOut' } },
+  exit: { opacity: 0, y: 24, transition: { duration: 0.2, ease: 'easeIn' } },
+};
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/** Wall-clock time of a recorded Unix ms timestamp, e.g. "21:42:07". */
+const formatClock = (ms) =>
+  new Date(ms).toLocaleTimeString('en-GB', { hour12: false });
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * ReplayControls
+ *
+ * Transport bar pinned to the bottom of the screen in `?replay=` mode:
+ * play/pause, playback speed, a seek slider and the recorded wall-clock time
+ * at the playhead (so "what did the screen show at 9:42pm" is a drag away).
+ *
+ * Keyboard:
+ *   Space        — play / pause
+ *   ← / →        — seek back / forward 10 s
+ *   H            — hide / show the bar (for clean screenshots)
+ *
+ * Rendered by App above whichever screen is active.
+ *
+ * @param {{
+ *   isPlaying: boolean,
+ *   speed:     number,
+ *   position:  number,  - playhead, recorded server Unix ms
+ *   startedAt: number,
+ *   endedAt:   number,
+ * }} props
+ */
+export default function ReplayControls({
+  isPlaying,
+  speed,
+  position,
+  startedAt,
+  endedAt,
+}) {
+  const [isHidden, setIsHidden] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.target instanceof HTMLInputElement) return;
+
+      if (event.code === 'Space') {
+        event.preventDefault();
+        if (isPlaying) pauseReplay();
+        else playReplay();
+      } else if (event.code === 'ArrowLeft') {
+        seekReplay(position - SEEK_STEP_MS);
+      } else if (event.code === 'ArrowRight') {
+        seekReplay(position + SEEK_STEP_MS);
+      } else if (event.code === 'KeyH') {
+        setIsHidden((hidden) => !hidden);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isPlaying, position]);
+
+  const PlayPauseIcon = isPlaying ? Pause : Play;
+
+  return (
+    <AnimatePresence>
+      {!isHidden && (
+        <motion.div
+          key="replay-controls"
+          className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[80] flex items-center gap-5 px-6 py-3 rounded-full"
+          style={{
+            background: 'var(--c-screen-bg-overlay)',
+            border: '1px solid var(--c-border-subtle)',
+            width: 'min(960px, 90vw)',
+          }}
+          variants={barVariants}
+          initial="hidden"
+          animate="visible"
+          exit="exit">
+          <span className="wwbam-label" style={{ color: 'var(--c-gold)' }}>
+            {COPY_REPLAY.BADGE}
+          </span>
+
+          <button
+            type="button"
+            onClick={isPlaying ? pauseReplay : playReplay}
+            aria-label={isPlaying ? COPY_REPLAY.PAUSE : COPY_REPLAY.PLAY}
+            className="shrink-0 cursor-pointer"
+            style={{ color: 'var(--c-text)' }}>
+            <PlayPauseIcon size={20} strokeWidth={2} />
+          </button>
+
+          <input
+            type="range"
+            min={startedAt}
+            max={endedAt}
+            step={1000}
+            value={position}
+            onChange={(event) => seekReplay(Number(event.target.value))}
+            className="flex-1 cursor-pointer"
+            style={{ accentColor: 'var(--c-gold)' }}
+          />
+
+          <span
+            className="wwbam-label tabular-nums shrink-0"
+            style={{ color: 'var(--c-text-dim)' }}>
+            {formatClock(position)} / {formatClock(endedAt)}
+          </span>
+
+          <div className="flex gap-1 shrink-0">
+            {REPLAY_SPEEDS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setReplaySpeed(option)}
+                className="wwbam-label px-2 py-1 rounded cursor-pointer"
+                style={{
+                  color:
+                    option === speed ? 'var(--c-gold)' : 'var(--c-text-muted)',
+                }}>
+                {option}×
+              </button>
+            ))}
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
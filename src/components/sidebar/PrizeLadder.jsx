@@ -3,7 +3,9 @@
 import { useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
 import { formatPrize } from '@utils/formatters';
+import { interpolate } from '@utils/messages';
 
 // ── Constants ──────────────────────────────────────────────────────────────────
 
@@ -13,6 +15,8 @@ import { formatPrize } from '@utils/formatters';
  *  current   → selected  (amber shimmer — active question)
  *  completed → default   (blue shimmer  — already answered)
  *  upcoming  → used      (slate shimmer — not yet reached)
+ *
+ * Milestone rows use the `milestone` shape (gold) in every state but current.
  */
 const SHAPE_STATE = {
   current: 'selected',
@@ -20,6 +24,12 @@ const SHAPE_STATE = {
   upcoming: 'used',
 };
 
+/**
+ * Rows shown by the compact corner widget (stream overlay mode) and the
+ * horizontal strip (portrait layout).
+ */
+const COMPACT_ROWS = 5;
+
 /** Derive which logical state a row is in. */
 function deriveRowState(questionNumber, currentQuestionNumber) {
   if (questionNumber === currentQuestionNumber) return 'current';
@@ -28,6 +38,20 @@ function deriveRowState(questionNumber, currentQuestionNumber) {
   return 'upcoming';
 }
 
+/**
+ * Question numbers of the compact window — COMPACT_ROWS rows centred on the
+ * current question, clamped to the ladder.
+ */
+function compactWindow(total, currentQuestionNumber) {
+  const size = Math.min(COMPACT_ROWS, total);
+  const centre = currentQuestionNumber || 1;
+  const first = Math.min(
+    Math.max(1, centre - Math.floor(size / 2)),
+    total - size + 1,
+  );
+  return { first, last: first + size - 1 };
+}
+
 // ── Component ──────────────────────────────────────────────────────────────────
 
 /**
@@ -41,15 +65,33 @@ function deriveRowState(questionNumber, currentQuestionNumber) {
  *  - current   → amber shimmer (selected)
  *  - completed → blue shimmer  (default — already answered)
  *  - upcoming  → slate shimmer (used    — not yet reached)
+ *  - milestone → gold stroke and text (safe haven), unless current
  *
  * Auto-scrolls so the current question row is always in view.
  *
+ * `compact` (stream overlay corner widget) shows only the COMPACT_ROWS rows
+ * around the current question, at its natural height instead of filling the
+ * sidebar.
+ *
+ * `horizontal` (portrait layout) shows the same window as a strip of cells,
+ * lowest question on the left, with the prize under the question number.
+ *
  * @param {{
  *   prizeStructure:        number[],    // index 0 = Q1 prize
+ *   milestones:            number[],    // safe-haven question numbers
  *   currentQuestionNumber: number|null,
+ *   compact?:              boolean,
+ *   horizontal?:           boolean,
  * }} props
  */
-export default function PrizeLadder({ prizeStructure, currentQuestionNumber }) {
+export default function PrizeLadder({
+  prizeStructure,
+  milestones,
+  currentQuestionNumber,
+  compact = false,
+  horizontal = false,
+}) {
+  const copy = useCopy();
   const currentRef = useRef(null);
 
   // Scroll current question into view whenever it changes
@@ -65,14 +107,34 @@ export default function PrizeLadder({ prizeStructure, currentQuestionNumber }) {
   if (!prizeStructure?.length) return null;
 
   // Build rows top-to-bottom: highest question number first
-  const rows = prizeStructure
+  // (left-to-right from the lowest when horizontal)
+  const { first, last } =
+    compact || horizontal
+      ? compactWindow(prizeStructure.length, currentQuestionNumber)
+      : { first: 1, last: prizeStructure.length };
+  const windowRows = prizeStructure
     .map((prize, index) => ({ questionNumber: index + 1, prize }))
-    .reverse();
+    .filter(
+      ({ questionNumber }) => questionNumber >= first && questionNumber <= last,
+    );
+  const rows = horizontal ? windowRows : windowRows.reverse();
 
   return (
-    <div className="h-full flex flex-col overflow-hidden pt-6">
+    <div
+      className={
+        compact || horizontal
+          ? 'flex flex-col'
+          : 'h-full flex flex-col overflow-hidden pt-6'
+      }>
       {/* Scrollable list */}
-      <div className="flex-1 overflow-y-auto scrollbar-none py-2 flex flex-col gap-1.5">
+      <div
+        className={
+          horizontal
+            ? 'flex gap-2'
+            : compact
+              ? 'flex flex-col gap-1'
+              : 'flex-1 overflow-y-auto scrollbar-none py-2 flex flex-col gap-1.5'
+        }>
         {rows.map(({ questionNumber, prize }) => {
           const rowState = deriveRowState(
             questionNumber,
@@ -80,33 +142,42 @@ export default function PrizeLadder({ prizeStructure, currentQuestionNumber }) {
           );
           const isCurrent = rowState === 'current';
           const isCompleted = rowState === 'completed';
+          const isMilestone = !isCurrent && milestones.includes(questionNumber);
 
           return (
             <motion.div
               key={questionNumber}
               ref={isCurrent ? currentRef : null}
               layout
-              className="flex">
+              className={horizontal ? 'flex flex-1 min-w-0' : 'flex'}>
               <WwbamShape
                 size="compact"
-                state={SHAPE_STATE[rowState]}
+                state={isMilestone ? 'milestone' : SHAPE_STATE[rowState]}
                 strokeWidth={2}
                 className="flex-1"
-                style={{ minHeight: '40px' }}>
-                <div className="flex items-center justify-between w-full px-4 py-1.5">
+                style={{ minHeight: horizontal ? '56px' : '40px' }}>
+                <div
+                  className={
+                    horizontal
+                      ? 'flex flex-col items-center justify-center w-full px-2 py-1.5'
+                      : 'flex items-center justify-between w-full px-4 py-1.5'
+                  }>
                   {/* Question number */}
                   <span
                     className="wwbam-label shrink-0"
                     style={{
-                      color: isCurrent
-                        ? 'var(--c-gold)'
-                        : isCompleted
-                          ? 'var(--c-text-dim)'
-                          : 'var(--c-used-text)',
+                      color:
+                        isCurrent || isMilestone
+                          ? 'var(--c-gold)'
+                          : isCompleted
+                            ? 'var(--c-text-dim)'
+                            : 'var(--c-used-text)',
                       fontSize: '0.7rem',
                       letterSpacing: '0.08em',
                     }}>
-                    Q{questionNumber}
+                    {interpolate(copy.PRIZE_LADDER.QUESTION, {
+                      number: questionNumber,
+                    })}
                   </span>
 
                   {/* Prize amount */}
@@ -114,11 +185,12 @@ export default function PrizeLadder({ prizeStructure, currentQuestionNumber }) {
                     style={{
                       fontFamily: 'var(--font-numeric)',
                       fontSize: '0.85rem',
-                      color: isCurrent
-                        ? 'var(--c-gold)'
-                        : isCompleted
-                          ? 'var(--c-text)'
-                          : 'var(--c-used-text)',
+                      color:
+                        isCurrent || isMilestone
+                          ? 'var(--c-gold)'
+                          : isCompleted
+                            ? 'var(--c-text)'
+                            : 'var(--c-used-text)',
                     }}>
                     {formatPrize(prize)}
                   </span>
@@ -3,6 +3,7 @@
 import { motion } from 'framer-motion';
 import { Play, CheckCircle2, Clock } from 'lucide-react';
 import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
 import { formatPrize } from '@utils/formatters';
 
 // ── Constants ──────────────────────────────────────────────────────────────────
@@ -42,6 +43,7 @@ const STATUS_CONFIG = {
  * All colours reference CSS tokens via JS constants or var() — no raw values.
  */
 function StatusRow({ status, currentPrize }) {
+  const copy = useCopy();
   const hasPrize = (currentPrize ?? 0) > 0;
   const dimColor = 'var(--c-used-text)';
   const iconSize = 11;
@@ -55,7 +57,7 @@ function StatusRow({ status, currentPrize }) {
         <span
           className="wwbam-label"
           style={{ color: 'var(--c-gold)', letterSpacing: '0.18em' }}>
-          Now Playing
+          {copy.TEAM_LIST.NOW_PLAYING}
         </span>
       </div>
     );
@@ -73,7 +75,7 @@ function StatusRow({ status, currentPrize }) {
             letterSpacing: hasPrize ? '0.02em' : '0.18em',
             textTransform: hasPrize ? 'none' : 'uppercase',
           }}>
-          {hasPrize ? formatPrize(currentPrize) : 'Done'}
+          {hasPrize ? formatPrize(currentPrize) : copy.TEAM_LIST.DONE}
         </span>
       </div>
     );
@@ -86,7 +88,7 @@ function StatusRow({ status, currentPrize }) {
       <span
         className="wwbam-label"
         style={{ color: dimColor, letterSpacing: '0.18em' }}>
-        Waiting
+        {copy.TEAM_LIST.WAITING}
       </span>
     </div>
   );
@@ -127,20 +129,33 @@ function sortByPlayQueue(teams, playQueue) {
  *   Row 1: [##]  [Team Name]
  *   Row 2:       [StatusRow]  ← always shown
  *
+ * `compact` (stream overlay corner widget) drops the status row and packs the
+ * cards tightly at their natural height — the amber card still marks the
+ * team in play.
+ *
  * @param {{
  *   teams:     Array,
  *   playQueue: string[],
+ *   compact?:  boolean,
  * }} props
  */
-export default function TeamList({ teams, playQueue }) {
+export default function TeamList({ teams, playQueue, compact = false }) {
   if (!teams?.length) return null;
 
   const orderedTeams = sortByPlayQueue(teams, playQueue);
 
   return (
-    <div className="h-full flex flex-col overflow-hidden pt-6">
+    <div
+      className={
+        compact ? 'flex flex-col' : 'h-full flex flex-col overflow-hidden pt-6'
+      }>
       {/* ── Team cards ────────────────────────────────────────────────── */}
-      <div className="flex-1 overflow-y-auto scrollbar-none py-2 flex flex-col gap-8">
+      <div
+        className={
+          compact
+            ? 'flex flex-col gap-1.5'
+            : 'flex-1 overflow-y-auto scrollbar-none py-2 flex flex-col gap-8'
+        }>
         {orderedTeams.map((team, index) => {
           const cfg = getStatusConfig(team.status);
 
@@ -151,7 +166,7 @@ export default function TeamList({ teams, playQueue }) {
                 state={cfg.shapeState}
                 strokeWidth={2}
                 className="flex-1"
-                style={{ minHeight: '60px' }}>
+                style={{ minHeight: compact ? '40px' : '60px' }}>
                 <div className="flex flex-col justify-center w-full px-2 py-2.5 gap-1">
                   {/* ── Row 1: position · team name ───────────────────── */}
                   <div className="flex items-baseline gap-2">
@@ -176,12 +191,14 @@ export default function TeamList({ teams, playQueue }) {
                   </div>
 
                   {/* ── Row 2: status indicator ───────────────────────── */}
-                  <div style={{ paddingLeft: '1.4rem' }}>
-                    <StatusRow
-                      status={team.status}
-                      currentPrize={team.currentPrize}
-                    />
-                  </div>
+                  {!compact && (
+                    <div style={{ paddingLeft: '1.4rem' }}>
+                      <StatusRow
+                        status={team.status}
+                        currentPrize={team.currentPrize}
+                      />
+                    </div>
+                  )}
                 </div>
               </WwbamShape>
             </motion.div>
@@ -1,28 +1,12 @@
 // src/components/topbar/LifelineIndicator.jsx
 
 import { motion } from 'framer-motion';
-import { Phone, PhoneOff, Zap, ZapOff } from 'lucide-react';
 import WwbamShape from '@components/ui/WwbamShape';
+import { getAvailabilityKey } from '@constants/lifelines';
+import { useCopy } from '@hooks/useLocale';
 
 // ── Constants ──────────────────────────────────────────────────────────────────
 
-const LIFELINES = [
-  {
-    key: 'phoneAFriend',
-    activeKey: 'phone-a-friend',
-    label: 'Phone a Friend',
-    Icon: Phone,
-    IconOff: PhoneOff,
-  },
-  {
-    key: 'fiftyFifty',
-    activeKey: 'fifty-fifty',
-    label: '50 / 50',
-    Icon: Zap,
-    IconOff: ZapOff,
-  },
-];
-
 /** WwbamShape state per lifeline state. */
 const SHAPE_STATE = {
   active: 'selected', // amber shimmer
@@ -30,13 +14,6 @@ const SHAPE_STATE = {
   used: 'used', // slate shimmer — visible but clearly spent
 };
 
-/** Status label text per lifeline state. */
-const STATUS_LABELS = {
-  active: 'In Use',
-  available: 'Available',
-  used: 'Used',
-};
-
 /** Icon colour per lifeline state — token-driven. */
 const ICON_COLOR = {
   active: 'var(--c-gold)',
@@ -54,45 +31,77 @@ const STATUS_LABEL_COLOR = {
 // ── Helpers ────────────────────────────────────────────────────────────────────
 
 function deriveState(lifeline, lifelinesAvailable, activeLifeline) {
-  if (activeLifeline === lifeline.activeKey) return 'active';
-  if (lifelinesAvailable?.[lifeline.key] === true) return 'available';
+  if (activeLifeline === lifeline.key) return 'active';
+  if (lifelinesAvailable?.[getAvailabilityKey(lifeline)] === true)
+    return 'available';
   return 'used';
 }
 
+/**
+ * Label and status text in the display language. The catalogue's LIFELINES
+ * group translates names and per-state overrides by lifeline key; English
+ * falls through to the registry's own label and `statusLabels`.
+ */
+function resolveText(lifeline, state, copy) {
+  const translated = copy.LIFELINES[lifeline.key];
+  const stateKey = state.toUpperCase();
+
+  return {
+    label: translated?.LABEL ?? lifeline.label,
+    status:
+      translated?.[stateKey] ??
+      lifeline.statusLabels?.[state] ??
+      copy.LIFELINE_STATUS[stateKey],
+  };
+}
+
 // ── Component ──────────────────────────────────────────────────────────────────
 
 /**
  * LifelineIndicator
  *
- * Renders TWO sibling elements — one per lifeline — using `display: contents`
- * on the wrapper so the PARENT grid in GameScreen directly controls each card's
- * column placement and width (cols 2 & 3 of the 2fr 1fr 1fr grid).
+ * Renders one sibling element per enabled lifeline using `display: contents`
+ * on the wrapper so the PARENT grid in GameScreen directly controls each
+ * card's column placement and width (one 1fr column per lifeline after the
+ * 2fr TeamInfoBar column).
+ *
+ * Lifelines, their labels and icons come from the registry in
+ * constants/lifelines.js — this component has no per-lifeline knowledge.
  *
  * Visual states:
  *   active    — amber/gold WwbamShape stroke, pulse ring on icon, "In Use" label
- *               Icon: Phone / Zap
+ *               Icon: lifeline.Icon
  *   available — blue WwbamShape stroke, full-brightness text
- *               Icon: Phone / Zap
+ *               Icon: lifeline.Icon
  *   used      — slate WwbamShape stroke, muted text
- *               Icon: PhoneOff / ZapOff (communicates spent state without extra decoration)
+ *               Icon: lifeline.IconOff (communicates spent state without extra decoration)
+ *
+ * Status sub-labels default to the LIFELINE_STATUS copy; a registry entry may
+ * override any of them via `statusLabels`. Names and overrides are translated
+ * through the catalogue's LIFELINES group (see resolveText).
  *
  * All colours are token-driven via CSS custom properties. No hardcoded values.
  *
  * @param {{
- *   lifelinesAvailable: { phoneAFriend: boolean, fiftyFifty: boolean } | null,
+ *   lifelines:          object[],     - Enabled registry entries, in display order
+ *   lifelinesAvailable: object|null,  - e.g. { phoneAFriend: true, fiftyFifty: false }
  *   activeLifeline:     string|null,
  * }} props
  */
 export default function LifelineIndicator({
+  lifelines,
   lifelinesAvailable,
   activeLifeline,
 }) {
+  const copy = useCopy();
+
   return (
     // display: contents — wrapper disappears from layout,
     // children become direct children of the parent grid
     <div style={{ display: 'contents' }}>
-      {LIFELINES.map((lifeline) => {
+      {lifelines.map((lifeline) => {
         const state = deriveState(lifeline, lifelinesAvailable, activeLifeline);
+        const text = resolveText(lifeline, state, copy);
         const shapeState = SHAPE_STATE[state];
         const isActive = state === 'active';
         const isUsed = state === 'used';
@@ -140,12 +149,12 @@ export default function LifelineIndicator({
                 <div className="flex flex-col">
                   <span
                     className={`wwbam-lifeline-label ${isUsed ? 'wwbam-used-text' : ''}`}>
-                    {lifeline.label}
+                    {text.label}
                   </span>
                   <span
                     className="wwbam-lifeline-status"
                     style={{ color: STATUS_LABEL_COLOR[state] }}>
-                    {STATUS_LABELS[state]}
+                    {text.status}
                   </span>
                 </div>
               </div>
@@ -1,8 +1,10 @@
 // src/components/topbar/TeamInfoBar.jsx
 
 import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
 import { formatPrize } from '@utils/formatters';
 import { formatParticipantFirstNames } from '@utils/participants';
+import { getGuaranteedPrize } from '@utils/milestones';
 
 /**
  * TeamInfoBar
@@ -10,7 +12,11 @@ import { formatParticipantFirstNames } from '@utils/participants';
  * Single wide WWBAM-style shape in the GameScreen top bar.
  * Contains three info clusters separated by vertical rules:
  *
- *   [ Now Playing / Team Name / Participants ] | [ Q# ] | [ Prize ]
+ *   [ Now Playing / Team Name / Participants ] | [ Q# ] | [ Prize ] | [ Guaranteed ]
+ *
+ * Guaranteed is the prize of the last safe-haven milestone the team has
+ * passed — what they keep if this question goes wrong. Hidden when the game
+ * has no milestones.
  *
  * Participants are shown as first names only — full names are reserved
  * for the TeamAnnouncement overlay.
@@ -19,17 +25,25 @@ import { formatParticipantFirstNames } from '@utils/participants';
  *   currentTeam:           object|null,
  *   currentQuestionNumber: number|null,
  *   prizeStructure:        number[],
+ *   milestones:            number[],
  * }} props
  */
 export default function TeamInfoBar({
   currentTeam,
   currentQuestionNumber,
   prizeStructure,
+  milestones,
 }) {
+  const copy = useCopy();
   const currentPrize =
     currentQuestionNumber && prizeStructure?.length
       ? (prizeStructure[currentQuestionNumber - 1] ?? 0)
       : 0;
+  const guaranteedPrize = getGuaranteedPrize(
+    prizeStructure,
+    milestones,
+    (currentQuestionNumber ?? 1) - 1,
+  );
 
   const participantFirstNames = formatParticipantFirstNames(
     currentTeam?.participants,
@@ -45,7 +59,7 @@ export default function TeamInfoBar({
       <div className="flex items-center w-full">
         {/* ── Now Playing ───────────────────────────────────────────────── */}
         <div className="flex flex-col min-w-0 flex-1 px-6 py-2">
-          <span className="wwbam-label">Now Playing</span>
+          <span className="wwbam-label">{copy.TOP_BAR.NOW_PLAYING}</span>
           <span className="wwbam-team-name truncate">
             {currentTeam?.name ?? '—'}
           </span>
@@ -60,7 +74,7 @@ export default function TeamInfoBar({
 
         {/* ── Question number ───────────────────────────────────────────── */}
         <div className="flex flex-col items-center shrink-0 px-8 py-2">
-          <span className="wwbam-label">Question</span>
+          <span className="wwbam-label">{copy.TOP_BAR.QUESTION}</span>
           <span className="wwbam-q-number">{currentQuestionNumber ?? '—'}</span>
         </div>
 
@@ -68,11 +82,26 @@ export default function TeamInfoBar({
 
         {/* ── Prize at stake ────────────────────────────────────────────── */}
         <div className="flex flex-col items-end shrink-0 px-6 py-2">
-          <span className="wwbam-label">Prize</span>
+          <span className="wwbam-label">{copy.TOP_BAR.PRIZE}</span>
           <span className="wwbam-prize-display">
             {formatPrize(currentPrize)}
           </span>
         </div>
+
+        {/* ── Guaranteed (last milestone) ───────────────────────────────── */}
+        {milestones.length > 0 && (
+          <>
+            <div className="wwbam-sep" />
+            <div className="flex flex-col items-end shrink-0 px-6 py-2">
+              <span className="wwbam-label">{copy.TOP_BAR.GUARANTEED}</span>
+              <span
+                className="wwbam-prize-display"
+                style={{ color: 'var(--c-text-dim)' }}>
+                {formatPrize(guaranteedPrize)}
+              </span>
+            </div>
+          </>
+        )}
       </div>
     </WwbamShape>
   );
@@ -1,6 +1,7 @@
 // src/components/ui/WwbamShape.jsx
 
-import { useId } from 'react';
+import { useId, useMemo } from 'react';
+import { useTheme } from '@hooks/useTheme';
 
 /**
  * WwbamShape
@@ -22,6 +23,7 @@ import { useId } from 'react';
  *   correct   — green shimmer  (correct answer revealed)
  *   wrong     — red shimmer    (wrong answer revealed)
  *   used      — slate shimmer  (spent lifeline, disabled option — visible but clearly inactive)
+ *   milestone — gold stroke on the default fill (safe-haven prize ladder rows)
  *   dimmed    — near-invisible (layout placeholder only — 50/50 removed options)
  *
  * ── FILL PROGRESS ─────────────────────────────────────────────────────────────
@@ -37,6 +39,9 @@ import { useId } from 'react';
  * SVG cannot consume CSS custom properties via url() gradients, so we maintain
  * a parallel JS constant object. Any colour change must be updated in BOTH files.
  *
+ * The active theme (useTheme) overrides SHAPE_TOKENS colours and the size
+ * preset geometry, so shapes restyle live with the rest of the page.
+ *
  * ── SHAPE GEOMETRY ───────────────────────────────────────────────────────────
  *
  * Each pointed side uses two chained cubic bezier curves:
@@ -46,7 +51,7 @@ import { useId } from 'react';
  * @param {{
  *   children?:       React.ReactNode,
  *   size?:           'wide' | 'medium' | 'compact',
- *   state?:          'default' | 'selected' | 'correct' | 'wrong' | 'used' | 'dimmed',
+ *   state?:          'default' | 'selected' | 'correct' | 'wrong' | 'used' | 'milestone' | 'dimmed',
  *   strokeWidth?:    number,
  *   fillProgress?:   number,   - 0–100; renders a clipped tint overlay. Omit to disable.
  *   fillColor?:      string,   - CSS colour for the fill overlay (default: semi-white)
@@ -59,7 +64,8 @@ import { useId } from 'react';
 
 // ── Shape colour tokens (mirrors src/styles/tokens.css palette groups) ─────
 // SVG linearGradient cannot use CSS custom properties, so these JS constants
-// are the single source of truth for all shape stroke and fill colours.
+// are the classic values for all shape stroke and fill colours. Theme packs
+// override them by the same keys (constants/themes.js).
 // When updating a colour, change it here AND in tokens.css.
 
 const SHAPE_TOKENS = {
@@ -93,98 +99,78 @@ const SHAPE_TOKENS = {
   dimmedFill: '#030508', // --c-dimmed-fill
   dimmedStroke1: '#141a24', // --c-dimmed-stroke1
   dimmedStroke2: '#1e2738', // --c-dimmed-stroke2
-};
-
-// ── Shape fills (background inside the stroke) ─────────────────────────────
-// Kept as separate local constants to keep STATE_CONFIG readable.
-//
-// correct / wrong fills are intentionally rich and saturated so the
-// background colour change is clearly visible to the audience at TV distance —
-// not just the stroke colour change.
 
-const FILLS = {
-  default: '#06090f',
-  selected: '#1a0e00',
-  correct: '#0b2e10', // rich dark green — clearly green at TV distance
-  wrong: '#2e0b0b', // rich dark red   — clearly red   at TV distance
-  used: SHAPE_TOKENS.usedFill,
-  dimmed: SHAPE_TOKENS.dimmedFill,
+  // Shape fills (background inside the stroke)
+  shapeFill: '#06090f', // --c-shape-fill
+  shapeFillSelected: '#1a0e00', // --c-shape-fill-selected
+  shapeFillCorrect: '#0b2e10', // --c-shape-fill-correct — rich dark green
+  shapeFillWrong: '#2e0b0b', // --c-shape-fill-wrong   — rich dark red
 };
 
 // ── State configurations ───────────────────────────────────────────────────
 // stops: array of 5 colour values → [start, inner, peak, inner, end]
 // Symmetric so the SMIL translateX animation creates a seamless shimmer loop.
+//
+// Built from the active theme's colours merged over SHAPE_TOKENS, so the
+// gradients follow theme packs (see config/theme.js).
+//
+// correct / wrong fills are intentionally rich and saturated so the
+// background colour change is clearly visible to the audience at TV distance —
+// not just the stroke colour change.
 
-const STATE_CONFIG = {
+const buildStateConfig = (t) => ({
   default: {
-    fill: FILLS.default,
-    stops: [
-      SHAPE_TOKENS.blueDeep,
-      SHAPE_TOKENS.blueMid,
-      SHAPE_TOKENS.blueLight,
-      SHAPE_TOKENS.blueMid,
-      SHAPE_TOKENS.blueDeep,
-    ],
+    fill: t.shapeFill,
+    stops: [t.blueDeep, t.blueMid, t.blueLight, t.blueMid, t.blueDeep],
     dur: '3s',
   },
   selected: {
-    fill: FILLS.selected,
-    stops: [
-      SHAPE_TOKENS.goldDeep,
-      SHAPE_TOKENS.goldDark,
-      SHAPE_TOKENS.goldLight,
-      SHAPE_TOKENS.goldDark,
-      SHAPE_TOKENS.goldDeep,
-    ],
+    fill: t.shapeFillSelected,
+    stops: [t.goldDeep, t.goldDark, t.goldLight, t.goldDark, t.goldDeep],
     dur: '2s',
   },
   correct: {
-    fill: FILLS.correct,
-    stops: [
-      SHAPE_TOKENS.greenDeep,
-      SHAPE_TOKENS.greenMid,
-      SHAPE_TOKENS.greenLight,
-      SHAPE_TOKENS.greenMid,
-      SHAPE_TOKENS.greenDeep,
-    ],
+    fill: t.shapeFillCorrect,
+    stops: [t.greenDeep, t.greenMid, t.greenLight, t.greenMid, t.greenDeep],
     dur: '2.5s',
   },
   wrong: {
-    fill: FILLS.wrong,
-    stops: [
-      SHAPE_TOKENS.redDeep,
-      SHAPE_TOKENS.redMid,
-      SHAPE_TOKENS.redLight,
-      SHAPE_TOKENS.redMid,
-      SHAPE_TOKENS.redDeep,
-    ],
+    fill: t.shapeFillWrong,
+    stops: [t.redDeep, t.redMid, t.redLight, t.redMid, t.redDeep],
     dur: '2.5s',
   },
+  // Safe-haven ladder rows — gold like `selected`, but on the idle fill and
+  // slower, so the active row still stands out
+  milestone: {
+    fill: t.shapeFill,
+    stops: [t.goldDeep, t.goldDark, t.goldLight, t.goldDark, t.goldDeep],
+    dur: '4s',
+  },
   // Spent lifeline, disabled option — still fully readable, clearly inactive
   used: {
-    fill: FILLS.used,
+    fill: t.usedFill,
     stops: [
-      SHAPE_TOKENS.usedStrokeDeep,
-      SHAPE_TOKENS.usedStrokeMid,
-      SHAPE_TOKENS.usedStrokeLight,
-      SHAPE_TOKENS.usedStrokeMid,
-      SHAPE_TOKENS.usedStrokeDeep,
+      t.usedStrokeDeep,
+      t.usedStrokeMid,
+      t.usedStrokeLight,
+      t.usedStrokeMid,
+      t.usedStrokeDeep,
     ],
     dur: '6s',
   },
   // Near-invisible placeholder — preserves grid space (e.g. 50/50 removed options)
   dimmed: {
-    fill: FILLS.dimmed,
+    fill: t.dimmedFill,
     stops: [
-      SHAPE_TOKENS.dimmedStroke1,
-      SHAPE_TOKENS.dimmedStroke2,
-      SHAPE_TOKENS.dimmedStroke1,
-      SHAPE_TOKENS.dimmedStroke2,
-      SHAPE_TOKENS.dimmedStroke1,
+      t.dimmedStroke1,
+      t.dimmedStroke2,
+      t.dimmedStroke1,
+      t.dimmedStroke2,
+      t.dimmedStroke1,
     ],
     dur: '8s',
   },
-};
+});
 
 // ── Size presets ───────────────────────────────────────────────────────────
 
@@ -245,9 +231,17 @@ export default function WwbamShape({
   const uid = useId().replace(/[^a-zA-Z0-9]/g, '');
   const gradId = `wg-${uid}`;
   const clipId = `wc-${uid}`;
-  const cfg = STATE_CONFIG[state] ?? STATE_CONFIG.default;
+  const theme = useTheme();
+  const stateConfig = useMemo(
+    () => buildStateConfig({ ...SHAPE_TOKENS, ...theme.colors }),
+    [theme],
+  );
+  const cfg = stateConfig[state] ?? stateConfig.default;
 
-  const preset = SIZE_PRESETS[size] ?? SIZE_PRESETS.wide;
+  const preset = {
+    ...(SIZE_PRESETS[size] ?? SIZE_PRESETS.wide),
+    ...theme.shape[size],
+  };
   const pRatio = pointExtRatio ?? preset.pointExtRatio;
   const wRatio = whiskerRatio ?? preset.whiskerRatio;
   const pointExt = SVG_H * pRatio;
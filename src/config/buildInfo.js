@@ -0,0 +1,22 @@
+// src/config/buildInfo.js
+
+// ============================================================================
+// BUILD INFO
+// ============================================================================
+
+/**
+ * Which build a display is running, for the diagnostics HUD and session
+ * recordings. The version is package.json's, injected by vite.config.js as
+ * VITE_APP_VERSION; the environment comes from VITE_ENVIRONMENT.
+ */
+
+/**
+ * @returns {string} 'development', 'staging' or 'production'
+ */
+export const getEnvironment = () =>
+  import.meta.env.VITE_ENVIRONMENT || 'development';
+
+/**
+ * @returns {string} e.g. '1.0.0'
+ */
+export const getBuildVersion = () => import.meta.env.VITE_APP_VERSION;
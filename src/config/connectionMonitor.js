@@ -0,0 +1,126 @@
+// src/config/connectionMonitor.js
+
+import { subscribeToPath } from '@config/dataSource';
+import { serverNow } from '@config/timeSync';
+
+// ============================================================================
+// CONNECTION MONITOR
+// ============================================================================
+
+/**
+ * Tracks the Realtime Database connection via `.info/connected`.
+ *
+ * The data listeners only report errors — when venue Wi-Fi drops, the SDK
+ * silently keeps serving the last cached snapshot and the screen freezes on
+ * stale data. This monitor records when the display went offline and how
+ * many times it has reconnected, so the UI can surface the outage and the
+ * listener hooks can re-subscribe once the connection returns.
+ *
+ * `.info/connected` reports `false` before the very first connection, so an
+ * outage is only counted once the display has connected at least once — the
+ * initial connect is covered by LoadingScreen.
+ *
+ * The listener is reference-counted like timeSync.js. `.info/*` paths need
+ * no auth.
+ */
+
+/** Maximum number of connection events kept for diagnostics. */
+const MAX_EVENTS = 50;
+
+let status = {
+  isConnected: false,
+  hasConnected: false,
+  offlineSince: null, // server-corrected Unix ms, null while connected
+  reconnectCount: 0,
+};
+const events = [];
+
+let detachListener = null;
+const subscribers = new Set();
+
+const recordEvent = (type, detail = {}) => {
+  events.push({ type, at: serverNow(), ...detail });
+  if (events.length > MAX_EVENTS) events.shift();
+};
+
+const handleConnected = (isConnected) => {
+  if (isConnected === status.isConnected) return;
+
+  if (isConnected) {
+    const wasOffline = status.hasConnected;
+    const offlineMs = wasOffline ? serverNow() - status.offlineSince : 0;
+
+    status = {
+      isConnected: true,
+      hasConnected: true,
+      offlineSince: null,
+      reconnectCount: status.reconnectCount + (wasOffline ? 1 : 0),
+    };
+
+    if (wasOffline) {
+      recordEvent('reconnected', { offlineMs });
+      console.info(
+        `🔌 Reconnected after ${(offlineMs / 1000).toFixed(1)}s offline`,
+      );
+    } else {
+      recordEvent('connected');
+      console.log('🔌 Database connected');
+    }
+  } else {
+    // Ignore the initial `false` before the first connection
+    if (!status.hasConnected) return;
+
+    status = { ...status, isConnected: false, offlineSince: serverNow() };
+    recordEvent('disconnected');
+    console.warn('⚠️ Database connection lost');
+  }
+
+  subscribers.forEach((subscriber) => subscriber(status));
+};
+
+const attachListener = () => {
+  detachListener = subscribeToPath(
+    '.info/connected',
+    (isConnected) => handleConnected(isConnected === true),
+    (error) => {
+      console.error('❌ .info/connected listener error:', error.message);
+    },
+  );
+};
+
+/**
+ * Subscribes to connection status changes. The subscriber is called
+ * immediately with the current status, then on every change.
+ *
+ * @param {(status: {
+ *   isConnected:    boolean,
+ *   hasConnected:   boolean,
+ *   offlineSince:   number|null,
+ *   reconnectCount: number,
+ * }) => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeConnectionStatus = (subscriber) => {
+  subscribers.add(subscriber);
+  if (!detachListener) attachListener();
+  subscriber(status);
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && detachListener) {
+      detachListener();
+      detachListener = null;
+    }
+  };
+};
+
+/** Latest connection status (see subscribeConnectionStatus). */
+export const getConnectionStatus = () => status;
+
+/**
+ * Recent connection events, oldest first:
+ *   { type: 'connected'|'disconnected'|'reconnected', at: number, offlineMs?: number }
+ *
+ * @returns {object[]}
+ */
+export const getConnectionEvents = () => [...events];
@@ -0,0 +1,116 @@
+// src/config/dataSource.js
+
+import { getUrlParam } from '@utils/urlParams';
+
+// ============================================================================
+// DATA SOURCE
+// ============================================================================
+
+/**
+ * Everything the display reads — auth, data nodes and the `.info/*`
+ * connection paths — goes through this module instead of the Firebase SDK,
+ * so the display can run against other sources:
+ *
+ *   firebase — the live Realtime Database (default)
+ *   mock     — in-memory database driven by a scripted scenario
+ *              (VITE_DATA_SOURCE=mock, see mock/mockSource.js)
+ *   replay   — no live data at all; the replay player feeds the game store
+ *              (`?replay=<file>`, see store/replayPlayer.js)
+ *
+ * The chosen implementation is imported lazily on first use, so config/
+ * firebase.js — which throws when its env config is missing — is only
+ * evaluated when Firebase is actually the source. Import failures are
+ * reported through the same error callbacks as listener errors.
+ *
+ * A source implements:
+ *   subscribe(path, onData, onError) → unsubscribe
+ *       onData receives the raw value at `path` (null when missing)
+ *   signIn() → Promise<{ success: boolean, user?: object, error?: string }>
+ *   onAuthStateChanged(callback) → unsubscribe
+ *       callback receives the signed-in user ({ uid }) or null
+ */
+
+const resolveDataSourceName = () => {
+  if (getUrlParam('replay')) return 'replay';
+  return import.meta.env.VITE_DATA_SOURCE === 'mock' ? 'mock' : 'firebase';
+};
+
+const DATA_SOURCE_NAME = resolveDataSourceName();
+
+const SOURCE_LOADERS = {
+  firebase: () => import('@config/firebaseSource'),
+  mock: () => import('@mock/mockSource'),
+  replay: () => import('@config/replaySource'),
+};
+
+let sourcePromise = null;
+
+const loadSource = () => {
+  sourcePromise ??= SOURCE_LOADERS[DATA_SOURCE_NAME]().then((module) => {
+    console.log('🔌 Data source:', DATA_SOURCE_NAME);
+    return module.default;
+  });
+  return sourcePromise;
+};
+
+/**
+ * Name of the active data source: 'firebase' | 'mock' | 'replay'.
+ *
+ * @returns {string}
+ */
+export const getDataSourceName = () => DATA_SOURCE_NAME;
+
+/**
+ * Listens to a path on the active data source.
+ *
+ * @param {string} path - e.g. 'game-state' or '.info/connected'
+ * @param {(value: unknown) => void} onData - raw value, null when missing
+ * @param {(error: Error) => void}   [onError]
+ * @returns {() => void} unsubscribe (safe to call before the source loads)
+ */
+export const subscribeToPath = (path, onData, onError = () => {}) => {
+  let unsubscribe = null;
+  let isCancelled = false;
+
+  loadSource()
+    .then((source) => {
+      if (!isCancelled) unsubscribe = source.subscribe(path, onData, onError);
+    })
+    .catch(onError);
+
+  return () => {
+    isCancelled = true;
+    unsubscribe?.();
+  };
+};
+
+/**
+ * Signs in to the active data source (anonymous auth for Firebase).
+ *
+ * @returns {Promise<{ success: boolean, user?: object, error?: string }>}
+ */
+export const signIn = () =>
+  loadSource()
+    .then((source) => source.signIn())
+    .catch((error) => ({ success: false, error: error.message }));
+
+/**
+ * @param {(user: { uid: string }|null) => void} callback
+ * @returns {() => void} unsubscribe
+ */
+export const onAuthStateChanged = (callback) => {
+  let unsubscribe = null;
+  let isCancelled = false;
+
+  loadSource()
+    .then((source) => {
+      if (!isCancelled) unsubscribe = source.onAuthStateChanged(callback);
+    })
+    // signIn() reports the load failure
+    .catch(() => {});
+
+  return () => {
+    isCancelled = true;
+    unsubscribe?.();
+  };
+};
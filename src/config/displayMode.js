@@ -0,0 +1,50 @@
+// src/config/displayMode.js
+
+import { getUrlParam } from '@utils/urlParams';
+
+// ============================================================================
+// DISPLAY MODE
+// ============================================================================
+
+/**
+ * How the display is composited, picked per page load with `?mode=`:
+ *
+ *   screen  — the default: full-screen set background for the venue
+ *             projector / TV
+ *   overlay — a transparent canvas for an OBS browser source. No set
+ *             background; the question sits in a lower third, the ladder
+ *             and team list shrink to corner widgets and full-screen
+ *             overlays become banners, so the camera feed stays visible.
+ *
+ * The mode is mirrored on `<html data-display-mode>` so CSS can drop the
+ * page background (index.css).
+ */
+
+export const DISPLAY_MODES = ['screen', 'overlay'];
+
+const resolveDisplayMode = () => {
+  const mode = getUrlParam('mode');
+  if (mode === null) return 'screen';
+
+  if (!DISPLAY_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown display mode "${mode}" — using screen`);
+    return 'screen';
+  }
+
+  console.log('🎥 Display mode:', mode);
+  return mode;
+};
+
+const DISPLAY_MODE = resolveDisplayMode();
+
+document.documentElement.dataset.displayMode = DISPLAY_MODE;
+
+/**
+ * Active display mode for this page load.
+ *
+ * @returns {'screen'|'overlay'}
+ */
+export const getDisplayMode = () => DISPLAY_MODE;
+
+/** True for the transparent OBS overlay (`?mode=overlay`). */
+export const isOverlayMode = () => DISPLAY_MODE === 'overlay';
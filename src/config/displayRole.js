@@ -0,0 +1,79 @@
+// src/config/displayRole.js
+
+import { getUrlParam } from '@utils/urlParams';
+
+// ============================================================================
+// DISPLAY ROLE
+// ============================================================================
+
+/**
+ * What a display shows. Bigger venues run several screens off the same game;
+ * each one picks a role and App routes it to that role's layout:
+ *
+ *   main        — the full composite screen (default)
+ *   ladder      — the prize ladder only, for side screens
+ *   leaderboard — the team standings only, for lobby screens
+ *   stage       — contestants' confidence monitor: question, options,
+ *                 timer and lifelines, without sidebars or full-screen cards
+ *   presenter   — the host's floor monitor with the answer ahead of the
+ *                 reveal; locked behind an access code (PresenterScreen)
+ *
+ * Sources, highest priority first:
+ *
+ *   ?role=<role>                 — fixed for this page load
+ *   config/display-roles/<id>    — for the display opened with `?display=<id>`;
+ *                                  switches live when the host reassigns it
+ *   main
+ *
+ * Every role reads the same game store, so all screens stay in sync.
+ */
+
+export const DISPLAY_ROLES = [
+  'main',
+  'ladder',
+  'leaderboard',
+  'stage',
+  'presenter',
+];
+
+export const DEFAULT_DISPLAY_ROLE = 'main';
+
+const resolveUrlRole = () => {
+  const role = getUrlParam('role');
+  if (role === null) return null;
+
+  if (!DISPLAY_ROLES.includes(role)) {
+    console.warn(`⚠️ Unknown display role "${role}" — ignoring ?role=`);
+    return null;
+  }
+
+  console.log('🖥️ Display role:', role);
+  return role;
+};
+
+const URL_ROLE = resolveUrlRole();
+
+/** This display's ID for `config/display-roles` (`?display=<id>`). */
+const DISPLAY_ID = getUrlParam('display');
+
+/**
+ * ID this display is known by in `config/display-roles`, or null.
+ *
+ * @returns {string|null}
+ */
+export const getDisplayId = () => DISPLAY_ID;
+
+/**
+ * Resolves this display's role.
+ *
+ * @param {Record<string, string>} displayRoles - validated config/display-roles
+ * @returns {'main'|'ladder'|'leaderboard'|'stage'|'presenter'}
+ *
+ * @example
+ * // ?display=side-left, config/display-roles = { 'side-left': 'ladder' }
+ * resolveDisplayRole(displayRoles) // → 'ladder'
+ */
+export const resolveDisplayRole = (displayRoles) =>
+  URL_ROLE ??
+  (DISPLAY_ID !== null ? displayRoles?.[DISPLAY_ID] : null) ??
+  DEFAULT_DISPLAY_ROLE;
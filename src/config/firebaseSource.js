@@ -0,0 +1,31 @@
+// src/config/firebaseSource.js
+
+import { onAuthStateChanged } from 'firebase/auth';
+import { ref, onValue } from 'firebase/database';
+import { auth, database, signInAnon } from '@config/firebase';
+
+// ============================================================================
+// FIREBASE DATA SOURCE
+// ============================================================================
+
+/**
+ * The live data source — the Realtime Database and anonymous auth configured
+ * in config/firebase.js. Loaded lazily by config/dataSource.js, so the
+ * Firebase SDK (and its config check) is never touched in mock or replay mode.
+ */
+const firebaseSource = {
+  name: 'firebase',
+
+  subscribe: (path, onData, onError) =>
+    onValue(
+      ref(database, path),
+      (snapshot) => onData(snapshot.exists() ? snapshot.val() : null),
+      onError,
+    ),
+
+  signIn: signInAnon,
+
+  onAuthStateChanged: (callback) => onAuthStateChanged(auth, callback),
+};
+
+export default firebaseSource;
@@ -0,0 +1,58 @@
+// src/config/gameNamespace.js
+
+import { getUrlParam } from '@utils/urlParams';
+
+// ============================================================================
+// GAME NAMESPACE
+// ============================================================================
+
+/**
+ * One Firebase project can run several quiz rooms at once. Each room's nodes
+ * live under `games/<id>/` (`games/hall-b/game-state`, `games/hall-b/teams`,
+ * …). The room is picked per display with `?game=<id>`, falling back to the
+ * `VITE_GAME_ID` build variable.
+ *
+ * Without an ID the display reads the legacy root paths (`game-state`,
+ * `teams`, …) exactly as before, so single-room setups need no changes.
+ *
+ * `.info/*` paths are never namespaced.
+ */
+
+/** Firebase keys cannot contain . # $ [ ] or / */
+const VALID_GAME_ID = /^[^.#$[\]/]+$/;
+
+const resolveGameId = () => {
+  const gameId = getUrlParam('game') ?? import.meta.env.VITE_GAME_ID ?? null;
+  if (gameId === null) return null;
+
+  if (!VALID_GAME_ID.test(gameId)) {
+    console.error(
+      `❌ Invalid game ID "${gameId}" — falling back to legacy root paths`,
+    );
+    return null;
+  }
+
+  console.log('🏠 Game namespace:', `games/${gameId}`);
+  return gameId;
+};
+
+const GAME_ID = resolveGameId();
+
+/**
+ * Active game/room ID, or null when reading the legacy root paths.
+ *
+ * @returns {string|null}
+ */
+export const getGameId = () => GAME_ID;
+
+/**
+ * Maps a node path to its location for the active game.
+ *
+ * @param {string} path - node path relative to the game, e.g. 'game-state'
+ * @returns {string} e.g. 'games/hall-b/game-state', or 'game-state' without an ID
+ *
+ * @example
+ * resolveGamePath('teams/team-1/status') // → 'games/hall-b/teams/team-1/status'
+ */
+export const resolveGamePath = (path) =>
+  GAME_ID === null ? path : `games/${GAME_ID}/${path}`;
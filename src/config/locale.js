@@ -0,0 +1,132 @@
+// src/config/locale.js
+
+import { DEFAULT_LOCALE, LOCALES } from '@constants/locales';
+import { reportDiagnostic } from '@store/diagnostics';
+import { setNumberLocale } from '@utils/formatters';
+import { getUrlParam } from '@utils/urlParams';
+import en from '@locales/en';
+
+// ============================================================================
+// LOCALE
+// ============================================================================
+
+/**
+ * Resolves the display language and loads its message catalogue. Sources,
+ * highest priority first:
+ *
+ *   ?lang=<code>    — per-screen override, e.g. a Tamil-only side screen
+ *   config/locale   — from Firebase; switches live when it changes
+ *   en              — constants/app.js as shipped
+ *
+ * Catalogues live in src/locales/ and are merged over English, so a key
+ * missing from a translation still renders. Non-English catalogues are
+ * lazy-loaded: English screens never download them, and the English copy
+ * stays on screen until the chosen one arrives.
+ *
+ * Switching also sets `<html lang>` (so the browser picks script-appropriate
+ * fallback fonts) and the number locale and currency used by
+ * utils/formatters.js.
+ *
+ * Subscribers follow the `useSyncExternalStore` contract: they take no
+ * arguments and read the new state with getLocaleState().
+ */
+
+const CATALOGUE_LOADERS = {
+  si: () => import('@locales/si'),
+  ta: () => import('@locales/ta'),
+};
+
+const URL_LOCALE = readUrlLocale();
+
+let configLocale = null; // validated config/locale
+let requestedLocale = null; // latest locale asked for, guards slow loads
+let state = { locale: DEFAULT_LOCALE, copy: en };
+const catalogues = { [DEFAULT_LOCALE]: en };
+
+const subscribers = new Set();
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+function readUrlLocale() {
+  const code = getUrlParam('lang');
+  if (!code || code in LOCALES) return code;
+
+  reportDiagnostic({
+    level: 'warning',
+    source: '?lang',
+    message: `unknown language "${code}" — using config/locale`,
+  });
+  return null;
+}
+
+/** Merges a catalogue over English one group deep. */
+const mergeCatalogue = (catalogue) =>
+  Object.fromEntries(
+    Object.entries(en).map(([group, messages]) => [
+      group,
+      { ...messages, ...catalogue[group] },
+    ]),
+  );
+
+const loadCatalogue = async (code) => {
+  if (!catalogues[code]) {
+    const { default: catalogue } = await CATALOGUE_LOADERS[code]();
+    catalogues[code] = mergeCatalogue(catalogue);
+  }
+  return catalogues[code];
+};
+
+const applyActiveLocale = async () => {
+  const code = URL_LOCALE ?? configLocale ?? DEFAULT_LOCALE;
+  if (code === requestedLocale) return;
+  requestedLocale = code;
+
+  let copy;
+  try {
+    copy = await loadCatalogue(code);
+  } catch (error) {
+    reportDiagnostic({
+      level: 'error',
+      source: 'locale',
+      message: `could not load the ${code} catalogue: ${error.message}`,
+    });
+    return;
+  }
+  if (code !== requestedLocale) return; // superseded while loading
+
+  document.documentElement.lang = code;
+  setNumberLocale(LOCALES[code]);
+  state = { locale: code, copy };
+  console.log('🌐 Locale:', LOCALES[code].name);
+  subscribers.forEach((subscriber) => subscriber());
+};
+
+// ── Public API ─────────────────────────────────────────────────────────────────
+
+/**
+ * Applies the validated `config/locale` value. Ignored while `?lang=` is set;
+ * re-applying an unchanged locale does nothing.
+ *
+ * @param {string|null} code - a key of LOCALES, or null for the default
+ */
+export const setLocaleConfig = (code) => {
+  configLocale = code;
+  applyActiveLocale();
+};
+
+/**
+ * @param {() => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeLocale = (subscriber) => {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * The active locale and its merged catalogue. The same object is returned
+ * until the locale changes.
+ *
+ * @returns {{ locale: string, copy: object }}
+ */
+export const getLocaleState = () => state;
@@ -0,0 +1,109 @@
+// src/config/presenterFeed.js
+
+import { getDataSourceName, subscribeToPath } from '@config/dataSource';
+import { resolveGamePath } from '@config/gameNamespace';
+import { reportDiagnostic } from '@store/diagnostics';
+import { optionKey } from '@store/nodes';
+import { number, object, string, validate } from '@utils/schema';
+import { kebabToCamel } from '@utils/transforms';
+
+// ============================================================================
+// PRESENTER FEED
+// ============================================================================
+
+/**
+ * Host-only data for the presenter monitor (`?role=presenter`): the answer
+ * to the current question ahead of the reveal, plus notes to read out.
+ *
+ * The host panel writes it under the room's access code:
+ *
+ *   presenter/<access-code>
+ *     question-id    — current-question/id the answer belongs to
+ *     correct-option — option key, e.g. 'B' (lowercase accepted; anything
+ *                      outside A–D is dropped)
+ *     correct-value  — numeric questions
+ *     explanation    — why that is the answer
+ *     trivia         — extra facts for the host
+ *
+ * The code is the secret: database rules allow reading `presenter/<code>`
+ * but not listing `presenter`, so only a display opened with the right code
+ * can find the feed. It is never part of the game store, so it is not
+ * recorded into session logs or shown on audience screens — a session replay
+ * opens the monitor with no answers loaded (EMPTY_FEED).
+ */
+
+/** Firebase keys cannot contain . # $ [ ] or / */
+const VALID_ACCESS_CODE = /^[^.#$[\]/]+$/;
+
+const presenterFeedSchema = object({
+  questionId: string({ nullable: true, fallback: null }),
+  correctOption: optionKey, // 'A'–'D' like game-state/correct-option
+  correctValue: number({ nullable: true, fallback: null }),
+  explanation: string({ nullable: true, fallback: null }),
+  trivia: string({ nullable: true, fallback: null }),
+});
+
+/** A feed with nothing loaded — what a session replay serves for any code. */
+const EMPTY_FEED = {
+  questionId: null,
+  correctOption: null,
+  correctValue: null,
+  explanation: null,
+  trivia: null,
+};
+
+/**
+ * Listens to the presenter feed for an access code.
+ *
+ * `onFeed` receives the validated feed, or null when there is no feed under
+ * that code (a wrong code reads as an empty node). Repairs are reported to
+ * the diagnostics channel like store node repairs. Replays have no feed to
+ * listen to, so they get EMPTY_FEED once.
+ *
+ * @param {string} accessCode
+ * @param {(feed: object|null) => void} onFeed
+ * @param {(error: Error) => void}      onError - e.g. permission denied
+ * @returns {() => void} unsubscribe
+ */
+export const subscribePresenterFeed = (accessCode, onFeed, onError) => {
+  if (!VALID_ACCESS_CODE.test(accessCode)) {
+    queueMicrotask(() => onFeed(null));
+    return () => {};
+  }
+
+  if (getDataSourceName() === 'replay') {
+    queueMicrotask(() => onFeed(EMPTY_FEED));
+    return () => {};
+  }
+
+  return subscribeToPath(
+    resolveGamePath(`presenter/${accessCode}`),
+    (raw) => {
+      if (raw === null || typeof raw !== 'object') {
+        onFeed(null);
+        return;
+      }
+
+      const { value, isValid, issues } = validate(
+        presenterFeedSchema,
+        kebabToCamel(raw),
+        'presenter',
+      );
+      issues.forEach(({ path, message }) =>
+        reportDiagnostic({
+          level: 'warning',
+          source: 'presenter',
+          path,
+          message,
+        }),
+      );
+
+      console.log('🎤 presenter feed updated');
+      onFeed(isValid ? value : null);
+    },
+    (error) => {
+      console.error('❌ presenter feed listener error:', error.message);
+      onError(error);
+    },
+  );
+};
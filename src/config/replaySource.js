@@ -0,0 +1,35 @@
+// src/config/replaySource.js
+
+// ============================================================================
+// REPLAY DATA SOURCE
+// ============================================================================
+
+/**
+ * Data source for `?replay=<file>`. The replay player feeds recorded
+ * snapshots straight into the game store, so this source only keeps the
+ * connection monitor and server clock quiet: always connected, no offset
+ * (the player overrides the clock anyway). Data paths never fire.
+ */
+
+const INFO_VALUES = {
+  '.info/connected': true,
+  '.info/serverTimeOffset': 0,
+};
+
+const replaySource = {
+  name: 'replay',
+
+  subscribe: (path, onData) => {
+    if (path in INFO_VALUES) queueMicrotask(() => onData(INFO_VALUES[path]));
+    return () => {};
+  },
+
+  signIn: async () => ({ success: true, user: { uid: 'replay' } }),
+
+  onAuthStateChanged: (callback) => {
+    queueMicrotask(() => callback({ uid: 'replay' }));
+    return () => {};
+  },
+};
+
+export default replaySource;
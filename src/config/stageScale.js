@@ -0,0 +1,190 @@
+// src/config/stageScale.js
+
+import { getUrlParam } from '@utils/urlParams';
+
+// ============================================================================
+// STAGE SCALING
+// ============================================================================
+
+/**
+ * Every layout is designed against a 1920×1080 reference canvas (the "stage")
+ * and scaled uniformly to the real viewport, so a 720p projector and a 4K LED
+ * wall show the same picture. Scaling modes:
+ *
+ *   fit  — the canvas stays 1920×1080 and is letterboxed (default)
+ *   fill — one reference side is kept and the other grows to the viewport's
+ *          aspect (2520×1080 on 21:9, 1920×1440 on 4:3), so the layout
+ *          reflows to fill the screen instead of showing bars
+ *
+ * Picked with `display-settings/stage-scaling`; `?scale=` overrides it for
+ * one display. The stage's aspect class (ultrawide / wide / standard /
+ * portrait) is mirrored on `<html data-stage-aspect>` so CSS can resize the
+ * sidebars (index.css).
+ *
+ * Vertical LED panels and rotated TVs get a 1080×1920 portrait canvas and the
+ * screens' stacked portrait layouts. Orientation:
+ *
+ *   auto      — portrait when the viewport is taller than it is wide (default)
+ *   landscape — always the 1920×1080 canvas
+ *   portrait  — always the 1080×1920 canvas
+ *
+ * Picked with `display-settings/orientation`; `?orientation=` overrides it
+ * for one display.
+ */
+
+export const REFERENCE_WIDTH = 1920;
+export const REFERENCE_HEIGHT = 1080;
+
+export const STAGE_SCALE_MODES = ['fit', 'fill'];
+
+export const DEFAULT_STAGE_SCALE_MODE = 'fit';
+
+export const STAGE_ORIENTATIONS = ['auto', 'landscape', 'portrait'];
+
+export const DEFAULT_STAGE_ORIENTATION = 'auto';
+
+/**
+ * Safe areas for overscanning TVs, as a fraction of the screen
+ * (SMPTE ST 2046-1): action inside 93%, titles inside 90%.
+ */
+export const SAFE_ACTION_RATIO = 0.93;
+export const SAFE_TITLE_RATIO = 0.9;
+
+/** Aspect ratios that split the aspect classes (21:9 ≈ 2.33, 4:3 ≈ 1.33). */
+const ULTRAWIDE_MIN_ASPECT = 2;
+const STANDARD_MAX_ASPECT = 1.5;
+
+const resolveUrlScaleMode = () => {
+  const mode = getUrlParam('scale');
+  if (mode === null) return null;
+
+  if (!STAGE_SCALE_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown stage scaling "${mode}" — ignoring ?scale=`);
+    return null;
+  }
+
+  console.log('📐 Stage scaling:', mode);
+  return mode;
+};
+
+const URL_SCALE_MODE = resolveUrlScaleMode();
+
+const resolveUrlOrientation = () => {
+  const orientation = getUrlParam('orientation');
+  if (orientation === null) return null;
+
+  if (!STAGE_ORIENTATIONS.includes(orientation)) {
+    console.warn(
+      `⚠️ Unknown stage orientation "${orientation}" — ignoring ?orientation=`,
+    );
+    return null;
+  }
+
+  console.log('📐 Stage orientation:', orientation);
+  return orientation;
+};
+
+const URL_ORIENTATION = resolveUrlOrientation();
+
+/**
+ * Scaling mode for this display — `?scale=` beats display-settings.
+ *
+ * @param {string|null} configMode - display-settings/stage-scaling
+ * @returns {'fit'|'fill'}
+ */
+export const resolveStageScaleMode = (configMode) =>
+  URL_SCALE_MODE ?? configMode ?? DEFAULT_STAGE_SCALE_MODE;
+
+/**
+ * Canvas orientation for this display — `?orientation=` beats
+ * display-settings; 'auto' follows the viewport's shape.
+ *
+ * @param {string|null} configOrientation - display-settings/orientation
+ * @param {number} viewportWidth
+ * @param {number} viewportHeight
+ * @returns {'landscape'|'portrait'}
+ */
+export const resolveStageOrientation = (
+  configOrientation,
+  viewportWidth,
+  viewportHeight,
+) => {
+  const orientation =
+    URL_ORIENTATION ?? configOrientation ?? DEFAULT_STAGE_ORIENTATION;
+  if (orientation !== 'auto') return orientation;
+  return viewportHeight > viewportWidth ? 'portrait' : 'landscape';
+};
+
+/**
+ * 'ultrawide' (21:9), 'wide' (16:9-ish), 'standard' (4:3-ish) or 'portrait'
+ * (taller than wide).
+ *
+ * @param {number} aspect - width / height
+ * @returns {'ultrawide'|'wide'|'standard'|'portrait'}
+ */
+const classifyAspect = (aspect) => {
+  if (aspect < 1) return 'portrait';
+  if (aspect >= ULTRAWIDE_MIN_ASPECT) return 'ultrawide';
+  if (aspect <= STANDARD_MAX_ASPECT) return 'standard';
+  return 'wide';
+};
+
+/**
+ * Canvas size, scale and position for a viewport.
+ *
+ * @param {number} viewportWidth
+ * @param {number} viewportHeight
+ * @param {'fit'|'fill'} mode
+ * @param {'landscape'|'portrait'} [orientation='landscape']
+ * @returns {{ width: number, height: number, scale: number,
+ *             offsetX: number, offsetY: number,
+ *             aspect: 'ultrawide'|'wide'|'standard'|'portrait',
+ *             orientation: 'landscape'|'portrait' }}
+ *   width / height — canvas size in reference pixels
+ *   offsetX / Y    — letterbox bars (viewport pixels) left / above the canvas
+ *
+ * @example
+ * computeStageLayout(1280, 720, 'fit')               // → 1920×1080 at 0.667, no bars
+ * computeStageLayout(2560, 1080, 'fit')              // → 1920×1080 at 1, 320px bars
+ * computeStageLayout(2560, 1080, 'fill')             // → 2560×1080 at 1
+ * computeStageLayout(1080, 1920, 'fit', 'portrait')  // → 1080×1920 at 1, no bars
+ */
+export const computeStageLayout = (
+  viewportWidth,
+  viewportHeight,
+  mode,
+  orientation = 'landscape',
+) => {
+  const isPortrait = orientation === 'portrait';
+  const referenceWidth = isPortrait ? REFERENCE_HEIGHT : REFERENCE_WIDTH;
+  const referenceHeight = isPortrait ? REFERENCE_WIDTH : REFERENCE_HEIGHT;
+
+  const fitScale = Math.min(
+    viewportWidth / referenceWidth,
+    viewportHeight / referenceHeight,
+  );
+
+  if (mode === 'fill') {
+    const width = viewportWidth / fitScale;
+    const height = viewportHeight / fitScale;
+    return {
+      width,
+      height,
+      scale: fitScale,
+      offsetX: 0,
+      offsetY: 0,
+      aspect: classifyAspect(width / height),
+      orientation,
+    };
+  }
+
+  return {
+    width: referenceWidth,
+    height: referenceHeight,
+    scale: fitScale,
+    offsetX: (viewportWidth - referenceWidth * fitScale) / 2,
+    offsetY: (viewportHeight - referenceHeight * fitScale) / 2,
+    aspect: classifyAspect(referenceWidth / referenceHeight),
+    orientation,
+  };
+};
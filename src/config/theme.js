@@ -0,0 +1,261 @@
+// src/config/theme.js
+
+import { DEFAULT_THEME_PACK, THEME_PACKS } from '@constants/themes';
+import { reportDiagnostic } from '@store/diagnostics';
+import { repaired, validate } from '@utils/schema';
+import { kebabToCamel, toKebabCase } from '@utils/transforms';
+import { getUrlParam } from '@utils/urlParams';
+
+// ============================================================================
+// THEME
+// ============================================================================
+
+/**
+ * Resolves the active theme and applies it as CSS variables on <html>, so
+ * restyling needs no rebuild. Sources, highest priority first:
+ *
+ *   ?theme=<pack>        — a built-in pack (constants/themes.js)
+ *   ?theme=<url>.json    — a theme bundle file (same shape as config/theme)
+ *   config/theme         — from Firebase; switches live when it changes
+ *   classic              — tokens.css as shipped
+ *
+ * A theme is a base pack plus overrides:
+ *   { pack, colors, fonts, logoUrl, shape }   (see constants/themes.js)
+ *
+ * `config/theme` may also be just a pack name string.
+ *
+ * Colours and fonts become `--c-*` / `--font-*` variables. WwbamShape reads
+ * the resolved theme (useTheme) for its SVG gradient stops and geometry,
+ * which cannot follow CSS variables.
+ *
+ * Subscribers follow the `useSyncExternalStore` contract: they take no
+ * arguments and read the new theme with getTheme().
+ */
+
+const URL_THEME = getUrlParam('theme');
+
+/** `?theme=` values that point at a file rather than naming a pack. */
+const isBundleUrl = (value) => value.includes('/') || value.endsWith('.json');
+
+const SHAPE_SIZES = ['wide', 'medium', 'compact'];
+const FONT_ROLES = ['question', 'body', 'numeric'];
+
+let configSpec = null; // validated config/theme
+let urlSpec = null; // validated ?theme= pack or bundle
+let appliedSpecKey = null;
+let appliedVars = [];
+const loadedStylesheets = new Set();
+
+const subscribers = new Set();
+
+// ── Schema ─────────────────────────────────────────────────────────────────────
+
+/** Keeps the string values of a flat object; drops (and reports) the rest. */
+const pickStrings = (value, ctx, field) => {
+  if (value === null || value === undefined) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return repaired(ctx, `${field}: expected an object — ignoring`, {});
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).filter(([key, entry]) => {
+      if (typeof entry === 'string') return true;
+      repaired(ctx, `${field}.${key}: expected a string — dropped`);
+      return false;
+    }),
+  );
+};
+
+const pickShape = (value, ctx) => {
+  if (value === null || value === undefined) return {};
+
+  const shape = {};
+  for (const size of SHAPE_SIZES) {
+    const preset = value[size];
+    if (!preset) continue;
+
+    shape[size] = {};
+    for (const ratio of ['pointExtRatio', 'whiskerRatio']) {
+      if (preset[ratio] === undefined) continue;
+      if (typeof preset[ratio] === 'number' && preset[ratio] >= 0) {
+        shape[size][ratio] = preset[ratio];
+      } else {
+        repaired(ctx, `shape.${size}.${ratio}: expected a number ≥ 0`);
+      }
+    }
+  }
+  return shape;
+};
+
+/**
+ * Schema for `config/theme` and theme bundles (camelCased).
+ * Returns null when no theme is set, so the classic look applies.
+ *
+ * @returns {{
+ *   pack: string, colors: object, fonts: object,
+ *   logoUrl: string|null, shape: object,
+ * }|null}
+ */
+export function themeSchema(value, ctx) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') value = { pack: value };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return repaired(
+      ctx,
+      'expected a pack name or object — using classic',
+      null,
+    );
+  }
+
+  let pack = value.pack ?? DEFAULT_THEME_PACK;
+  if (!(pack in THEME_PACKS)) {
+    repaired(ctx, `unknown pack "${pack}" — using ${DEFAULT_THEME_PACK}`);
+    pack = DEFAULT_THEME_PACK;
+  }
+
+  return {
+    pack,
+    colors: pickStrings(value.colors, ctx, 'colors'),
+    fonts: pickStrings(value.fonts, ctx, 'fonts'),
+    logoUrl: typeof value.logoUrl === 'string' ? value.logoUrl : null,
+    shape: pickShape(value.shape, ctx),
+  };
+}
+
+// ── Resolution ─────────────────────────────────────────────────────────────────
+
+/** Merges a spec over its base pack. */
+const resolveTheme = (spec) => {
+  const pack = THEME_PACKS[spec?.pack ?? DEFAULT_THEME_PACK];
+
+  return {
+    pack: spec?.pack ?? DEFAULT_THEME_PACK,
+    name: pack.name,
+    colors: { ...pack.colors, ...spec?.colors },
+    fonts: { ...pack.fonts, ...spec?.fonts },
+    logoUrl: spec?.logoUrl ?? pack.logoUrl ?? null,
+    shape: Object.fromEntries(
+      SHAPE_SIZES.map((size) => [
+        size,
+        { ...pack.shape?.[size], ...spec?.shape?.[size] },
+      ]),
+    ),
+  };
+};
+
+let theme = resolveTheme(null);
+
+const loadStylesheet = (href) => {
+  if (loadedStylesheets.has(href)) return;
+  loadedStylesheets.add(href);
+
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = href;
+  document.head.appendChild(link);
+};
+
+/** Writes the theme's variables, clearing any the previous theme set. */
+const applyCssVariables = ({ colors, fonts }) => {
+  const root = document.documentElement.style;
+  appliedVars.forEach((name) => root.removeProperty(name));
+
+  const vars = [
+    ...Object.entries(colors).map(([key, value]) => [
+      `--c-${toKebabCase(key)}`,
+      value,
+    ]),
+    // Keep the Sinhala / Tamil fallbacks behind a theme's own font stack
+    ...FONT_ROLES.filter((role) => fonts[role]).map((role) => [
+      `--font-${role}`,
+      `${fonts[role]}, var(--font-script-fallback)`,
+    ]),
+  ];
+  vars.forEach(([name, value]) => root.setProperty(name, value));
+  appliedVars = vars.map(([name]) => name);
+
+  if (fonts.stylesheet) loadStylesheet(fonts.stylesheet);
+};
+
+const applyActiveTheme = () => {
+  const spec = urlSpec ?? configSpec;
+  const specKey = JSON.stringify(spec);
+  if (specKey === appliedSpecKey) return;
+
+  appliedSpecKey = specKey;
+  theme = resolveTheme(spec);
+  applyCssVariables(theme);
+  console.log('🎨 Theme:', theme.name);
+  subscribers.forEach((subscriber) => subscriber());
+};
+
+const reportIssues = (source, issues) =>
+  issues.forEach(({ path, message }) =>
+    reportDiagnostic({ level: 'warning', source, path, message }),
+  );
+
+const loadThemeBundle = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const { value, issues } = validate(
+      themeSchema,
+      kebabToCamel(await response.json()),
+      'theme-bundle',
+    );
+    reportIssues('theme-bundle', issues);
+
+    urlSpec = value;
+    applyActiveTheme();
+  } catch (error) {
+    reportDiagnostic({
+      level: 'error',
+      source: 'theme-bundle',
+      message: `could not load ${url}: ${error.message}`,
+    });
+  }
+};
+
+if (URL_THEME) {
+  if (isBundleUrl(URL_THEME)) {
+    loadThemeBundle(URL_THEME);
+  } else {
+    const { value, issues } = validate(themeSchema, URL_THEME, '?theme');
+    reportIssues('?theme', issues);
+    urlSpec = value;
+    applyActiveTheme();
+  }
+}
+
+// ── Public API ─────────────────────────────────────────────────────────────────
+
+/**
+ * Applies the validated `config/theme` value. Ignored while `?theme=` is set;
+ * re-applying an unchanged theme does nothing.
+ *
+ * @param {object|null} spec - see themeSchema
+ */
+export const setThemeConfig = (spec) => {
+  configSpec = spec;
+  applyActiveTheme();
+};
+
+/**
+ * @param {() => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeTheme = (subscriber) => {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * The resolved theme. The same object is returned until the theme changes.
+ *
+ * @returns {{
+ *   pack: string, name: string, colors: object, fonts: object,
+ *   logoUrl: string|null, shape: object,
+ * }}
+ */
+export const getTheme = () => theme;
@@ -0,0 +1,101 @@
+// src/config/timeSync.js
+
+import { subscribeToPath } from '@config/dataSource';
+
+// ============================================================================
+// SERVER CLOCK OFFSET
+// ============================================================================
+
+/**
+ * Every timestamp the display compares against (`lifeline-timer-started-at`,
+ * `question-timer-started-at`, …) is written by the HOST machine. The
+ * projector PC's clock is often tens of seconds off, so comparing those
+ * timestamps with the local `Date.now()` shows the wrong remaining time.
+ *
+ * Firebase exposes the estimated difference between the local clock and the
+ * server clock at `.info/serverTimeOffset` (ms). `serverNow()` applies it,
+ * giving a clock that agrees with every other client of the same database.
+ *
+ * The listener is reference-counted: it attaches on the first subscriber and
+ * detaches when the last one leaves. `.info/*` paths need no auth.
+ *
+ * Replay mode replaces the clock entirely with the replay playhead (see
+ * setServerClockOverride), so recorded timestamps count down exactly as
+ * they did live.
+ */
+
+let serverTimeOffset = 0;
+let clockOverride = null;
+let detachListener = null;
+const subscribers = new Set();
+
+const notifySubscribers = () => {
+  const offset = getServerTimeOffset();
+  subscribers.forEach((subscriber) => subscriber(offset));
+};
+
+const attachListener = () => {
+  detachListener = subscribeToPath(
+    '.info/serverTimeOffset',
+    (offset) => {
+      serverTimeOffset = typeof offset === 'number' ? offset : 0;
+      console.log('⏱️ Server time offset:', serverTimeOffset, 'ms');
+      notifySubscribers();
+    },
+    (error) => {
+      console.error('❌ serverTimeOffset listener error:', error.message);
+    },
+  );
+};
+
+/**
+ * Subscribes to server clock offset changes. The subscriber is called
+ * immediately with the current value, then on every change.
+ *
+ * @param {(offsetMs: number) => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeServerTimeOffset = (subscriber) => {
+  subscribers.add(subscriber);
+  if (!detachListener) attachListener();
+  subscriber(getServerTimeOffset());
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && detachListener) {
+      detachListener();
+      detachListener = null;
+    }
+  };
+};
+
+/**
+ * Latest known server clock offset in ms (server − local). 0 until the first
+ * `.info/serverTimeOffset` snapshot arrives.
+ *
+ * @returns {number}
+ */
+export const getServerTimeOffset = () =>
+  clockOverride ? clockOverride() - Date.now() : serverTimeOffset;
+
+/**
+ * Current time in Unix ms, corrected to the Firebase server clock.
+ * Use this instead of `Date.now()` for anything compared against a
+ * timestamp written by another machine.
+ *
+ * @returns {number}
+ */
+export const serverNow = () =>
+  clockOverride ? clockOverride() : Date.now() + serverTimeOffset;
+
+/**
+ * Replaces the server clock with another time source, e.g. the replay
+ * playhead. Subscribers are notified immediately — call it again after a
+ * jump (seek) so countdowns recompute. Pass null to restore the real clock.
+ *
+ * @param {(() => number)|null} nowFn - returns Unix ms
+ */
+export const setServerClockOverride = (nowFn) => {
+  clockOverride = nowFn;
+  notifySubscribers();
+};
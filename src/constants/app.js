@@ -7,14 +7,26 @@ export const APP_SHORT_NAME = 'WWBAM';
 
 // ── Audience-facing UI copy ────────────────────────────────────────────────────
 // All strings visible on the TV/projector screen, grouped by screen/phase.
+//
+// These are the English catalogue (locales/en.js). Sinhala and Tamil mirror
+// the same keys in locales/si.js and locales/ta.js — components read the
+// active language with `useCopy()`, never these objects directly.
+// `{name}` placeholders are filled with `interpolate()` (utils/messages.js).
 
 // Loading screen
 export const COPY_LOADING = {
   CONNECTING: 'Connecting...',
   CONNECTING_FIREBASE: 'Connecting to Firebase...',
   AUTHENTICATING: 'Authenticating...',
-  AUTH_FAILED: 'Auth failed:', // suffix with `: ${errorMessage}` at call site
-  CONNECTION_ERROR: 'Connection error:', // suffix with `: ${errorMessage}` at call site
+  AUTH_FAILED: 'Auth failed: {message}',
+  CONNECTION_ERROR: 'Connection error: {message}',
+};
+
+// Connection status — reconnecting badge + offline holding card
+export const COPY_CONNECTION = {
+  RECONNECTING: 'Reconnecting…',
+  OFFLINE_HEADING: "We'll Be Right Back",
+  OFFLINE_MESSAGE: 'Reconnecting to the game…',
 };
 
 // Idle screen — Lobby phase
@@ -26,10 +38,20 @@ export const COPY_LOBBY = {
   WAITING_FOR_HOST: 'Waiting for host',
 };
 
+// Idle screen — Lobby roster cards
+export const COPY_ROSTER = {
+  TEAM: 'Team',
+  NO_PARTICIPANTS: 'No participants listed',
+};
+
 // Idle screen — Initializing phase (stepper)
 export const COPY_STEPPER = {
   HEADING: 'Setting Up the Game',
   COMPLETE_MESSAGE: 'All set!',
+  PREPARING_TEAMS: 'Preparing Teams',
+  PREPARING_QUESTIONS: 'Preparing Question Sets',
+  RANDOMIZING_ORDER: 'Randomizing Team Order',
+  ASSIGNING_QUESTIONS: 'Assigning Question Sets to Teams',
 };
 
 // Idle screen — Ready phase
@@ -38,6 +60,58 @@ export const COPY_READY = {
   STARTING_SOON: 'Starting soon...',
 };
 
+// Fastest Finger First — qualifier round before the main game
+export const COPY_FASTEST_FINGER = {
+  TITLE: 'Fastest Finger First',
+  CORRECT_ORDER: 'The Correct Order',
+  RESPONSE_TIMES: 'Response Times',
+  NO_RESPONSES: 'Waiting for responses...',
+  SECONDS: '{seconds}s',
+  NO_ANSWER: 'No answer',
+  WRONG_ORDER: 'Wrong order',
+  WINNER: 'Fastest Finger',
+};
+
+// Game screen — Top bar (TeamInfoBar + lifeline cards)
+export const COPY_TOP_BAR = {
+  NOW_PLAYING: 'Now Playing',
+  QUESTION: 'Question',
+  PRIZE: 'Prize',
+  GUARANTEED: 'Guaranteed',
+};
+
+// Lifeline card sub-labels. Lifeline names come from the registry
+// (constants/lifelines.js); other languages translate them under LIFELINES.
+export const COPY_LIFELINE_STATUS = {
+  ACTIVE: 'In Use',
+  AVAILABLE: 'Available',
+  USED: 'Used',
+};
+
+// Game screen — Question card
+export const COPY_QUESTION = {
+  LABEL: 'Question',
+  // True / false questions without option text
+  TRUE: 'True',
+  FALSE: 'False',
+  // Numeric (closest guess wins) questions
+  CORRECT_ANSWER: 'Correct Answer',
+  NO_GUESSES: 'Waiting for guesses...',
+  CLOSEST: 'Closest',
+};
+
+// Game screen — Sidebars
+export const COPY_TEAM_LIST = {
+  NOW_PLAYING: 'Now Playing',
+  DONE: 'Done',
+  WAITING: 'Waiting',
+  STANDINGS: 'Standings',
+};
+
+export const COPY_PRIZE_LADDER = {
+  QUESTION: 'Q{number}',
+};
+
 // Game screen — Pause overlay
 export const COPY_PAUSE = {
   HEADING: 'Paused',
@@ -60,18 +134,115 @@ export const COPY_TEAM_RESULT = {
   COMPLETED: 'Completed',
   ELIMINATED: 'Eliminated',
   TAKES_HOME: 'Takes Home',
+  // Eliminated teams only
+  FALLS_BACK_TO: 'Falls back to the Q{number} milestone',
+  NO_MILESTONE: 'No milestone reached',
 };
 
 // Game screen — Phone a Friend overlay
-// CALLING_PREFIX is combined with the masked number at render time:
-//   `${COPY_PHONE_A_FRIEND.CALLING_PREFIX} ${maskedNumber}...`
 export const COPY_PHONE_A_FRIEND = {
   TITLE: 'Phone a Friend',
-  CALLING_PREFIX: 'Calling', // before timer starts — shown with masked number
+  CALLING: 'Calling {number}', // before timer starts — {number} is masked
   ON_THE_LINE: 'On the line', // once timer starts
 };
 
+// Game screen — Question timer
+export const COPY_QUESTION_TIMER = {
+  TIMES_UP: "Time's up",
+};
+
+// Game screen — Ask the Audience overlay
+export const COPY_ASK_THE_AUDIENCE = {
+  TITLE: 'Ask the Audience',
+  VOTING: 'The audience is voting', // before any tallies arrive
+  FINAL: 'Final results', // once the host locks the poll
+};
+
 // Results screen
 export const COPY_RESULTS = {
   HEADING: 'Final Results',
 };
+
+// ── Operator tool copy ─────────────────────────────────────────────────────────
+// Strings for crew / designer tooling that never appears during a live show.
+
+// Replay mode — ?replay=<file> (rehearsals / post-event review)
+export const COPY_REPLAY = {
+  LOADING: 'Loading replay...',
+  LOAD_FAILED: 'Replay failed: {message}',
+  BADGE: 'Replay',
+  PLAY: 'Play',
+  PAUSE: 'Pause',
+};
+
+// Mock data source — VITE_DATA_SOURCE=mock scenario bar
+export const COPY_MOCK = {
+  BADGE: 'Mock',
+  PLAY: 'Resume autoplay',
+  PAUSE: 'Pause autoplay',
+  NEXT: 'Next step',
+  PREVIOUS: 'Previous step',
+};
+
+// Sound — autoplay unlock card on first load (see AudioUnlockScreen)
+export const COPY_AUDIO = {
+  UNLOCK_HEADING: 'Enable Sound',
+  UNLOCK_MESSAGE: 'Click or press any key to start the show audio',
+};
+
+// Diagnostics overlay — Ctrl+Alt+D on the display machine
+export const COPY_DIAGNOSTICS = {
+  TITLE: 'Diagnostics',
+  ENVIRONMENT: 'Environment',
+  VERSION: 'Build',
+  UID: 'Auth UID',
+  SIGNED_OUT: 'Not signed in',
+  ROOM: 'Room',
+  LEGACY_ROOM: 'Default (root paths)', // no ?game= / VITE_GAME_ID
+  NODES: 'Nodes',
+  SOURCE: 'Data source',
+  FPS: 'FPS',
+  CONNECTION: 'Connection',
+  STATUS: 'Status',
+  ONLINE: 'Online',
+  OFFLINE: 'Offline for', // followed by the outage length, e.g. "12s"
+  RECONNECTS: 'Reconnects',
+  NOT_RECEIVED: 'Not received',
+  OVERLAY: 'Overlay',
+  NO_OVERLAY: 'None',
+  TRANSITIONS: 'State transitions',
+  NO_TRANSITIONS: 'No transitions yet',
+  GAME_STATE: 'Raw game-state',
+  ISSUES: 'Data issues',
+  NO_ISSUES: 'No issues reported',
+};
+
+// Presenter monitor — ?role=presenter floor monitor for the host (crew only)
+export const COPY_PRESENTER = {
+  ACCESS_HEADING: 'Presenter Monitor',
+  ACCESS_PROMPT: 'Enter the access code from the host panel',
+  ACCESS_PLACEHOLDER: 'Access code',
+  UNLOCK: 'Unlock',
+  CHECKING: 'Checking access code...',
+  DENIED: 'Access code not recognised',
+  ANSWER: 'Answer',
+  ANSWER_PENDING: 'No answer loaded for this question',
+  EXPLANATION: 'Explanation',
+  TRIVIA: 'Trivia',
+  NO_NOTES: 'No notes for this question',
+  NO_QUESTION: 'Waiting for the next question',
+  PRIZE_LADDER: 'Prize Ladder',
+  ON_AIR: 'On screen',
+  ON_AIR_QUESTION: 'Question',
+  ON_AIR_OPTIONS: 'Options',
+  ON_AIR_ANSWER: 'Answer',
+};
+
+// Calibration overlay — Ctrl+Alt+C (or ?calibrate=1) when setting up a screen
+export const COPY_CALIBRATION = {
+  SAFE_ACTION: 'Safe action {percent}%',
+  SAFE_TITLE: 'Safe title {percent}%',
+  STAGE: 'Stage',
+  VIEWPORT: 'Viewport',
+  SCALE: 'Scale',
+};
@@ -0,0 +1,32 @@
+// src/constants/audio.js
+
+// ── Cue sheet ──────────────────────────────────────────────────────────────────
+//
+// Every sound the display can play, keyed by cue name. The sound engine
+// (audio/audioEngine.js) plays them; useGameAudioCues decides when.
+//
+// Entry shape:
+//   src     — file URL (supply the files in public/audio/ — none are shipped)
+//   loop?   — true for beds: loops until replaced, crossfading into the next
+//   volume? — 0–1 relative to the master volume (default 1)
+//
+// `config/audio/cues/<cue-name>` overrides an entry per event, either with a
+// URL string or with `{ src, volume }` (see store/nodes.js). A missing file
+// only silences its cue.
+
+export const CUE_SHEET = {
+  // ── Stings (one-shot) ───────────────────────────────────────────────────────
+  questionReveal: { src: '/audio/question-reveal.mp3' },
+  lockIn: { src: '/audio/lock-in.mp3' },
+  correct: { src: '/audio/correct.mp3' },
+  wrong: { src: '/audio/wrong.mp3' },
+  lifeline: { src: '/audio/lifeline.mp3' },
+
+  // ── Beds (looping) ──────────────────────────────────────────────────────────
+  questionBed: { src: '/audio/question-bed.mp3', loop: true, volume: 0.6 },
+  phoneClock: { src: '/audio/phone-clock.mp3', loop: true },
+  betweenTeams: { src: '/audio/between-teams.mp3', loop: true, volume: 0.7 },
+};
+
+/** Seconds a bed takes to fade out while the next one fades in. */
+export const BED_CROSSFADE_SECONDS = 1.5;
@@ -0,0 +1,165 @@
+// src/constants/lifelines.js
+
+import {
+  Locate,
+  LocateOff,
+  Phone,
+  PhoneOff,
+  RefreshCw,
+  RefreshCwOff,
+  Users,
+  UserX,
+  Zap,
+  ZapOff,
+} from 'lucide-react';
+import PhoneAFriendOverlay from '@components/game/PhoneAFriendOverlay';
+import AskTheAudienceOverlay from '@components/game/AskTheAudienceOverlay';
+import { getQuestionType } from '@constants/questionTypes';
+import { toCamelCase } from '@utils/transforms';
+
+// ── Lifeline registry ──────────────────────────────────────────────────────────
+//
+// Single source of truth for every lifeline the display knows how to render.
+// The top bar (LifelineIndicator), the overlay layer (GameScreen) and the
+// option grid (OptionGrid) are all driven from these entries — adding a new
+// lifeline means adding one entry here, nothing else.
+//
+// Entry shape:
+//   key               — Firebase key. Matches `game-state/active-lifeline` and
+//                       `teams/<id>/lifelines-available/<key>`
+//   label             — Top bar label copy
+//   Icon / IconOff    — lucide icons for available/active and used states
+//   statusLabels?     — Per-state overrides for the indicator sub-label
+//                       ({ active?, available?, used? })
+//   overlay?          — Full-screen overlay shown while the lifeline is active:
+//                         Component      — overlay component
+//                         requiresPause  — only show while gameStatus is 'paused'
+//                         getProps(ctx)  — ctx: { gameState, currentTeam, timerDuration }
+//                       GameScreen also passes `banner` in stream overlay mode
+//                       — full-screen overlays render as a lower-third banner.
+//   modifyOptionState? — (state, ctx) → state. Runs for every option after the
+//                        base reveal state is derived. ctx: { optionKey,
+//                        optionText, answerRevealed, activeLifeline, lifelineData }
+//                        optionText is the base option value — a string, or
+//                        { image, caption } for picture options.
+//   audioBed?         — (ctx) → cue name | null. Looping bed played while the
+//                       lifeline's overlay is up (constants/audio.js).
+//                       ctx: { gameState }
+//
+// Which lifelines appear in the top bar is controlled by `config/enabled-lifelines`
+// (see store/nodes.js). Overlays and option modifiers key off game-state, so
+// they are honoured for every registered lifeline regardless of that list.
+
+export const LIFELINE_REGISTRY = {
+  'phone-a-friend': {
+    key: 'phone-a-friend',
+    label: 'Phone a Friend',
+    Icon: Phone,
+    IconOff: PhoneOff,
+    overlay: {
+      Component: PhoneAFriendOverlay,
+      requiresPause: true,
+      getProps: ({ gameState, currentTeam, timerDuration }) => ({
+        startedAt: gameState?.lifelineTimerStartedAt ?? null,
+        timerDuration,
+        contact: currentTeam?.contact ?? null,
+      }),
+    },
+    // The clock only ticks once the host starts the call timer
+    audioBed: ({ gameState }) =>
+      gameState?.lifelineTimerStartedAt ? 'phoneClock' : null,
+  },
+
+  'fifty-fifty': {
+    key: 'fifty-fifty',
+    label: '50 / 50',
+    Icon: Zap,
+    IconOff: ZapOff,
+    // The host nulls the two eliminated options in current-question/options.
+    // The removal persists after the lifeline is cleared, so this does not
+    // check activeLifeline.
+    modifyOptionState: (state, { optionText }) =>
+      optionText === null || optionText === undefined ? 'removed' : state,
+  },
+
+  'ask-the-audience': {
+    key: 'ask-the-audience',
+    label: 'Ask the Audience',
+    Icon: Users,
+    IconOff: UserX,
+    overlay: {
+      Component: AskTheAudienceOverlay,
+      requiresPause: false,
+      getProps: ({ gameState }) => ({
+        poll: gameState?.audiencePoll ?? null,
+        options: gameState?.currentQuestion?.options ?? null,
+        optionKeys: getQuestionType(gameState?.currentQuestion?.type)
+          .optionKeys,
+      }),
+    },
+  },
+
+  'switch-the-question': {
+    key: 'switch-the-question',
+    label: 'Switch Question',
+    Icon: RefreshCw,
+    IconOff: RefreshCwOff,
+    statusLabels: { active: 'Switching' },
+  },
+
+  'double-dip': {
+    key: 'double-dip',
+    label: 'Double Dip',
+    Icon: Locate,
+    IconOff: LocateOff,
+    statusLabels: { active: 'Two Guesses' },
+    // The host records the first (wrong) guess at
+    // `game-state/lifeline-data/double-dip/first-pick`. It stays red for the
+    // rest of the question, except when it turns out to be correct.
+    modifyOptionState: (state, { optionKey, lifelineData }) =>
+      lifelineData?.doubleDip?.firstPick === optionKey && state !== 'correct'
+        ? 'wrong'
+        : state,
+  },
+};
+
+/** Lifelines shown in the top bar when `config/enabled-lifelines` is absent. */
+export const DEFAULT_ENABLED_LIFELINES = [
+  'phone-a-friend',
+  'fifty-fifty',
+  'ask-the-audience',
+];
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the camelCase key a lifeline uses inside the (already converted)
+ * `lifelinesAvailable` object of a team.
+ *
+ * @param {{ key: string }} lifeline
+ * @returns {string} e.g. 'phoneAFriend'
+ */
+export const getAvailabilityKey = (lifeline) => toCamelCase(lifeline.key);
+
+/**
+ * Looks up a registry entry by its Firebase key.
+ *
+ * @param {string|null|undefined} key - e.g. `gameState.activeLifeline`
+ * @returns {object|null}
+ */
+export const findLifeline = (key) =>
+  (key ? LIFELINE_REGISTRY[key] : null) ?? null;
+
+/**
+ * Applies every registered option-state modifier, in registry order.
+ *
+ * @param {string} state - Base state from the option reveal state machine
+ * @param {object} ctx   - See `modifyOptionState` in the registry header
+ * @returns {string}
+ */
+export const applyOptionModifiers = (state, ctx) =>
+  Object.values(LIFELINE_REGISTRY).reduce(
+    (next, lifeline) =>
+      lifeline.modifyOptionState ? lifeline.modifyOptionState(next, ctx) : next,
+    state,
+  );
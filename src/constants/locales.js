@@ -0,0 +1,18 @@
+// src/constants/locales.js
+
+// ── Supported languages ────────────────────────────────────────────────────────
+//
+// Selected with `config/locale` or `?lang=<code>` (see config/locale.js).
+//
+// Entry shape:
+//   name          — the language's own name (diagnostics)
+//   numberLocale  — BCP 47 tag for Intl number formatting (utils/formatters.js)
+//   currency      — currency label placed before prize amounts
+
+export const LOCALES = {
+  en: { name: 'English', numberLocale: 'en-LK', currency: 'Rs.' },
+  si: { name: 'සිංහල', numberLocale: 'si-LK', currency: 'රු.' },
+  ta: { name: 'தமிழ்', numberLocale: 'ta-LK', currency: 'ரூ.' },
+};
+
+export const DEFAULT_LOCALE = 'en';
@@ -0,0 +1,64 @@
+// src/constants/questionTypes.js
+
+// ── Question type registry ─────────────────────────────────────────────────────
+//
+// Every question format the display can lay out, keyed by
+// `current-question/type`. GameScreen, OptionGrid and the Ask the Audience
+// chart read the entry for the current question — a question without a type
+// (or with an unknown one) is a classic four-option question.
+//
+// Entry shape:
+//   key             — Firebase value of `current-question/type`
+//   optionKeys      — options shown, in display order ([] for numeric)
+//   layout          — 'grid'    2×2 option grid
+//                     'row'     centred 3-up row
+//                     'wide'    full-width bars, one per line
+//                     'numeric' NumericReveal card instead of options
+//   reveal          — OptionGrid animation for the correct / wrong option when
+//                     the answer is revealed: 'pulse' | 'flip' | 'rise'
+//   defaultOptions? — QUESTION copy keys used as option text when the host
+//                     sends no options (true / false in the display language)
+
+export const QUESTION_TYPES = {
+  'four-option': {
+    key: 'four-option',
+    optionKeys: ['A', 'B', 'C', 'D'],
+    layout: 'grid',
+    reveal: 'pulse',
+  },
+
+  'three-option': {
+    key: 'three-option',
+    optionKeys: ['A', 'B', 'C'],
+    layout: 'row',
+    reveal: 'rise',
+  },
+
+  'true-false': {
+    key: 'true-false',
+    optionKeys: ['A', 'B'],
+    layout: 'wide',
+    reveal: 'flip',
+    defaultOptions: { A: 'TRUE', B: 'FALSE' },
+  },
+
+  // Closest guess wins — teams' guesses come from game-state/numeric-guesses
+  // and the answer from game-state/correct-value.
+  numeric: {
+    key: 'numeric',
+    optionKeys: [],
+    layout: 'numeric',
+    reveal: 'pulse',
+  },
+};
+
+export const DEFAULT_QUESTION_TYPE = 'four-option';
+
+/**
+ * Registry entry for a `current-question/type` value.
+ *
+ * @param {string|null|undefined} type
+ * @returns {object} the four-option entry for a missing or unknown type
+ */
+export const getQuestionType = (type) =>
+  QUESTION_TYPES[type] ?? QUESTION_TYPES[DEFAULT_QUESTION_TYPE];
@@ -0,0 +1,82 @@
+// src/constants/themes.js
+
+// ── Theme packs ────────────────────────────────────────────────────────────────
+//
+// Built-in looks, selected with `config/theme` or `?theme=<pack>` (see
+// config/theme.js). A pack only lists what differs from the classic look —
+// classic itself is tokens.css plus SHAPE_TOKENS in WwbamShape.jsx.
+//
+// Pack shape (every field optional):
+//   name     — human-readable name (diagnostics)
+//   colors   — palette tokens, camelCase of the CSS variable without `--c-`
+//              (screenBg → --c-screen-bg, goldDeep → --c-gold-deep). Shape
+//              tokens (blueDeep, shapeFill, …) also recolour WwbamShape.
+//   fonts    — { question, body, numeric } font stacks → --font-*,
+//              plus `stylesheet`: a font CSS URL to load (e.g. Google Fonts)
+//   logoUrl  — logo image shown by ScreenHeader
+//   shape    — WwbamShape geometry per size preset:
+//              { wide|medium|compact: { pointExtRatio?, whiskerRatio? } }
+
+export const THEME_PACKS = {
+  classic: {
+    name: 'Classic Blue',
+  },
+
+  'dark-gold': {
+    name: 'Dark Gold',
+    colors: {
+      screenBg: '#0a0804',
+      screenBgOverlay: 'rgba(10, 8, 4, 0.78)',
+      blueDeep: '#5c3d0a',
+      blueMid: '#a8791f',
+      blueLight: '#e6c36a',
+      diamond: '#d4a843',
+      shapeFill: '#0d0a05',
+      shapeFillSelected: '#241402',
+      ladderHl: '#f0b429',
+      borderSubtle: 'rgba(240, 180, 41, 0.1)',
+      borderSeparator: 'rgba(240, 180, 41, 0.18)',
+    },
+  },
+
+  'high-contrast': {
+    name: 'High Contrast',
+    colors: {
+      screenBg: '#000000',
+      screenBgOverlay: 'rgba(0, 0, 0, 0.88)',
+      gold: '#ffd400',
+      goldLight: '#fff176',
+      goldDark: '#ffb300',
+      blueDeep: '#ffffff',
+      blueMid: '#ffffff',
+      blueLight: '#ffffff',
+      greenDeep: '#00c853',
+      greenMid: '#00e676',
+      greenLight: '#69f0ae',
+      redDeep: '#d50000',
+      redMid: '#ff1744',
+      redLight: '#ff5252',
+      usedStrokeDeep: '#5a5a5a',
+      usedStrokeMid: '#7a7a7a',
+      usedStrokeLight: '#9a9a9a',
+      usedText: 'rgba(255, 255, 255, 0.6)',
+      usedSubtext: 'rgba(255, 255, 255, 0.45)',
+      textDim: 'rgba(255, 255, 255, 0.85)',
+      textMuted: 'rgba(255, 255, 255, 0.65)',
+      diamond: '#ffffff',
+      shapeFill: '#000000',
+      shapeFillSelected: '#2b2000',
+      shapeFillCorrect: '#003d12',
+      shapeFillWrong: '#4a0000',
+      borderSubtle: 'rgba(255, 255, 255, 0.35)',
+      borderSeparator: 'rgba(255, 255, 255, 0.5)',
+    },
+    shape: {
+      wide: { whiskerRatio: 0 },
+      medium: { whiskerRatio: 0 },
+      compact: { whiskerRatio: 0 },
+    },
+  },
+};
+
+export const DEFAULT_THEME_PACK = 'classic';
@@ -0,0 +1,26 @@
+// src/hooks/useAudio.js
+
+import { useEffect, useSyncExternalStore } from 'react';
+import {
+  configureAudio,
+  getAudioState,
+  subscribeAudio,
+} from '@audio/audioEngine';
+
+/**
+ * useAudio
+ *
+ * Keeps the sound engine (audio/audioEngine.js) in sync with `config/audio`
+ * and exposes whether it is still waiting for the browser's autoplay unlock.
+ *
+ * @param {{ enabled: boolean, masterVolume: number, cues: object }} audioConfig
+ *
+ * @returns {{ isEnabled: boolean, isLocked: boolean }}
+ */
+export function useAudio(audioConfig) {
+  useEffect(() => {
+    configureAudio(audioConfig);
+  }, [audioConfig]);
+
+  return useSyncExternalStore(subscribeAudio, getAudioState);
+}
@@ -0,0 +1,53 @@
+// src/hooks/useConnectionStatus.js
+
+import { useState, useEffect } from 'react';
+import {
+  getConnectionStatus,
+  subscribeConnectionStatus,
+} from '@config/connectionMonitor';
+import { serverNow } from '@config/timeSync';
+
+/** How often (ms) `offlineMs` is refreshed while the display is offline. */
+const OFFLINE_TICK_MS = 1000;
+
+/**
+ * useConnectionStatus
+ *
+ * Exposes the `.info/connected` monitor (config/connectionMonitor.js) to React
+ * and keeps a live `offlineMs` counter ticking while the display is offline.
+ *
+ * `reconnectCount` increments each time the connection comes back after an
+ * outage — the data listener hooks take it as a dependency so they tear down
+ * and re-attach with a fresh snapshot on every reconnect.
+ *
+ * @returns {{
+ *   isConnected:    boolean,
+ *   hasConnected:   boolean,    // false until the very first connection
+ *   offlineMs:      number,     // 0 while connected
+ *   reconnectCount: number,
+ * }}
+ */
+export function useConnectionStatus() {
+  const [status, setStatus] = useState(getConnectionStatus);
+  const [now, setNow] = useState(serverNow);
+
+  useEffect(() => subscribeConnectionStatus(setStatus), []);
+
+  // Tick the clock only while offline — no re-renders during normal play
+  useEffect(() => {
+    if (status.offlineSince === null) return;
+
+    const interval = setInterval(() => setNow(serverNow()), OFFLINE_TICK_MS);
+    return () => clearInterval(interval);
+  }, [status.offlineSince]);
+
+  const offlineMs =
+    status.offlineSince === null ? 0 : Math.max(0, now - status.offlineSince);
+
+  return {
+    isConnected: status.isConnected,
+    hasConnected: status.hasConnected,
+    offlineMs,
+    reconnectCount: status.reconnectCount,
+  };
+}
@@ -1,8 +1,7 @@
 // src/hooks/useFirebaseAuth.js
 
 import { useState, useEffect } from 'react';
-import { onAuthStateChanged } from 'firebase/auth';
-import { auth, signInAnon } from '@config/firebase';
+import { onAuthStateChanged, signIn } from '@config/dataSource';
 
 /**
  * useFirebaseAuth
@@ -11,6 +10,12 @@ import { auth, signInAnon } from '@config/firebase';
  * All database listeners should only start once `isReady` is true —
  * Firebase will reject reads if auth hasn't resolved yet.
  *
+ * Sign-in goes through the active data source (config/dataSource.js), so the
+ * mock source resolves instantly with a fake user.
+ *
+ * @param {boolean} [enabled=true] - false skips sign-in entirely (replay mode
+ *                                   never talks to Firebase)
+ *
  * @returns {{
  *   isReady: boolean,          // true once anonymous auth is confirmed
  *   isError: boolean,          // true if sign-in failed
@@ -18,17 +23,19 @@ import { auth, signInAnon } from '@config/firebase';
  *   uid: string|null,          // anonymous user UID (useful for debugging)
  * }}
  */
-export function useFirebaseAuth() {
+export function useFirebaseAuth(enabled = true) {
   const [isReady, setIsReady] = useState(false);
   const [isError, setIsError] = useState(false);
   const [errorMessage, setErrorMessage] = useState(null);
   const [uid, setUid] = useState(null);
 
   useEffect(() => {
+    if (!enabled) return;
+
     // Listen for auth state changes first.
     // onAuthStateChanged fires immediately if a session already exists
     // (e.g. hot reload), avoiding an unnecessary extra signInAnonymously call.
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
+    const unsubscribe = onAuthStateChanged((user) => {
       if (user) {
         setUid(user.uid);
         setIsReady(true);
@@ -39,7 +46,7 @@ export function useFirebaseAuth() {
 
     // Attempt anonymous sign-in.
     // If a session already exists, onAuthStateChanged above handles it.
-    signInAnon().then(({ success, error }) => {
+    signIn().then(({ success, error }) => {
       if (!success) {
         setIsError(true);
         setErrorMessage(error);
@@ -48,7 +55,7 @@ export function useFirebaseAuth() {
     });
 
     return () => unsubscribe();
-  }, []);
+  }, [enabled]);
 
   return { isReady, isError, errorMessage, uid };
 }
@@ -0,0 +1,58 @@
+// src/hooks/useFitText.js
+
+import { useEffect, useState } from 'react';
+
+/** How much the font shrinks per measuring pass, in rem. */
+const FIT_STEP_REM = 0.05;
+
+/** Steps the font size down from `max` until the element stops overflowing. */
+function fitElement(element, max, min) {
+  let size = max;
+  element.style.fontSize = `${size}rem`;
+
+  while (
+    size > min &&
+    (element.scrollHeight > element.clientHeight ||
+      element.scrollWidth > element.clientWidth)
+  ) {
+    size = Math.max(min, size - FIT_STEP_REM);
+    element.style.fontSize = `${size}rem`;
+  }
+}
+
+/**
+ * useFitText
+ *
+ * Shrinks an element's font size until its content fits its box, so long
+ * questions and options (and their translation subtitles) never overflow
+ * the WwbamShape frame. The element needs a bounded size — a `maxHeight`
+ * and `overflow: hidden` — and its children should size in `em` so they
+ * scale together.
+ *
+ * Returns a callback ref rather than a ref object: the element often mounts
+ * later than the component (inside AnimatePresence), and the callback hands
+ * it over whenever it does. Sizes are written straight to the element's
+ * style, so re-fitting costs no extra render. Re-fits when `content` changes
+ * or the frame is resized.
+ *
+ * @param {{ max: number, min: number }} sizes   - font size range in rem
+ * @param {string}                       content - anything that changes the text
+ * @returns {(element: HTMLElement|null) => void}
+ */
+export function useFitText({ max, min }, content) {
+  const [element, setElement] = useState(null);
+
+  // `content` is a dependency so new text is measured again
+  useEffect(() => {
+    if (!element) return;
+
+    const fit = () => fitElement(element, max, min);
+
+    fit();
+    const observer = new ResizeObserver(fit);
+    observer.observe(element.parentElement ?? element);
+    return () => observer.disconnect();
+  }, [element, max, min, content]);
+
+  return setElement;
+}
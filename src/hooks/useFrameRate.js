@@ -0,0 +1,43 @@
+// src/hooks/useFrameRate.js
+
+import { useEffect, useState } from 'react';
+
+/** How often (ms) the reading is refreshed. */
+const SAMPLE_MS = 1000;
+
+/**
+ * useFrameRate
+ *
+ * Measures the browser's rendering rate with requestAnimationFrame, for the
+ * diagnostics HUD — a display machine that drops frames shows up here before
+ * the animations visibly stutter. Only runs while the calling component is
+ * mounted.
+ *
+ * @returns {number|null} frames per second over the last sample, null until
+ *   the first sample completes
+ */
+export function useFrameRate() {
+  const [fps, setFps] = useState(null);
+
+  useEffect(() => {
+    let frames = 0;
+    let sampleStart = performance.now();
+    let frameId;
+
+    const tick = (now) => {
+      frames += 1;
+      const elapsed = now - sampleStart;
+      if (elapsed >= SAMPLE_MS) {
+        setFps(Math.round((frames * 1000) / elapsed));
+        frames = 0;
+        sampleStart = now;
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, []);
+
+  return fps;
+}
@@ -0,0 +1,115 @@
+// src/hooks/useGameAudioCues.js
+
+import { useEffect, useRef } from 'react';
+import { playCue, setBed } from '@audio/audioEngine';
+import { findLifeline } from '@constants/lifelines';
+import { getQuestionType } from '@constants/questionTypes';
+import { hasClosestGuess } from '@utils/numericGuesses';
+
+/**
+ * Picks the looping bed for the current screen state, or null for silence.
+ *
+ *   question media playing            → silence (the clip has the floor)
+ *   lifeline overlay with an audioBed → that bed (phone-a-friend clock)
+ *   team announcement                 → betweenTeams
+ *   options up, answer not revealed   → questionBed
+ */
+function deriveBed(overlay, gameState) {
+  if (gameState?.mediaPlaying) return null;
+  if (overlay === 'lifeline') {
+    return (
+      findLifeline(gameState?.activeLifeline)?.audioBed?.({ gameState }) ?? null
+    );
+  }
+  if (overlay === 'announcement') return 'betweenTeams';
+  if (
+    overlay === null &&
+    gameState?.optionsVisible &&
+    !gameState.answerRevealed
+  )
+    return 'questionBed';
+  return null;
+}
+
+/**
+ * useGameAudioCues
+ *
+ * Maps GameScreen state transitions to the cue sheet (constants/audio.js):
+ *
+ *   questionVisible  false → true      → questionReveal
+ *   selectedOption   set / changed     → lockIn  (before the reveal)
+ *   answerRevealed   false → true      → correct / wrong (a numeric question
+ *                                        with a known team's guess and a
+ *                                        correct value has a closest one →
+ *                                        correct; otherwise → wrong)
+ *   activeLifeline   set / changed     → lifeline
+ *
+ * plus the looping bed from deriveBed. State already on screen when
+ * GameScreen mounts plays no stings. The bed fades out on unmount.
+ *
+ * @param {'lifeline'|'pause'|'teamResult'|'announcement'|null} overlay
+ * @param {object|null} gameState
+ * @param {Array}       teams     - selectTeams; numeric guesses count only
+ *                                  for known teams (utils/numericGuesses.js)
+ */
+export function useGameAudioCues(overlay, gameState, teams) {
+  const {
+    questionVisible = false,
+    selectedOption = null,
+    correctOption = null,
+    answerRevealed = false,
+    activeLifeline = null,
+  } = gameState ?? {};
+  const isNumeric =
+    getQuestionType(gameState?.currentQuestion?.type).layout === 'numeric';
+  const hasNumericWinner =
+    isNumeric &&
+    hasClosestGuess(
+      gameState?.numericGuesses ?? {},
+      teams,
+      gameState?.correctValue ?? null,
+    );
+  const previous = useRef(null);
+
+  useEffect(() => {
+    const prev = previous.current;
+    previous.current = {
+      questionVisible,
+      selectedOption,
+      answerRevealed,
+      activeLifeline,
+    };
+    if (!prev) return;
+
+    if (questionVisible && !prev.questionVisible) playCue('questionReveal');
+    if (
+      selectedOption &&
+      selectedOption !== prev.selectedOption &&
+      !answerRevealed
+    )
+      playCue('lockIn');
+    if (answerRevealed && !prev.answerRevealed)
+      playCue(
+        hasNumericWinner || (selectedOption && selectedOption === correctOption)
+          ? 'correct'
+          : 'wrong',
+      );
+    if (activeLifeline && activeLifeline !== prev.activeLifeline)
+      playCue('lifeline');
+  }, [
+    questionVisible,
+    selectedOption,
+    correctOption,
+    answerRevealed,
+    activeLifeline,
+    hasNumericWinner,
+  ]);
+
+  const bed = deriveBed(overlay, gameState);
+
+  useEffect(() => {
+    setBed(bed);
+  }, [bed]);
+
+  useEffect(() => () => setBed(null), []);
+}
@@ -0,0 +1,44 @@
+// src/hooks/useGameStore.js
+
+import { useEffect, useSyncExternalStore } from 'react';
+import {
+  connectGameStore,
+  getGameStoreSnapshot,
+  subscribeGameStore,
+} from '@store/gameStore';
+
+/**
+ * useGameStore
+ *
+ * Reads one value from the game store and re-renders only when that value
+ * changes. Pass a selector from store/selectors.js:
+ *
+ *   const currentTeam = useGameStore(selectCurrentTeam);
+ *
+ * @param {(snapshot: object) => any} selector
+ * @returns {any}
+ */
+export function useGameStore(selector) {
+  return useSyncExternalStore(subscribeGameStore, () =>
+    selector(getGameStoreSnapshot()),
+  );
+}
+
+/**
+ * useGameStoreConnection
+ *
+ * Keeps the game store's Firebase listeners attached. Mounted once in App.
+ * Only connects once `authReady` is true — passing false keeps the store
+ * idle (avoids permission errors before auth resolves).
+ *
+ * @param {boolean} authReady      - Pass `isReady` from useFirebaseAuth
+ * @param {number}  reconnectCount - Pass `reconnectCount` from useConnectionStatus;
+ *                                   each change re-attaches the listeners so a
+ *                                   fresh snapshot replaces any stale cache
+ */
+export function useGameStoreConnection(authReady, reconnectCount = 0) {
+  useEffect(() => {
+    if (!authReady) return;
+    return connectGameStore();
+  }, [authReady, reconnectCount]);
+}
@@ -0,0 +1,49 @@
+// src/hooks/useLocale.js
+
+import { useEffect, useSyncExternalStore } from 'react';
+import {
+  getLocaleState,
+  setLocaleConfig,
+  subscribeLocale,
+} from '@config/locale';
+
+/**
+ * useCopy
+ *
+ * The active message catalogue (config/locale.js), grouped like the COPY_*
+ * constants: `copy.LOBBY.HEADING_NO_TEAMS`. Strings with `{placeholders}` go
+ * through interpolate() from utils/messages.js.
+ *
+ * Components re-render when the language changes, which also picks up the
+ * new number locale in utils/formatters.js.
+ *
+ * @returns {object}
+ */
+export function useCopy() {
+  return useSyncExternalStore(subscribeLocale, getLocaleState).copy;
+}
+
+/**
+ * useLocale
+ *
+ * The active locale code, e.g. 'si'.
+ *
+ * @returns {string}
+ */
+export function useLocale() {
+  return useSyncExternalStore(subscribeLocale, getLocaleState).locale;
+}
+
+/**
+ * useLocaleConfig
+ *
+ * Applies `config/locale` whenever it changes, so the language switches
+ * without a reload. App mounts it once.
+ *
+ * @param {string|null} localeConfig - validated config/locale
+ */
+export function useLocaleConfig(localeConfig) {
+  useEffect(() => {
+    setLocaleConfig(localeConfig);
+  }, [localeConfig]);
+}
@@ -0,0 +1,56 @@
+// src/hooks/useMediaPreload.js
+
+import { useEffect } from 'react';
+import { reportDiagnostic } from '@store/diagnostics';
+
+/** Preloaded elements kept alive — enough for a question or two of lookahead. */
+const MAX_PRELOADED = 6;
+
+/** src → the element holding it in the browser cache, oldest first. */
+const preloaded = new Map();
+
+/**
+ * Starts downloading one media file. Image files are fetched by an Image;
+ * audio and video use a detached media element with `preload="auto"`, which
+ * buffers enough to start playback immediately.
+ */
+const preload = (type, src) => {
+  if (preloaded.has(src)) return;
+
+  const element = type === 'image' ? new Image() : document.createElement(type);
+  element.onerror = () => {
+    console.warn('⚠️ Could not preload question media:', src);
+    reportDiagnostic({
+      level: 'warning',
+      source: 'question-media',
+      message: `could not load ${src}`,
+    });
+  };
+  if (type !== 'image') element.preload = 'auto';
+  element.src = src;
+
+  preloaded.set(src, element);
+  while (preloaded.size > MAX_PRELOADED) {
+    preloaded.delete(preloaded.keys().next().value);
+  }
+};
+
+/**
+ * useMediaPreload
+ *
+ * Preloads the current question's media (and video poster) as soon as the
+ * host loads the question, usually well before `question-visible`, so the
+ * reveal never shows a half-loaded image or a buffering video.
+ *
+ * @param {{ type: string, src: string, poster: string|null }|null} media
+ */
+export function useMediaPreload(media) {
+  const type = media?.type ?? null;
+  const src = media?.src ?? null;
+  const poster = media?.poster ?? null;
+
+  useEffect(() => {
+    if (src) preload(type, src);
+    if (poster) preload('image', poster);
+  }, [type, src, poster]);
+}
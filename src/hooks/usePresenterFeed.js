@@ -0,0 +1,53 @@
+// src/hooks/usePresenterFeed.js
+
+import { useEffect, useState } from 'react';
+import { subscribePresenterFeed } from '@config/presenterFeed';
+
+/**
+ * usePresenterFeed
+ *
+ * Unlocks the host-only presenter feed (config/presenterFeed.js) with an
+ * access code. The first snapshot decides: a code with no feed behind it —
+ * wrong, or not set up by the host panel yet — is reported as denied, as is
+ * a permission error. Once a code has unlocked, a later empty snapshot (the
+ * host cleared the feed between questions) keeps the monitor open with no
+ * answer loaded (`feed` null).
+ *
+ * @param {string|null} accessCode - null until the presenter enters one
+ *
+ * @returns {{
+ *   status: 'locked'|'checking'|'denied'|'ready',
+ *   feed:   object|null,   // { questionId, correctOption, correctValue, explanation, trivia }
+ * }}
+ */
+export function usePresenterFeed(accessCode) {
+  // Keyed by code so a new code reads as 'checking' until its first snapshot
+  const [result, setResult] = useState({
+    accessCode: null,
+    feed: null,
+    unlocked: false,
+  });
+
+  useEffect(() => {
+    if (!accessCode) return;
+
+    return subscribePresenterFeed(
+      accessCode,
+      (feed) =>
+        setResult((previous) => ({
+          accessCode,
+          feed,
+          unlocked:
+            feed !== null ||
+            (previous.accessCode === accessCode && previous.unlocked),
+        })),
+      () => setResult({ accessCode, feed: null, unlocked: false }),
+    );
+  }, [accessCode]);
+
+  if (!accessCode) return { status: 'locked', feed: null };
+  if (result.accessCode !== accessCode)
+    return { status: 'checking', feed: null };
+  if (!result.unlocked) return { status: 'denied', feed: null };
+  return { status: 'ready', feed: result.feed };
+}
@@ -0,0 +1,35 @@
+// src/hooks/useReplay.js
+
+import { useEffect, useSyncExternalStore } from 'react';
+import {
+  getReplayState,
+  loadReplay,
+  subscribeReplay,
+} from '@store/replayPlayer';
+
+/**
+ * useReplay
+ *
+ * Loads a recorded session (`?replay=<file>`) into the replay player and
+ * exposes the player state. Passing null keeps the player idle — the hook is
+ * always called so App's hook order never changes.
+ *
+ * @param {string|null} file - session log URL, or null in live mode
+ *
+ * @returns {{
+ *   status: 'idle'|'loading'|'ready'|'error',
+ *   isPlaying: boolean,
+ *   speed: number,
+ *   position: number,     // playhead, recorded server Unix ms
+ *   startedAt: number,
+ *   endedAt: number,
+ *   errorMessage: string|null,
+ * }}
+ */
+export function useReplay(file) {
+  useEffect(() => {
+    if (file) loadReplay(file);
+  }, [file]);
+
+  return useSyncExternalStore(subscribeReplay, getReplayState);
+}
@@ -0,0 +1,29 @@
+// src/hooks/useServerTimeOffset.js
+
+import { useState, useEffect } from 'react';
+import {
+  getServerTimeOffset,
+  subscribeServerTimeOffset,
+} from '@config/timeSync';
+
+/**
+ * useServerTimeOffset
+ *
+ * Keeps the `.info/serverTimeOffset` listener alive while mounted and
+ * re-renders whenever Firebase revises the estimate.
+ *
+ * App mounts it once so the offset is already known by the time any
+ * countdown appears. Countdown hooks also call it so they recompute as soon
+ * as the offset changes instead of waiting for their next tick.
+ *
+ * Read the corrected clock with `serverNow()` from @config/timeSync.
+ *
+ * @returns {number} offset in ms (server − local)
+ */
+export function useServerTimeOffset() {
+  const [offset, setOffset] = useState(getServerTimeOffset);
+
+  useEffect(() => subscribeServerTimeOffset(setOffset), []);
+
+  return offset;
+}
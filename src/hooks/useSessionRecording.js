@@ -0,0 +1,29 @@
+// src/hooks/useSessionRecording.js
+
+import { useEffect } from 'react';
+import { downloadRecording } from '@store/recorder';
+
+/**
+ * useSessionRecording
+ *
+ * Saves the live session recording (store/recorder.js) as a JSON file when
+ * the operator presses Ctrl+Alt+S on the display machine. The file can be
+ * played back later with `?replay=<file>`.
+ *
+ * @param {boolean} enabled - false in replay mode (nothing is recorded)
+ */
+export function useSessionRecording(enabled) {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey && event.altKey && event.code === 'KeyS') {
+        event.preventDefault();
+        downloadRecording();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+}
@@ -0,0 +1,75 @@
+// src/hooks/useStageLayout.js
+
+import { useSyncExternalStore } from 'react';
+import {
+  computeStageLayout,
+  resolveStageOrientation,
+} from '@config/stageScale';
+import { useGameStore } from '@hooks/useGameStore';
+import { selectDisplayConfig } from '@store/selectors';
+
+// ── Viewport store ─────────────────────────────────────────────────────────────
+
+let viewport = { width: window.innerWidth, height: window.innerHeight };
+
+const subscribeViewport = (subscriber) => {
+  const handleResize = () => {
+    viewport = { width: window.innerWidth, height: window.innerHeight };
+    subscriber();
+  };
+
+  window.addEventListener('resize', handleResize);
+  return () => window.removeEventListener('resize', handleResize);
+};
+
+const getViewport = () => viewport;
+
+// ── Hooks ──────────────────────────────────────────────────────────────────────
+
+/**
+ * useStageLayout
+ *
+ * Tracks the browser viewport and resolves the stage canvas for it
+ * (config/stageScale.js). Re-renders on window resize, e.g. when the display
+ * machine switches projector resolution or an LED panel is rotated.
+ *
+ * @param {'fit'|'fill'} mode
+ * @param {string|null} orientationSetting - display-settings/orientation
+ * @returns {{
+ *   viewport: { width: number, height: number },
+ *   layout:   { width, height, scale, offsetX, offsetY, aspect, orientation },
+ * }}
+ */
+export function useStageLayout(mode, orientationSetting) {
+  const current = useSyncExternalStore(subscribeViewport, getViewport);
+  const orientation = resolveStageOrientation(
+    orientationSetting,
+    current.width,
+    current.height,
+  );
+
+  return {
+    viewport: current,
+    layout: computeStageLayout(
+      current.width,
+      current.height,
+      mode,
+      orientation,
+    ),
+  };
+}
+
+/**
+ * useStageOrientation
+ *
+ * The stage canvas orientation, for screens that switch to a stacked
+ * portrait layout. Resolves the same way as App's useStageLayout call, so
+ * it always matches the canvas the screen is rendered on.
+ *
+ * @returns {'landscape'|'portrait'}
+ */
+export function useStageOrientation() {
+  const current = useSyncExternalStore(subscribeViewport, getViewport);
+  const { orientation } = useGameStore(selectDisplayConfig);
+  return resolveStageOrientation(orientation, current.width, current.height);
+}
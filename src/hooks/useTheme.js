@@ -0,0 +1,33 @@
+// src/hooks/useTheme.js
+
+import { useEffect, useSyncExternalStore } from 'react';
+import { getTheme, setThemeConfig, subscribeTheme } from '@config/theme';
+
+/**
+ * useTheme
+ *
+ * The resolved theme (config/theme.js) — for the few places that cannot use
+ * the CSS variables, like WwbamShape's SVG gradients and the logo URL.
+ *
+ * @returns {{
+ *   pack: string, name: string, colors: object, fonts: object,
+ *   logoUrl: string|null, shape: object,
+ * }}
+ */
+export function useTheme() {
+  return useSyncExternalStore(subscribeTheme, getTheme);
+}
+
+/**
+ * useThemeConfig
+ *
+ * Applies `config/theme` whenever it changes, so a new theme goes live
+ * without a reload. App mounts it once.
+ *
+ * @param {object|null} themeConfig - validated config/theme
+ */
+export function useThemeConfig(themeConfig) {
+  useEffect(() => {
+    setThemeConfig(themeConfig);
+  }, [themeConfig]);
+}
@@ -0,0 +1,96 @@
+// src/hooks/useTimestampCountdown.js
+
+import { useState, useEffect, useRef } from 'react';
+import { serverNow } from '@config/timeSync';
+import { useServerTimeOffset } from '@hooks/useServerTimeOffset';
+
+/**
+ * useTimestampCountdown
+ *
+ * Derives remaining seconds from a Firebase Unix ms timestamp rather than
+ * counting down from a fixed duration on mount. This means a display that
+ * reconnects mid-countdown shows the correct remaining time instead of
+ * restarting.
+ *
+ * Elapsed time is measured with `serverNow()` (local clock corrected by
+ * Firebase's `.info/serverTimeOffset`), because the start timestamp is
+ * written by the host machine whose clock may differ from the projector PC.
+ *
+ * Shared by every timestamp-driven clock on the display:
+ *   - PhoneAFriendOverlay — `game-state/lifeline-timer-started-at`
+ *   - QuestionTimer       — `game-state/question-timer-started-at`
+ *
+ * @param {number|null} startedAt       - Unix ms timestamp from Firebase, or null
+ * @param {number}      durationSeconds - Total countdown duration in seconds
+ * @param {{
+ *   warningAt?:  number, - seconds left at which `isWarning` turns on (default: off)
+ *   expiringAt?: number, - seconds left at which `isExpiring` turns on (default: 10)
+ * }} [thresholds]
+ *
+ * @returns {{
+ *   secondsLeft: number,
+ *   display:     string,   // "MM:SS"
+ *   progressPct: number,   // 100 → 0 as time runs out
+ *   hasStarted:  boolean,
+ *   hasExpired:  boolean,
+ *   isWarning:   boolean,  // ≤ warningAt and not yet expiring
+ *   isExpiring:  boolean,  // ≤ expiringAt and not yet expired
+ * }}
+ */
+export function useTimestampCountdown(
+  startedAt,
+  durationSeconds,
+  { warningAt = null, expiringAt = 10 } = {},
+) {
+  const serverTimeOffset = useServerTimeOffset();
+
+  const computeRemaining = () => {
+    if (!startedAt) return durationSeconds;
+    const elapsed = Math.floor((serverNow() - startedAt) / 1000);
+    return Math.max(0, durationSeconds - elapsed);
+  };
+
+  const [secondsLeft, setSecondsLeft] = useState(computeRemaining);
+  const intervalRef = useRef(null);
+
+  useEffect(() => {
+    setSecondsLeft(computeRemaining());
+
+    if (!startedAt) {
+      clearInterval(intervalRef.current);
+      return;
+    }
+
+    intervalRef.current = setInterval(() => {
+      setSecondsLeft(computeRemaining());
+    }, 1000);
+
+    return () => clearInterval(intervalRef.current);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [startedAt, durationSeconds, serverTimeOffset]);
+
+  const hasStarted = startedAt !== null;
+  const hasExpired = hasStarted && secondsLeft <= 0;
+  const isExpiring = hasStarted && secondsLeft <= expiringAt && !hasExpired;
+  const isWarning =
+    hasStarted &&
+    warningAt !== null &&
+    secondsLeft <= warningAt &&
+    !isExpiring &&
+    !hasExpired;
+  const progressPct = hasStarted ? (secondsLeft / durationSeconds) * 100 : 100;
+
+  const minutes = Math.floor(secondsLeft / 60);
+  const seconds = secondsLeft % 60;
+  const display = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+
+  return {
+    secondsLeft,
+    display,
+    progressPct,
+    hasStarted,
+    hasExpired,
+    isWarning,
+    isExpiring,
+  };
+}
@@ -0,0 +1,55 @@
+// src/locales/en.js
+
+import {
+  COPY_ANNOUNCEMENT,
+  COPY_ASK_THE_AUDIENCE,
+  COPY_BETWEEN_QUESTIONS,
+  COPY_CONNECTION,
+  COPY_FASTEST_FINGER,
+  COPY_LIFELINE_STATUS,
+  COPY_LOADING,
+  COPY_LOBBY,
+  COPY_PAUSE,
+  COPY_PHONE_A_FRIEND,
+  COPY_PRIZE_LADDER,
+  COPY_QUESTION,
+  COPY_QUESTION_TIMER,
+  COPY_READY,
+  COPY_RESULTS,
+  COPY_ROSTER,
+  COPY_STEPPER,
+  COPY_TEAM_LIST,
+  COPY_TEAM_RESULT,
+  COPY_TOP_BAR,
+} from '@constants/app';
+
+/**
+ * English catalogue — the audience copy from constants/app.js, grouped by the
+ * COPY_* suffix. It is the base every other catalogue is merged over, so a
+ * key missing from si/ta falls back to English.
+ *
+ * LIFELINES is empty here: English lifeline names come from the registry.
+ */
+export default {
+  LOADING: COPY_LOADING,
+  CONNECTION: COPY_CONNECTION,
+  LOBBY: COPY_LOBBY,
+  ROSTER: COPY_ROSTER,
+  STEPPER: COPY_STEPPER,
+  READY: COPY_READY,
+  FASTEST_FINGER: COPY_FASTEST_FINGER,
+  TOP_BAR: COPY_TOP_BAR,
+  LIFELINE_STATUS: COPY_LIFELINE_STATUS,
+  LIFELINES: {},
+  QUESTION: COPY_QUESTION,
+  TEAM_LIST: COPY_TEAM_LIST,
+  PRIZE_LADDER: COPY_PRIZE_LADDER,
+  PAUSE: COPY_PAUSE,
+  BETWEEN_QUESTIONS: COPY_BETWEEN_QUESTIONS,
+  ANNOUNCEMENT: COPY_ANNOUNCEMENT,
+  TEAM_RESULT: COPY_TEAM_RESULT,
+  PHONE_A_FRIEND: COPY_PHONE_A_FRIEND,
+  QUESTION_TIMER: COPY_QUESTION_TIMER,
+  ASK_THE_AUDIENCE: COPY_ASK_THE_AUDIENCE,
+  RESULTS: COPY_RESULTS,
+};
@@ -0,0 +1,125 @@
+// src/locales/si.js
+
+/**
+ * Sinhala catalogue — same keys as locales/en.js. Missing keys fall back to
+ * English. Keep `{placeholders}` intact; their position may move.
+ */
+export default {
+  LOADING: {
+    CONNECTING: 'සම්බන්ධ වෙමින්...',
+    CONNECTING_FIREBASE: 'Firebase වෙත සම්බන්ධ වෙමින්...',
+    AUTHENTICATING: 'සත්‍යාපනය කරමින්...',
+    AUTH_FAILED: 'සත්‍යාපනය අසාර්ථකයි: {message}',
+    CONNECTION_ERROR: 'සම්බන්ධතා දෝෂය: {message}',
+  },
+  CONNECTION: {
+    RECONNECTING: 'නැවත සම්බන්ධ වෙමින්…',
+    OFFLINE_HEADING: 'අපි ඉක්මනින් නැවත එන්නෙමු',
+    OFFLINE_MESSAGE: 'තරඟයට නැවත සම්බන්ධ වෙමින්…',
+  },
+  LOBBY: {
+    HEADING_WITH_TEAMS: 'අද රාත්‍රියේ කණ්ඩායම්',
+    HEADING_NO_TEAMS: 'ක්‍රීඩා කිරීමට සූදානම් වන්න',
+    NO_TEAMS_MESSAGE: 'කණ්ඩායම් ලියාපදිංචි වන තෙක් රැඳී සිටින්න...',
+    FOOTER_NOTE: 'කණ්ඩායම් අනුපිළිවෙළ සහ ප්‍රශ්න කට්ටල ඉක්මනින් පවරනු ලැබේ...',
+    WAITING_FOR_HOST: 'සත්කාරකයා එනතුරු',
+  },
+  ROSTER: {
+    TEAM: 'කණ්ඩායම',
+    NO_PARTICIPANTS: 'සහභාගිවන්නන් ලැයිස්තුගත කර නැත',
+  },
+  STEPPER: {
+    HEADING: 'තරඟය සූදානම් කරමින්',
+    COMPLETE_MESSAGE: 'සියල්ල සූදානම්!',
+    PREPARING_TEAMS: 'කණ්ඩායම් සූදානම් කරමින්',
+    PREPARING_QUESTIONS: 'ප්‍රශ්න කට්ටල සූදානම් කරමින්',
+    RANDOMIZING_ORDER: 'කණ්ඩායම් අනුපිළිවෙළ අහඹු කරමින්',
+    ASSIGNING_QUESTIONS: 'කණ්ඩායම්වලට ප්‍රශ්න කට්ටල පවරමින්',
+  },
+  READY: {
+    HEADING: 'ක්‍රීඩා අනුපිළිවෙළ',
+    STARTING_SOON: 'ඉක්මනින් ආරම්භ වේ...',
+  },
+  FASTEST_FINGER: {
+    TITLE: 'වේගවත්ම ඇඟිල්ල',
+    CORRECT_ORDER: 'නිවැරදි අනුපිළිවෙළ',
+    RESPONSE_TIMES: 'ප්‍රතිචාර කාල',
+    NO_RESPONSES: 'ප්‍රතිචාර එනතුරු...',
+    SECONDS: 'තත්. {seconds}',
+    NO_ANSWER: 'පිළිතුරක් නැත',
+    WRONG_ORDER: 'වැරදි අනුපිළිවෙළ',
+    WINNER: 'වේගවත්ම ඇඟිල්ල',
+  },
+  TOP_BAR: {
+    NOW_PLAYING: 'දැන් ක්‍රීඩා කරන්නේ',
+    QUESTION: 'ප්‍රශ්නය',
+    PRIZE: 'ත්‍යාගය',
+    GUARANTEED: 'සහතික මුදල',
+  },
+  LIFELINE_STATUS: {
+    ACTIVE: 'භාවිතයේ',
+    AVAILABLE: 'ලබා ගත හැක',
+    USED: 'භාවිත කළා',
+  },
+  LIFELINES: {
+    'phone-a-friend': { LABEL: 'මිතුරෙකුට කතා කරන්න' },
+    'fifty-fifty': { LABEL: '50 / 50' },
+    'ask-the-audience': { LABEL: 'ප්‍රේක්ෂකයන්ගෙන් අසන්න' },
+    'switch-the-question': {
+      LABEL: 'ප්‍රශ්නය මාරු කරන්න',
+      ACTIVE: 'මාරු කරමින්',
+    },
+    'double-dip': { LABEL: 'ද්විත්ව අවස්ථාව', ACTIVE: 'අනුමාන දෙකක්' },
+  },
+  QUESTION: {
+    LABEL: 'ප්‍රශ්නය',
+    TRUE: 'සත්‍ය',
+    FALSE: 'අසත්‍ය',
+    CORRECT_ANSWER: 'නිවැරදි පිළිතුර',
+    NO_GUESSES: 'අනුමාන එනතුරු...',
+    CLOSEST: 'ආසන්නතම',
+  },
+  TEAM_LIST: {
+    NOW_PLAYING: 'දැන් ක්‍රීඩා කරයි',
+    DONE: 'අවසන්',
+    WAITING: 'රැඳී සිටී',
+    STANDINGS: 'ස්ථාන',
+  },
+  PRIZE_LADDER: {
+    QUESTION: 'ප්‍ර.{number}',
+  },
+  PAUSE: {
+    HEADING: 'නවතා ඇත',
+    SUBHEADING: 'තරඟය තාවකාලිකව නවතා ඇත',
+  },
+  BETWEEN_QUESTIONS: {
+    LABEL: 'ඊළඟ ප්‍රශ්නයට සූදානම් වන්න',
+  },
+  ANNOUNCEMENT: {
+    FIRST_UP: 'පළමුව',
+    UP_NEXT: 'ඊළඟට',
+  },
+  TEAM_RESULT: {
+    COMPLETED: 'සම්පූර්ණයි',
+    ELIMINATED: 'ඉවත් විය',
+    TAKES_HOME: 'රැගෙන යන මුදල',
+    FALLS_BACK_TO: 'ප්‍රශ්න {number} සන්ධිස්ථානයට පහත වැටේ',
+    NO_MILESTONE: 'සන්ධිස්ථානයකට ළඟා වී නැත',
+  },
+  PHONE_A_FRIEND: {
+    TITLE: 'මිතුරෙකුට කතා කරන්න',
+    CALLING: '{number} අමතමින්',
+    ON_THE_LINE: 'දුරකථනයේ සිටී',
+  },
+  QUESTION_TIMER: {
+    TIMES_UP: 'කාලය අවසන්',
+  },
+  ASK_THE_AUDIENCE: {
+    TITLE: 'ප්‍රේක්ෂකයන්ගෙන් අසන්න',
+    VOTING: 'ප්‍රේක්ෂකයන් ඡන්දය දෙමින්',
+    FINAL: 'අවසන් ප්‍රතිඵල',
+  },
+  RESULTS: {
+    HEADING: 'අවසන් ප්‍රතිඵල',
+  },
+};
@@ -0,0 +1,126 @@
+// src/locales/ta.js
+
+/**
+ * Tamil catalogue — same keys as locales/en.js. Missing keys fall back to
+ * English. Keep `{placeholders}` intact; their position may move.
+ */
+export default {
+  LOADING: {
+    CONNECTING: 'இணைக்கப்படுகிறது...',
+    CONNECTING_FIREBASE: 'Firebase உடன் இணைக்கப்படுகிறது...',
+    AUTHENTICATING: 'அங்கீகரிக்கப்படுகிறது...',
+    AUTH_FAILED: 'அங்கீகாரம் தோல்வி: {message}',
+    CONNECTION_ERROR: 'இணைப்புப் பிழை: {message}',
+  },
+  CONNECTION: {
+    RECONNECTING: 'மீண்டும் இணைக்கப்படுகிறது…',
+    OFFLINE_HEADING: 'விரைவில் திரும்புவோம்',
+    OFFLINE_MESSAGE: 'போட்டியுடன் மீண்டும் இணைக்கப்படுகிறது…',
+  },
+  LOBBY: {
+    HEADING_WITH_TEAMS: 'இன்றைய அணிகள்',
+    HEADING_NO_TEAMS: 'விளையாடத் தயாராகுங்கள்',
+    NO_TEAMS_MESSAGE: 'அணிகள் பதிவு செய்யப்படும் வரை காத்திருக்கிறோம்...',
+    FOOTER_NOTE:
+      'அணி வரிசையும் கேள்வித் தொகுப்புகளும் விரைவில் ஒதுக்கப்படும்...',
+    WAITING_FOR_HOST: 'தொகுப்பாளருக்காகக் காத்திருக்கிறோம்',
+  },
+  ROSTER: {
+    TEAM: 'அணி',
+    NO_PARTICIPANTS: 'பங்கேற்பாளர்கள் பட்டியலிடப்படவில்லை',
+  },
+  STEPPER: {
+    HEADING: 'போட்டி தயாராகிறது',
+    COMPLETE_MESSAGE: 'அனைத்தும் தயார்!',
+    PREPARING_TEAMS: 'அணிகள் தயாராகின்றன',
+    PREPARING_QUESTIONS: 'கேள்வித் தொகுப்புகள் தயாராகின்றன',
+    RANDOMIZING_ORDER: 'அணி வரிசை கலக்கப்படுகிறது',
+    ASSIGNING_QUESTIONS: 'அணிகளுக்குக் கேள்வித் தொகுப்புகள் ஒதுக்கப்படுகின்றன',
+  },
+  READY: {
+    HEADING: 'விளையாட்டு வரிசை',
+    STARTING_SOON: 'விரைவில் ஆரம்பமாகும்...',
+  },
+  FASTEST_FINGER: {
+    TITLE: 'அதிவேக விரல்',
+    CORRECT_ORDER: 'சரியான வரிசை',
+    RESPONSE_TIMES: 'பதில் நேரங்கள்',
+    NO_RESPONSES: 'பதில்களுக்காகக் காத்திருக்கிறது...',
+    SECONDS: '{seconds} வி.',
+    NO_ANSWER: 'பதில் இல்லை',
+    WRONG_ORDER: 'தவறான வரிசை',
+    WINNER: 'அதிவேக விரல்',
+  },
+  TOP_BAR: {
+    NOW_PLAYING: 'தற்போது விளையாடுவது',
+    QUESTION: 'கேள்வி',
+    PRIZE: 'பரிசு',
+    GUARANTEED: 'உறுதியான தொகை',
+  },
+  LIFELINE_STATUS: {
+    ACTIVE: 'பயன்பாட்டில்',
+    AVAILABLE: 'உள்ளது',
+    USED: 'பயன்படுத்தப்பட்டது',
+  },
+  LIFELINES: {
+    'phone-a-friend': { LABEL: 'நண்பரை அழையுங்கள்' },
+    'fifty-fifty': { LABEL: '50 / 50' },
+    'ask-the-audience': { LABEL: 'பார்வையாளர்களிடம் கேளுங்கள்' },
+    'switch-the-question': {
+      LABEL: 'கேள்வியை மாற்று',
+      ACTIVE: 'மாற்றப்படுகிறது',
+    },
+    'double-dip': { LABEL: 'இரட்டை வாய்ப்பு', ACTIVE: 'இரண்டு ஊகங்கள்' },
+  },
+  QUESTION: {
+    LABEL: 'கேள்வி',
+    TRUE: 'சரி',
+    FALSE: 'தவறு',
+    CORRECT_ANSWER: 'சரியான பதில்',
+    NO_GUESSES: 'ஊகங்களுக்காகக் காத்திருக்கிறது...',
+    CLOSEST: 'மிக அருகில்',
+  },
+  TEAM_LIST: {
+    NOW_PLAYING: 'தற்போது விளையாடுகிறது',
+    DONE: 'முடிந்தது',
+    WAITING: 'காத்திருக்கிறது',
+    STANDINGS: 'நிலைகள்',
+  },
+  PRIZE_LADDER: {
+    QUESTION: 'கே.{number}',
+  },
+  PAUSE: {
+    HEADING: 'இடைநிறுத்தம்',
+    SUBHEADING: 'போட்டி தற்காலிகமாக நிறுத்தப்பட்டுள்ளது',
+  },
+  BETWEEN_QUESTIONS: {
+    LABEL: 'அடுத்த கேள்விக்குத் தயாராகுங்கள்',
+  },
+  ANNOUNCEMENT: {
+    FIRST_UP: 'முதலில்',
+    UP_NEXT: 'அடுத்து',
+  },
+  TEAM_RESULT: {
+    COMPLETED: 'நிறைவு',
+    ELIMINATED: 'வெளியேற்றப்பட்டது',
+    TAKES_HOME: 'வென்ற தொகை',
+    FALLS_BACK_TO: 'கேள்வி {number} மைல்கல்லுக்குத் திரும்புகிறது',
+    NO_MILESTONE: 'எந்த மைல்கல்லையும் அடையவில்லை',
+  },
+  PHONE_A_FRIEND: {
+    TITLE: 'நண்பரை அழையுங்கள்',
+    CALLING: '{number} அழைக்கப்படுகிறது',
+    ON_THE_LINE: 'இணைப்பில் உள்ளார்',
+  },
+  QUESTION_TIMER: {
+    TIMES_UP: 'நேரம் முடிந்தது',
+  },
+  ASK_THE_AUDIENCE: {
+    TITLE: 'பார்வையாளர்களிடம் கேளுங்கள்',
+    VOTING: 'பார்வையாளர்கள் வாக்களிக்கின்றனர்',
+    FINAL: 'இறுதி முடிவுகள்',
+  },
+  RESULTS: {
+    HEADING: 'இறுதி முடிவுகள்',
+  },
+};
@@ -0,0 +1,116 @@
+// src/mock/mockDatabase.js
+
+import seed from '@mock/seed.json';
+import { getGameId } from '@config/gameNamespace';
+
+// ============================================================================
+// MOCK DATABASE
+// ============================================================================
+
+/**
+ * A tiny in-memory stand-in for the Realtime Database, used by the mock data
+ * source. Data lives in one JSON tree keyed exactly like Firebase
+ * (kebab-case), seeded from mock/seed.json.
+ *
+ * Semantics copied from Firebase where screens depend on them:
+ *   - listeners get the value at their path, or null when it is missing
+ *   - writing null deletes the key
+ *   - a multi-path update() notifies each affected listener once
+ *   - listeners receive a copy, never the live tree
+ *
+ * `.info/connected` and `.info/serverTimeOffset` are part of the tree so the
+ * connection monitor and server clock work unchanged. With `?game=<id>` the
+ * seed is placed under `games/<id>/`, like a real multi-room database.
+ */
+
+const INFO = { connected: true, serverTimeOffset: 0 };
+
+let tree = {};
+const listeners = new Set();
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+const readPath = (path) =>
+  splitPath(path).reduce((node, key) => node?.[key], tree) ?? null;
+
+const writePath = (path, value) => {
+  const keys = splitPath(path);
+  const lastKey = keys.pop();
+  let node = tree;
+
+  for (const key of keys) {
+    if (node[key] === null || typeof node[key] !== 'object') {
+      if (value === null) return; // deleting under a missing parent
+      node[key] = {};
+    }
+    node = node[key];
+  }
+
+  if (value === null) delete node[lastKey];
+  else node[lastKey] = structuredClone(value);
+};
+
+/** True when a write at `changedPath` can change the value at `listenPath`. */
+const overlaps = (listenPath, changedPath) => {
+  const listen = splitPath(listenPath);
+  const changed = splitPath(changedPath);
+  const shared = Math.min(listen.length, changed.length);
+  return listen.slice(0, shared).every((key, i) => key === changed[i]);
+};
+
+const notify = (changedPaths) => {
+  listeners.forEach((listener) => {
+    if (changedPaths.some((path) => overlaps(listener.path, path))) {
+      listener.onData(structuredClone(readPath(listener.path)));
+    }
+  });
+};
+
+// ── Public API ─────────────────────────────────────────────────────────────────
+
+/**
+ * Listens to a path. The listener is called asynchronously with the current
+ * value (like Firebase's initial snapshot), then after every change.
+ *
+ * @param {string} path
+ * @param {(value: unknown) => void} onData
+ * @returns {() => void} unsubscribe
+ */
+export const listen = (path, onData) => {
+  const listener = { path, onData };
+  listeners.add(listener);
+  queueMicrotask(() => {
+    if (listeners.has(listener)) onData(structuredClone(readPath(path)));
+  });
+
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Multi-path update, like Firebase's `update(ref(db), { … })`:
+ *
+ *   update({ 'game-state/game-status': 'active', 'teams/team-1/status': 'active' })
+ *
+ * @param {Record<string, unknown>} changes - path → value (null deletes)
+ */
+export const update = (changes) => {
+  Object.entries(changes).forEach(([path, value]) => writePath(path, value));
+  notify(Object.keys(changes));
+};
+
+/** Restores the seed data and notifies every listener. */
+export const reset = () => {
+  const gameId = getGameId();
+  const data = structuredClone(seed);
+
+  tree = {
+    ...(gameId === null ? data : { games: { [gameId]: data } }),
+    '.info': { ...INFO },
+  };
+  notify(['']);
+};
+
+/** Current value at a path (a copy). */
+export const read = (path) => structuredClone(readPath(path));
+
+reset();
@@ -0,0 +1,31 @@
+// src/mock/mockSource.js
+
+import { listen } from '@mock/mockDatabase';
+
+// ============================================================================
+// MOCK DATA SOURCE
+// ============================================================================
+
+/**
+ * Data source for `VITE_DATA_SOURCE=mock` — reads from the in-memory mock
+ * database (mock/mockDatabase.js) instead of Firebase. Sign-in succeeds
+ * immediately with a fake user. The scripted scenario that drives the data
+ * is started by the ScenarioControls bar (mock/scenarioRunner.js).
+ */
+
+const MOCK_USER = { uid: 'mock-display' };
+
+const mockSource = {
+  name: 'mock',
+
+  subscribe: (path, onData) => listen(path, onData),
+
+  signIn: async () => ({ success: true, user: MOCK_USER }),
+
+  onAuthStateChanged: (callback) => {
+    queueMicrotask(() => callback(MOCK_USER));
+    return () => {};
+  },
+};
+
+export default mockSource;
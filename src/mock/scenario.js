@@ -0,0 +1,331 @@
+// src/mock/scenario.js
+
+// ============================================================================
+// MOCK SCENARIO
+// ============================================================================
+
+/**
+ * A scripted game for the mock data source: lobby → initialized → fastest
+ * finger first → questions → lifelines → results, written the way the host panel writes Firebase.
+ *
+ * Each step:
+ *   label   — shown in the ScenarioControls bar
+ *   hold    — ms to stay on this step before autoplay moves on
+ *   changes — multi-path update applied to the mock database (null deletes),
+ *             or `({ now }) => changes` for steps that need a timestamp
+ *
+ * Steps only describe what changed, so every step assumes the ones before it
+ * have been applied (the runner replays from the seed when jumping).
+ */
+
+const PRIZES = [500, 1000, 1500];
+
+const QUESTIONS = {
+  1: {
+    text: 'Which planet is known as the Red Planet?',
+    options: { A: 'Venus', B: 'Mars', C: 'Jupiter', D: 'Mercury' },
+    'text-si': 'රතු ග්‍රහලෝකය ලෙස හඳුන්වන්නේ කුමන ග්‍රහලෝකයද?',
+    'options-si': { A: 'සිකුරු', B: 'අඟහරු', C: 'බ්‍රහස්පති', D: 'බුධ' },
+  },
+  2: {
+    text: 'What is the capital city of Australia?',
+    options: { A: 'Sydney', B: 'Melbourne', C: 'Canberra', D: 'Perth' },
+    'text-si': 'ඕස්ට්‍රේලියාවේ අගනුවර කුමක්ද?',
+    'options-si': { A: 'සිඩ්නි', B: 'මෙල්බර්න්', C: 'කැන්බරා', D: 'පර්ත්' },
+  },
+  3: {
+    text: 'Who painted the Mona Lisa?',
+    options: {
+      A: 'Michelangelo',
+      B: 'Raphael',
+      C: 'Leonardo da Vinci',
+      D: 'Donatello',
+    },
+    'text-si': 'මොනාලිසා සිතුවම ඇන්දේ කවුද?',
+    'options-si': {
+      A: 'මයිකල්ඇන්ජලෝ',
+      B: 'රෆායෙල්',
+      C: 'ලියනාඩෝ ඩා වින්චි',
+      D: 'ඩොනටෙලෝ',
+    },
+  },
+};
+
+/**
+ * Presenter feed per question (config/presenterFeed.js), under the mock
+ * access code — open the mock display with `?role=presenter&code=demo`.
+ */
+const PRESENTER_ACCESS_CODE = 'demo';
+
+const PRESENTER_NOTES = {
+  1: {
+    'correct-option': 'B',
+    explanation: 'Iron oxide (rust) on its surface gives Mars its colour.',
+    trivia: 'Mars has the tallest volcano in the solar system, Olympus Mons.',
+  },
+  2: {
+    'correct-option': 'C',
+    explanation:
+      'Canberra was purpose-built as a compromise between Sydney and Melbourne.',
+  },
+  3: {
+    'correct-option': 'C',
+    explanation: 'Leonardo da Vinci painted it in the early 1500s.',
+    trivia: 'The Mona Lisa has hung in the Louvre since 1797.',
+  },
+};
+
+/** Fastest Finger First qualifier — smallest to largest. */
+const FASTEST_FINGER = {
+  question: {
+    text: 'Put these planets in order of size, starting with the smallest.',
+    options: { A: 'Earth', B: 'Mercury', C: 'Jupiter', D: 'Mars' },
+    'text-si': 'මෙම ග්‍රහලෝක කුඩාම එකේ සිට ප්‍රමාණය අනුව පිළිවෙළට සකසන්න.',
+    'options-si': { A: 'පෘථිවිය', B: 'බුධ', C: 'බ්‍රහස්පති', D: 'අඟහරු' },
+  },
+  'correct-order': 'BDAC',
+  results: {
+    'team-1': { 'team-id': 'team-1', time: 4210, answer: 'BDAC' },
+    'team-2': { 'team-id': 'team-2', time: 3870, answer: 'BADC' },
+    'team-3': { 'team-id': 'team-3', time: 5630, answer: 'BDAC' },
+    'team-4': { 'team-id': 'team-4', time: null },
+  },
+};
+
+// ── Builders ───────────────────────────────────────────────────────────────────
+
+/** Clears the previous question's answer state. */
+const clearAnswer = () => ({
+  'game-state/selected-option': null,
+  'game-state/correct-option': null,
+  'game-state/answer-revealed': false,
+  'game-state/active-lifeline': null,
+  'game-state/question-timer-started-at': null,
+});
+
+/** Loads question `number` with the question text visible. */
+const showQuestion = (number) => ({
+  ...clearAnswer(),
+  'game-state/current-question-number': number,
+  'game-state/current-question': {
+    id: `q${number}`,
+    number,
+    ...QUESTIONS[number],
+  },
+  'game-state/question-visible': true,
+  'game-state/options-visible': false,
+  [`presenter/${PRESENTER_ACCESS_CODE}`]: {
+    'question-id': `q${number}`,
+    ...PRESENTER_NOTES[number],
+  },
+});
+
+const showOptions = (now) => ({
+  'game-state/options-visible': true,
+  'game-state/question-timer-started-at': now,
+});
+
+const revealAnswer = (selected, correct) => ({
+  'game-state/selected-option': selected,
+  'game-state/correct-option': correct,
+  'game-state/answer-revealed': true,
+  'game-state/question-timer-started-at': null,
+});
+
+/** Puts `teamId` on stage and shows the team announcement. */
+const announceTeam = (teamId) => ({
+  ...clearAnswer(),
+  'game-state/current-team-id': teamId,
+  'game-state/current-question-number': 0,
+  'game-state/current-question': null,
+  'game-state/question-visible': false,
+  'game-state/options-visible': false,
+  [`teams/${teamId}/status`]: 'active',
+});
+
+// ── Steps ──────────────────────────────────────────────────────────────────────
+
+export const SCENARIO = [
+  {
+    label: 'Lobby — teams registered',
+    hold: 6000,
+    changes: {},
+  },
+  {
+    label: 'Game initialized — play order',
+    hold: 9000,
+    changes: {
+      'game-state/game-status': 'initialized',
+      'game-state/play-queue': ['team-1', 'team-2', 'team-3', 'team-4'],
+    },
+  },
+  {
+    label: 'Fastest finger — question',
+    hold: 4000,
+    changes: {
+      'game-state/round-type': 'fastest-finger',
+      'fastest-finger/question': FASTEST_FINGER.question,
+      'fastest-finger/question-visible': true,
+    },
+  },
+  {
+    label: 'Fastest finger — items',
+    hold: 6000,
+    changes: { 'fastest-finger/options-visible': true },
+  },
+  ...[1, 2, 3, 4].map((count) => ({
+    label: `Fastest finger — order ${count}/4`,
+    hold: 2000,
+    changes: {
+      'fastest-finger/correct-order': FASTEST_FINGER['correct-order'],
+      'fastest-finger/revealed-count': count,
+    },
+  })),
+  {
+    label: 'Fastest finger — response times',
+    hold: 6000,
+    changes: {
+      'fastest-finger/results': FASTEST_FINGER.results,
+      'fastest-finger/results-visible': true,
+    },
+  },
+  {
+    label: 'Fastest finger — winner',
+    hold: 5000,
+    changes: { 'fastest-finger/winner-visible': true },
+  },
+  {
+    label: 'Team 1 announced',
+    hold: 6000,
+    changes: {
+      'game-state/round-type': 'main',
+      'fastest-finger': null,
+      'game-state/game-status': 'active',
+      ...announceTeam('team-1'),
+    },
+  },
+  {
+    label: 'Q1 — question shown',
+    hold: 4000,
+    changes: showQuestion(1),
+  },
+  {
+    label: 'Q1 — options and timer',
+    hold: 5000,
+    changes: ({ now }) => showOptions(now),
+  },
+  {
+    label: 'Q1 — answer locked',
+    hold: 3000,
+    changes: { 'game-state/selected-option': 'B' },
+  },
+  {
+    label: 'Q1 — correct',
+    hold: 5000,
+    changes: {
+      ...revealAnswer('B', 'B'),
+      'teams/team-1/current-prize': PRIZES[0],
+    },
+  },
+  {
+    label: 'Q2 — question and options',
+    hold: 4000,
+    changes: ({ now }) => ({ ...showQuestion(2), ...showOptions(now) }),
+  },
+  {
+    label: 'Q2 — fifty-fifty',
+    hold: 5000,
+    changes: {
+      'game-state/active-lifeline': 'fifty-fifty',
+      'game-state/current-question/options/A': null,
+      'game-state/current-question/options/D': null,
+      'teams/team-1/lifelines-available/fifty-fifty': false,
+    },
+  },
+  {
+    label: 'Q2 — correct',
+    hold: 5000,
+    changes: {
+      ...revealAnswer('C', 'C'),
+      'game-state/active-lifeline': null,
+      'teams/team-1/current-prize': PRIZES[1],
+    },
+  },
+  {
+    label: 'Q3 — question and options',
+    hold: 4000,
+    changes: ({ now }) => ({ ...showQuestion(3), ...showOptions(now) }),
+  },
+  {
+    label: 'Q3 — phone a friend',
+    hold: 12000,
+    changes: ({ now }) => ({
+      'game-state/game-status': 'paused',
+      'game-state/active-lifeline': 'phone-a-friend',
+      'game-state/lifeline-timer-started-at': now,
+      'teams/team-1/lifelines-available/phone-a-friend': false,
+    }),
+  },
+  {
+    label: 'Q3 — call over',
+    hold: 3000,
+    changes: {
+      'game-state/game-status': 'active',
+      'game-state/active-lifeline': null,
+      'game-state/lifeline-timer-started-at': null,
+    },
+  },
+  {
+    label: 'Q3 — ask the audience (voting)',
+    hold: 4000,
+    changes: {
+      'game-state/active-lifeline': 'ask-the-audience',
+      'game-state/audience-poll': { locked: false },
+      'teams/team-1/lifelines-available/ask-the-audience': false,
+    },
+  },
+  {
+    label: 'Q3 — audience results',
+    hold: 6000,
+    changes: {
+      'game-state/audience-poll': {
+        tallies: { A: 12, B: 9, C: 61, D: 18 },
+        locked: true,
+      },
+    },
+  },
+  {
+    label: 'Q3 — wrong answer, team eliminated',
+    hold: 9000,
+    changes: {
+      'game-state/active-lifeline': null,
+      'game-state/audience-poll': null,
+      ...revealAnswer('A', 'C'),
+      'teams/team-1/status': 'eliminated',
+      'teams/team-1/current-prize': 0, // no milestone reached before Q3
+    },
+  },
+  {
+    label: 'Team 2 announced',
+    hold: 6000,
+    changes: announceTeam('team-2'),
+  },
+  {
+    label: 'Game completed',
+    hold: 8000,
+    changes: {
+      'game-state/game-status': 'completed',
+      'teams/team-2/status': 'completed',
+      'teams/team-2/current-prize': 3000,
+      'teams/team-3/status': 'eliminated',
+      'teams/team-3/current-prize': 1500,
+      'teams/team-4/status': 'completed',
+      'teams/team-4/current-prize': 7500,
+    },
+  },
+  {
+    label: 'Final results',
+    hold: 10000,
+    changes: { 'game-state/display-final-results': true },
+  },
+];
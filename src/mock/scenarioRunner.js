@@ -0,0 +1,124 @@
+// src/mock/scenarioRunner.js
+
+import { reset, update } from '@mock/mockDatabase';
+import { SCENARIO } from '@mock/scenario';
+import { resolveGamePath } from '@config/gameNamespace';
+
+// ============================================================================
+// SCENARIO RUNNER
+// ============================================================================
+
+/**
+ * Walks the mock database through mock/scenario.js, one step at a time.
+ *
+ * Autoplay advances after each step's `hold`; designers can pause on any
+ * screen, step back and forth, or start at a given step (`?step=<n>`).
+ * Jumping resets the database to the seed and applies every step up to the
+ * target instantly, so each step always sees the state it was written for.
+ *
+ * Subscribers follow the `useSyncExternalStore` contract: they take no
+ * arguments and read the new state with getScenarioState().
+ */
+
+let holdTimer = null;
+let state = {
+  stepIndex: -1, // -1 until started
+  stepCount: SCENARIO.length,
+  label: null,
+  isPlaying: false,
+};
+const subscribers = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  subscribers.forEach((subscriber) => subscriber());
+};
+
+const applyStep = (index) => {
+  const { changes } = SCENARIO[index];
+  const resolved =
+    typeof changes === 'function' ? changes({ now: Date.now() }) : changes;
+
+  // Scenario paths are relative to the game, like the store's node paths
+  update(
+    Object.fromEntries(
+      Object.entries(resolved).map(([path, value]) => [
+        resolveGamePath(path),
+        value,
+      ]),
+    ),
+  );
+};
+
+const scheduleNext = () => {
+  clearTimeout(holdTimer);
+  holdTimer = null;
+  if (!state.isPlaying || state.stepIndex >= SCENARIO.length - 1) return;
+
+  holdTimer = setTimeout(nextStep, SCENARIO[state.stepIndex].hold);
+};
+
+// ── Public API ─────────────────────────────────────────────────────────────────
+
+/**
+ * Resets to the seed and applies every step up to `index`.
+ *
+ * @param {number} index - clamped to the scenario
+ */
+export const goToStep = (index) => {
+  const target = Math.min(SCENARIO.length - 1, Math.max(0, index));
+
+  reset();
+  for (let i = 0; i <= target; i += 1) applyStep(i);
+
+  console.log(`🎬 Scenario step ${target + 1}:`, SCENARIO[target].label);
+  setState({ stepIndex: target, label: SCENARIO[target].label });
+  scheduleNext();
+};
+
+export const nextStep = () => {
+  if (state.stepIndex >= SCENARIO.length - 1) {
+    setState({ isPlaying: false });
+    return;
+  }
+
+  const index = state.stepIndex + 1;
+  applyStep(index);
+
+  console.log(`🎬 Scenario step ${index + 1}:`, SCENARIO[index].label);
+  setState({ stepIndex: index, label: SCENARIO[index].label });
+  scheduleNext();
+};
+
+export const previousStep = () => goToStep(state.stepIndex - 1);
+
+export const toggleAutoplay = () => {
+  setState({ isPlaying: !state.isPlaying });
+  scheduleNext();
+};
+
+/**
+ * Starts the scenario once per page load; later calls do nothing.
+ *
+ * @param {{ step?: number, autoplay?: boolean }} [options] - step is 0-based
+ */
+export const startScenario = ({ step = 0, autoplay = true } = {}) => {
+  if (state.stepIndex !== -1) return;
+
+  setState({ isPlaying: autoplay });
+  goToStep(step);
+};
+
+/**
+ * @param {() => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeScenario = (subscriber) => {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * @returns {{ stepIndex: number, stepCount: number, label: string|null, isPlaying: boolean }}
+ */
+export const getScenarioState = () => state;
@@ -0,0 +1,209 @@
+// src/screens/FastestFingerScreen.jsx
+
+import { AnimatePresence, motion } from 'framer-motion';
+import ScreenBackground from '@components/layout/ScreenBackground';
+import QuestionCard from '@components/question/QuestionCard';
+import OptionGrid from '@components/question/OptionGrid';
+import OrderReveal from '@components/qualifier/OrderReveal';
+import ResponseTimes from '@components/qualifier/ResponseTimes';
+import { useCopy, useLocale } from '@hooks/useLocale';
+import { useGameStore } from '@hooks/useGameStore';
+import {
+  selectDisplayConfig,
+  selectFastestFinger,
+  selectTeams,
+} from '@store/selectors';
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/**
+ * Classifies one result against the correct order.
+ *
+ *   no-answer — no response time (the contestant never locked in)
+ *   wrong     — `correct: false`, or a submitted order that does not match
+ *   correct   — everything else; the host panel may write only the flag,
+ *               only the answer, or neither for pre-checked results
+ */
+function deriveOutcome(result, answerKey) {
+  if (result.time === null || result.time === undefined) return 'no-answer';
+  if (result.correct === false) return 'wrong';
+  if (
+    result.correct !== true &&
+    result.answer &&
+    answerKey &&
+    result.answer !== answerKey
+  ) {
+    return 'wrong';
+  }
+  return 'correct';
+}
+
+const OUTCOME_ORDER = { correct: 0, wrong: 1, 'no-answer': 2 };
+
+/**
+ * Ranks results: correct orders by time (fastest first), then wrong orders
+ * by time, then contestants who did not answer by name. Only correct answers
+ * get a rank. Contestants linked to a team (`team-id`) without a name of
+ * their own show the team name.
+ *
+ * @param {Array}         results
+ * @param {string[]|null} correctOrder
+ * @param {Array}         teams
+ * @returns {Array} rows with `name`, `outcome` and `rank` resolved
+ */
+function rankResults(results, correctOrder, teams) {
+  const answerKey = correctOrder?.join('') ?? null;
+
+  const sorted = results
+    .map((result) => ({
+      ...result,
+      name:
+        result.name ||
+        teams.find((team) => team.id === result.teamId)?.name ||
+        result.id,
+      outcome: deriveOutcome(result, answerKey),
+    }))
+    .sort(
+      (a, b) =>
+        OUTCOME_ORDER[a.outcome] - OUTCOME_ORDER[b.outcome] ||
+        (a.time ?? 0) - (b.time ?? 0) ||
+        a.name.localeCompare(b.name),
+    );
+
+  return sorted.map((row, index) => ({
+    ...row,
+    rank: row.outcome === 'correct' ? index + 1 : null,
+  }));
+}
+
+/**
+ * Which part of the round is on screen, from the host-driven flags.
+ *
+ *   winner   — `winner-visible` and someone answered correctly
+ *   results  — `results-visible`
+ *   reveal   — `revealed-count` > 0 with a usable `correct-order`
+ *   question — the question and, once `options-visible`, the four items
+ *
+ * @returns {'winner'|'results'|'reveal'|'question'}
+ */
+function derivePhase(fastestFinger, fastestCorrect) {
+  if (fastestFinger.winnerVisible && fastestCorrect) return 'winner';
+  if (fastestFinger.resultsVisible) return 'results';
+  if (fastestFinger.correctOrder && fastestFinger.revealedCount > 0) {
+    return 'reveal';
+  }
+  return 'question';
+}
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const screenVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1, transition: { duration: 0.5 } },
+  exit: { opacity: 0, transition: { duration: 0.3 } },
+};
+
+const sectionVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1, transition: { duration: 0.4 } },
+  exit: { opacity: 0, transition: { duration: 0.3 } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * FastestFingerScreen
+ *
+ * The Fastest Finger First qualifier — "put these four in order". Shown
+ * while `game-state/round-type` is 'fastest-finger'; the host switches it
+ * back to 'main' (or clears it) to hand off to the normal game screens.
+ *
+ * Reads the `fastest-finger` node (see store/nodes.js) and walks through:
+ *   1. question  — QuestionCard with the round title, then the four items
+ *                  in the regular OptionGrid once `options-visible` is set
+ *   2. reveal    — OrderReveal fills the correct order one item at a time
+ *                  as the host bumps `revealed-count`
+ *   3. results   — ResponseTimes: every contestant ranked by time
+ *   4. winner    — the fastest correct answer highlighted in gold
+ *
+ * Questions can be bilingual like the main game's (`text-si`,
+ * `options-si`, …).
+ */
+export default function FastestFingerScreen() {
+  const copy = useCopy();
+  const locale = useLocale();
+  const fastestFinger = useGameStore(selectFastestFinger);
+  const teams = useGameStore(selectTeams);
+  const displayConfig = useGameStore(selectDisplayConfig);
+  const primaryLanguage = displayConfig.primaryLanguage ?? locale;
+
+  const rows = rankResults(
+    fastestFinger.results,
+    fastestFinger.correctOrder,
+    teams,
+  );
+  const fastestCorrect = rows[0]?.outcome === 'correct' ? rows[0] : null;
+  const phase = derivePhase(fastestFinger, fastestCorrect);
+  const isTable = phase === 'results' || phase === 'winner';
+
+  return (
+    <ScreenBackground>
+      <motion.div
+        className="w-full h-full flex flex-col items-center justify-center gap-6 px-16 py-10"
+        variants={screenVariants}
+        initial="hidden"
+        animate="visible"
+        exit="exit">
+        <AnimatePresence mode="wait">
+          {isTable ? (
+            <ResponseTimes
+              key="results"
+              rows={rows}
+              winner={phase === 'winner' ? fastestCorrect : null}
+            />
+          ) : (
+            <motion.div
+              key="question"
+              className="w-full flex flex-col items-center gap-6"
+              variants={sectionVariants}
+              initial="hidden"
+              animate="visible"
+              exit="exit">
+              <QuestionCard
+                question={fastestFinger.question}
+                questionVisible={fastestFinger.questionVisible}
+                currentQuestionNumber={null}
+                primaryLanguage={primaryLanguage}
+                label={copy.FASTEST_FINGER.TITLE}
+              />
+
+              <AnimatePresence mode="wait">
+                {phase === 'reveal' ? (
+                  <OrderReveal
+                    key="reveal"
+                    question={fastestFinger.question}
+                    primaryLanguage={primaryLanguage}
+                    correctOrder={fastestFinger.correctOrder}
+                    revealedCount={fastestFinger.revealedCount}
+                  />
+                ) : (
+                  <OptionGrid
+                    key="items"
+                    question={fastestFinger.question}
+                    primaryLanguage={primaryLanguage}
+                    optionsVisible={fastestFinger.optionsVisible}
+                    selectedOption={null}
+                    correctOption={null}
+                    answerRevealed={false}
+                    activeLifeline={null}
+                    lifelineData={null}
+                  />
+                )}
+              </AnimatePresence>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </motion.div>
+    </ScreenBackground>
+  );
+}
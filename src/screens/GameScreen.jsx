@@ -6,14 +6,41 @@ import ScreenBackground from '@components/layout/ScreenBackground';
 import TeamInfoBar from '@components/topbar/TeamInfoBar';
 import LifelineIndicator from '@components/topbar/LifelineIndicator';
 import QuestionCard from '@components/question/QuestionCard';
+import QuestionTimer from '@components/question/QuestionTimer';
 import OptionGrid from '@components/question/OptionGrid';
+import NumericReveal from '@components/question/NumericReveal';
 import PrizeLadder from '@components/sidebar/PrizeLadder';
 import TeamList from '@components/sidebar/TeamList';
 import TeamAnnouncement from '@components/game/TeamAnnouncement';
 import TeamResult from '@components/game/TeamResult';
-import PhoneAFriendOverlay from '@components/game/PhoneAFriendOverlay';
 import BetweenQuestionsLogo from '@components/game/BetweenQuestionsLogo';
-import { COPY_PAUSE } from '@constants/app';
+import OverlayBanner from '@components/layout/OverlayBanner';
+import { isOverlayMode } from '@config/displayMode';
+import { useCopy, useLocale } from '@hooks/useLocale';
+import { LIFELINE_REGISTRY, findLifeline } from '@constants/lifelines';
+import { getQuestionType } from '@constants/questionTypes';
+import { useGameStore } from '@hooks/useGameStore';
+import { useStageOrientation } from '@hooks/useStageLayout';
+import { useGameAudioCues } from '@hooks/useGameAudioCues';
+import { useMediaPreload } from '@hooks/useMediaPreload';
+import { getLastMilestone } from '@utils/milestones';
+import { resolveQuestionTimeLimit } from '@utils/questionTimer';
+import { deriveOverlay } from '@utils/gameOverlay';
+import {
+  selectCurrentTeam,
+  selectAudioConfig,
+  selectDisplayConfig,
+  selectEnabledLifelines,
+  selectGameState,
+  selectMilestones,
+  selectPlayQueue,
+  selectPrizeStructure,
+  selectQuestionTimeLimit,
+  selectQueuePosition,
+  selectResultTeam,
+  selectTeams,
+  selectTimerDuration,
+} from '@store/selectors';
 
 // ── Constants ──────────────────────────────────────────────────────────────────
 
@@ -24,6 +51,9 @@ import { COPY_PAUSE } from '@constants/app';
  */
 const TEAM_RESULT_DELAY_MS = 5000;
 
+/** Stream overlay layout (`?mode=overlay`, config/displayMode.js). */
+const IS_OVERLAY = isOverlayMode();
+
 // ── Animation variants ─────────────────────────────────────────────────────────
 
 const screenVariants = {
@@ -38,41 +68,6 @@ const pauseOverlayVariants = {
   exit: { opacity: 0, transition: { duration: 0.3 } },
 };
 
-// ── Overlay state machine ──────────────────────────────────────────────────────
-
-/**
- * Derives which overlay (if any) to render on top of the game layout.
- *
- * Priority (highest → lowest):
- *   1. phoneAFriend  — paused for a phone-a-friend call (beats generic pause)
- *   2. pause         — generic game pause
- *   3. teamResult    — team just finished (eliminated or completed)
- *   4. announcement  — new team is up (currentQuestionNumber === 0)
- *   5. null          — normal gameplay, no overlay
- *
- * @returns {'phoneAFriend'|'pause'|'teamResult'|'announcement'|null}
- */
-function deriveOverlay(gameState, currentTeam) {
-  const { gameStatus, activeLifeline, answerRevealed, currentQuestionNumber } =
-    gameState ?? {};
-
-  if (gameStatus === 'paused' && activeLifeline === 'phone-a-friend')
-    return 'phoneAFriend';
-  if (gameStatus === 'paused') return 'pause';
-  if (gameStatus === 'completed') return 'teamResult';
-
-  const teamFinished =
-    currentTeam?.status === 'eliminated' || currentTeam?.status === 'completed';
-  if (answerRevealed && teamFinished) return 'teamResult';
-
-  const isBetweenTeams =
-    gameStatus === 'active' &&
-    (currentQuestionNumber === 0 || currentQuestionNumber == null);
-  if (isBetweenTeams) return 'announcement';
-
-  return null;
-}
-
 // ── Component ──────────────────────────────────────────────────────────────────
 
 /**
@@ -81,9 +76,11 @@ function deriveOverlay(gameState, currentTeam) {
  * The main gameplay display. Shown when gameStatus is active/paused/completed.
  *
  * Layout (3-column):
- *   Left sidebar  — TeamList      (w-80, hidden when showTeamList is false)
+ *   Left sidebar  — TeamList      (hidden when showTeamList is false)
  *   Center        — QuestionCard + OptionGrid (flex-1, always centred)
- *   Right sidebar — PrizeLadder   (w-80, hidden when showPrizeLadder is false)
+ *   Right sidebar — PrizeLadder   (hidden when showPrizeLadder is false)
+ * Sidebars are `--stage-sidebar-width` wide — 20rem, wider on an ultrawide
+ * fill-scaled stage (index.css).
  *
  * Answer lock deliberation:
  *   When `selectedOption` is set but `answerRevealed` is still false, the host
@@ -92,31 +89,71 @@ function deriveOverlay(gameState, currentTeam) {
  *   shown below the options so the audience knows the host is considering.
  *   The banner disappears once `answerRevealed` becomes true.
  *
- * @param {{
- *   gameState:      object,
- *   teams:          Array,
- *   prizeStructure: number[],
- *   displayConfig:  object,
- *   timerDuration:  number,
- * }} props
+ * Question timer:
+ *   When `config/question-time-limit` applies to the current question and the
+ *   host has set `questionTimerStartedAt`, a circular QuestionTimer sits above
+ *   the QuestionCard. It is hidden again once the answer is revealed.
+ *
+ * All data comes from the game store — current team, result team and queue
+ * position are derived there from the same consistent snapshot.
+ *
+ * Sound cues and beds follow the same overlay / reveal state
+ * (useGameAudioCues).
+ *
+ * Question formats (`current-question/type`, constants/questionTypes.js):
+ *   four-option (default), three-option and true-false questions use
+ *   OptionGrid in the type's layout; numeric questions show NumericReveal
+ *   with each team's guess and the closest one highlighted.
+ *
+ * Question media (`current-question/media`) is preloaded as soon as the
+ * question loads (useMediaPreload) and played by QuestionCard while
+ * `mediaPlaying` is set.
+ *
+ * Stream overlay mode (`?mode=overlay`):
+ *   The canvas is transparent so the camera feed shows through. The top bar,
+ *   question and options sit in a lower third, TeamList and PrizeLadder
+ *   shrink to compact corner widgets (top-left / top-right), and overlays
+ *   render as banners (`banner` prop) instead of covering the screen. The
+ *   between-questions logo is left out.
+ *
+ * Portrait layout (vertical LED panels — useStageOrientation):
+ *   Everything stacks top to bottom: TeamInfoBar with the lifelines in a row
+ *   beneath it, QuestionCard, a single-column OptionGrid and a horizontal
+ *   PrizeLadder strip. The TeamList sidebar has no room and is left out.
+ *   Stream overlay mode keeps its own layout in either orientation.
  */
-export default function GameScreen({
-  gameState,
-  teams,
-  prizeStructure,
-  displayConfig,
-  timerDuration,
-}) {
-  const playQueue = gameState?.playQueue ?? [];
-  const currentTeam =
-    teams.find((t) => t.id === gameState?.currentTeamId) ?? null;
-
-  const lastTeamId = playQueue[playQueue.length - 1] ?? null;
-  const lastTeam = teams.find((t) => t.id === lastTeamId) ?? null;
-  const resultTeam = currentTeam ?? lastTeam;
+export default function GameScreen() {
+  const copy = useCopy();
+  const locale = useLocale();
+  const gameState = useGameStore(selectGameState);
+  const teams = useGameStore(selectTeams);
+  const prizeStructure = useGameStore(selectPrizeStructure);
+  const milestones = useGameStore(selectMilestones);
+  const displayConfig = useGameStore(selectDisplayConfig);
+  // Main-line language of bilingual questions — the display language unless
+  // display-settings/primary-language picks one
+  const primaryLanguage = displayConfig.primaryLanguage ?? locale;
+  const audioConfig = useGameStore(selectAudioConfig);
+  // Question clips follow the sound engine's on/off and master volume
+  const mediaVolume = audioConfig.enabled
+    ? Math.min(1, audioConfig.masterVolume)
+    : 0;
+  const timerDuration = useGameStore(selectTimerDuration);
+  const enabledLifelines = useGameStore(selectEnabledLifelines);
+  const questionTimeLimit = useGameStore(selectQuestionTimeLimit);
+  const playQueue = useGameStore(selectPlayQueue);
+  const currentTeam = useGameStore(selectCurrentTeam);
+  const queuePosition = useGameStore(selectQueuePosition);
+  const resultTeam = useGameStore(selectResultTeam);
+  const orientation = useStageOrientation();
+  const isPortrait = !IS_OVERLAY && orientation === 'portrait';
 
   const overlay = deriveOverlay(gameState, currentTeam);
-  const queuePosition = currentTeam ? playQueue.indexOf(currentTeam.id) + 1 : 0;
+  useGameAudioCues(overlay, gameState, teams);
+  useMediaPreload(gameState?.currentQuestion?.media ?? null);
+  const activeLifelineEntry = findLifeline(gameState?.activeLifeline);
+  const LifelineOverlay = activeLifelineEntry?.overlay?.Component ?? null;
+  const topBarLifelines = enabledLifelines.map((key) => LIFELINE_REGISTRY[key]);
 
   // ── Delayed teamResult ─────────────────────────────────────────────────────
   const teamResultKey = resultTeam
@@ -161,8 +198,11 @@ export default function GameScreen({
       currentQuestion: gameState?.currentQuestion ?? null,
       selectedOption: gameState?.selectedOption ?? null,
       correctOption: gameState?.correctOption ?? null,
+      correctValue: gameState?.correctValue ?? null,
+      numericGuesses: gameState?.numericGuesses ?? {},
       answerRevealed: true,
       activeLifeline: gameState?.activeLifeline ?? null,
+      lifelineData: gameState?.lifelineData ?? null,
     });
   }
 
@@ -176,8 +216,11 @@ export default function GameScreen({
           optionsVisible: true,
           selectedOption: frozenGameplay.selectedOption,
           correctOption: frozenGameplay.correctOption,
+          correctValue: frozenGameplay.correctValue,
+          numericGuesses: frozenGameplay.numericGuesses,
           answerRevealed: frozenGameplay.answerRevealed,
           activeLifeline: frozenGameplay.activeLifeline,
+          lifelineData: frozenGameplay.lifelineData,
         }
       : {
           currentQuestion: gameState?.currentQuestion ?? null,
@@ -185,14 +228,310 @@ export default function GameScreen({
           optionsVisible: gameState?.optionsVisible ?? false,
           selectedOption: gameState?.selectedOption ?? null,
           correctOption: gameState?.correctOption ?? null,
+          correctValue: gameState?.correctValue ?? null,
+          numericGuesses: gameState?.numericGuesses ?? {},
           answerRevealed: gameState?.answerRevealed ?? false,
           activeLifeline: gameState?.activeLifeline ?? null,
+          lifelineData: gameState?.lifelineData ?? null,
         };
 
+  // Layout and reveal follow current-question/type (constants/questionTypes.js)
+  const questionType = getQuestionType(activeGameplay.currentQuestion?.type);
+
+  // ── Question timer ─────────────────────────────────────────────────────────
+  const timeLimit = resolveQuestionTimeLimit(
+    questionTimeLimit,
+    gameState?.currentQuestionNumber,
+  );
+  const timerStartedAt = gameState?.questionTimerStartedAt ?? null;
+  const showQuestionTimer =
+    timeLimit !== null &&
+    timerStartedAt !== null &&
+    activeGameplay.questionVisible &&
+    !activeGameplay.answerRevealed;
+
   // ── Between-questions logo ─────────────────────────────────────────────────
   const showBetweenQuestionsLogo =
     overlay === null && !gameState?.questionVisible;
 
+  // ── Shared sections (screen, portrait and overlay layouts) ─────────────────
+  const teamInfoBar = (
+    <div className="flex">
+      <TeamInfoBar
+        currentTeam={currentTeam}
+        currentQuestionNumber={gameState?.currentQuestionNumber}
+        prizeStructure={prizeStructure}
+        milestones={milestones}
+      />
+    </div>
+  );
+
+  const lifelineIndicator = (
+    <LifelineIndicator
+      lifelines={topBarLifelines}
+      lifelinesAvailable={currentTeam?.lifelinesAvailable ?? null}
+      activeLifeline={gameState?.activeLifeline ?? null}
+    />
+  );
+
+  const topBar = isPortrait ? (
+    <div className="shrink-0 flex flex-col gap-3 py-8">
+      {teamInfoBar}
+      <div
+        className="grid items-center"
+        style={{
+          gridTemplateColumns: `repeat(${topBarLifelines.length}, 1fr)`,
+        }}>
+        {lifelineIndicator}
+      </div>
+    </div>
+  ) : (
+    <div
+      className="shrink-0 grid gap-0 px-0 py-8 items-center"
+      style={{
+        gridTemplateColumns: `2fr repeat(${topBarLifelines.length}, 1fr)`,
+      }}>
+      {teamInfoBar}
+      {lifelineIndicator}
+    </div>
+  );
+
+  const gameplay = (
+    <motion.div
+      key="gameplay"
+      className="w-full flex flex-col items-center gap-6"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      transition={{ duration: 0.4 }}>
+      <AnimatePresence>
+        {showQuestionTimer && (
+          <QuestionTimer
+            key={`timer-${timerStartedAt}`}
+            startedAt={timerStartedAt}
+            timeLimit={timeLimit}
+          />
+        )}
+      </AnimatePresence>
+
+      <QuestionCard
+        question={activeGameplay.currentQuestion}
+        questionVisible={activeGameplay.questionVisible}
+        currentQuestionNumber={gameState?.currentQuestionNumber}
+        primaryLanguage={primaryLanguage}
+        mediaPlaying={gameState?.mediaPlaying ?? false}
+        mediaVolume={mediaVolume}
+      />
+
+      {questionType.layout === 'numeric' ? (
+        <NumericReveal
+          key={activeGameplay.currentQuestion?.id}
+          question={activeGameplay.currentQuestion}
+          visible={activeGameplay.optionsVisible}
+          guesses={activeGameplay.numericGuesses}
+          teams={teams}
+          correctValue={activeGameplay.correctValue}
+          answerRevealed={activeGameplay.answerRevealed}
+        />
+      ) : (
+        <OptionGrid
+          question={activeGameplay.currentQuestion}
+          primaryLanguage={primaryLanguage}
+          optionsVisible={activeGameplay.optionsVisible}
+          selectedOption={activeGameplay.selectedOption}
+          correctOption={activeGameplay.correctOption}
+          answerRevealed={activeGameplay.answerRevealed}
+          activeLifeline={activeGameplay.activeLifeline}
+          lifelineData={activeGameplay.lifelineData}
+          singleColumn={isPortrait}
+        />
+      )}
+    </motion.div>
+  );
+
+  const overlays = (
+    <AnimatePresence>
+      {overlay === 'lifeline' && (
+        <LifelineOverlay
+          key={activeLifelineEntry.key}
+          {...activeLifelineEntry.overlay.getProps({
+            gameState,
+            currentTeam,
+            timerDuration,
+          })}
+          banner={IS_OVERLAY}
+        />
+      )}
+
+      {overlay === 'pause' &&
+        (IS_OVERLAY ? (
+          <OverlayBanner
+            key="pause"
+            state="used"
+            eyebrow={
+              <span
+                className="wwbam-label"
+                style={{
+                  letterSpacing: '0.35em',
+                  color: 'var(--c-used-text)',
+                }}>
+                {copy.PAUSE.HEADING}
+              </span>
+            }>
+            <span
+              className="wwbam-label"
+              style={{ letterSpacing: '0.25em', color: 'var(--c-text-dim)' }}>
+              {copy.PAUSE.SUBHEADING}
+            </span>
+          </OverlayBanner>
+        ) : (
+          <motion.div
+            key="pause"
+            className="absolute inset-0 flex items-center justify-center"
+            style={{ background: 'var(--c-overlay)' }}
+            variants={pauseOverlayVariants}
+            initial="hidden"
+            animate="visible"
+            exit="exit">
+            <p
+              className="wwbam-label"
+              style={{
+                letterSpacing: '0.35em',
+                color: 'var(--c-used-text)',
+                fontSize: '1.5rem',
+              }}>
+              {copy.PAUSE.HEADING}
+            </p>
+          </motion.div>
+        ))}
+
+      {overlay === 'announcement' && (
+        <TeamAnnouncement
+          key={`announcement-${currentTeam?.id}`}
+          team={currentTeam}
+          queuePosition={queuePosition}
+          queueTotal={playQueue.length}
+          prizeStructure={prizeStructure}
+          banner={IS_OVERLAY}
+        />
+      )}
+
+      {showTeamResult && (
+        <TeamResult
+          key={`result-${resultTeam?.id}`}
+          team={resultTeam}
+          totalQuestions={prizeStructure?.length ?? 20}
+          lastMilestone={getLastMilestone(
+            milestones,
+            (gameState?.currentQuestionNumber ?? 1) - 1,
+          )}
+          banner={IS_OVERLAY}
+        />
+      )}
+    </AnimatePresence>
+  );
+
+  // ── Stream overlay layout ──────────────────────────────────────────────────
+  if (IS_OVERLAY) {
+    return (
+      <ScreenBackground>
+        <motion.div
+          className="relative w-full h-full"
+          variants={screenVariants}
+          initial="hidden"
+          animate="visible"
+          exit="exit">
+          {/* Top-left — Team List */}
+          {displayConfig?.showTeamList && (
+            <div className="absolute top-8 left-8 w-72">
+              <TeamList
+                teams={teams}
+                playQueue={playQueue}
+                currentTeamId={gameState?.currentTeamId ?? null}
+                compact
+              />
+            </div>
+          )}
+
+          {/* Top-right — Prize Ladder */}
+          {displayConfig?.showPrizeLadder && (
+            <div className="absolute top-8 right-8 w-64">
+              <PrizeLadder
+                prizeStructure={prizeStructure}
+                milestones={milestones}
+                currentQuestionNumber={gameState?.currentQuestionNumber}
+                compact
+              />
+            </div>
+          )}
+
+          {/* Lower third — Top bar + Question + Options */}
+          <div className="absolute inset-x-0 bottom-0 flex flex-col items-center px-16 pb-10">
+            <AnimatePresence mode="wait">
+              {!showBetweenQuestionsLogo && (
+                <motion.div
+                  key="lower-third"
+                  className="w-full max-w-6xl flex flex-col items-center"
+                  initial={{ opacity: 0, y: 40 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: 40 }}
+                  transition={{ duration: 0.4 }}>
+                  <div className="w-full">{topBar}</div>
+                  {gameplay}
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </div>
+
+          {overlays}
+        </motion.div>
+      </ScreenBackground>
+    );
+  }
+
+  // ── Portrait layout ────────────────────────────────────────────────────────
+  if (isPortrait) {
+    return (
+      <ScreenBackground>
+        <motion.div
+          className="relative w-full h-full flex flex-col"
+          variants={screenVariants}
+          initial="hidden"
+          animate="visible"
+          exit="exit">
+          {/* ── Top bar + lifelines ───────────────────────────────────── */}
+          {topBar}
+
+          {/* ── Question + Options ────────────────────────────────────── */}
+          <div className="flex flex-col flex-1 items-center justify-center gap-6 px-8 py-6 min-h-0">
+            <AnimatePresence mode="wait">
+              {showBetweenQuestionsLogo ? (
+                <BetweenQuestionsLogo key="between" />
+              ) : (
+                gameplay
+              )}
+            </AnimatePresence>
+          </div>
+
+          {/* ── Prize strip ───────────────────────────────────────────── */}
+          {displayConfig?.showPrizeLadder && (
+            <div className="shrink-0 px-8 pb-10">
+              <PrizeLadder
+                prizeStructure={prizeStructure}
+                milestones={milestones}
+                currentQuestionNumber={gameState?.currentQuestionNumber}
+                horizontal
+              />
+            </div>
+          )}
+
+          {/* ── Overlays ──────────────────────────────────────────────── */}
+          {overlays}
+        </motion.div>
+      </ScreenBackground>
+    );
+  }
+
   return (
     <ScreenBackground>
       <motion.div
@@ -202,28 +541,14 @@ export default function GameScreen({
         animate="visible"
         exit="exit">
         {/* ── Top bar ───────────────────────────────────────────────────── */}
-        <div
-          className="shrink-0 grid gap-0 px-0 py-8 items-center"
-          style={{ gridTemplateColumns: '2fr 1fr 1fr' }}>
-          <div className="flex">
-            <TeamInfoBar
-              currentTeam={currentTeam}
-              currentQuestionNumber={gameState?.currentQuestionNumber}
-              prizeStructure={prizeStructure}
-            />
-          </div>
-          <LifelineIndicator
-            lifelinesAvailable={currentTeam?.lifelinesAvailable ?? null}
-            activeLifeline={gameState?.activeLifeline ?? null}
-          />
-        </div>
+        {topBar}
 
         {/* ── Main content area ─────────────────────────────────────────── */}
         <div className="flex flex-1 min-h-0">
           {/* Left sidebar — Team List */}
           {displayConfig?.showTeamList && (
             <div
-              className="flex flex-col shrink-0 w-80"
+              className="flex flex-col shrink-0 w-(--stage-sidebar-width)"
               style={{ borderColor: 'var(--c-border-subtle)' }}>
               <TeamList
                 teams={teams}
@@ -239,28 +564,7 @@ export default function GameScreen({
               {showBetweenQuestionsLogo ? (
                 <BetweenQuestionsLogo key="between" />
               ) : (
-                <motion.div
-                  key="gameplay"
-                  className="w-full flex flex-col items-center gap-6"
-                  initial={{ opacity: 0 }}
-                  animate={{ opacity: 1 }}
-                  exit={{ opacity: 0 }}
-                  transition={{ duration: 0.4 }}>
-                  <QuestionCard
-                    question={activeGameplay.currentQuestion}
-                    questionVisible={activeGameplay.questionVisible}
-                    currentQuestionNumber={gameState?.currentQuestionNumber}
-                  />
-
-                  <OptionGrid
-                    options={activeGameplay.currentQuestion?.options}
-                    optionsVisible={activeGameplay.optionsVisible}
-                    selectedOption={activeGameplay.selectedOption}
-                    correctOption={activeGameplay.correctOption}
-                    answerRevealed={activeGameplay.answerRevealed}
-                    activeLifeline={activeGameplay.activeLifeline}
-                  />
-                </motion.div>
+                gameplay
               )}
             </AnimatePresence>
           </div>
@@ -268,10 +572,11 @@ export default function GameScreen({
           {/* Right sidebar — Prize Ladder */}
           {displayConfig?.showPrizeLadder && (
             <div
-              className="flex flex-col shrink-0 w-80"
+              className="flex flex-col shrink-0 w-(--stage-sidebar-width)"
               style={{ borderColor: 'var(--c-border-subtle)' }}>
               <PrizeLadder
                 prizeStructure={prizeStructure}
+                milestones={milestones}
                 currentQuestionNumber={gameState?.currentQuestionNumber}
               />
             </div>
@@ -279,55 +584,7 @@ export default function GameScreen({
         </div>
 
         {/* ── Overlays ──────────────────────────────────────────────────── */}
-        <AnimatePresence>
-          {overlay === 'phoneAFriend' && (
-            <PhoneAFriendOverlay
-              key="phone-a-friend"
-              startedAt={gameState?.lifelineTimerStartedAt ?? null}
-              timerDuration={timerDuration}
-              contact={currentTeam?.contact ?? null}
-            />
-          )}
-
-          {overlay === 'pause' && (
-            <motion.div
-              key="pause"
-              className="absolute inset-0 flex items-center justify-center"
-              style={{ background: 'var(--c-overlay)' }}
-              variants={pauseOverlayVariants}
-              initial="hidden"
-              animate="visible"
-              exit="exit">
-              <p
-                className="wwbam-label"
-                style={{
-                  letterSpacing: '0.35em',
-                  color: 'var(--c-used-text)',
-                  fontSize: '1.5rem',
-                }}>
-                {COPY_PAUSE.LABEL}
-              </p>
-            </motion.div>
-          )}
-
-          {overlay === 'announcement' && (
-            <TeamAnnouncement
-              key={`announcement-${currentTeam?.id}`}
-              team={currentTeam}
-              queuePosition={queuePosition}
-              queueTotal={playQueue.length}
-              prizeStructure={prizeStructure}
-            />
-          )}
-
-          {showTeamResult && (
-            <TeamResult
-              key={`result-${resultTeam?.id}`}
-              team={resultTeam}
-              totalQuestions={prizeStructure?.length ?? 20}
-            />
-          )}
-        </AnimatePresence>
+        {overlays}
       </motion.div>
     </ScreenBackground>
   );
@@ -7,7 +7,10 @@ import ScreenHeader from '@components/layout/ScreenHeader';
 import WwbamShape from '@components/ui/WwbamShape';
 import TeamRosterCard from '@components/pregame/TeamRosterCard';
 import InitializationStepper from '@components/pregame/InitializationStepper';
-import { COPY_LOBBY, COPY_READY } from '@constants/app';
+import { useCopy } from '@hooks/useLocale';
+import { useGameStore } from '@hooks/useGameStore';
+import { useStageOrientation } from '@hooks/useStageLayout';
+import { selectGameState, selectTeams } from '@store/selectors';
 
 // ── Phase constants ────────────────────────────────────────────────────────────
 
@@ -17,6 +20,30 @@ const PHASE = {
   READY: 'ready',
 };
 
+// ── Layout ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Phase spacing and column width per stage orientation. On a portrait canvas
+ * (vertical LED panels) the cards run full width with more room between them,
+ * so the stack fills the tall screen instead of floating in the middle.
+ */
+const PHASE_LAYOUTS = {
+  landscape: {
+    container: 'gap-5 px-16 py-10',
+    stack: 'gap-5',
+    column: 'max-w-3xl',
+    cards: 'gap-3',
+    tallCards: false,
+  },
+  portrait: {
+    container: 'gap-8 px-12 py-20',
+    stack: 'gap-8',
+    column: 'max-w-none',
+    cards: 'gap-4',
+    tallCards: true,
+  },
+};
+
 // ── Animation variants ─────────────────────────────────────────────────────────
 
 const phaseContainerVariants = {
@@ -103,13 +130,14 @@ function AmbientGlow() {
  * The card stagger container uses `key={teams.length}` so that whenever the
  * host adds a new team, the container remounts and all cards animate in cleanly.
  */
-function LobbyPhase({ teams }) {
+function LobbyPhase({ teams, layout }) {
+  const copy = useCopy();
   const hasTeams = teams.length > 0;
 
   return (
     <motion.div
       key="lobby"
-      className="w-full h-full flex flex-col items-center justify-center gap-5 px-16 py-10"
+      className={`w-full h-full flex flex-col items-center justify-center ${layout.container}`}
       variants={phaseContainerVariants}
       initial="hidden"
       animate="visible"
@@ -118,7 +146,7 @@ function LobbyPhase({ teams }) {
 
       {/* ── Stagger container ─────────────────────────────────────────── */}
       <motion.div
-        className="relative z-10 w-full flex flex-col items-center gap-5"
+        className={`relative z-10 w-full flex flex-col items-center ${layout.stack}`}
         variants={sectionStaggerVariants}
         initial="hidden"
         animate="visible">
@@ -130,7 +158,7 @@ function LobbyPhase({ teams }) {
         {/* Main heading — inside WwbamShape */}
         <motion.div
           variants={sectionVariants}
-          className="w-full max-w-3xl flex">
+          className={`w-full ${layout.column} flex`}>
           <WwbamShape
             size="wide"
             state="selected"
@@ -140,8 +168,8 @@ function LobbyPhase({ teams }) {
             <div className="flex items-center justify-center py-4 w-full text-center">
               <h1 className="wwbam-screen-heading wwbam-text-gold-gradient">
                 {hasTeams
-                  ? COPY_LOBBY.HEADING_WITH_TEAMS
-                  : COPY_LOBBY.HEADING_NO_TEAMS}
+                  ? copy.LOBBY.HEADING_WITH_TEAMS
+                  : copy.LOBBY.HEADING_NO_TEAMS}
               </h1>
             </div>
           </WwbamShape>
@@ -150,7 +178,9 @@ function LobbyPhase({ teams }) {
         {/* Teams list or no-teams placeholder */}
         {hasTeams ? (
           // Outer: participates in section stagger as one block.
-          <motion.div variants={sectionVariants} className="w-full max-w-3xl">
+          <motion.div
+            variants={sectionVariants}
+            className={`w-full ${layout.column}`}>
             {/*
               Inner: isolated card stagger with `key={teams.length}`.
 
@@ -164,13 +194,17 @@ function LobbyPhase({ teams }) {
             */}
             <motion.div
               key={teams.length}
-              className="flex flex-col gap-3"
+              className={`flex flex-col ${layout.cards}`}
               initial="enter"
               animate="show"
               variants={cardStaggerVariants}>
               {teams.map((team, i) => (
                 <motion.div key={team.id} variants={cardItemVariants}>
-                  <TeamRosterCard team={team} index={i} />
+                  <TeamRosterCard
+                    team={team}
+                    index={i}
+                    tall={layout.tallCards}
+                  />
                 </motion.div>
               ))}
             </motion.div>
@@ -178,7 +212,7 @@ function LobbyPhase({ teams }) {
         ) : (
           <motion.div
             variants={sectionVariants}
-            className="w-full max-w-3xl flex">
+            className={`w-full ${layout.column} flex`}>
             <WwbamShape
               size="wide"
               state="used"
@@ -189,7 +223,7 @@ function LobbyPhase({ teams }) {
                 <p
                   className="wwbam-overlay-subheading"
                   style={{ color: 'var(--c-used-text)' }}>
-                  {COPY_LOBBY.NO_TEAMS_MESSAGE}
+                  {copy.LOBBY.NO_TEAMS_MESSAGE}
                 </p>
               </div>
             </WwbamShape>
@@ -199,7 +233,7 @@ function LobbyPhase({ teams }) {
         {/* Footer note */}
         <motion.div
           variants={sectionVariants}
-          className="w-full max-w-3xl flex">
+          className={`w-full ${layout.column} flex`}>
           <WwbamShape
             size="wide"
             state="selected"
@@ -210,7 +244,7 @@ function LobbyPhase({ teams }) {
               <p
                 className="wwbam-overlay-subheading"
                 style={{ color: 'var(--c-text)', fontSize: '0.8rem' }}>
-                {COPY_LOBBY.FOOTER_NOTE}
+                {copy.LOBBY.FOOTER_NOTE}
               </p>
             </div>
           </WwbamShape>
@@ -263,7 +297,8 @@ function InitializingPhase({ onComplete }) {
  *   [team cards]           — TeamRosterCard × N in play order
  *   [WwbamShape selected]  — "Starting soon..." pulsing the whole shape
  */
-function ReadyPhase({ teams, gameState }) {
+function ReadyPhase({ teams, gameState, layout }) {
+  const copy = useCopy();
   const playQueue = gameState?.playQueue ?? [];
   const orderedTeams = playQueue
     .map((id) => teams.find((t) => t.id === id))
@@ -272,7 +307,7 @@ function ReadyPhase({ teams, gameState }) {
   return (
     <motion.div
       key="ready"
-      className="w-full h-full flex flex-col items-center justify-center gap-5 px-16 py-10"
+      className={`w-full h-full flex flex-col items-center justify-center ${layout.container}`}
       variants={phaseContainerVariants}
       initial="hidden"
       animate="visible"
@@ -281,7 +316,7 @@ function ReadyPhase({ teams, gameState }) {
 
       {/* ── Stagger container ─────────────────────────────────────────── */}
       <motion.div
-        className="relative z-10 w-full flex flex-col items-center gap-5"
+        className={`relative z-10 w-full flex flex-col items-center ${layout.stack}`}
         variants={sectionStaggerVariants}
         initial="hidden"
         animate="visible">
@@ -293,7 +328,7 @@ function ReadyPhase({ teams, gameState }) {
         {/* "Play Order" heading */}
         <motion.div
           variants={sectionVariants}
-          className="w-full max-w-3xl flex">
+          className={`w-full ${layout.column} flex`}>
           <WwbamShape
             size="wide"
             state="selected"
@@ -302,7 +337,7 @@ function ReadyPhase({ teams, gameState }) {
             style={{ minHeight: '96px' }}>
             <div className="flex items-center justify-center py-5 w-full">
               <h1 className="wwbam-screen-heading wwbam-screen-heading--lg wwbam-text-gold-gradient">
-                {COPY_READY.HEADING}
+                {copy.READY.HEADING}
               </h1>
             </div>
           </WwbamShape>
@@ -312,16 +347,20 @@ function ReadyPhase({ teams, gameState }) {
         {orderedTeams.length > 0 && (
           <motion.div
             variants={sectionVariants}
-            className="w-full max-w-3xl flex flex-col gap-3">
+            className={`w-full ${layout.column} flex flex-col ${layout.cards}`}>
             {/* Independent card stagger — isolated variant keys */}
             <motion.div
-              className="flex flex-col gap-3"
+              className={`flex flex-col ${layout.cards}`}
               initial="enter"
               animate="show"
               variants={cardStaggerVariants}>
               {orderedTeams.map((team, i) => (
                 <motion.div key={team.id} variants={cardItemVariants}>
-                  <TeamRosterCard team={team} index={i} />
+                  <TeamRosterCard
+                    team={team}
+                    index={i}
+                    tall={layout.tallCards}
+                  />
                 </motion.div>
               ))}
             </motion.div>
@@ -331,7 +370,7 @@ function ReadyPhase({ teams, gameState }) {
         {/* "Starting soon..." — the whole shape pulses opacity */}
         <motion.div
           variants={sectionVariants}
-          className="w-full max-w-3xl flex"
+          className={`w-full ${layout.column} flex`}
           animate={{ opacity: [0.45, 1, 0.45] }}
           transition={{ duration: 2, repeat: Infinity, ease: 'easeInOut' }}>
           <WwbamShape
@@ -341,7 +380,7 @@ function ReadyPhase({ teams, gameState }) {
             className="flex-1"
             style={{ minHeight: '56px' }}>
             <div className="flex items-center justify-center py-3 w-full">
-              <p className="wwbam-starting-soon">{COPY_READY.STARTING_SOON}</p>
+              <p className="wwbam-starting-soon">{copy.READY.STARTING_SOON}</p>
             </div>
           </WwbamShape>
         </motion.div>
@@ -364,12 +403,16 @@ function ReadyPhase({ teams, gameState }) {
  * Phase derivation uses React's "storing information from previous renders"
  * pattern — setState called conditionally during render (not inside an effect).
  *
- * @param {{
- *   teams:     Array,
- *   gameState: object | null,
- * }} props
+ * On a portrait stage (useStageOrientation) the lobby and ready phases use
+ * PHASE_LAYOUTS.portrait — full-width, taller roster cards.
+ *
+ * Reads `teams` and `gameState` from the game store.
  */
-export default function IdleScreen({ teams, gameState }) {
+export default function IdleScreen() {
+  const teams = useGameStore(selectTeams);
+  const gameState = useGameStore(selectGameState);
+  const layout = PHASE_LAYOUTS[useStageOrientation()];
+
   const [phase, setPhase] = useState(() => {
     return gameState?.gameStatus === 'initialized' ? PHASE.READY : PHASE.LOBBY;
   });
@@ -400,7 +443,7 @@ export default function IdleScreen({ teams, gameState }) {
     <ScreenBackground>
       <AnimatePresence mode="wait">
         {phase === PHASE.LOBBY && (
-          <LobbyPhase key={PHASE.LOBBY} teams={teams} />
+          <LobbyPhase key={PHASE.LOBBY} teams={teams} layout={layout} />
         )}
         {phase === PHASE.INITIALIZING && (
           <InitializingPhase
@@ -409,7 +452,12 @@ export default function IdleScreen({ teams, gameState }) {
           />
         )}
         {phase === PHASE.READY && (
-          <ReadyPhase key={PHASE.READY} teams={teams} gameState={gameState} />
+          <ReadyPhase
+            key={PHASE.READY}
+            teams={teams}
+            gameState={gameState}
+            layout={layout}
+          />
         )}
       </AnimatePresence>
     </ScreenBackground>
@@ -0,0 +1,68 @@
+// src/screens/LadderScreen.jsx
+
+import { motion } from 'framer-motion';
+import ScreenBackground from '@components/layout/ScreenBackground';
+import TeamInfoBar from '@components/topbar/TeamInfoBar';
+import PrizeLadder from '@components/sidebar/PrizeLadder';
+import { useGameStore } from '@hooks/useGameStore';
+import {
+  selectCurrentTeam,
+  selectGameState,
+  selectMilestones,
+  selectPrizeStructure,
+} from '@store/selectors';
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const screenVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1, transition: { duration: 0.5 } },
+  exit: { opacity: 0, transition: { duration: 0.3 } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * LadderScreen
+ *
+ * Layout for `ladder` displays (config/displayRole.js) — side screens that
+ * show only the prize ladder. The team in play sits above it in a
+ * TeamInfoBar; the ladder follows the current question exactly as the main
+ * screen's sidebar does, in every game phase.
+ */
+export default function LadderScreen() {
+  const gameState = useGameStore(selectGameState);
+  const prizeStructure = useGameStore(selectPrizeStructure);
+  const milestones = useGameStore(selectMilestones);
+  const currentTeam = useGameStore(selectCurrentTeam);
+
+  return (
+    <ScreenBackground>
+      <motion.div
+        className="w-full h-full flex flex-col items-center gap-4 px-16 py-10"
+        variants={screenVariants}
+        initial="hidden"
+        animate="visible"
+        exit="exit">
+        {currentTeam && (
+          <div className="shrink-0 w-full max-w-3xl flex">
+            <TeamInfoBar
+              currentTeam={currentTeam}
+              currentQuestionNumber={gameState?.currentQuestionNumber}
+              prizeStructure={prizeStructure}
+              milestones={milestones}
+            />
+          </div>
+        )}
+
+        <div className="flex-1 min-h-0 w-full max-w-xl">
+          <PrizeLadder
+            prizeStructure={prizeStructure}
+            milestones={milestones}
+            currentQuestionNumber={gameState?.currentQuestionNumber}
+          />
+        </div>
+      </motion.div>
+    </ScreenBackground>
+  );
+}
@@ -0,0 +1,82 @@
+// src/screens/LeaderboardScreen.jsx
+
+import { motion } from 'framer-motion';
+import ScreenBackground from '@components/layout/ScreenBackground';
+import ScreenHeader from '@components/layout/ScreenHeader';
+import TeamList from '@components/sidebar/TeamList';
+import WwbamShape from '@components/ui/WwbamShape';
+import { useCopy } from '@hooks/useLocale';
+import { useGameStore } from '@hooks/useGameStore';
+import { selectPlayQueue, selectTeams } from '@store/selectors';
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const sectionStaggerVariants = {
+  hidden: { opacity: 0 },
+  visible: {
+    opacity: 1,
+    transition: { staggerChildren: 0.12, delayChildren: 0.2 },
+  },
+};
+
+const sectionVariants = {
+  hidden: { opacity: 0, y: 18 },
+  visible: { opacity: 1, y: 0, transition: { duration: 0.5, ease: 'easeOut' } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * LeaderboardScreen
+ *
+ * Layout for `leaderboard` displays (config/displayRole.js) — lobby screens
+ * that show only the team standings. The TeamList from the main screen's
+ * sidebar, in play order with each team's status and prize, updates live
+ * as the game runs. App swaps in ResultsScreen once the final results are
+ * shown.
+ */
+export default function LeaderboardScreen() {
+  const copy = useCopy();
+  const teams = useGameStore(selectTeams);
+  const playQueue = useGameStore(selectPlayQueue);
+
+  return (
+    <ScreenBackground>
+      <motion.div
+        className="w-full h-full flex flex-col items-center gap-5 px-16 py-10"
+        variants={sectionStaggerVariants}
+        initial="hidden"
+        animate="visible">
+        {/* Logo + eyebrow + divider */}
+        <motion.div variants={sectionVariants} className="shrink-0">
+          <ScreenHeader logoSize="w-16 h-16" />
+        </motion.div>
+
+        {/* "Standings" heading */}
+        <motion.div
+          variants={sectionVariants}
+          className="shrink-0 w-full max-w-3xl flex">
+          <WwbamShape
+            size="wide"
+            state="selected"
+            strokeWidth={3}
+            className="flex-1"
+            style={{ minHeight: '88px' }}>
+            <div className="flex items-center justify-center py-4 w-full text-center">
+              <h1 className="wwbam-screen-heading wwbam-text-gold-gradient">
+                {copy.TEAM_LIST.STANDINGS}
+              </h1>
+            </div>
+          </WwbamShape>
+        </motion.div>
+
+        {/* ── Team list ────────────────────────────────────────────────── */}
+        <motion.div
+          variants={sectionVariants}
+          className="flex-1 min-h-0 w-full max-w-3xl">
+          <TeamList teams={teams} playQueue={playQueue} />
+        </motion.div>
+      </motion.div>
+    </ScreenBackground>
+  );
+}
@@ -3,7 +3,8 @@
 import { motion } from 'framer-motion';
 import ScreenBackground from '@components/layout/ScreenBackground';
 import WwbamShape from '@components/ui/WwbamShape';
-import { APP_NAME, APP_SHORT_NAME, COPY_LOADING } from '@constants/app';
+import { APP_NAME, APP_SHORT_NAME } from '@constants/app';
+import { useCopy } from '@hooks/useLocale';
 
 /**
  * LoadingScreen
@@ -16,9 +17,10 @@ import { APP_NAME, APP_SHORT_NAME, COPY_LOADING } from '@constants/app';
  *   [spinner]              — free-floating pulsing rings
  *   [WwbamShape default]   — status message (blue shimmer)
  *
- * @param {{ message?: string }} props
+ * @param {{ message?: string }} props - defaults to the "Connecting..." copy
  */
-export default function LoadingScreen({ message = COPY_LOADING.CONNECTING }) {
+export default function LoadingScreen({ message }) {
+  const copy = useCopy();
   return (
     <ScreenBackground>
       <div className="w-full h-full flex flex-col items-center justify-center gap-10">
@@ -101,7 +103,7 @@ export default function LoadingScreen({ message = COPY_LOADING.CONNECTING }) {
               <p
                 className="wwbam-label"
                 style={{ letterSpacing: '0.2em', color: 'var(--c-text-dim)' }}>
-                {message}
+                {message ?? copy.LOADING.CONNECTING}
               </p>
             </div>
           </WwbamShape>
@@ -0,0 +1,371 @@
+// src/screens/PresenterScreen.jsx
+
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import ScreenBackground from '@components/layout/ScreenBackground';
+import TeamInfoBar from '@components/topbar/TeamInfoBar';
+import LifelineIndicator from '@components/topbar/LifelineIndicator';
+import QuestionCard from '@components/question/QuestionCard';
+import QuestionTimer from '@components/question/QuestionTimer';
+import OptionGrid from '@components/question/OptionGrid';
+import PrizeLadder from '@components/sidebar/PrizeLadder';
+import PresenterAccessGate from '@components/presenter/PresenterAccessGate';
+import WwbamShape from '@components/ui/WwbamShape';
+import { COPY_PRESENTER } from '@constants/app';
+import { LIFELINE_REGISTRY } from '@constants/lifelines';
+import { getQuestionType } from '@constants/questionTypes';
+import { serverNow } from '@config/timeSync';
+import { useLocale } from '@hooks/useLocale';
+import { useGameStore } from '@hooks/useGameStore';
+import { usePresenterFeed } from '@hooks/usePresenterFeed';
+import { formatNumber } from '@utils/formatters';
+import { resolveQuestionTimeLimit } from '@utils/questionTimer';
+import { getUrlParam } from '@utils/urlParams';
+import {
+  selectCurrentTeam,
+  selectDisplayConfig,
+  selectEnabledLifelines,
+  selectGameState,
+  selectMilestones,
+  selectPrizeStructure,
+  selectQuestionTimeLimit,
+} from '@store/selectors';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/** Access code from the monitor URL (`?code=`), or null to ask for one. */
+const URL_ACCESS_CODE = getUrlParam('code');
+
+const CLOCK_TICK_MS = 1000;
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+/** Local wall-clock time, e.g. "21:42:07". */
+const formatClock = (ms) =>
+  new Date(ms).toLocaleTimeString('en-GB', { hour12: false });
+
+/** Option text for the answer line — a picture option contributes its caption. */
+function optionText(question, key) {
+  const value = question?.options?.[key];
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? value : (value.caption ?? null);
+}
+
+/**
+ * The answer to show the presenter. Once revealed, game-state is the truth;
+ * before that the feed's answer is used only while it belongs to the question
+ * on screen (a feed without `question-id` is trusted as current).
+ */
+function resolveAnswer(gameState, feed) {
+  const question = gameState?.currentQuestion ?? null;
+  if (gameState?.answerRevealed) {
+    return {
+      option: gameState.correctOption ?? null,
+      value: gameState.correctValue ?? null,
+    };
+  }
+
+  // No answer loaded (the host cleared the feed, or a session replay)
+  if (!feed) return { option: null, value: null };
+
+  const isCurrent =
+    feed.questionId === null || feed.questionId === question?.id;
+  return isCurrent
+    ? { option: feed.correctOption, value: feed.correctValue }
+    : { option: null, value: null };
+}
+
+// ── Sub-components ─────────────────────────────────────────────────────────────
+
+/** Large wall clock, on the server-corrected time. */
+function PresenterClock() {
+  const [now, setNow] = useState(serverNow);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(serverNow()), CLOCK_TICK_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  return (
+    <span
+      className="tabular-nums"
+      style={{
+        fontFamily: 'var(--font-numeric)',
+        fontSize: '3.5rem',
+        lineHeight: 1,
+        color: 'var(--c-text)',
+      }}>
+      {formatClock(now)}
+    </span>
+  );
+}
+
+/** What the audience can see right now — gold when on screen. */
+function OnAirChip({ label, isOn }) {
+  return (
+    <span
+      className="wwbam-label px-3 py-1 rounded-full"
+      style={{
+        border: `1px solid ${isOn ? 'var(--c-gold-dark)' : 'var(--c-border-subtle)'}`,
+        color: isOn ? 'var(--c-gold)' : 'var(--c-used-text)',
+      }}>
+      {label}
+    </span>
+  );
+}
+
+function NoteBlock({ heading, children }) {
+  return (
+    <div className="flex flex-col gap-1">
+      <span
+        className="wwbam-label"
+        style={{ color: 'var(--c-gold)', letterSpacing: '0.25em' }}>
+        {heading}
+      </span>
+      <p
+        style={{
+          fontFamily: 'var(--font-body)',
+          fontSize: '1.25rem',
+          lineHeight: 1.4,
+          color: 'var(--c-text)',
+        }}>
+        {children}
+      </p>
+    </div>
+  );
+}
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * PresenterScreen
+ *
+ * Floor monitor for the host (`?role=presenter`, config/displayRole.js),
+ * routed in every game phase. Locked behind an access code
+ * (PresenterAccessGate) that opens the host-only presenter feed
+ * (config/presenterFeed.js).
+ *
+ * Layout:
+ *   Header  — wall clock · what the audience sees · TeamInfoBar and the
+ *             current team's remaining lifelines
+ *   Center  — QuestionCard and OptionGrid, always shown, with the correct
+ *             option already green (`highlightOption`) — the team's pick only
+ *             turns red with the public reveal; the answer line,
+ *             explanation and trivia
+ *   Right   — PrizeLadder window around the current question, as wide as
+ *             GameScreen's sidebars
+ *
+ * Copy is English like the other crew tools; the question itself follows
+ * the display language settings.
+ */
+export default function PresenterScreen() {
+  const [accessCode, setAccessCode] = useState(URL_ACCESS_CODE);
+  const { status, feed } = usePresenterFeed(accessCode);
+  const locale = useLocale();
+  const gameState = useGameStore(selectGameState);
+  const prizeStructure = useGameStore(selectPrizeStructure);
+  const milestones = useGameStore(selectMilestones);
+  const displayConfig = useGameStore(selectDisplayConfig);
+  const enabledLifelines = useGameStore(selectEnabledLifelines);
+  const questionTimeLimit = useGameStore(selectQuestionTimeLimit);
+  const currentTeam = useGameStore(selectCurrentTeam);
+
+  if (status !== 'ready') {
+    return <PresenterAccessGate status={status} onSubmit={setAccessCode} />;
+  }
+
+  const primaryLanguage = displayConfig.primaryLanguage ?? locale;
+  const topBarLifelines = enabledLifelines.map((key) => LIFELINE_REGISTRY[key]);
+  const question = gameState?.currentQuestion ?? null;
+  const isNumeric = getQuestionType(question?.type).layout === 'numeric';
+  const answer = resolveAnswer(gameState, feed);
+  const hasAnswer = isNumeric ? answer.value !== null : answer.option !== null;
+
+  // ── Question timer ─────────────────────────────────────────────────────────
+  const timeLimit = resolveQuestionTimeLimit(
+    questionTimeLimit,
+    gameState?.currentQuestionNumber,
+  );
+  const timerStartedAt = gameState?.questionTimerStartedAt ?? null;
+  const showQuestionTimer =
+    timeLimit !== null && timerStartedAt !== null && !gameState?.answerRevealed;
+
+  const answerLine = !hasAnswer
+    ? COPY_PRESENTER.ANSWER_PENDING
+    : isNumeric
+      ? [formatNumber(answer.value), question?.unit].filter(Boolean).join(' ')
+      : [answer.option, optionText(question, answer.option)]
+          .filter(Boolean)
+          .join(' · ');
+
+  return (
+    <ScreenBackground>
+      <motion.div
+        className="w-full h-full flex flex-col gap-4 px-10 py-8"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        transition={{ duration: 0.4 }}>
+        {/* ── Header ────────────────────────────────────────────────────── */}
+        <div className="shrink-0 flex items-center justify-between gap-8">
+          <PresenterClock />
+          <div className="flex items-center gap-3">
+            <span
+              className="wwbam-label"
+              style={{ color: 'var(--c-text-dim)', letterSpacing: '0.25em' }}>
+              {COPY_PRESENTER.ON_AIR}
+            </span>
+            <OnAirChip
+              label={COPY_PRESENTER.ON_AIR_QUESTION}
+              isOn={gameState?.questionVisible ?? false}
+            />
+            <OnAirChip
+              label={COPY_PRESENTER.ON_AIR_OPTIONS}
+              isOn={gameState?.optionsVisible ?? false}
+            />
+            <OnAirChip
+              label={COPY_PRESENTER.ON_AIR_ANSWER}
+              isOn={gameState?.answerRevealed ?? false}
+            />
+          </div>
+        </div>
+
+        <div
+          className="shrink-0 grid gap-0 items-center"
+          style={{
+            gridTemplateColumns: `2fr repeat(${topBarLifelines.length}, 1fr)`,
+          }}>
+          <div className="flex">
+            <TeamInfoBar
+              currentTeam={currentTeam}
+              currentQuestionNumber={gameState?.currentQuestionNumber}
+              prizeStructure={prizeStructure}
+              milestones={milestones}
+            />
+          </div>
+          <LifelineIndicator
+            lifelines={topBarLifelines}
+            lifelinesAvailable={currentTeam?.lifelinesAvailable ?? null}
+            activeLifeline={gameState?.activeLifeline ?? null}
+          />
+        </div>
+
+        {/* ── Main content area ─────────────────────────────────────────── */}
+        <div className="flex flex-1 min-h-0 gap-8">
+          <div className="flex flex-col flex-1 items-center gap-5 min-w-0 overflow-y-auto scrollbar-none">
+            {question ? (
+              <>
+                {showQuestionTimer && (
+                  <QuestionTimer
+                    key={`timer-${timerStartedAt}`}
+                    startedAt={timerStartedAt}
+                    timeLimit={timeLimit}
+                  />
+                )}
+
+                <QuestionCard
+                  question={question}
+                  questionVisible
+                  currentQuestionNumber={gameState?.currentQuestionNumber}
+                  primaryLanguage={primaryLanguage}
+                  mediaPlaying={false}
+                  mediaVolume={0}
+                />
+
+                {!isNumeric && (
+                  <OptionGrid
+                    question={question}
+                    primaryLanguage={primaryLanguage}
+                    optionsVisible
+                    selectedOption={gameState?.selectedOption ?? null}
+                    correctOption={gameState?.correctOption ?? null}
+                    answerRevealed={gameState?.answerRevealed ?? false}
+                    highlightOption={answer.option}
+                    activeLifeline={gameState?.activeLifeline ?? null}
+                    lifelineData={gameState?.lifelineData ?? null}
+                  />
+                )}
+
+                {/* ── Answer + notes ──────────────────────────────────── */}
+                <div className="w-full max-w-5xl flex flex-col gap-4">
+                  <div className="flex">
+                    <WwbamShape
+                      size="wide"
+                      state={hasAnswer ? 'correct' : 'used'}
+                      strokeWidth={3}
+                      className="flex-1"
+                      style={{ minHeight: '72px' }}>
+                      <div className="flex items-center gap-5 w-full py-3">
+                        <span
+                          className="wwbam-label shrink-0"
+                          style={{ letterSpacing: '0.25em' }}>
+                          {COPY_PRESENTER.ANSWER}
+                        </span>
+                        <span
+                          className="truncate"
+                          style={{
+                            fontFamily: 'var(--font-question)',
+                            fontSize: '1.6rem',
+                            fontWeight: 600,
+                            color: hasAnswer
+                              ? 'var(--c-text)'
+                              : 'var(--c-used-text)',
+                          }}>
+                          {answerLine}
+                        </span>
+                      </div>
+                    </WwbamShape>
+                  </div>
+
+                  {feed?.explanation && (
+                    <NoteBlock heading={COPY_PRESENTER.EXPLANATION}>
+                      {feed.explanation}
+                    </NoteBlock>
+                  )}
+                  {feed?.trivia && (
+                    <NoteBlock heading={COPY_PRESENTER.TRIVIA}>
+                      {feed.trivia}
+                    </NoteBlock>
+                  )}
+                  {!feed?.explanation && !feed?.trivia && (
+                    <p
+                      className="wwbam-label"
+                      style={{ color: 'var(--c-used-text)' }}>
+                      {COPY_PRESENTER.NO_NOTES}
+                    </p>
+                  )}
+                </div>
+              </>
+            ) : (
+              <div className="flex-1 flex items-center justify-center">
+                <p
+                  className="wwbam-label"
+                  style={{
+                    letterSpacing: '0.35em',
+                    color: 'var(--c-used-text)',
+                    fontSize: '1.5rem',
+                  }}>
+                  {COPY_PRESENTER.NO_QUESTION}
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* Right — Prize Ladder */}
+          <div className="shrink-0 w-(--stage-sidebar-width) flex flex-col gap-3">
+            <span
+              className="wwbam-label"
+              style={{ color: 'var(--c-gold)', letterSpacing: '0.25em' }}>
+              {COPY_PRESENTER.PRIZE_LADDER}
+            </span>
+            <PrizeLadder
+              prizeStructure={prizeStructure}
+              milestones={milestones}
+              currentQuestionNumber={gameState?.currentQuestionNumber}
+              compact
+            />
+          </div>
+        </div>
+      </motion.div>
+    </ScreenBackground>
+  );
+}
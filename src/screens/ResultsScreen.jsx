@@ -7,7 +7,10 @@ import { formatParticipantFirstNames } from '@utils/participants';
 import ScreenBackground from '@components/layout/ScreenBackground';
 import ScreenHeader from '@components/layout/ScreenHeader';
 import WwbamShape from '@components/ui/WwbamShape';
-import { COPY_RESULTS } from '@constants/app';
+import { useCopy } from '@hooks/useLocale';
+import { useGameStore } from '@hooks/useGameStore';
+import { useStageOrientation } from '@hooks/useStageLayout';
+import { selectTeams } from '@store/selectors';
 
 // ── Helpers ────────────────────────────────────────────────────────────────────
 
@@ -64,6 +67,30 @@ function deriveShapeState(team) {
   return 'default';
 }
 
+// ── Layout ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Spacing, column width and row height per stage orientation. On a portrait
+ * canvas (vertical LED panels) the leaderboard runs full width with taller
+ * rows so it fills the screen.
+ */
+const RESULTS_LAYOUTS = {
+  landscape: {
+    container: 'gap-5 px-16 py-10',
+    stack: 'gap-5',
+    column: 'max-w-3xl',
+    rows: 'gap-3',
+    rowHeight: '72px',
+  },
+  portrait: {
+    container: 'gap-8 px-12 py-20',
+    stack: 'gap-8',
+    column: 'max-w-none',
+    rows: 'gap-4',
+    rowHeight: '104px',
+  },
+};
+
 // ── Animation variants ─────────────────────────────────────────────────────────
 
 const sectionStaggerVariants = {
@@ -139,16 +166,23 @@ function StatusIcon({ isCompleted }) {
  *
  * Row layout: [Rank] [StatusIcon] [Team Name / Participants] [Prize]
  *
- * @param {{ teams: Array }} props
+ * On a portrait stage (useStageOrientation) RESULTS_LAYOUTS.portrait runs the
+ * rows full width and taller.
+ *
+ * Reads `teams` from the game store.
  */
-export default function ResultsScreen({ teams }) {
+export default function ResultsScreen() {
+  const copy = useCopy();
+  const teams = useGameStore(selectTeams);
   const rankedTeams = rankTeams(teams);
+  const layout = RESULTS_LAYOUTS[useStageOrientation()];
 
   return (
     <ScreenBackground>
-      <div className="w-full h-full flex flex-col items-center justify-center gap-5 px-16 py-10">
+      <div
+        className={`w-full h-full flex flex-col items-center justify-center ${layout.container}`}>
         <motion.div
-          className="w-full flex flex-col items-center gap-5"
+          className={`w-full flex flex-col items-center ${layout.stack}`}
           variants={sectionStaggerVariants}
           initial="hidden"
           animate="visible">
@@ -160,7 +194,7 @@ export default function ResultsScreen({ teams }) {
           {/* "Final Results" heading */}
           <motion.div
             variants={sectionVariants}
-            className="w-full max-w-3xl flex">
+            className={`w-full ${layout.column} flex`}>
             <WwbamShape
               size="wide"
               state="selected"
@@ -169,7 +203,7 @@ export default function ResultsScreen({ teams }) {
               style={{ minHeight: '88px' }}>
               <div className="flex items-center justify-center py-4 w-full text-center">
                 <h1 className="wwbam-screen-heading wwbam-text-gold-gradient">
-                  {COPY_RESULTS.HEADING}
+                  {copy.RESULTS.HEADING}
                 </h1>
               </div>
             </WwbamShape>
@@ -177,7 +211,7 @@ export default function ResultsScreen({ teams }) {
 
           {/* ── Leaderboard ──────────────────────────────────────────────── */}
           <motion.div
-            className="w-full max-w-3xl flex flex-col gap-3"
+            className={`w-full ${layout.column} flex flex-col ${layout.rows}`}
             variants={rowContainerVariants}>
             {rankedTeams.map((team) => {
               const isCompleted = team.status === 'completed';
@@ -198,7 +232,7 @@ export default function ResultsScreen({ teams }) {
                     state={shapeState}
                     strokeWidth={3}
                     className="flex-1"
-                    style={{ minHeight: '72px' }}>
+                    style={{ minHeight: layout.rowHeight }}>
                     <div className="flex items-center gap-5 w-full">
                       {/* ── Rank / Medal ──────────────────────────────── */}
                       <div className="w-10 flex items-center justify-center shrink-0">
@@ -0,0 +1,171 @@
+// src/screens/StageMonitorScreen.jsx
+
+import { AnimatePresence, motion } from 'framer-motion';
+import ScreenBackground from '@components/layout/ScreenBackground';
+import TeamInfoBar from '@components/topbar/TeamInfoBar';
+import LifelineIndicator from '@components/topbar/LifelineIndicator';
+import QuestionCard from '@components/question/QuestionCard';
+import QuestionTimer from '@components/question/QuestionTimer';
+import OptionGrid from '@components/question/OptionGrid';
+import NumericReveal from '@components/question/NumericReveal';
+import BetweenQuestionsLogo from '@components/game/BetweenQuestionsLogo';
+import { useLocale } from '@hooks/useLocale';
+import { useGameStore } from '@hooks/useGameStore';
+import { LIFELINE_REGISTRY } from '@constants/lifelines';
+import { getQuestionType } from '@constants/questionTypes';
+import { resolveQuestionTimeLimit } from '@utils/questionTimer';
+import {
+  selectCurrentTeam,
+  selectDisplayConfig,
+  selectEnabledLifelines,
+  selectGameState,
+  selectMilestones,
+  selectPrizeStructure,
+  selectQuestionTimeLimit,
+  selectTeams,
+} from '@store/selectors';
+
+// ── Animation variants ─────────────────────────────────────────────────────────
+
+const screenVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1, transition: { duration: 0.5 } },
+  exit: { opacity: 0, transition: { duration: 0.3 } },
+};
+
+// ── Component ──────────────────────────────────────────────────────────────────
+
+/**
+ * StageMonitorScreen
+ *
+ * Layout for `stage` displays (config/displayRole.js) — the contestants'
+ * confidence monitor, routed in place of GameScreen while a game is running.
+ *
+ * Layout (single column, full width):
+ *   Top bar — TeamInfoBar + LifelineIndicator
+ *   Center  — QuestionTimer, QuestionCard and OptionGrid / NumericReveal
+ *             (no sidebars)
+ *
+ * It follows the live game state only: no full-screen overlays (team cards,
+ * pause, lifeline cards) that would hide the question from the contestants,
+ * and question clips play muted — sound comes from the main screen.
+ */
+export default function StageMonitorScreen() {
+  const locale = useLocale();
+  const gameState = useGameStore(selectGameState);
+  const teams = useGameStore(selectTeams);
+  const prizeStructure = useGameStore(selectPrizeStructure);
+  const milestones = useGameStore(selectMilestones);
+  const displayConfig = useGameStore(selectDisplayConfig);
+  const enabledLifelines = useGameStore(selectEnabledLifelines);
+  const questionTimeLimit = useGameStore(selectQuestionTimeLimit);
+  const currentTeam = useGameStore(selectCurrentTeam);
+
+  const primaryLanguage = displayConfig.primaryLanguage ?? locale;
+  const topBarLifelines = enabledLifelines.map((key) => LIFELINE_REGISTRY[key]);
+  const question = gameState?.currentQuestion ?? null;
+  const questionType = getQuestionType(question?.type);
+
+  // ── Question timer ─────────────────────────────────────────────────────────
+  const timeLimit = resolveQuestionTimeLimit(
+    questionTimeLimit,
+    gameState?.currentQuestionNumber,
+  );
+  const timerStartedAt = gameState?.questionTimerStartedAt ?? null;
+  const showQuestionTimer =
+    timeLimit !== null &&
+    timerStartedAt !== null &&
+    gameState?.questionVisible &&
+    !gameState?.answerRevealed;
+
+  return (
+    <ScreenBackground>
+      <motion.div
+        className="relative w-full h-full flex flex-col"
+        variants={screenVariants}
+        initial="hidden"
+        animate="visible"
+        exit="exit">
+        {/* ── Top bar ───────────────────────────────────────────────────── */}
+        <div
+          className="shrink-0 grid gap-0 px-0 py-8 items-center"
+          style={{
+            gridTemplateColumns: `2fr repeat(${topBarLifelines.length}, 1fr)`,
+          }}>
+          <div className="flex">
+            <TeamInfoBar
+              currentTeam={currentTeam}
+              currentQuestionNumber={gameState?.currentQuestionNumber}
+              prizeStructure={prizeStructure}
+              milestones={milestones}
+            />
+          </div>
+          <LifelineIndicator
+            lifelines={topBarLifelines}
+            lifelinesAvailable={currentTeam?.lifelinesAvailable ?? null}
+            activeLifeline={gameState?.activeLifeline ?? null}
+          />
+        </div>
+
+        {/* ── Question + Options ────────────────────────────────────────── */}
+        <div className="flex flex-col flex-1 items-center justify-center gap-6 px-16 py-6 min-h-0">
+          <AnimatePresence mode="wait">
+            {!gameState?.questionVisible ? (
+              <BetweenQuestionsLogo key="between" />
+            ) : (
+              <motion.div
+                key="gameplay"
+                className="w-full flex flex-col items-center gap-6"
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                transition={{ duration: 0.4 }}>
+                <AnimatePresence>
+                  {showQuestionTimer && (
+                    <QuestionTimer
+                      key={`timer-${timerStartedAt}`}
+                      startedAt={timerStartedAt}
+                      timeLimit={timeLimit}
+                    />
+                  )}
+                </AnimatePresence>
+
+                <QuestionCard
+                  question={question}
+                  questionVisible
+                  currentQuestionNumber={gameState?.currentQuestionNumber}
+                  primaryLanguage={primaryLanguage}
+                  mediaPlaying={gameState?.mediaPlaying ?? false}
+                  mediaVolume={0}
+                />
+
+                {questionType.layout === 'numeric' ? (
+                  <NumericReveal
+                    key={question?.id}
+                    question={question}
+                    visible={gameState?.optionsVisible ?? false}
+                    guesses={gameState?.numericGuesses ?? {}}
+                    teams={teams}
+                    correctValue={gameState?.correctValue ?? null}
+                    answerRevealed={gameState?.answerRevealed ?? false}
+                  />
+                ) : (
+                  <OptionGrid
+                    question={question}
+                    primaryLanguage={primaryLanguage}
+                    optionsVisible={gameState?.optionsVisible ?? false}
+                    selectedOption={gameState?.selectedOption ?? null}
+                    correctOption={gameState?.correctOption ?? null}
+                    answerRevealed={gameState?.answerRevealed ?? false}
+                    activeLifeline={gameState?.activeLifeline ?? null}
+                    lifelineData={gameState?.lifelineData ?? null}
+                  />
+                )}
+              </motion.div>
+            )}
+          </AnimatePresence>
+        </div>
+      </motion.div>
+    </ScreenBackground>
+  );
+}
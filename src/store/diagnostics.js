@@ -0,0 +1,79 @@
+// src/store/diagnostics.js
+
+// ============================================================================
+// DIAGNOSTICS CHANNEL
+// ============================================================================
+
+/**
+ * Collects problems the display detected in its own data — a Firebase
+ * payload that had to be repaired, or one that was rejected so the last good
+ * state keeps rendering. The audience never sees these; they are for the
+ * operator (console) and on-screen debugging tools.
+ *
+ * Identical reports (same source, path and message) are merged into one
+ * entry with a running `count`, since a bad field is re-reported on every
+ * snapshot of its node until the host fixes it.
+ *
+ * Subscribers follow the `useSyncExternalStore` contract: they take no
+ * arguments and read the new list with getDiagnostics().
+ */
+
+/** Maximum number of distinct entries kept. */
+const MAX_ENTRIES = 100;
+
+let entries = [];
+const subscribers = new Set();
+
+/**
+ * Reports a diagnostic.
+ *
+ * @param {{
+ *   level:   'warning'|'error',
+ *   source:  string,   - e.g. the Firebase node path ('game-state')
+ *   path?:   string,   - field within the source, e.g. 'currentQuestion.options'
+ *   message: string,
+ * }} report
+ */
+export const reportDiagnostic = ({ level, source, path = '', message }) => {
+  const id = `${source}|${path}|${message}`;
+  const at = Date.now();
+  const existing = entries.find((entry) => entry.id === id);
+
+  if (existing) {
+    entries = entries.map((entry) =>
+      entry === existing
+        ? { ...entry, level, count: entry.count + 1, lastAt: at }
+        : entry,
+    );
+  } else {
+    const log = level === 'error' ? console.error : console.warn;
+    log(`${level === 'error' ? '❌' : '⚠️'} [${source}] ${path}: ${message}`);
+
+    entries = [
+      ...entries,
+      { id, level, source, path, message, count: 1, firstAt: at, lastAt: at },
+    ].slice(-MAX_ENTRIES);
+  }
+
+  subscribers.forEach((subscriber) => subscriber());
+};
+
+/**
+ * @param {() => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeDiagnostics = (subscriber) => {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * All diagnostics, oldest first. The same array is returned until the next
+ * report.
+ *
+ * @returns {Array<{
+ *   id: string, level: 'warning'|'error', source: string, path: string,
+ *   message: string, count: number, firstAt: number, lastAt: number,
+ * }>}
+ */
+export const getDiagnostics = () => entries;
@@ -0,0 +1,305 @@
+// src/store/gameStore.js
+
+import { subscribeToPath } from '@config/dataSource';
+import { resolveGamePath } from '@config/gameNamespace';
+import { STORE_NODES } from '@store/nodes';
+import { reportDiagnostic } from '@store/diagnostics';
+import { recordSnapshot } from '@store/recorder';
+import { logTransitions } from '@store/transitions';
+import { validate } from '@utils/schema';
+
+// ============================================================================
+// GAME STORE
+// ============================================================================
+
+/**
+ * One store for everything the display reads from Firebase: game-state,
+ * teams, prize-structure and config (see store/nodes.js) for the active game
+ * (config/gameNamespace.js).
+ *
+ * Each node still has its own `onValue` listener, so a single host action
+ * (e.g. revealing an answer, which updates `game-state` AND the team's
+ * status) arrives as several snapshots that can land in any order. Incoming
+ * values are staged and published together once no further snapshot has
+ * arrived for SETTLE_MS, so screens never render a `teams` update against
+ * the `game-state` that preceded it.
+ *
+ * Nothing is published until every node has reported at least once — the
+ * first snapshot screens see is complete.
+ *
+ * Every snapshot is checked against its node schema (store/nodes.js).
+ * Repairs are reported to the diagnostics channel as warnings. A snapshot
+ * that cannot be repaired is reported as an error and dropped, so the last
+ * good value keeps rendering (the node's empty value if none arrived yet).
+ *
+ * Raw snapshots enter through ingestNodeSnapshot() — from the data source
+ * listeners (Firebase or mock, see config/dataSource.js), which also record
+ * them for replay (store/recorder.js), or from the replay player.
+ *
+ * Snapshots are immutable and rebuilt on publish, with derived values
+ * (current team, queue position, next team, …) computed once here rather
+ * than in every screen. Read them in React with `useGameStore(selector)`
+ * and the selectors in store/selectors.js.
+ *
+ * Each publish also feeds the transition log (store/transitions.js), and
+ * every node's last accepted update time is kept for the diagnostics HUD.
+ */
+
+/** Quiet period (ms) that closes a batch of node updates. */
+const SETTLE_MS = 50;
+
+const NODE_KEYS = Object.keys(STORE_NODES);
+const NODE_KEYS_BY_PATH = Object.fromEntries(
+  NODE_KEYS.map((key) => [STORE_NODES[key].path, key]),
+);
+
+const STATUS_IDLE = { isListening: false, isError: false, errorMessage: null };
+const STATUS_LISTENING = {
+  isListening: true,
+  isError: false,
+  errorMessage: null,
+};
+
+// ── Derived values ─────────────────────────────────────────────────────────────
+
+/**
+ * Resolves team objects for the play queue.
+ *
+ *   currentTeam   — team matching `currentTeamId`
+ *   queuePosition — 1-based position of the current team (0 when none)
+ *   nextTeam      — team queued after the current one (the first queued team
+ *                   when nobody is playing yet); null at the end of the queue
+ *   resultTeam    — current team, falling back to the last team in the queue
+ *                   (completeGame() clears `currentTeamId`)
+ */
+function deriveQueue(gameState, teams) {
+  const playQueue = gameState?.playQueue ?? [];
+  const findTeam = (id) => teams.find((t) => t.id === id) ?? null;
+
+  const currentTeam = findTeam(gameState?.currentTeamId);
+  const queuePosition = currentTeam ? playQueue.indexOf(currentTeam.id) + 1 : 0;
+  const nextTeam = findTeam(playQueue[queuePosition]);
+  const lastTeam = findTeam(playQueue[playQueue.length - 1]);
+
+  return {
+    playQueue,
+    currentTeam,
+    queuePosition,
+    nextTeam,
+    resultTeam: currentTeam ?? lastTeam,
+  };
+}
+
+/**
+ * Safe-haven questions used when neither `config/milestones` nor the
+ * prize-structure flags name any — the classic format's 5 / 10 / 15 / 20.
+ */
+const DEFAULT_MILESTONES = [5, 10, 15, 20];
+
+/**
+ * Splits the prize levels into plain amounts and milestone question numbers.
+ *
+ *   prizeStructure — prize per question, index 0 = Question 1
+ *   milestones     — ascending safe-haven question numbers, from
+ *                    `config/milestones`, else the levels flagged
+ *                    `milestone: true` in prize-structure, else the defaults
+ *                    (limited to the questions that exist)
+ */
+function derivePrizes(prizeLevels, config) {
+  const prizeStructure = prizeLevels.map((level) => level.amount);
+  const flagged = prizeLevels.flatMap((level, index) =>
+    level.milestone ? [index + 1] : [],
+  );
+
+  const milestones =
+    config.milestones ?? (flagged.length ? flagged : DEFAULT_MILESTONES);
+
+  return {
+    prizeStructure,
+    milestones: milestones.filter((n) => n <= prizeStructure.length),
+  };
+}
+
+const buildSnapshot = (nodes, status, updatedAt) => ({
+  status,
+  updatedAt,
+  ...nodes,
+  ...deriveQueue(nodes.gameState, nodes.teams),
+  ...derivePrizes(nodes.prizeLevels, nodes.config),
+});
+
+// ── Store state ────────────────────────────────────────────────────────────────
+
+let nodes = Object.fromEntries(
+  NODE_KEYS.map((key) => [key, STORE_NODES[key].empty]),
+);
+// gameState stays null until the first snapshot (LoadingScreen is up anyway)
+nodes.gameState = null;
+
+// Node key → local time (ms) its last snapshot was staged
+let updatedAt = {};
+
+let snapshot = buildSnapshot(nodes, STATUS_IDLE, updatedAt);
+let pending = {};
+let flushTimer = null;
+const received = new Set();
+const subscribers = new Set();
+
+const publish = (status) => {
+  const previous = snapshot;
+  snapshot = buildSnapshot(nodes, status, updatedAt);
+  logTransitions(previous, snapshot);
+  subscribers.forEach((subscriber) => subscriber());
+};
+
+const flush = () => {
+  flushTimer = null;
+  nodes = { ...nodes, ...pending };
+  pending = {};
+
+  // Hold the first publish until every node has arrived
+  if (!NODE_KEYS.every((key) => received.has(key))) return;
+  publish(STATUS_LISTENING);
+};
+
+const stage = (key, value) => {
+  pending[key] = value;
+  received.add(key);
+  updatedAt = { ...updatedAt, [key]: Date.now() };
+
+  clearTimeout(flushTimer);
+  flushTimer = setTimeout(flush, SETTLE_MS);
+};
+
+/**
+ * Validates a parsed node value and stages it, or keeps the last good value
+ * when it cannot be repaired.
+ */
+const ingest = (key, rawValue) => {
+  const node = STORE_NODES[key];
+  const { value, isValid, issues } = validate(
+    node.schema,
+    node.parse(rawValue),
+    node.path,
+  );
+
+  issues.forEach(({ path, severity, message }) =>
+    reportDiagnostic({
+      level: severity === 'invalid' ? 'error' : 'warning',
+      source: node.path,
+      path,
+      message,
+    }),
+  );
+
+  if (isValid) {
+    node.log(value);
+    stage(key, value);
+    return;
+  }
+
+  reportDiagnostic({
+    level: 'error',
+    source: node.path,
+    message: received.has(key)
+      ? 'snapshot rejected — keeping the last good state'
+      : 'snapshot rejected — using empty defaults',
+  });
+  if (!received.has(key)) stage(key, node.empty);
+};
+
+const fail = (error) => {
+  publish({ isListening: false, isError: true, errorMessage: error.message });
+};
+
+// ── Public API ─────────────────────────────────────────────────────────────────
+
+/**
+ * Feeds one raw snapshot value into the store — parsed, validated and
+ * batched like any other update.
+ *
+ * @param {string}  path  - Firebase path of a store node, e.g. 'game-state'
+ * @param {unknown} value - raw snapshot value; null when the node is missing
+ */
+export const ingestNodeSnapshot = (path, value) => {
+  const key = NODE_KEYS_BY_PATH[path];
+  if (!key) {
+    console.warn('⚠️ Ignoring snapshot for unknown store node:', path);
+    return;
+  }
+
+  const node = STORE_NODES[key];
+  if (value !== null && value !== undefined) {
+    ingest(key, value);
+    return;
+  }
+
+  if (!node.optional) {
+    console.warn(`⚠️ ${node.path} node is empty in Firebase`);
+  }
+  stage(key, node.empty);
+};
+
+/**
+ * Attaches the data source listeners for every store node. Call once auth is
+ * ready; call again (after disconnecting) to re-attach with fresh snapshots
+ * after an outage. Every snapshot is recorded for session replay.
+ *
+ * Nodes are read under the active game namespace (`games/<id>/…`, see
+ * config/gameNamespace.js) but recorded and ingested by their node path, so
+ * a recording replays the same regardless of which room it came from.
+ *
+ * @returns {() => void} disconnect
+ */
+export const connectGameStore = () => {
+  console.log('📡 Starting game store listeners...');
+
+  const detachers = NODE_KEYS.map((key) => {
+    const { path } = STORE_NODES[key];
+
+    return subscribeToPath(
+      resolveGamePath(path),
+      (value) => {
+        recordSnapshot(path, value);
+        ingestNodeSnapshot(path, value);
+      },
+      (error) => {
+        console.error(`❌ ${path} listener error:`, error.message);
+        fail(error);
+      },
+    );
+  });
+
+  return () => {
+    console.log('🛑 game store listeners stopped');
+    detachers.forEach((detach) => detach());
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    pending = {};
+  };
+};
+
+/**
+ * Subscribes to store changes. Matches the `useSyncExternalStore` contract:
+ * the subscriber takes no arguments — read the new state with
+ * getGameStoreSnapshot().
+ *
+ * @param {() => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeGameStore = (subscriber) => {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * Latest published snapshot:
+ *   { status, updatedAt, gameState, teams, prizeLevels, config,
+ *     playQueue, currentTeam, queuePosition, nextTeam, resultTeam,
+ *     prizeStructure, milestones }
+ *
+ * The same object is returned until the next publish.
+ *
+ * @returns {object}
+ */
+export const getGameStoreSnapshot = () => snapshot;
@@ -0,0 +1,751 @@
+// src/store/nodes.js
+
+import { kebabToCamel } from '@utils/transforms';
+import { localizedKey } from '@utils/questionText';
+import {
+  INVALID,
+  boolean,
+  invalid,
+  list,
+  number,
+  object,
+  oneOf,
+  repaired,
+  string,
+} from '@utils/schema';
+import {
+  DEFAULT_ENABLED_LIFELINES,
+  LIFELINE_REGISTRY,
+  getAvailabilityKey,
+} from '@constants/lifelines';
+import { CUE_SHEET } from '@constants/audio';
+import { QUESTION_TYPES } from '@constants/questionTypes';
+import { DEFAULT_LOCALE, LOCALES } from '@constants/locales';
+import { themeSchema } from '@config/theme';
+import { DISPLAY_ROLES } from '@config/displayRole';
+import {
+  DEFAULT_STAGE_ORIENTATION,
+  DEFAULT_STAGE_SCALE_MODE,
+  STAGE_ORIENTATIONS,
+  STAGE_SCALE_MODES,
+} from '@config/stageScale';
+
+// ── Defaults ───────────────────────────────────────────────────────────────────
+
+const DEFAULT_DISPLAY_CONFIG = {
+  showPrizeLadder: true,
+  showTeamList: true,
+  animationDuration: 500,
+  reconnectBadgeDelay: 5, // seconds offline before the "Reconnecting…" badge
+  offlineCardDelay: 30, // seconds offline before the full-screen holding card
+  primaryLanguage: null, // main line of bilingual questions; null = display language
+  stageScaling: DEFAULT_STAGE_SCALE_MODE, // 'fit' letterboxes, 'fill' reflows
+  orientation: DEFAULT_STAGE_ORIENTATION, // 'auto' follows the viewport's shape
+};
+
+/**
+ * Sound off until `config/audio/enabled` turns it on — the cue files are not
+ * shipped with the display (public/audio/), so a display without them must
+ * not wait behind the Enable Sound card. 80% master volume once enabled.
+ */
+const DEFAULT_AUDIO_CONFIG = { enabled: false, masterVolume: 0.8, cues: {} };
+
+/** Mirrors PHONE_A_FRIEND_DURATION from the host panel constants. */
+const DEFAULT_TIMER_DURATION = 30;
+
+const GAME_STATUSES = [
+  'not-started',
+  'initialized',
+  'active',
+  'paused',
+  'completed',
+];
+
+const TEAM_STATUSES = ['waiting', 'active', 'eliminated', 'completed'];
+
+/** `game-state/round-type` — null plays the main game. */
+const ROUND_TYPES = ['fastest-finger', 'main'];
+
+const OPTION_KEYS = ['A', 'B', 'C', 'D'];
+
+/** `current-question/option-style` — see OptionGrid. */
+const OPTION_STYLES = ['shape', 'card'];
+
+const MEDIA_TYPES = ['image', 'audio', 'video'];
+const MEDIA_LAYOUTS = ['beside', 'below'];
+
+/** File extensions used to infer a media type the host panel left out. */
+const MEDIA_EXTENSIONS = {
+  image: /\.(png|jpe?g|gif|webp|avif|svg)$/i,
+  audio: /\.(mp3|wav|ogg|m4a|aac)$/i,
+  video: /\.(mp4|webm|mov|m4v)$/i,
+};
+
+// ── Helpers ────────────────────────────────────────────────────────────────────
+
+const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+
+/**
+ * Schema for `config/question-time-limit`.
+ *
+ * Accepted shapes:
+ *   30                → every question gets 30 seconds
+ *   [15, 15, …, 60]   → per prize level, index 0 = Question 1 (like prize-structure)
+ *
+ * Per-level entries that are missing or not a positive number mean "no timer
+ * for that level". Returns null when no timer is configured at all.
+ *
+ * @returns {number|Array<number|null>|null}
+ */
+function questionTimeLimitSchema(raw) {
+  if (isPositiveNumber(raw)) return raw;
+  if (raw === null || raw === undefined || typeof raw !== 'object') return null;
+
+  // Firebase returns a sparse object (keyed by index) when levels are skipped
+  const levels = Array.isArray(raw)
+    ? raw
+    : Object.entries(raw).reduce((acc, [index, value]) => {
+        acc[Number(index)] = value;
+        return acc;
+      }, []);
+
+  const normalized = Array.from(levels, (value) =>
+    isPositiveNumber(value) ? value : null,
+  );
+
+  return normalized.some((value) => value !== null) ? normalized : null;
+}
+
+/**
+ * Schema for `config/enabled-lifelines`: an ordered array of lifeline keys.
+ * Firebase may return a sparse object instead of an array if entries were
+ * deleted — Object.values restores the order.
+ *
+ * Keys missing from LIFELINE_REGISTRY are dropped (reported) so a typo in
+ * the host config never blanks the top bar. Falls back to the defaults when
+ * the node is missing or nothing valid remains.
+ */
+function enabledLifelinesSchema(raw, ctx) {
+  if (raw === null || typeof raw !== 'object') return DEFAULT_ENABLED_LIFELINES;
+
+  const keys = (Array.isArray(raw) ? raw : Object.values(raw)).filter((key) => {
+    if (LIFELINE_REGISTRY[key]) return true;
+    repaired(ctx, `unknown lifeline "${key}" — dropped`);
+    return false;
+  });
+
+  return keys.length ? keys : DEFAULT_ENABLED_LIFELINES;
+}
+
+/**
+ * Schema for an option key (`selected-option`, `correct-option`, and the
+ * presenter feed's `correct-option` in config/presenterFeed.js):
+ * 'A'–'D', lowercase accepted. Anything else is dropped to null so a bad
+ * key never highlights the wrong option.
+ */
+export function optionKey(value, ctx) {
+  if (value === null || value === undefined) return null;
+
+  const key = typeof value === 'string' ? value.toUpperCase() : value;
+  if (!OPTION_KEYS.includes(key)) {
+    return repaired(ctx, `unknown option key ${JSON.stringify(value)}`, null);
+  }
+  if (key !== value) repaired(ctx, `normalised "${value}" to "${key}"`);
+  return key;
+}
+
+/**
+ * One option value: text, or a picture option `{ image, caption? }`
+ * ("which flag is this?"). Returns undefined for anything unusable.
+ */
+function optionValue(option, key, ctx) {
+  if (typeof option === 'string') return option;
+  if (typeof option === 'number') {
+    return repaired(ctx, `coerced option ${key} to a string`, String(option));
+  }
+  if (option && typeof option === 'object') {
+    if (typeof option.image === 'string') {
+      return {
+        image: option.image,
+        caption: typeof option.caption === 'string' ? option.caption : null,
+      };
+    }
+    if (typeof option.caption === 'string') {
+      return repaired(
+        ctx,
+        `option ${key} has no image — using its caption`,
+        option.caption,
+      );
+    }
+  }
+  return repaired(ctx, `dropped unusable option ${key}`, undefined);
+}
+
+/**
+ * Schema for `current-question/options`: an object keyed 'A'–'D'. Values
+ * are option text or picture options (see optionValue).
+ *
+ * Repairs:
+ *   - lowercase keys are upper-cased
+ *   - a plain array of four options is keyed A–D in order
+ *   - numeric option text becomes a string
+ *   - a picture option without an image falls back to its caption
+ *
+ * A removed option (fifty-fifty) is simply absent — Firebase drops nulls.
+ */
+function questionOptions(value, ctx) {
+  if (value === null || value === undefined) return null;
+
+  if (Array.isArray(value)) {
+    if (value.length > OPTION_KEYS.length) {
+      return invalid(ctx, `expected at most 4 options, got ${value.length}`);
+    }
+    repaired(ctx, 'keyed an options array as A–D');
+    value = Object.fromEntries(
+      value.map((option, index) => [OPTION_KEYS[index], option]),
+    );
+  }
+  if (typeof value !== 'object') {
+    return invalid(ctx, `expected object, got ${typeof value}`);
+  }
+
+  const options = {};
+  for (const [rawKey, option] of Object.entries(value)) {
+    const key = rawKey.toUpperCase();
+    if (!OPTION_KEYS.includes(key)) {
+      repaired(ctx, `dropped unknown option "${rawKey}"`);
+      continue;
+    }
+    if (key !== rawKey) repaired(ctx, `normalised "${rawKey}" to "${key}"`);
+
+    const normalised = optionValue(option, key, ctx);
+    if (normalised !== undefined) options[key] = normalised;
+  }
+
+  return options;
+}
+
+/**
+ * Schema for `current-question/media`: an image, audio clip or short video
+ * shown beside or below the question text.
+ *
+ *   '/media/flag.png'                                  → type from extension
+ *   { type, src, caption?, poster?, layout? }          → layout 'beside' | 'below'
+ *
+ * Layout defaults to 'below' for audio (a slim player strip) and 'beside'
+ * for images and video. Unusable media is dropped so the question still
+ * shows as text.
+ */
+function questionMedia(value, ctx) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') value = { src: value };
+  if (typeof value !== 'object' || typeof value.src !== 'string') {
+    return repaired(
+      ctx,
+      'expected a media URL or { type, src } — ignoring',
+      null,
+    );
+  }
+
+  let type = value.type;
+  if (!MEDIA_TYPES.includes(type)) {
+    const path = value.src.split(/[?#]/)[0];
+    const inferred = MEDIA_TYPES.find((t) => MEDIA_EXTENSIONS[t].test(path));
+    if (!inferred) {
+      return repaired(
+        ctx,
+        `unknown media type for "${value.src}" — ignoring`,
+        null,
+      );
+    }
+    if (type !== undefined) {
+      repaired(ctx, `unknown media type "${type}" — using ${inferred}`);
+    }
+    type = inferred;
+  }
+
+  return {
+    type,
+    src: value.src,
+    caption: typeof value.caption === 'string' ? value.caption : null,
+    poster: typeof value.poster === 'string' ? value.poster : null,
+    layout: MEDIA_LAYOUTS.includes(value.layout)
+      ? value.layout
+      : type === 'audio'
+        ? 'below'
+        : 'beside',
+  };
+}
+
+/**
+ * Translations carried next to the base text — `text-si`, `options-si`, … —
+ * validated like `text` and `options` but optional (utils/questionText.js).
+ */
+const translatedQuestionFields = Object.fromEntries(
+  Object.keys(LOCALES)
+    .filter((code) => code !== DEFAULT_LOCALE)
+    .flatMap((code) => [
+      [localizedKey('text', code), string({ nullable: true })],
+      [localizedKey('options', code), questionOptions],
+    ]),
+);
+
+/**
+ * Schema for `fastest-finger/correct-order`: every option key once, in the
+ * right order.
+ *
+ *   'CADB'                → ['C', 'A', 'D', 'B']
+ *   ['c', 'a', 'd', 'b']  → same, upper-cased
+ *
+ * Anything that is not an order of distinct option keys is dropped to null
+ * so the reveal never shows a wrong sequence.
+ *
+ * @returns {string[]|null}
+ */
+function optionOrder(value, ctx) {
+  if (value === null || value === undefined) return null;
+
+  const keys = (
+    typeof value === 'string'
+      ? value.split('')
+      : Array.isArray(value)
+        ? value
+        : []
+  ).map((key) => (typeof key === 'string' ? key.toUpperCase() : key));
+
+  const isOrder =
+    keys.length > 0 &&
+    new Set(keys).size === keys.length &&
+    keys.every((key) => OPTION_KEYS.includes(key));
+
+  return isOrder
+    ? keys
+    : repaired(ctx, `unusable order ${JSON.stringify(value)} — ignoring`, null);
+}
+
+/**
+ * Schema for a contestant's submitted order (`results/<id>/answer`) — same
+ * shapes as optionOrder, kept as a string ('CADB') for comparison.
+ *
+ * @returns {string|null}
+ */
+function submittedOrder(value, ctx) {
+  const keys = optionOrder(value, ctx);
+  return keys ? keys.join('') : null;
+}
+
+/**
+ * Schema for `game-state/numeric-guesses`: each team's guess for a numeric
+ * question, keyed by team ID. Numeric strings are coerced; anything else is
+ * dropped so one bad entry never hides the others.
+ *
+ * @returns {Record<string, number>}
+ */
+function numericGuesses(value, ctx) {
+  if (value === null || value === undefined) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return repaired(ctx, 'expected guesses keyed by team ID — ignoring', {});
+  }
+
+  const guesses = {};
+  for (const [teamId, guess] of Object.entries(value)) {
+    const n = typeof guess === 'string' && guess.trim() ? Number(guess) : guess;
+    if (typeof n !== 'number' || !Number.isFinite(n)) {
+      repaired(ctx, `dropped unusable guess for "${teamId}"`);
+      continue;
+    }
+    if (n !== guess) repaired(ctx, `coerced the guess for "${teamId}"`);
+    guesses[teamId] = n;
+  }
+
+  return guesses;
+}
+
+/**
+ * config/display-roles — display ID → role (config/displayRole.js). IDs are
+ * kept as-is; unknown roles are dropped so that display falls back to main.
+ */
+function displayRoles(value, ctx) {
+  if (value === null || value === undefined) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return repaired(ctx, 'expected roles keyed by display ID — ignoring', {});
+  }
+
+  const roles = {};
+  for (const [displayId, role] of Object.entries(value)) {
+    if (!DISPLAY_ROLES.includes(role)) {
+      repaired(ctx, `dropped unknown role for display "${displayId}"`);
+      continue;
+    }
+    roles[displayId] = role;
+  }
+
+  return roles;
+}
+
+const prizeAmount = number({ min: 0 });
+
+/**
+ * Schema for one `prize-structure` entry.
+ *
+ * Accepted shapes:
+ *   10000                              → plain prize amount
+ *   { amount: 10000, milestone: true } → amount flagged as a safe haven
+ *
+ * @returns {{ amount: number, milestone: boolean }}
+ */
+function prizeLevel(value, ctx) {
+  const isObject = value !== null && typeof value === 'object';
+  const amount = prizeAmount(isObject ? value.amount : value, ctx);
+  if (amount === INVALID) return INVALID;
+
+  return { amount, milestone: isObject && value.milestone === true };
+}
+
+/**
+ * Schema for `config/milestones` — question numbers that are safe havens,
+ * e.g. [5, 10, 15, 20]. `false` turns milestones off entirely.
+ *
+ * Returns null when unset, so the prize-structure flags (or the default
+ * milestones) apply — see derivePrizes in store/gameStore.js.
+ *
+ * @returns {number[]|null}
+ */
+function milestonesSchema(value, ctx) {
+  if (value === null || value === undefined) return null;
+  if (value === false) return [];
+
+  // A bad entry only drops the override, so its issues become a repair
+  const listCtx = { ...ctx, issues: [] };
+  const milestones = list(number({ min: 1 }))(value, listCtx);
+  if (milestones === INVALID) {
+    return repaired(ctx, 'unusable milestones — using defaults', null);
+  }
+  ctx.issues.push(...listCtx.issues);
+
+  return [...new Set(milestones)].sort((a, b) => a - b);
+}
+
+/**
+ * Schema for `config/audio/cues` — per-event overrides of the cue sheet
+ * (constants/audio.js), keyed by cue name.
+ *
+ * Accepted shapes per cue:
+ *   '/audio/show/correct.wav'              → replaces the file
+ *   { src: '/audio/…', volume: 0.5 }       → file and/or relative volume
+ *
+ * Unknown cue names and unusable entries are dropped.
+ *
+ * @returns {Record<string, { src?: string, volume?: number }>}
+ */
+function cueOverrides(value, ctx) {
+  if (value === null || value === undefined) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return repaired(ctx, 'expected an object of cues — ignoring', {});
+  }
+
+  const overrides = {};
+  for (const [name, cue] of Object.entries(value)) {
+    if (!(name in CUE_SHEET)) {
+      repaired(ctx, `dropped unknown cue "${name}"`);
+      continue;
+    }
+
+    if (typeof cue === 'string') {
+      overrides[name] = { src: cue };
+    } else if (cue !== null && typeof cue === 'object') {
+      const override = {};
+      if (typeof cue.src === 'string') override.src = cue.src;
+      if (typeof cue.volume === 'number' && cue.volume >= 0) {
+        override.volume = Math.min(1, cue.volume);
+      }
+      overrides[name] = override;
+    } else {
+      repaired(ctx, `dropped unusable cue "${name}"`);
+    }
+  }
+
+  return overrides;
+}
+
+// ── Schemas ────────────────────────────────────────────────────────────────────
+
+const gameStateSchema = object({
+  gameStatus: oneOf(GAME_STATUSES),
+  roundType: oneOf(ROUND_TYPES, { nullable: true, fallback: null }),
+  currentTeamId: string({ nullable: true }),
+  currentQuestionNumber: number({ nullable: true, min: 0 }),
+  currentQuestion: object(
+    {
+      text: string({ fallback: '' }),
+      type: oneOf(Object.keys(QUESTION_TYPES), {
+        nullable: true,
+        fallback: null,
+      }),
+      options: questionOptions,
+      unit: string({ nullable: true }), // numeric answers, e.g. 'm'
+      optionStyle: oneOf(OPTION_STYLES, { nullable: true, fallback: null }),
+      media: questionMedia,
+      ...translatedQuestionFields,
+    },
+    { nullable: true },
+  ),
+  questionVisible: boolean({ fallback: false, optional: true }),
+  optionsVisible: boolean({ fallback: false, optional: true }),
+  mediaPlaying: boolean({ fallback: false, optional: true }),
+  answerRevealed: boolean({ fallback: false, optional: true }),
+  displayFinalResults: boolean({ fallback: false, optional: true }),
+  selectedOption: optionKey,
+  correctOption: optionKey,
+  correctValue: number({ nullable: true }), // numeric questions
+  numericGuesses,
+  activeLifeline: string({ nullable: true }),
+  playQueue: list(string(), { optional: true }),
+  lifelineTimerStartedAt: number({ nullable: true }),
+  questionTimerStartedAt: number({ nullable: true }),
+});
+
+// A lifeline the team record doesn't mention has not been used yet (e.g. a
+// lifeline enabled after the teams were created).
+const lifelinesAvailableSchema = object(
+  Object.fromEntries(
+    Object.values(LIFELINE_REGISTRY).map((lifeline) => [
+      getAvailabilityKey(lifeline),
+      boolean({ fallback: true }),
+    ]),
+  ),
+  { fallback: {} },
+);
+
+const teamSchema = object({
+  id: string(),
+  name: string({ fallback: '' }),
+  participants: string({ fallback: '', optional: true }),
+  status: oneOf(TEAM_STATUSES, { fallback: 'waiting' }),
+  currentPrize: number({ fallback: 0, min: 0 }),
+  lifelinesAvailable: lifelinesAvailableSchema,
+});
+
+const fastestFingerResultSchema = object({
+  id: string(),
+  name: string({ fallback: '', optional: true }),
+  teamId: string({ nullable: true }),
+  time: number({ nullable: true, min: 0 }), // ms to lock in; null = no answer
+  answer: submittedOrder,
+  correct: boolean({ nullable: true }),
+});
+
+const fastestFingerSchema = object({
+  question: object(
+    {
+      text: string({ fallback: '' }),
+      options: questionOptions,
+      ...translatedQuestionFields,
+    },
+    { nullable: true },
+  ),
+  questionVisible: boolean({ fallback: false, optional: true }),
+  optionsVisible: boolean({ fallback: false, optional: true }),
+  correctOrder: optionOrder,
+  revealedCount: number({ fallback: 0, optional: true, min: 0 }),
+  resultsVisible: boolean({ fallback: false, optional: true }),
+  winnerVisible: boolean({ fallback: false, optional: true }),
+  results: list(fastestFingerResultSchema, { optional: true }),
+});
+
+const configSchema = object({
+  displaySettings: object(
+    {
+      showPrizeLadder: boolean({
+        fallback: DEFAULT_DISPLAY_CONFIG.showPrizeLadder,
+        optional: true,
+      }),
+      showTeamList: boolean({
+        fallback: DEFAULT_DISPLAY_CONFIG.showTeamList,
+        optional: true,
+      }),
+      animationDuration: number({
+        fallback: DEFAULT_DISPLAY_CONFIG.animationDuration,
+        optional: true,
+        min: 0,
+      }),
+      reconnectBadgeDelay: number({
+        fallback: DEFAULT_DISPLAY_CONFIG.reconnectBadgeDelay,
+        optional: true,
+        min: 0,
+      }),
+      offlineCardDelay: number({
+        fallback: DEFAULT_DISPLAY_CONFIG.offlineCardDelay,
+        optional: true,
+        min: 0,
+      }),
+      primaryLanguage: oneOf(Object.keys(LOCALES), {
+        nullable: true,
+        fallback: null,
+      }),
+      stageScaling: oneOf(STAGE_SCALE_MODES, {
+        fallback: DEFAULT_DISPLAY_CONFIG.stageScaling,
+        optional: true,
+      }),
+      orientation: oneOf(STAGE_ORIENTATIONS, {
+        fallback: DEFAULT_DISPLAY_CONFIG.orientation,
+        optional: true,
+      }),
+    },
+    { fallback: DEFAULT_DISPLAY_CONFIG, optional: true },
+  ),
+  timerDuration: number({
+    fallback: DEFAULT_TIMER_DURATION,
+    optional: true,
+    min: 1,
+  }),
+  enabledLifelines: enabledLifelinesSchema,
+  questionTimeLimit: questionTimeLimitSchema,
+  roomName: string({ nullable: true, fallback: null }),
+  milestones: milestonesSchema,
+  audio: object(
+    {
+      enabled: boolean({
+        fallback: DEFAULT_AUDIO_CONFIG.enabled,
+        optional: true,
+      }),
+      masterVolume: number({
+        fallback: DEFAULT_AUDIO_CONFIG.masterVolume,
+        optional: true,
+        min: 0,
+      }),
+      cues: cueOverrides,
+    },
+    { fallback: DEFAULT_AUDIO_CONFIG, optional: true },
+  ),
+  theme: themeSchema,
+  locale: oneOf(Object.keys(LOCALES), { nullable: true, fallback: null }),
+  displayRoles,
+});
+
+// ── Node definitions ───────────────────────────────────────────────────────────
+
+/**
+ * Every Firebase node the game store listens to.
+ *
+ * Each entry:
+ *   path      — Firebase path
+ *   empty     — value used while the node is missing in Firebase
+ *   optional  — true when a missing node is expected (no warning logged)
+ *   parse     — raw snapshot value → camelCased store layout
+ *   schema    — validates and repairs the parsed value (utils/schema.js)
+ *   log       — console summary of a freshly validated value
+ *
+ * The object key is the snapshot field the validated value is stored under.
+ */
+export const STORE_NODES = {
+  gameState: {
+    path: 'game-state',
+    empty: { gameStatus: 'not-started' },
+    // Numeric guesses are keyed by team ID, which stays as-is (like teams)
+    parse: (raw) => {
+      if (raw === null || typeof raw !== 'object') return raw;
+
+      const { 'numeric-guesses': guesses, ...rest } = raw;
+      return { ...kebabToCamel(rest), numericGuesses: guesses };
+    },
+    schema: gameStateSchema,
+    log: (gameState) =>
+      console.log('🎮 game-state updated:', gameState.gameStatus),
+  },
+
+  teams: {
+    path: 'teams',
+    empty: [],
+    // Sorted by key (team-1, team-2, …) so the order is deterministic
+    // regardless of Firebase insertion order. Team IDs are kept as-is — only
+    // the fields inside each team are camelCased.
+    parse: (raw) =>
+      raw !== null && typeof raw === 'object'
+        ? Object.entries(raw)
+            .map(([id, team]) => ({ id, ...kebabToCamel(team) }))
+            .sort((a, b) => a.id.localeCompare(b.id))
+        : raw,
+    schema: list(teamSchema),
+    log: (teams) => console.log('👥 teams updated — count:', teams.length),
+  },
+
+  // Index 0 = Question 1. The store exposes the amounts as `prizeStructure`
+  // and the milestone flags as part of `milestones` (see gameStore.js).
+  prizeLevels: {
+    path: 'prize-structure',
+    empty: [],
+    parse: (raw) => raw,
+    schema: list(prizeLevel),
+    log: (prizeLevels) =>
+      console.log('💰 prize-structure updated — levels:', prizeLevels.length),
+  },
+
+  // Qualifier round shown while game-state/round-type is 'fastest-finger'.
+  // Result IDs are kept as-is (like team IDs); results are not sorted here —
+  // FastestFingerScreen ranks them by time.
+  fastestFinger: {
+    path: 'fastest-finger',
+    empty: {
+      question: null,
+      questionVisible: false,
+      optionsVisible: false,
+      correctOrder: null,
+      revealedCount: 0,
+      resultsVisible: false,
+      winnerVisible: false,
+      results: [],
+    },
+    optional: true,
+    parse: (raw) => {
+      if (raw === null || typeof raw !== 'object') return raw;
+
+      const { results, ...rest } = raw;
+      return {
+        ...kebabToCamel(rest),
+        results:
+          results !== null && typeof results === 'object'
+            ? Object.entries(results).map(([id, result]) => ({
+                id,
+                ...kebabToCamel(result),
+              }))
+            : results,
+      };
+    },
+    schema: fastestFingerSchema,
+    log: (fastestFinger) =>
+      console.log(
+        '⚡ fastest-finger updated — results:',
+        fastestFinger.results?.length ?? 0,
+      ),
+  },
+
+  // The config parent node carries display-settings, timer-duration,
+  // enabled-lifelines, question-time-limit, room-name, milestones, audio,
+  // theme, locale and display-roles in one snapshot. Display IDs in
+  // display-roles are kept as-is.
+  config: {
+    path: 'config',
+    empty: {
+      displaySettings: DEFAULT_DISPLAY_CONFIG,
+      timerDuration: DEFAULT_TIMER_DURATION,
+      enabledLifelines: DEFAULT_ENABLED_LIFELINES,
+      questionTimeLimit: null,
+      roomName: null,
+      milestones: null,
+      audio: DEFAULT_AUDIO_CONFIG,
+      theme: null,
+      locale: null,
+      displayRoles: {},
+    },
+    optional: true,
+    parse: (raw) => {
+      if (raw === null || typeof raw !== 'object') return raw;
+
+      const { 'display-roles': roles, ...rest } = raw;
+      return { ...kebabToCamel(rest), displayRoles: roles };
+    },
+    schema: configSchema,
+    log: () => console.log('⚙️ config updated'),
+  },
+};
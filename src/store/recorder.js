@@ -0,0 +1,134 @@
+// src/store/recorder.js
+
+import { getEnvironment } from '@config/buildInfo';
+import { serverNow } from '@config/timeSync';
+
+// ============================================================================
+// SESSION RECORDER
+// ============================================================================
+
+/**
+ * Records every raw Firebase snapshot the game store receives, with its
+ * server-corrected arrival time, so a live event can be replayed later with
+ * `?replay=<file>` (see store/replayPlayer.js).
+ *
+ * Values are recorded BEFORE parsing and validation, so a replay goes through
+ * exactly the same pipeline as the live display did — including any repairs
+ * or rejections.
+ *
+ * Recording is always on in live mode, bounded to the latest MAX_EVENTS
+ * snapshots so a display left running for days does not grow without limit.
+ * Older snapshots are folded into a baseline — the last dropped value of
+ * each node — which opens the log, so a trimmed recording still replays
+ * from a complete state. Download the log with the keyboard shortcut
+ * handled in App (see useSessionRecording).
+ */
+
+const RECORDING_FORMAT = 'wwbam-display-session';
+const RECORDING_VERSION = 1;
+
+/** Snapshots kept — a full event is a few thousand. */
+const MAX_EVENTS = 20000;
+
+/** Snapshots dropped at once when the cap is hit (keeps trimming cheap). */
+const TRIM_BATCH = 1000;
+
+let events = [];
+const baseline = new Map(); // path → last dropped event
+
+/**
+ * Records one snapshot.
+ *
+ * @param {string}  path  - Firebase path, e.g. 'game-state'
+ * @param {unknown} value - raw snapshot value (null when the node is missing)
+ */
+export const recordSnapshot = (path, value) => {
+  events.push({ at: serverNow(), path, value });
+
+  if (events.length > MAX_EVENTS) {
+    events.slice(0, TRIM_BATCH).forEach((event) => {
+      baseline.set(event.path, event);
+    });
+    events = events.slice(TRIM_BATCH);
+  }
+};
+
+/**
+ * Builds the downloadable session log.
+ *
+ * @returns {{
+ *   format: string, version: number, environment: string,
+ *   startedAt: number|null, endedAt: number|null,
+ *   events: Array<{ at: number, path: string, value: unknown }>,
+ * }}
+ */
+export const getRecording = () => {
+  const startedAt = events[0]?.at ?? null;
+
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    environment: getEnvironment(),
+    startedAt,
+    endedAt: serverNow(),
+    // Trimmed nodes restart from their baseline value at the log's start
+    events: [
+      ...[...baseline.values()].map((event) => ({ ...event, at: startedAt })),
+      ...events,
+    ],
+  };
+};
+
+/**
+ * Saves the session log as a JSON file via a temporary download link.
+ */
+export const downloadRecording = () => {
+  const recording = getRecording();
+  const blob = new Blob([JSON.stringify(recording)], {
+    type: 'application/json',
+  });
+  const url = URL.createObjectURL(blob);
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `wwbam-session-${stamp}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  console.log('💾 Session recording saved — events:', recording.events.length);
+};
+
+/**
+ * Checks a loaded session log and returns its events sorted by time.
+ * Throws with a readable message when the file is not a session log.
+ *
+ * @param {unknown} recording - parsed JSON
+ * @returns {{ startedAt: number, endedAt: number, events: object[] }}
+ */
+export const parseRecording = (recording) => {
+  if (recording?.format !== RECORDING_FORMAT) {
+    throw new Error('not a display session recording');
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`unsupported recording version ${recording.version}`);
+  }
+
+  const sorted = (Array.isArray(recording.events) ? recording.events : [])
+    .filter(
+      (event) =>
+        typeof event?.at === 'number' && typeof event.path === 'string',
+    )
+    .sort((a, b) => a.at - b.at);
+
+  if (!sorted.length) throw new Error('recording has no events');
+
+  return {
+    startedAt: sorted[0].at,
+    endedAt: Math.max(recording.endedAt ?? 0, sorted[sorted.length - 1].at),
+    events: sorted,
+  };
+};
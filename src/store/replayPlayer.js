@@ -0,0 +1,203 @@
+// src/store/replayPlayer.js
+
+import { setServerClockOverride } from '@config/timeSync';
+import { ingestNodeSnapshot } from '@store/gameStore';
+import { parseRecording } from '@store/recorder';
+
+// ============================================================================
+// REPLAY PLAYER
+// ============================================================================
+
+/**
+ * Plays a recorded session (store/recorder.js) back into the game store, so
+ * every screen renders exactly as it did live — no Firebase, host panel or
+ * emulator needed.
+ *
+ * The playhead is a recorded server time (Unix ms). While playing it advances
+ * by real elapsed time × speed, and every event up to the playhead is fed to
+ * ingestNodeSnapshot(). The server clock is overridden with the playhead, so
+ * recorded countdown timestamps (phone-a-friend, question timer) run as they
+ * did on the night.
+ *
+ * Seeking rebuilds the state from the latest recorded value of each node at
+ * the target time, so seeking backwards is as cheap as seeking forwards. A
+ * node with no event before the target goes back to its empty value, as it
+ * was before its first snapshot.
+ *
+ * Subscribers follow the `useSyncExternalStore` contract: they take no
+ * arguments and read the new state with getReplayState().
+ */
+
+/** Real-time interval (ms) between playhead updates. */
+const TICK_MS = 100;
+
+/** Playback speeds offered by the replay controls. */
+export const REPLAY_SPEEDS = [1, 2, 4, 8, 16];
+
+let session = null; // { startedAt, endedAt, events }
+let cursor = 0; // index of the next event to apply
+let tickTimer = null;
+let lastTickAt = 0;
+
+let state = {
+  status: 'idle', // 'idle' | 'loading' | 'ready' | 'error'
+  isPlaying: false,
+  speed: 1,
+  position: 0, // playhead, recorded server Unix ms
+  startedAt: 0,
+  endedAt: 0,
+  errorMessage: null,
+};
+const subscribers = new Set();
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  subscribers.forEach((subscriber) => subscriber());
+};
+
+/** Playhead including the time elapsed since the last tick. */
+const currentPosition = () =>
+  state.isPlaying
+    ? Math.min(
+        session.endedAt,
+        state.position + (Date.now() - lastTickAt) * state.speed,
+      )
+    : state.position;
+
+// ── Playback ───────────────────────────────────────────────────────────────────
+
+const applyEventsUntil = (position) => {
+  while (
+    cursor < session.events.length &&
+    session.events[cursor].at <= position
+  ) {
+    const { path, value } = session.events[cursor];
+    ingestNodeSnapshot(path, value);
+    cursor += 1;
+  }
+};
+
+const tick = () => {
+  const position = currentPosition();
+  lastTickAt = Date.now();
+  applyEventsUntil(position);
+
+  if (position >= session.endedAt) {
+    pauseReplay();
+    return;
+  }
+  setState({ position });
+};
+
+/**
+ * Moves the playhead to a recorded time and rebuilds the store state there.
+ *
+ * @param {number} position - recorded server Unix ms (clamped to the session)
+ */
+export const seekReplay = (position) => {
+  if (!session) return;
+
+  const target = Math.min(
+    session.endedAt,
+    Math.max(session.startedAt, position),
+  );
+  // Every recorded node starts empty (null), as before its first snapshot
+  const latestByPath = new Map(
+    session.events.map((event) => [event.path, null]),
+  );
+
+  cursor = 0;
+  while (
+    cursor < session.events.length &&
+    session.events[cursor].at <= target
+  ) {
+    const { path, value } = session.events[cursor];
+    latestByPath.set(path, value);
+    cursor += 1;
+  }
+  latestByPath.forEach((value, path) => ingestNodeSnapshot(path, value));
+
+  lastTickAt = Date.now();
+  setState({ position: target });
+  setServerClockOverride(currentPosition);
+};
+
+export const playReplay = () => {
+  if (!session || state.isPlaying) return;
+  if (state.position >= session.endedAt) seekReplay(session.startedAt);
+
+  lastTickAt = Date.now();
+  tickTimer = setInterval(tick, TICK_MS);
+  setState({ isPlaying: true });
+};
+
+export const pauseReplay = () => {
+  if (!state.isPlaying) return;
+
+  const position = currentPosition();
+  clearInterval(tickTimer);
+  tickTimer = null;
+  setState({ isPlaying: false, position });
+  setServerClockOverride(currentPosition);
+};
+
+/** @param {number} speed - one of REPLAY_SPEEDS */
+export const setReplaySpeed = (speed) => {
+  // Bank the time played at the old speed before switching
+  const position = currentPosition();
+  lastTickAt = Date.now();
+  setState({ speed, position });
+};
+
+/**
+ * Fetches a session log and starts playing it from the beginning. Only the
+ * first call does anything — one replay per page load.
+ *
+ * @param {string} url - e.g. 'final-night.json' (relative to the page) or a full URL
+ */
+export const loadReplay = async (url) => {
+  if (state.status !== 'idle') return;
+  setState({ status: 'loading' });
+  console.log('📼 Loading replay:', url);
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    session = parseRecording(await response.json());
+  } catch (error) {
+    console.error('❌ Replay failed to load:', error.message);
+    setState({ status: 'error', errorMessage: error.message });
+    return;
+  }
+
+  console.log('📼 Replay loaded — events:', session.events.length);
+  setState({
+    status: 'ready',
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+  });
+  seekReplay(session.startedAt);
+  playReplay();
+};
+
+// ── Subscription ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {() => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeReplay = (subscriber) => {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * Latest player state. The same object is returned until the next change.
+ *
+ * @returns {{
+ *   status: 'idle'|'loading'|'ready'|'error',
+ *   isPlaying: boolean, speed: number, position: number,
+ *   startedAt: number, endedAt: number, errorMessage: string|null,
+ * }}
+ */
+export const getReplayState = () => state;
@@ -0,0 +1,86 @@
+// src/store/selectors.js
+
+// ============================================================================
+// GAME STORE SELECTORS
+// ============================================================================
+
+/**
+ * Selectors for `useGameStore(selector)`. Each returns a value that is
+ * already part of the published snapshot, so the result is referentially
+ * stable until the store publishes again — never build new objects or
+ * arrays in a selector (useSyncExternalStore would re-render forever).
+ */
+
+// ── Listener status ────────────────────────────────────────────────────────────
+
+/** @returns {{ isListening: boolean, isError: boolean, errorMessage: string|null }} */
+export const selectStoreStatus = (s) => s.status;
+
+/** Node key → local time (ms) of its last accepted snapshot; for diagnostics. */
+export const selectNodeUpdatedAt = (s) => s.updatedAt;
+
+// ── Raw nodes ──────────────────────────────────────────────────────────────────
+
+/** camelCased `game-state` node — null until the first snapshot. */
+export const selectGameState = (s) => s.gameState;
+
+/** Teams sorted by ID, each with its `id` attached. */
+export const selectTeams = (s) => s.teams;
+
+/**
+ * camelCased `fastest-finger` node — the qualifier question, its correct
+ * order, reveal progress and contestants' results (unsorted).
+ */
+export const selectFastestFinger = (s) => s.fastestFinger;
+
+/** Prize per question, index 0 = Question 1. */
+export const selectPrizeStructure = (s) => s.prizeStructure;
+
+/** Safe-haven question numbers, ascending (e.g. [5, 10, 15, 20]). */
+export const selectMilestones = (s) => s.milestones;
+
+// ── Config ─────────────────────────────────────────────────────────────────────
+
+/** show-prize-ladder, show-team-list, animation-duration, offline delays. */
+export const selectDisplayConfig = (s) => s.config.displaySettings;
+
+/** Phone-a-friend call duration in seconds. */
+export const selectTimerDuration = (s) => s.config.timerDuration;
+
+/** Lifeline keys for the top bar, in display order. */
+export const selectEnabledLifelines = (s) => s.config.enabledLifelines;
+
+/** Seconds for every question, a per-level array (index 0 = Q1), or null. */
+export const selectQuestionTimeLimit = (s) => s.config.questionTimeLimit;
+
+/** Human-readable room name from `config/room-name`, or null. */
+export const selectRoomName = (s) => s.config.roomName;
+
+/** Display ID → role from `config/display-roles` (config/displayRole.js). */
+export const selectDisplayRoles = (s) => s.config.displayRoles;
+
+/** `{ enabled, masterVolume, cues }` from `config/audio`. */
+export const selectAudioConfig = (s) => s.config.audio;
+
+/** Validated `config/theme` (pack + overrides), or null for classic. */
+export const selectThemeConfig = (s) => s.config.theme;
+
+/** `config/locale` language code, or null for English. */
+export const selectLocaleConfig = (s) => s.config.locale;
+
+// ── Derived ────────────────────────────────────────────────────────────────────
+
+/** Ordered team IDs from `game-state/play-queue` ([] when unset). */
+export const selectPlayQueue = (s) => s.playQueue;
+
+/** Team currently playing, or null. */
+export const selectCurrentTeam = (s) => s.currentTeam;
+
+/** 1-based position of the current team in the play queue (0 when none). */
+export const selectQueuePosition = (s) => s.queuePosition;
+
+/** Team queued after the current one, or null at the end of the queue. */
+export const selectNextTeam = (s) => s.nextTeam;
+
+/** Team the result card is about — current team, else the last in the queue. */
+export const selectResultTeam = (s) => s.resultTeam;
@@ -0,0 +1,99 @@
+// src/store/transitions.js
+
+import { deriveOverlay } from '@utils/gameOverlay';
+
+// ============================================================================
+// TRANSITION LOG
+// ============================================================================
+
+/**
+ * Rolling log of the game-state changes the display actually rendered —
+ * status, team, question, reveal flags, lifeline and the resulting overlay —
+ * so the crew can see what led up to a wrong-looking screen without devtools
+ * (production builds strip console.log). Shown by the diagnostics HUD.
+ *
+ * The game store calls logTransitions() with every published snapshot, so
+ * the log covers batches as screens saw them, not raw Firebase snapshots.
+ *
+ * Subscribers follow the `useSyncExternalStore` contract: they take no
+ * arguments and read the new list with getTransitions().
+ */
+
+/** Maximum number of entries kept. */
+const MAX_ENTRIES = 50;
+
+/** game-state fields worth logging, in the order they are compared. */
+const WATCHED_FIELDS = [
+  'gameStatus',
+  'currentTeamId',
+  'currentQuestionNumber',
+  'questionVisible',
+  'optionsVisible',
+  'selectedOption',
+  'answerRevealed',
+  'activeLifeline',
+  'displayFinalResults',
+];
+
+let entries = [];
+let nextId = 1;
+const subscribers = new Set();
+
+/** Watched values of a snapshot, plus its overlay. */
+const describe = (snapshot) => {
+  const gameState = snapshot.gameState ?? {};
+  return {
+    ...Object.fromEntries(
+      WATCHED_FIELDS.map((field) => [field, gameState[field] ?? null]),
+    ),
+    overlay: snapshot.gameState
+      ? deriveOverlay(snapshot.gameState, snapshot.currentTeam)
+      : null,
+  };
+};
+
+/**
+ * Logs every watched value that differs between two published snapshots.
+ *
+ * @param {object} previous - last published store snapshot
+ * @param {object} next     - snapshot being published
+ */
+export const logTransitions = (previous, next) => {
+  const before = describe(previous);
+  const after = describe(next);
+  const at = Date.now();
+
+  const changes = Object.keys(after)
+    .filter((field) => before[field] !== after[field])
+    .map((field) => ({
+      id: nextId++,
+      at,
+      field,
+      from: before[field],
+      to: after[field],
+    }));
+
+  if (changes.length === 0) return;
+
+  entries = [...entries, ...changes].slice(-MAX_ENTRIES);
+  subscribers.forEach((subscriber) => subscriber());
+};
+
+/**
+ * @param {() => void} subscriber
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeTransitions = (subscriber) => {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * Logged transitions, oldest first. The same array is returned until the
+ * next change.
+ *
+ * @returns {Array<{
+ *   id: number, at: number, field: string, from: unknown, to: unknown,
+ * }>}
+ */
+export const getTransitions = () => entries;
@@ -6,10 +6,13 @@
  * Two formats are used across the UI:
  *  - Full:  "Rs. 1,000,000.00"  → TeamInfoBar, ResultsScreen, PrizeLadder
  *  - Short: "Rs. 1M"            → TeamList (space-constrained)
+ *
+ * Digits, grouping and the currency label follow the display language
+ * (config/locale.js calls setNumberLocale). Examples below are for English.
  */
 
-const CURRENCY = 'Rs.';
-const LOCALE = 'en-LK';
+let currency = 'Rs.';
+let numberLocale = 'en-LK';
 
 // ── Helpers ────────────────────────────────────────────────────────────────────
 
@@ -27,6 +30,17 @@ const toSafeNumber = (value) => {
 
 // ── Public API ─────────────────────────────────────────────────────────────────
 
+/**
+ * Switches the number locale and currency label used by the formatters.
+ * Called by config/locale.js when the display language changes.
+ *
+ * @param {{ numberLocale: string, currency: string }} locale - see constants/locales.js
+ */
+export const setNumberLocale = (locale) => {
+  numberLocale = locale.numberLocale;
+  currency = locale.currency;
+};
+
 /**
  * Formats a prize amount with locale-aware thousands separators and
  * exactly 2 decimal places.
@@ -42,7 +56,7 @@ const toSafeNumber = (value) => {
  */
 export const formatPrize = (amount) => {
   const n = toSafeNumber(amount);
-  return `${CURRENCY} ${n.toLocaleString(LOCALE, {
+  return `${currency} ${n.toLocaleString(numberLocale, {
     minimumFractionDigits: 2,
     maximumFractionDigits: 2,
   })}`;
@@ -51,12 +65,9 @@ export const formatPrize = (amount) => {
 /**
  * Formats a prize amount in a compact short form for space-constrained UI.
  *
- * Thresholds:
- *  ≥ 1,000,000 → "Rs. 1M", "Rs. 1.5M"
- *  ≥ 1,000     → "Rs. 10K", "Rs. 500K"
- *  < 1,000     → "Rs. 500"  (no suffix)
- *
- * Trailing zeros after the decimal are stripped (1.0M → 1M, 1.5M → 1.5M).
+ * Uses Intl compact notation with at most one decimal, so the suffixes follow
+ * the display language (English: K / M; Sinhala and Tamil use their own).
+ * Trailing zeros after the decimal are dropped (1.0M → 1M, 1.5M → 1.5M).
  *
  * @param {number} amount - Prize in Rs.
  * @returns {string} e.g. "Rs. 1M", "Rs. 500K", "Rs. 500"
@@ -69,19 +80,46 @@ export const formatPrize = (amount) => {
  */
 export const formatPrizeShort = (amount) => {
   const n = toSafeNumber(amount);
+  const value = new Intl.NumberFormat(numberLocale, {
+    notation: 'compact',
+    maximumFractionDigits: 1,
+  }).format(n);
 
-  if (n >= 1_000_000) {
-    const value = parseFloat((n / 1_000_000).toFixed(1));
-    return `${CURRENCY} ${value}M`;
-  }
+  return `${currency} ${value}`;
+};
 
-  if (n >= 1_000) {
-    const value = parseFloat((n / 1_000).toFixed(1));
-    return `${CURRENCY} ${value}K`;
-  }
+/**
+ * Formats a plain number (numeric question answers and guesses) with the
+ * display language's grouping and up to two decimals.
+ *
+ * @param {number} value
+ * @returns {string} e.g. "8,849"
+ *
+ * @example
+ * formatNumber(8849)   // "8,849"
+ * formatNumber(3.1416) // "3.14"
+ */
+export const formatNumber = (value) =>
+  toSafeNumber(value).toLocaleString(numberLocale, {
+    maximumFractionDigits: 2,
+  });
 
-  return `${CURRENCY} ${n}`;
-};
+/**
+ * Formats a response time in seconds with two decimals, for the Fastest
+ * Finger First results table. The unit is added by the caller (copy).
+ *
+ * @param {number} ms - response time in milliseconds
+ * @returns {string} e.g. "2.47"
+ *
+ * @example
+ * formatSeconds(2468) // "2.47"
+ * formatSeconds(900)  // "0.90"
+ */
+export const formatSeconds = (ms) =>
+  (toSafeNumber(ms) / 1000).toLocaleString(numberLocale, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
 
 /**
  * Masks a contact number, revealing only the last 3 digits.
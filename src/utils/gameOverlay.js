@@ -0,0 +1,46 @@
+// src/utils/gameOverlay.js
+
+import { findLifeline } from '@constants/lifelines';
+
+/**
+ * Derives which overlay (if any) to render on top of the game layout.
+ *
+ * Priority (highest → lowest):
+ *   1. lifeline      — the active lifeline has an overlay in the registry
+ *                      (e.g. phone-a-friend while paused, ask-the-audience).
+ *                      Beats generic pause.
+ *   2. pause         — generic game pause
+ *   3. teamResult    — team just finished (eliminated or completed)
+ *   4. announcement  — new team is up (currentQuestionNumber === 0)
+ *   5. null          — normal gameplay, no overlay
+ *
+ * Shared by GameScreen (which overlay to render) and the diagnostics HUD.
+ *
+ * @param {object|null} gameState   - selectGameState
+ * @param {object|null} currentTeam - selectCurrentTeam
+ * @returns {'lifeline'|'pause'|'teamResult'|'announcement'|null}
+ */
+export function deriveOverlay(gameState, currentTeam) {
+  const { gameStatus, activeLifeline, answerRevealed, currentQuestionNumber } =
+    gameState ?? {};
+
+  const lifelineOverlay = findLifeline(activeLifeline)?.overlay;
+  if (
+    lifelineOverlay &&
+    (!lifelineOverlay.requiresPause || gameStatus === 'paused')
+  )
+    return 'lifeline';
+  if (gameStatus === 'paused') return 'pause';
+  if (gameStatus === 'completed') return 'teamResult';
+
+  const teamFinished =
+    currentTeam?.status === 'eliminated' || currentTeam?.status === 'completed';
+  if (answerRevealed && teamFinished) return 'teamResult';
+
+  const isBetweenTeams =
+    gameStatus === 'active' &&
+    (currentQuestionNumber === 0 || currentQuestionNumber == null);
+  if (isBetweenTeams) return 'announcement';
+
+  return null;
+}
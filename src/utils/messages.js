@@ -0,0 +1,20 @@
+// src/utils/messages.js
+
+/**
+ * Fills `{name}` placeholders in a copy string. Unknown placeholders are left
+ * as-is so a catalogue typo is visible rather than silently blank.
+ *
+ * Word order differs between English, Sinhala and Tamil, so copy that embeds
+ * a value keeps the placeholder inside the string instead of concatenating.
+ *
+ * @param {string} template
+ * @param {Record<string, string|number>} values
+ * @returns {string}
+ *
+ * @example
+ * interpolate('Calling {number}', { number: '•• ••• 567' }) // → 'Calling •• ••• 567'
+ */
+export const interpolate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? String(values[name]) : match,
+  );
@@ -0,0 +1,32 @@
+// src/utils/milestones.js
+
+/**
+ * Finds the last safe-haven question a team has banked.
+ *
+ *   milestones [5, 10, 15], 12 answered → 10
+ *   milestones [5, 10, 15],  3 answered → null
+ *
+ * @param {number[]} milestones        - ascending question numbers
+ * @param {number}   questionsAnswered - questions answered correctly so far
+ * @returns {number|null} milestone question number, or null when none reached
+ */
+export const getLastMilestone = (milestones, questionsAnswered) =>
+  milestones.findLast((n) => n <= questionsAnswered) ?? null;
+
+/**
+ * Prize a team is guaranteed to take home even if they answer the next
+ * question wrong — the prize of their last milestone, or 0.
+ *
+ * @param {number[]} prizeStructure    - index 0 = Question 1 prize
+ * @param {number[]} milestones        - ascending question numbers
+ * @param {number}   questionsAnswered
+ * @returns {number}
+ */
+export const getGuaranteedPrize = (
+  prizeStructure,
+  milestones,
+  questionsAnswered,
+) => {
+  const milestone = getLastMilestone(milestones, questionsAnswered);
+  return milestone ? (prizeStructure[milestone - 1] ?? 0) : 0;
+};
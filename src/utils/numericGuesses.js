@@ -0,0 +1,56 @@
+// src/utils/numericGuesses.js
+
+/**
+ * Teams with a guess in `game-state/numeric-guesses`, in team order. A guess
+ * under a team ID that is not in `teams` is ignored everywhere — the reveal
+ * shows no row for it and it cannot win.
+ *
+ * @param {Record<string, number>} guesses - team ID → guess
+ * @param {Array}                  teams
+ * @returns {Array}
+ */
+function guessingTeams(guesses, teams) {
+  return teams.filter((team) => guesses[team.id] !== undefined);
+}
+
+/**
+ * One row per guess from a known team, in team order (NumericReveal). Once
+ * the answer is in, rows are sorted closest first and every guess at the smallest distance is marked closest
+ * (ties share the win).
+ *
+ * @param {Record<string, number>} guesses - team ID → guess
+ * @param {Array}                  teams
+ * @param {number|null}            correctValue - null until ranked
+ * @returns {Array<{ id: string, name: string, guess: number, difference: number|null, isClosest: boolean }>}
+ */
+export function deriveGuessRows(guesses, teams, correctValue) {
+  const rows = guessingTeams(guesses, teams).map((team) => ({
+    id: team.id,
+    name: team.name || team.id,
+    guess: guesses[team.id],
+    difference: correctValue === null ? null : guesses[team.id] - correctValue,
+  }));
+
+  if (correctValue === null) {
+    return rows.map((row) => ({ ...row, isClosest: false }));
+  }
+
+  const closest = Math.min(...rows.map((row) => Math.abs(row.difference)));
+  return rows
+    .map((row) => ({ ...row, isClosest: Math.abs(row.difference) === closest }))
+    .sort((a, b) => Math.abs(a.difference) - Math.abs(b.difference));
+}
+
+/**
+ * Whether a numeric reveal has a closest guess to celebrate — the answer is
+ * in and at least one known team guessed. Keeps the reveal sound in step with
+ * what NumericReveal shows.
+ *
+ * @param {Record<string, number>} guesses - team ID → guess
+ * @param {Array}                  teams
+ * @param {number|null}            correctValue
+ * @returns {boolean}
+ */
+export function hasClosestGuess(guesses, teams, correctValue) {
+  return correctValue !== null && guessingTeams(guesses, teams).length > 0;
+}
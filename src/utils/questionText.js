@@ -0,0 +1,64 @@
+// src/utils/questionText.js
+
+import { DEFAULT_LOCALE, LOCALES } from '@constants/locales';
+
+/**
+ * Helpers for bilingual question sets.
+ *
+ * A question carries its base language (English) in `text` / `options` and
+ * any translations in suffixed fields — `text-si`, `options-si`, `text-ta`,
+ * `options-ta` — which the store camelCases to `textSi`, `optionsSi`, ….
+ * The display shows one language as the main line and a second one, when
+ * the question has it, as a subtitle.
+ */
+
+/**
+ * Store key of a localised question field.
+ *
+ * @param {string} field    - 'text' | 'options'
+ * @param {string} language - a key of LOCALES
+ * @returns {string} e.g. 'textSi'
+ *
+ * @example
+ * localizedKey('options', 'ta') // → 'optionsTa'
+ * localizedKey('text', 'en')    // → 'text'
+ */
+export const localizedKey = (field, language) =>
+  language === DEFAULT_LOCALE
+    ? field
+    : `${field}${language[0].toUpperCase()}${language.slice(1)}`;
+
+/**
+ * Reads a question field in `language`, or null when it has none.
+ *
+ * @param {object|null} question
+ * @param {string}      field
+ * @param {string|null} language
+ */
+export const getLocalizedField = (question, field, language) =>
+  language ? (question?.[localizedKey(field, language)] ?? null) : null;
+
+/**
+ * Picks the main and subtitle languages for a question.
+ *
+ * The preferred language wins when the question has text in it; otherwise
+ * the first language it does have (LOCALES order). The subtitle is the next
+ * language the question carries, or null for single-language questions.
+ *
+ * @param {object|null} question
+ * @param {string}      preferred - display-settings/primary-language or the UI locale
+ * @returns {{ primary: string, secondary: string|null }}
+ */
+export const resolveQuestionLanguages = (question, preferred) => {
+  const available = Object.keys(LOCALES).filter((code) =>
+    Boolean(getLocalizedField(question, 'text', code)),
+  );
+  const primary = available.includes(preferred)
+    ? preferred
+    : (available[0] ?? DEFAULT_LOCALE);
+
+  return {
+    primary,
+    secondary: available.find((code) => code !== primary) ?? null,
+  };
+};
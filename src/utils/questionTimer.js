@@ -0,0 +1,18 @@
+// src/utils/questionTimer.js
+
+/**
+ * Resolves the answer time limit (seconds) for a question number from the
+ * normalised `config/question-time-limit` value (see store/nodes.js).
+ *
+ * @param {number|Array<number|null>|null} questionTimeLimit
+ * @param {number|null} questionNumber - 1-based
+ * @returns {number|null} null when this question has no timer
+ */
+export function resolveQuestionTimeLimit(questionTimeLimit, questionNumber) {
+  if (Array.isArray(questionTimeLimit)) {
+    return questionNumber
+      ? (questionTimeLimit[questionNumber - 1] ?? null)
+      : null;
+  }
+  return questionTimeLimit ?? null;
+}
@@ -0,0 +1,235 @@
+// src/utils/schema.js
+
+// ============================================================================
+// PAYLOAD SCHEMAS
+// ============================================================================
+
+/**
+ * A tiny validate-and-repair schema kit for Firebase payloads.
+ *
+ * A schema is a function `(value, ctx) => value | INVALID`. It returns the
+ * value (coerced where needed) or the INVALID sentinel, and records what it
+ * did on `ctx.issues`:
+ *
+ *   { path: 'currentQuestion.options', severity: 'repaired', message: '…' }
+ *   { path: 'gameStatus',              severity: 'invalid',  message: '…' }
+ *
+ * Field options shared by the scalar schemas:
+ *   fallback — value used when the field is missing or unusable (repaired)
+ *   optional — a missing field silently takes the fallback (no issue)
+ *   nullable — null / missing is a valid value
+ *
+ * Without a fallback, a missing or unusable value is INVALID and invalidates
+ * the enclosing object — callers decide what to do (see store/gameStore.js).
+ */
+
+/** Returned by a schema when the value cannot be repaired. */
+export const INVALID = Symbol('invalid');
+
+// ── Issue helpers ──────────────────────────────────────────────────────────────
+//
+// `repaired` and `invalid` are exported for custom schemas (see store/nodes.js).
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'object' ? 'object' : JSON.stringify(value);
+};
+
+export const repaired = (ctx, message, value) => {
+  ctx.issues.push({ path: ctx.path, severity: 'repaired', message });
+  return value;
+};
+
+export const invalid = (ctx, message) => {
+  ctx.issues.push({ path: ctx.path, severity: 'invalid', message });
+  return INVALID;
+};
+
+const child = (ctx, key) => ({
+  ...ctx,
+  path: ctx.path ? `${ctx.path}.${key}` : String(key),
+});
+
+/**
+ * Shared missing-value handling for scalar schemas.
+ * Returns `undefined` when the value is present and should be checked.
+ */
+const resolveMissing = (value, ctx, { fallback, optional, nullable }) => {
+  if (value !== null && value !== undefined) return undefined;
+  if (nullable) return { value: null };
+  if (fallback === undefined) return { value: invalid(ctx, 'missing') };
+  if (optional) return { value: fallback };
+  return { value: repaired(ctx, `missing — using ${fallback}`, fallback) };
+};
+
+const unusable = (value, ctx, { fallback }, expected) =>
+  fallback === undefined
+    ? invalid(ctx, `expected ${expected}, got ${describe(value)}`)
+    : repaired(
+        ctx,
+        `expected ${expected}, got ${describe(value)} — using ${fallback}`,
+        fallback,
+      );
+
+// ── Scalars ────────────────────────────────────────────────────────────────────
+
+/** Booleans; coerces 'true'/'false' strings and 0/1. */
+export const boolean =
+  (options = {}) =>
+  (value, ctx) => {
+    const missing = resolveMissing(value, ctx, options);
+    if (missing) return missing.value;
+    if (typeof value === 'boolean') return value;
+
+    if (value === 'true' || value === 1)
+      return repaired(ctx, `coerced ${JSON.stringify(value)} to true`, true);
+    if (value === 'false' || value === 0)
+      return repaired(ctx, `coerced ${JSON.stringify(value)} to false`, false);
+
+    return unusable(value, ctx, options, 'boolean');
+  };
+
+/** Finite numbers; coerces numeric strings. `min` rejects smaller values. */
+export const number =
+  ({ min = -Infinity, ...options } = {}) =>
+  (value, ctx) => {
+    const missing = resolveMissing(value, ctx, options);
+    if (missing) return missing.value;
+
+    let result = value;
+    if (typeof value === 'string' && value.trim() !== '') {
+      result = Number(value);
+      if (Number.isFinite(result))
+        repaired(ctx, `coerced "${value}" to a number`);
+    }
+
+    if (typeof result !== 'number' || !Number.isFinite(result))
+      return unusable(value, ctx, options, 'number');
+    if (result < min) return unusable(value, ctx, options, `number ≥ ${min}`);
+
+    return result;
+  };
+
+/** Strings; coerces numbers. */
+export const string =
+  (options = {}) =>
+  (value, ctx) => {
+    const missing = resolveMissing(value, ctx, options);
+    if (missing) return missing.value;
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number')
+      return repaired(ctx, 'coerced number to string', String(value));
+
+    return unusable(value, ctx, options, 'string');
+  };
+
+/** One of a fixed set of strings. */
+export const oneOf =
+  (values, options = {}) =>
+  (value, ctx) => {
+    const missing = resolveMissing(value, ctx, options);
+    if (missing) return missing.value;
+    if (values.includes(value)) return value;
+
+    return unusable(value, ctx, options, values.join(' | '));
+  };
+
+/** Accepts anything as-is (nested nodes owned by other modules). */
+export const any = () => (value) => value ?? null;
+
+// ── Collections ────────────────────────────────────────────────────────────────
+
+/**
+ * Objects with known fields. Unknown fields pass through untouched so new
+ * host-panel keys never break the display. Any INVALID field invalidates the
+ * whole object.
+ *
+ * With a `fallback` object, a missing value is rebuilt from it (the field
+ * schemas fill in their own fallbacks) and reported once as repaired —
+ * silently when `optional`.
+ */
+export const object =
+  (shape, { fallback, optional = false, nullable = false } = {}) =>
+  (value, ctx) => {
+    if (value === null || value === undefined) {
+      if (nullable) return null;
+      if (fallback === undefined) return invalid(ctx, 'missing');
+      if (!optional) repaired(ctx, 'missing — using defaults');
+      // Field-level issues for the rebuilt defaults are not worth reporting
+      return validateFields(shape, fallback, { ...ctx, issues: [] });
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return invalid(ctx, `expected object, got ${describe(value)}`);
+    }
+
+    return validateFields(shape, value, ctx);
+  };
+
+function validateFields(shape, value, ctx) {
+  const result = { ...value };
+  let isValid = true;
+
+  Object.entries(shape).forEach(([key, schema]) => {
+    const fieldValue = schema(value[key], child(ctx, key));
+    if (fieldValue === INVALID) isValid = false;
+    else result[key] = fieldValue;
+  });
+
+  return isValid ? result : INVALID;
+}
+
+/**
+ * Arrays. Firebase returns a sparse object keyed by index when entries are
+ * deleted — it is rebuilt in index order and the gaps are dropped.
+ */
+export const list =
+  (itemSchema, { optional = false } = {}) =>
+  (value, ctx) => {
+    if (value === null || value === undefined) {
+      return optional ? [] : repaired(ctx, 'missing — using []', []);
+    }
+
+    let items = value;
+    if (!Array.isArray(value)) {
+      if (typeof value !== 'object') {
+        return invalid(ctx, `expected array, got ${describe(value)}`);
+      }
+      items = Object.keys(value)
+        .filter((key) => /^\d+$/.test(key))
+        .sort((a, b) => Number(a) - Number(b))
+        .map((key) => value[key]);
+      repaired(ctx, 'rebuilt array from a sparse object');
+    }
+
+    if (items.some((item) => item === null || item === undefined)) {
+      items = items.filter((item) => item !== null && item !== undefined);
+      repaired(ctx, 'dropped empty entries');
+    }
+
+    const result = items.map((item, index) =>
+      itemSchema(item, child(ctx, index)),
+    );
+    return result.includes(INVALID) ? INVALID : result;
+  };
+
+// ── Entry point ────────────────────────────────────────────────────────────────
+
+/**
+ * Runs a schema against a payload.
+ *
+ * @param {Function} schema
+ * @param {unknown}  value
+ * @param {string}   [path] - prefix for issue paths (e.g. the Firebase node)
+ * @returns {{ value: unknown, isValid: boolean, issues: object[] }}
+ */
+export function validate(schema, value, path = '') {
+  const ctx = { path, issues: [] };
+  const result = schema(value, ctx);
+
+  return {
+    value: result === INVALID ? null : result,
+    isValid: result !== INVALID,
+    issues: ctx.issues,
+  };
+}
@@ -1,11 +1,23 @@
 // src/utils/transforms.js
 
+/**
+ * Converts a single kebab-case string to camelCase.
+ *
+ * @param {string} key
+ * @returns {string}
+ *
+ * @example
+ * toCamelCase('phone-a-friend') // → 'phoneAFriend'
+ */
+export const toCamelCase = (key) =>
+  key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
 /**
  * Recursively converts all object keys from kebab-case to camelCase.
  * Firebase stores keys as kebab-case — JS uses camelCase.
  *
- * Used by all Firebase listener hooks (useGameState, useTeams,
- * usePrizeStructure, useDisplayConfig) to normalise incoming data.
+ * Used by the game store node parsers (store/nodes.js) to normalise
+ * incoming data.
  *
  * @param {unknown} data
  * @returns {unknown}
@@ -24,7 +36,7 @@ export const kebabToCamel = (data) => {
   if (data !== null && typeof data === 'object') {
     return Object.fromEntries(
       Object.entries(data).map(([key, value]) => [
-        key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase()),
+        toCamelCase(key),
         kebabToCamel(value),
       ]),
     );
@@ -32,3 +44,15 @@ export const kebabToCamel = (data) => {
 
   return data;
 };
+
+/**
+ * Converts a single camelCase string to kebab-case.
+ *
+ * @param {string} key
+ * @returns {string}
+ *
+ * @example
+ * toKebabCase('screenBgOverlay') // → 'screen-bg-overlay'
+ */
+export const toKebabCase = (key) =>
+  key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
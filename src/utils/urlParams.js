@@ -0,0 +1,18 @@
+// src/utils/urlParams.js
+
+/**
+ * Reads a query-string parameter from the page URL.
+ *
+ * Display modes are chosen per screen by the crew when they open the URL on
+ * each machine (e.g. `?replay=session.json`), so they are read once at
+ * startup — changing them means reloading the page.
+ *
+ * @param {string} name
+ * @returns {string|null} null when absent or empty
+ *
+ * @example
+ * // https://display.example/?replay=final-night.json
+ * getUrlParam('replay') // → 'final-night.json'
+ */
+export const getUrlParam = (name) =>
+  new URLSearchParams(window.location.search).get(name) || null;
@@ -2,16 +2,25 @@
 
 import { defineConfig } from 'vite';
 import { ViteMinifyPlugin } from 'vite-plugin-minify';
+import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 import react from '@vitejs/plugin-react';
 import tailwindcss from '@tailwindcss/vite';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(
+  readFileSync(resolve(__dirname, 'package.json'), 'utf-8'),
+);
 
 export default defineConfig({
   plugins: [react(), tailwindcss(), ViteMinifyPlugin({})],
 
+  // ── Build info (config/buildInfo.js) ──────────────────────────────────────
+  define: {
+    'import.meta.env.VITE_APP_VERSION': JSON.stringify(version),
+  },
+
   // ── Path aliases ───────────────────────────────────────────────────────────
   resolve: {
     alias: {
@@ -22,6 +31,10 @@ export default defineConfig({
       '@screens': resolve(__dirname, './src/screens'),
       '@components': resolve(__dirname, './src/components'),
       '@constants': resolve(__dirname, './src/constants'),
+      '@store': resolve(__dirname, './src/store'),
+      '@mock': resolve(__dirname, './src/mock'),
+      '@audio': resolve(__dirname, './src/audio'),
+      '@locales': resolve(__dirname, './src/locales'),
     },
   },
 